@@ -55,12 +55,14 @@ export default {
         }
       },
       transform: {
-        '^.+\\.(ts|tsx)$': ['ts-jest', { useESM: true }]
+        '^.+\\.(ts|tsx)$': ['ts-jest', { useESM: true }],
+        // Modules under shared/ are plain ESM used by both the app and the server
+        '^.+/shared/.+\\.js$': 'babel-jest'
       }
     },
     {
       displayName: 'Backend',
-      testMatch: ['<rootDir>/server/src/**/*.(test|spec).(ts|js)'],
+      testMatch: ['<rootDir>/server/src/**/*.(test|spec).(ts|js)', '<rootDir>/shared/**/*.(test|spec).js'],
       testEnvironment: 'node',
       setupFilesAfterEnv: ['<rootDir>/server/src/test/setup.js'],
       transform: {
@@ -0,0 +1,9 @@
+-- AlterEnum
+ALTER TYPE "public"."processing_status" ADD VALUE 'PAUSED';
+
+-- AlterEnum
+-- Multi-document processing jobs are persisted with this job type
+ALTER TYPE "public"."processing_job_type" ADD VALUE 'CONTRACT_ANALYSIS';
+
+-- CreateIndex
+CREATE INDEX "processing_jobs_jobType_status_idx" ON "public"."processing_jobs"("jobType", "status");
@@ -0,0 +1,221 @@
+-- The document analysis models (contract_analyses, analysis_confidence,
+-- document_classifications, document_similarities, contract_groups) were in
+-- the schema without a migration. The review queue adds columns to them, so
+-- they are created here along with the review fields.
+
+-- CreateEnum
+CREATE TYPE "public"."analysis_quality" AS ENUM ('EXCELLENT', 'GOOD', 'FAIR', 'POOR', 'FAILED');
+
+-- CreateEnum
+CREATE TYPE "public"."document_relation" AS ENUM ('SAME_CONTRACT', 'AMENDMENT', 'RELATED_CONTRACT', 'APPENDIX', 'COVER_LETTER', 'UNRELATED', 'REQUIRES_REVIEW');
+
+-- CreateEnum
+CREATE TYPE "public"."contract_group_type" AS ENUM ('RELATED_CONTRACTS', 'CONTRACT_FAMILY', 'DUPLICATE_DETECTION', 'TEMPORAL_SEQUENCE', 'MULTI_PARTY', 'PROJECT_CONTRACTS');
+
+-- CreateEnum
+CREATE TYPE "public"."confidence_aspect" AS ENUM ('CONTRACT_TYPE', 'PARTIES', 'DATES', 'FINANCIAL_TERMS', 'REFERENCE_NUMBERS', 'SUBJECT_MATTER', 'CRITICAL_CLAUSES', 'DOCUMENT_QUALITY', 'SIMILARITY');
+
+-- CreateEnum
+CREATE TYPE "public"."review_decision" AS ENUM ('PENDING', 'ACCEPTED', 'CORRECTED', 'REJECTED');
+
+-- CreateEnum
+CREATE TYPE "public"."classification_status" AS ENUM ('PENDING', 'PROCESSING', 'COMPLETED', 'REVIEW_REQUIRED', 'HUMAN_REVIEWED', 'FAILED');
+
+-- AlterEnum
+ALTER TYPE "public"."processing_job_type" ADD VALUE 'SIMILARITY_ANALYSIS';
+
+-- AlterTable
+ALTER TABLE "public"."uploaded_files" ADD COLUMN     "tempContractId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."contract_analyses" (
+    "id" TEXT NOT NULL,
+    "documentId" TEXT,
+    "contractId" TEXT,
+    "contractType" TEXT,
+    "contractSubcategory" TEXT,
+    "contractTypeConfidence" DOUBLE PRECISION,
+    "parties" JSONB NOT NULL,
+    "partiesConfidence" DOUBLE PRECISION,
+    "effectiveDate" TIMESTAMP(3),
+    "expirationDate" TIMESTAMP(3),
+    "signatureDate" TIMESTAMP(3),
+    "datesConfidence" DOUBLE PRECISION,
+    "totalValue" DOUBLE PRECISION,
+    "currency" TEXT,
+    "paymentTerms" TEXT,
+    "financialConfidence" DOUBLE PRECISION,
+    "referenceNumbers" JSONB NOT NULL,
+    "referenceConfidence" DOUBLE PRECISION,
+    "description" TEXT,
+    "keywords" TEXT[],
+    "subjectConfidence" DOUBLE PRECISION,
+    "criticalClauses" JSONB NOT NULL,
+    "clausesConfidence" DOUBLE PRECISION,
+    "overallConfidence" DOUBLE PRECISION NOT NULL DEFAULT 0.0,
+    "documentQuality" "public"."analysis_quality" NOT NULL DEFAULT 'FAIR',
+    "analysisNotes" TEXT,
+    "aiModel" TEXT,
+    "processingTime" INTEGER,
+    "tokenUsage" JSONB,
+    "rawResponse" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "contract_analyses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."document_similarities" (
+    "id" TEXT NOT NULL,
+    "sourceDocumentId" TEXT NOT NULL,
+    "targetDocumentId" TEXT NOT NULL,
+    "overallSimilarity" DOUBLE PRECISION NOT NULL,
+    "typeSimilarity" DOUBLE PRECISION,
+    "partySimilarity" DOUBLE PRECISION,
+    "dateSimilarity" DOUBLE PRECISION,
+    "contentSimilarity" DOUBLE PRECISION,
+    "relationshipType" "public"."document_relation" NOT NULL,
+    "relationshipConfidence" DOUBLE PRECISION NOT NULL DEFAULT 0.0,
+    "matchingFactors" TEXT[],
+    "analysisDate" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "aiModel" TEXT,
+    "analysisNotes" TEXT,
+
+    CONSTRAINT "document_similarities_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."contract_groups" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "groupType" "public"."contract_group_type" NOT NULL DEFAULT 'RELATED_CONTRACTS',
+    "groupReason" TEXT,
+    "primaryContractId" TEXT,
+    "groupingConfidence" DOUBLE PRECISION NOT NULL DEFAULT 0.0,
+    "autoCreated" BOOLEAN NOT NULL DEFAULT false,
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "contract_groups_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."analysis_confidence" (
+    "id" TEXT NOT NULL,
+    "analysisId" TEXT NOT NULL,
+    "aspectType" "public"."confidence_aspect" NOT NULL,
+    "aspectName" TEXT NOT NULL,
+    "confidence" DOUBLE PRECISION NOT NULL,
+    "evidenceCount" INTEGER NOT NULL DEFAULT 0,
+    "evidenceQuality" "public"."analysis_quality" NOT NULL DEFAULT 'FAIR',
+    "evidence" JSONB,
+    "reasoning" TEXT,
+    "isHighConfidence" BOOLEAN NOT NULL DEFAULT false,
+    "isLowConfidence" BOOLEAN NOT NULL DEFAULT false,
+    "requiresReview" BOOLEAN NOT NULL DEFAULT false,
+    "reviewDecision" "public"."review_decision" NOT NULL DEFAULT 'PENDING',
+    "reviewedValue" JSONB,
+    "reviewComment" TEXT,
+    "reviewedBy" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "analysis_confidence_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."document_classifications" (
+    "id" TEXT NOT NULL,
+    "documentId" TEXT NOT NULL,
+    "suggestedType" "public"."document_type" NOT NULL,
+    "typeConfidence" DOUBLE PRECISION NOT NULL DEFAULT 0.0,
+    "suggestedContractId" TEXT,
+    "contractConfidence" DOUBLE PRECISION NOT NULL DEFAULT 0.0,
+    "alternativeTypes" JSONB NOT NULL,
+    "alternativeContracts" JSONB NOT NULL,
+    "classificationReason" TEXT,
+    "keyIndicators" TEXT[],
+    "status" "public"."classification_status" NOT NULL DEFAULT 'PENDING',
+    "reviewRequired" BOOLEAN NOT NULL DEFAULT false,
+    "humanReviewed" BOOLEAN NOT NULL DEFAULT false,
+    "humanReviewedAt" TIMESTAMP(3),
+    "humanReviewedBy" TEXT,
+    "reviewComment" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "document_classifications_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."_GroupContracts" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_GroupContracts_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateTable
+CREATE TABLE "public"."_GroupDocuments" (
+    "A" TEXT NOT NULL,
+    "B" TEXT NOT NULL,
+
+    CONSTRAINT "_GroupDocuments_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "document_similarities_sourceDocumentId_targetDocumentId_key" ON "public"."document_similarities"("sourceDocumentId", "targetDocumentId");
+
+-- CreateIndex
+CREATE INDEX "analysis_confidence_requiresReview_reviewDecision_idx" ON "public"."analysis_confidence"("requiresReview", "reviewDecision");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "analysis_confidence_analysisId_aspectType_aspectName_key" ON "public"."analysis_confidence"("analysisId", "aspectType", "aspectName");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "document_classifications_documentId_key" ON "public"."document_classifications"("documentId");
+
+-- CreateIndex
+CREATE INDEX "_GroupContracts_B_index" ON "public"."_GroupContracts"("B");
+
+-- CreateIndex
+CREATE INDEX "_GroupDocuments_B_index" ON "public"."_GroupDocuments"("B");
+
+-- AddForeignKey
+ALTER TABLE "public"."contract_analyses" ADD CONSTRAINT "contract_analyses_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "public"."contract_documents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."contract_analyses" ADD CONSTRAINT "contract_analyses_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "public"."contracts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."document_similarities" ADD CONSTRAINT "document_similarities_sourceDocumentId_fkey" FOREIGN KEY ("sourceDocumentId") REFERENCES "public"."contract_documents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."document_similarities" ADD CONSTRAINT "document_similarities_targetDocumentId_fkey" FOREIGN KEY ("targetDocumentId") REFERENCES "public"."contract_documents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."contract_groups" ADD CONSTRAINT "contract_groups_primaryContractId_fkey" FOREIGN KEY ("primaryContractId") REFERENCES "public"."contracts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."analysis_confidence" ADD CONSTRAINT "analysis_confidence_analysisId_fkey" FOREIGN KEY ("analysisId") REFERENCES "public"."contract_analyses"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."document_classifications" ADD CONSTRAINT "document_classifications_documentId_fkey" FOREIGN KEY ("documentId") REFERENCES "public"."contract_documents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."document_classifications" ADD CONSTRAINT "document_classifications_suggestedContractId_fkey" FOREIGN KEY ("suggestedContractId") REFERENCES "public"."contracts"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."_GroupContracts" ADD CONSTRAINT "_GroupContracts_A_fkey" FOREIGN KEY ("A") REFERENCES "public"."contracts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."_GroupContracts" ADD CONSTRAINT "_GroupContracts_B_fkey" FOREIGN KEY ("B") REFERENCES "public"."contract_groups"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."_GroupDocuments" ADD CONSTRAINT "_GroupDocuments_A_fkey" FOREIGN KEY ("A") REFERENCES "public"."contract_documents"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."_GroupDocuments" ADD CONSTRAINT "_GroupDocuments_B_fkey" FOREIGN KEY ("B") REFERENCES "public"."contract_groups"("id") ON DELETE CASCADE ON UPDATE CASCADE;
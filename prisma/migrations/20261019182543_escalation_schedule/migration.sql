@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."financial_parameters" ADD COLUMN     "escalationSchedule" JSONB;
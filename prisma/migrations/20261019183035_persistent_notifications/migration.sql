@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "public"."notification_audience" AS ENUM ('USER', 'ROLE', 'SYSTEM');
+
+-- CreateTable
+CREATE TABLE "public"."notifications" (
+    "id" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "data" JSONB NOT NULL,
+    "audience" "public"."notification_audience" NOT NULL DEFAULT 'USER',
+    "role" "public"."user_role",
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "notifications_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."notification_recipients" (
+    "id" TEXT NOT NULL,
+    "notificationId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "deliveredAt" TIMESTAMP(3),
+    "readAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "notification_recipients_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "notifications_type_idx" ON "public"."notifications"("type");
+
+-- CreateIndex
+CREATE INDEX "notifications_createdAt_idx" ON "public"."notifications"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "notification_recipients_userId_readAt_idx" ON "public"."notification_recipients"("userId", "readAt");
+
+-- CreateIndex
+CREATE INDEX "notification_recipients_userId_deliveredAt_idx" ON "public"."notification_recipients"("userId", "deliveredAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "notification_recipients_notificationId_userId_key" ON "public"."notification_recipients"("notificationId", "userId");
+
+-- AddForeignKey
+ALTER TABLE "public"."notification_recipients" ADD CONSTRAINT "notification_recipients_notificationId_fkey" FOREIGN KEY ("notificationId") REFERENCES "public"."notifications"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."notification_recipients" ADD CONSTRAINT "notification_recipients_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,28 @@
+-- CreateEnum
+CREATE TYPE "public"."notification_channel" AS ENUM ('IN_APP', 'EMAIL', 'DIGEST');
+
+-- AlterTable
+ALTER TABLE "public"."notification_recipients" ADD COLUMN     "channel" "public"."notification_channel" NOT NULL DEFAULT 'IN_APP',
+ADD COLUMN     "emailedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."notification_preferences" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "channel" "public"."notification_channel" NOT NULL DEFAULT 'IN_APP',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "notification_preferences_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "notification_preferences_userId_type_key" ON "public"."notification_preferences"("userId", "type");
+
+-- CreateIndex
+CREATE INDEX "notification_recipients_channel_emailedAt_idx" ON "public"."notification_recipients"("channel", "emailedAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."notification_preferences" ADD CONSTRAINT "notification_preferences_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
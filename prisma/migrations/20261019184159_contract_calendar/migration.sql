@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "public"."contract_milestone_type" AS ENUM ('COD', 'EXPIRATION', 'RENEWAL_NOTICE', 'ESCALATION');
+
+-- AlterTable
+ALTER TABLE "public"."contracts" ADD COLUMN     "commercialOperationDate" TIMESTAMP(3),
+ADD COLUMN     "renewalNoticeDays" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."users" ADD COLUMN     "calendarFeedToken" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."contract_deadline_alerts" (
+    "id" TEXT NOT NULL,
+    "contractId" TEXT NOT NULL,
+    "milestone" "public"."contract_milestone_type" NOT NULL,
+    "dueDate" DATE NOT NULL,
+    "leadDays" INTEGER NOT NULL,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "contract_deadline_alerts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "contract_deadline_alerts_contractId_milestone_dueDate_leadD_key" ON "public"."contract_deadline_alerts"("contractId", "milestone", "dueDate", "leadDays");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "users_calendarFeedToken_key" ON "public"."users"("calendarFeedToken");
+
+-- AddForeignKey
+ALTER TABLE "public"."contract_deadline_alerts" ADD CONSTRAINT "contract_deadline_alerts_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "public"."contracts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
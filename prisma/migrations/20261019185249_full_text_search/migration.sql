@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "public"."search_source_type" AS ENUM ('DOCUMENT_PAGE', 'UPLOAD_PAGE', 'EXTRACTED_FIELD', 'RULE');
+
+-- CreateTable
+CREATE TABLE "public"."search_index_entries" (
+    "id" TEXT NOT NULL,
+    "contractId" TEXT NOT NULL,
+    "documentId" TEXT NOT NULL,
+    "sourceType" "public"."search_source_type" NOT NULL,
+    "title" TEXT NOT NULL,
+    "pageNumber" INTEGER,
+    "label" TEXT,
+    "content" TEXT NOT NULL,
+    "searchVector" tsvector, -- Unsupported("tsvector") in the schema; written with raw SQL by searchIndexService
+    "indexedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "search_index_entries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "search_index_entries_contractId_idx" ON "public"."search_index_entries"("contractId");
+
+-- CreateIndex
+CREATE INDEX "search_index_entries_documentId_idx" ON "public"."search_index_entries"("documentId");
+
+-- CreateIndex
+CREATE INDEX "search_index_entries_searchVector_idx" ON "public"."search_index_entries" USING GIN ("searchVector");
+
+-- AddForeignKey
+ALTER TABLE "public"."search_index_entries" ADD CONSTRAINT "search_index_entries_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "public"."contracts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "public"."system_stats" ADD COLUMN     "averageEscalation" DOUBLE PRECISION,
+ADD COLUMN     "backlogByYear" JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN     "contractedMw" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "revenueBacklog" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "weightedBaseRate" DOUBLE PRECISION;
+
+-- CreateIndex
+CREATE INDEX "system_stats_snapshotDate_idx" ON "public"."system_stats"("snapshotDate");
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "public"."contract_sites" (
+    "id" TEXT NOT NULL,
+    "contractId" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "siteCode" TEXT,
+    "address" TEXT,
+    "utility" TEXT,
+    "capacity" DOUBLE PRECISION,
+    "servers" INTEGER,
+    "commercialOperationDate" TIMESTAMP(3),
+    "voltage" "public"."voltage_level",
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "contract_sites_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "contract_sites_contractId_idx" ON "public"."contract_sites"("contractId");
+
+-- AddForeignKey
+ALTER TABLE "public"."contract_sites" ADD CONSTRAINT "contract_sites_contractId_fkey" FOREIGN KEY ("contractId") REFERENCES "public"."contracts"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,60 @@
+-- CreateEnum
+CREATE TYPE "public"."party_type" AS ENUM ('CUSTOMER', 'FINANCIER', 'SUPPLIER', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "public"."party_alias_source" AS ENUM ('MANUAL', 'CONTRACT', 'EXTRACTION', 'FILENAME');
+
+-- AlterTable
+ALTER TABLE "public"."contracts" ADD COLUMN     "customerId" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."parties" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "normalizedName" TEXT NOT NULL,
+    "type" "public"."party_type" NOT NULL DEFAULT 'CUSTOMER',
+    "mergedIntoId" TEXT,
+    "mergedAt" TIMESTAMP(3),
+    "mergedBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "createdBy" TEXT,
+
+    CONSTRAINT "parties_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."party_aliases" (
+    "id" TEXT NOT NULL,
+    "partyId" TEXT NOT NULL,
+    "alias" TEXT NOT NULL,
+    "normalizedAlias" TEXT NOT NULL,
+    "source" "public"."party_alias_source" NOT NULL DEFAULT 'MANUAL',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "party_aliases_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "parties_normalizedName_idx" ON "public"."parties"("normalizedName");
+
+-- CreateIndex
+CREATE INDEX "parties_mergedIntoId_idx" ON "public"."parties"("mergedIntoId");
+
+-- CreateIndex
+CREATE INDEX "party_aliases_normalizedAlias_idx" ON "public"."party_aliases"("normalizedAlias");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "party_aliases_partyId_normalizedAlias_key" ON "public"."party_aliases"("partyId", "normalizedAlias");
+
+-- CreateIndex
+CREATE INDEX "contracts_customerId_idx" ON "public"."contracts"("customerId");
+
+-- AddForeignKey
+ALTER TABLE "public"."contracts" ADD CONSTRAINT "contracts_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "public"."parties"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."parties" ADD CONSTRAINT "parties_mergedIntoId_fkey" FOREIGN KEY ("mergedIntoId") REFERENCES "public"."parties"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."party_aliases" ADD CONSTRAINT "party_aliases_partyId_fkey" FOREIGN KEY ("partyId") REFERENCES "public"."parties"("id") ON DELETE CASCADE ON UPDATE CASCADE;
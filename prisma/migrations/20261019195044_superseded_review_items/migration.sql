@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "public"."review_decision" ADD VALUE 'SUPERSEDED';
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."contract_analyses" ADD COLUMN     "extractedRules" JSONB NOT NULL DEFAULT '[]';
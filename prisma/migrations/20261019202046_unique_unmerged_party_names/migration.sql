@@ -0,0 +1,4 @@
+-- One unmerged party per normalized name. Prisma cannot express a partial
+-- unique index, so it is only created here (see Party in schema.prisma).
+-- CreateIndex
+CREATE UNIQUE INDEX "parties_normalizedName_unmerged_key" ON "public"."parties"("normalizedName") WHERE "mergedIntoId" IS NULL;
@@ -11,7 +11,22 @@ import { fileURLToPath } from 'url';
 import aiService from './services/aiService.js';
 import documentChunker from './services/documentChunker.js';
 import { buildContractBlueprint } from './services/contractBlueprintService.js';
-import MultiDocumentProcessor from './services/multiDocumentProcessor.js';
+import MultiDocumentProcessor, { ProcessingJobError } from './services/multiDocumentProcessor.js';
+import extractionSpecParser from './services/extractionSpecParser.js';
+import contractConsolidationService, { ConsolidationError } from './services/contractConsolidationService.js';
+import financialModelService from './services/financialModelService.js';
+import notificationService from './services/notificationService.js';
+import notificationEmailService from './services/notificationEmailService.js';
+import webhookService from './services/webhookService.js';
+import contractCalendarService from './services/contractCalendarService.js';
+import contractComparisonService, { ComparisonError } from './services/contractComparisonService.js';
+import documentSimilarityService from './services/documentSimilarityService.js';
+import { parseFilters, filterContracts, ContractLibraryError } from './services/contractLibraryService.js';
+import portfolioAnalyticsService from './services/portfolioAnalyticsService.js';
+import documentDiffService, { DocumentDiffError } from './services/documentDiffService.js';
+import siteService, { SiteError, normalizeSites, rollupSites } from './services/siteService.js';
+import partyService from './services/partyService.js';
+import { authenticate, optionalAuth } from './middleware/auth.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -21,6 +36,11 @@ const app = express();
 // Optional Prisma client - only initialize if database is configured
 let prisma = null;
 
+// Set once the review routes load; records analyses for human review
+let reviewQueue = null;
+let queueUploadIndexing = null;
+let queueDocumentIndexing = null;
+
 // Function to initialize Prisma - will be called from server.js after env is loaded
 export async function initializePrisma() {
   try {
@@ -31,6 +51,14 @@ export async function initializePrisma() {
         const { PrismaClient } = await import('../../generated/prisma/index.js');
         prisma = new PrismaClient();
         await prisma.$connect();
+        notificationService.setPrisma(prisma);
+        notificationEmailService.startDigestSchedule(prisma);
+        webhookService.setPrisma(prisma);
+        webhookService.resumePendingDeliveries().catch(error => {
+          console.warn('⚠️ Could not resume pending webhook deliveries:', error.message);
+        });
+        contractCalendarService.startAlertSchedule(prisma);
+        portfolioAnalyticsService.startSnapshotSchedule(prisma);
         console.log('✅ Prisma client connected successfully');
       } catch (prismaError) {
         console.warn('⚠️  Prisma client import/connect failed:', prismaError.message);
@@ -55,6 +83,24 @@ function formatNumber(value, decimals = 2) {
   return Number(value).toFixed(decimals);
 }
 
+// FinancialParams row for a blueprint's financial terms, or null without a base rate
+function toFinancialParamsData(params) {
+  const number = (value) => (value === null || value === undefined || value === '' || Number.isNaN(Number(value))
+    ? null
+    : Number(value));
+  const baseRate = number(params?.baseRate);
+  if (baseRate === null) return null;
+  return {
+    baseRate,
+    microgridAdder: number(params.microgridAdder),
+    escalation: number(params.escalation) ?? 0,
+    escalationSchedule: params.escalationSchedule || undefined,
+    thermalCycleFee: number(params.thermalCycleFee),
+    electricalBudget: number(params.electricalBudget),
+    commissioningAllowance: number(params.commissioningAllowance)
+  };
+}
+
 function buildContractNarrative(formData) {
   if (!formData) return '';
   const parts = [];
@@ -151,19 +197,33 @@ app.get('/api/auth/me', (req, res) => {
 });
 
 // Contracts endpoints
+// Filter parameters (search, status, systemType, voltage, components, tags, customer, site,
+// capacityMin/Max, termMin/Max, escalationMin/Max, effectiveFrom/To) or facets=true switch the
+// response from a plain array to { contracts, total, facets }
 app.get('/api/contracts', async (req, res) => {
   try {
     console.log('🔍 Contracts endpoint called');
 
+    const filters = parseFilters(req.query);
+    const faceted = req.query.facets === 'true' || Object.keys(filters).length > 0;
+
     let contracts = [];
 
     // Get contracts from database if Prisma available
     if (prisma) {
       console.log('✅ Prisma instance available, querying contracts...');
       const dbContracts = await prisma.contract.findMany({
+        include: {
+          financial: true,
+          technical: true,
+          operating: true,
+          sites: { orderBy: { sortOrder: 'asc' } }
+        },
         orderBy: { createdAt: 'desc' }
       });
-      contracts = [...dbContracts];
+      // Canonical customer from the party registry, following merges
+      const customerOf = await partyService.customerLookup(prisma);
+      contracts = dbContracts.map(contract => ({ ...contract, customer: customerOf(contract.customerId) }));
       console.log(`📊 Found ${dbContracts.length} contracts in database`);
     }
 
@@ -180,9 +240,18 @@ app.get('/api/contracts', async (req, res) => {
       return dateB - dateA;
     });
 
+    if (faceted) {
+      const result = filterContracts(contracts, filters);
+      console.log(`📊 Returning ${result.total} of ${contracts.length} contracts matching filters`);
+      return res.json({ success: true, filters, available: contracts.length, ...result });
+    }
+
     console.log(`📊 Returning total of ${contracts.length} contracts`);
     res.json(contracts);
   } catch (error) {
+    if (error instanceof ContractLibraryError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     console.error('Error fetching contracts:', error);
     res.status(500).json({ error: 'Failed to fetch contracts' });
   }
@@ -197,7 +266,8 @@ app.get('/api/contracts/:id', async (req, res) => {
       contract = await prisma.contract.findUnique({
         where: { id: req.params.id },
         include: {
-          uploads: true
+          uploads: true,
+          sites: { orderBy: { sortOrder: 'asc' } }
         }
       });
     }
@@ -218,6 +288,131 @@ app.get('/api/contracts/:id', async (req, res) => {
   }
 });
 
+// Side-by-side comparison of 2-5 contracts: field diff, lifetime value and extracted rules
+app.post('/api/contracts/compare', async (req, res) => {
+  try {
+    const comparison = await contractComparisonService.compareContracts(prisma, req.body?.contractIds, {
+      memoryContracts: Array.isArray(global.contracts) ? global.contracts : []
+    });
+
+    res.json({ success: true, ...comparison });
+  } catch (error) {
+    if (error instanceof ComparisonError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error comparing contracts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare contracts',
+      message: error.message
+    });
+  }
+});
+
+// Contracts whose documents resemble this contract's, with suggested contract groups
+// Query: limit, minSimilarity, refresh=true to re-score the contract's documents first
+app.get('/api/contracts/:id/similar', async (req, res) => {
+  try {
+    if (!prisma) {
+      return res.status(503).json({
+        success: false,
+        error: 'Similar contracts require a database connection'
+      });
+    }
+
+    const contract = await prisma.contract.findUnique({
+      where: { id: req.params.id },
+      select: { id: true }
+    });
+    if (!contract) {
+      return res.status(404).json({ success: false, error: 'Contract not found' });
+    }
+
+    if (req.query.refresh === 'true') {
+      const documents = await prisma.contractDocument.findMany({
+        where: { contractId: contract.id, processingStatus: 'COMPLETED' },
+        select: { id: true }
+      });
+      for (const document of documents) {
+        await documentSimilarityService.analyzeDocument(prisma, document.id);
+      }
+    }
+
+    const result = await documentSimilarityService.getSimilarContracts(prisma, contract.id, {
+      limit: req.query.limit,
+      minSimilarity: req.query.minSimilarity
+    });
+
+    res.json({ success: true, contractId: contract.id, ...result });
+  } catch (error) {
+    console.error('Error finding similar contracts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find similar contracts',
+      message: error.message
+    });
+  }
+});
+
+// Project sites of a contract with their contract-level rollup
+app.get('/api/contracts/:id/sites', async (req, res) => {
+  try {
+    if (!prisma) {
+      const contract = (global.contracts || []).find(c => c.id === req.params.id);
+      if (!contract) {
+        return res.status(404).json({ success: false, error: 'Contract not found' });
+      }
+      const sites = contract.sites || [];
+      return res.json({ success: true, contractId: contract.id, sites, rollup: rollupSites(sites) });
+    }
+
+    const contract = await prisma.contract.findUnique({
+      where: { id: req.params.id },
+      select: { id: true }
+    });
+    if (!contract) {
+      return res.status(404).json({ success: false, error: 'Contract not found' });
+    }
+
+    const sites = await siteService.listSites(prisma, contract.id);
+    res.json({ success: true, contractId: contract.id, sites, rollup: rollupSites(sites) });
+  } catch (error) {
+    console.error('Error fetching contract sites:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch contract sites',
+      message: error.message
+    });
+  }
+});
+
+// Replace a contract's sites; the contract's site label, capacity and server
+// count are recalculated from them
+// Body: { sites: [{ name, siteCode, address, utility, capacity, servers, commercialOperationDate, voltage }] }
+app.put('/api/contracts/:id/sites', authenticate, async (req, res) => {
+  try {
+    if (!prisma) {
+      return res.status(503).json({
+        success: false,
+        error: 'Contract sites require a database connection'
+      });
+    }
+
+    const result = await siteService.replaceSites(prisma, req.params.id, req.body?.sites);
+    res.json({ success: true, contractId: req.params.id, ...result });
+  } catch (error) {
+    if (error instanceof SiteError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error saving contract sites:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save contract sites',
+      message: error.message
+    });
+  }
+});
+
 // Documents endpoints
 app.get('/api/contracts/:contractId/documents', async (req, res) => {
   try {
@@ -235,6 +430,77 @@ app.get('/api/contracts/:contractId/documents', async (req, res) => {
   }
 });
 
+// Current effective terms: primary agreement with amendments applied in effective-date order
+app.get('/api/documents/contracts/:contractId/effective-terms', async (req, res) => {
+  try {
+    const { contractId } = req.params;
+
+    const effectiveTerms = await contractConsolidationService.getEffectiveTerms(prisma, contractId, {
+      asOf: req.query.asOf,
+      memoryDocuments: global.uploadedDocuments?.[contractId] || []
+    });
+
+    res.json({ success: true, ...effectiveTerms });
+  } catch (error) {
+    if (error instanceof ConsolidationError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error consolidating contract terms:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to consolidate contract terms',
+      message: error.message
+    });
+  }
+});
+
+// Processed documents of a contract that can be redlined against each other
+app.get('/api/documents/contracts/:contractId/versions', async (req, res) => {
+  if (!prisma) {
+    return res.status(503).json({ success: false, error: 'Document comparison requires a database connection' });
+  }
+
+  try {
+    const documents = await documentDiffService.listVersions(prisma, req.params.contractId);
+    res.json({ success: true, documents });
+  } catch (error) {
+    console.error('Error listing document versions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list document versions',
+      message: error.message
+    });
+  }
+});
+
+// Clause-level redline of a revised document against an earlier version
+// Query: unchanged=true to include unchanged clauses for context
+app.get('/api/documents/:documentId/diff/:revisedDocumentId', async (req, res) => {
+  if (!prisma) {
+    return res.status(503).json({ success: false, error: 'Document comparison requires a database connection' });
+  }
+
+  try {
+    const { documentId, revisedDocumentId } = req.params;
+
+    const diff = await documentDiffService.compareDocuments(prisma, documentId, revisedDocumentId, {
+      includeUnchanged: req.query.unchanged === 'true'
+    });
+
+    res.json({ success: true, ...diff });
+  } catch (error) {
+    if (error instanceof DocumentDiffError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    console.error('Error comparing documents:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare documents',
+      message: error.message
+    });
+  }
+});
+
 // Document upload endpoint - basic implementation
 app.post('/api/contracts/:contractId/documents/upload', (req, res) => {
   // This is a placeholder - the actual upload logic will need to be implemented
@@ -321,6 +587,26 @@ app.get('/api/ai/health', (req, res) => {
   }
 });
 
+// Active extraction spec (version, source file, load errors)
+app.get('/api/ai/extraction-spec', (req, res) => {
+  try {
+    const status = extractionSpecParser.getStatus();
+
+    res.json({
+      success: true,
+      spec: status,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Extraction spec status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get extraction spec status',
+      message: error.message
+    });
+  }
+});
+
 // Document management endpoints - matching frontend expectations
 app.get('/api/documents/contracts/:contractId/documents', async (req, res) => {
   try {
@@ -472,6 +758,82 @@ try {
   console.warn('⚠️ Could not load processing routes:', error.message);
 }
 
+// Load notification routes - inbox history falls back to empty without a database
+try {
+  const notificationsRouter = await import('./routes/notifications.js');
+  app.use('/api/notifications', notificationsRouter.default);
+  console.log('🔔 Notification routes loaded successfully');
+} catch (error) {
+  console.warn('⚠️ Could not load notification routes:', error.message);
+}
+
+// Load webhook routes and forward lifecycle events to subscribed endpoints
+webhookService.listen(notificationService);
+try {
+  const webhooksRouter = await import('./routes/webhooks.js');
+  app.use('/api/webhooks', webhooksRouter.default);
+  console.log('🪝 Webhook routes loaded successfully');
+} catch (error) {
+  console.warn('⚠️ Could not load webhook routes:', error.message);
+}
+
+// Load contract calendar routes (deadline events and per-user .ics feeds)
+try {
+  const calendarRouter = await import('./routes/calendar.js');
+  app.use('/api/calendar', calendarRouter.default);
+  console.log('📅 Calendar routes loaded successfully');
+} catch (error) {
+  console.warn('⚠️ Could not load calendar routes:', error.message);
+}
+
+// Load portfolio analytics routes
+try {
+  const analyticsRouter = await import('./routes/analytics.js');
+  app.use('/api/analytics', analyticsRouter.default);
+  console.log('📈 Portfolio analytics routes loaded successfully');
+} catch (error) {
+  console.warn('⚠️ Could not load portfolio analytics routes:', error.message);
+}
+
+// Load customer and counterparty registry routes
+try {
+  const partiesRouter = await import('./routes/parties.js');
+  app.use('/api/parties', partiesRouter.default);
+  console.log('🏢 Party registry routes loaded successfully');
+} catch (error) {
+  console.warn('⚠️ Could not load party registry routes:', error.message);
+}
+
+// Load saved contract library views
+try {
+  const contractViewsRouter = await import('./routes/contractViews.js');
+  app.use('/api/contract-views', contractViewsRouter.default);
+  console.log('🗂️ Saved contract view routes loaded successfully');
+} catch (error) {
+  console.warn('⚠️ Could not load saved contract view routes:', error.message);
+}
+
+// Load full-text search routes
+try {
+  const searchModule = await import('./routes/search.js');
+  app.use('/api/search', searchModule.default);
+  queueUploadIndexing = searchModule.queueUploadIndexing;
+  queueDocumentIndexing = searchModule.queueDocumentIndexing;
+  console.log('🔎 Search routes loaded successfully');
+} catch (error) {
+  console.warn('⚠️ Could not load search routes:', error.message);
+}
+
+// Load human review queue routes
+try {
+  const reviewModule = await import('./routes/review.js');
+  app.use('/api/review', reviewModule.default);
+  reviewQueue = reviewModule.reviewQueue;
+  console.log('🧐 Review queue routes loaded successfully');
+} catch (error) {
+  console.warn('⚠️ Could not load review queue routes:', error.message);
+}
+
 if (prisma) {
   try {
     const documentsRouter = await import('./routes/documents.js');
@@ -821,6 +1183,8 @@ app.post('/api/documents/analyze/:contractId', async (req, res) => {
           documentId: doc.id,
           originalLength: documentContent.length,
           _fullDocumentContent: documentContent,  // Full text for regex fallback extraction
+          pages: doc.extractedData?.content?.pageOffsets,  // Page spans for field citations
+          tables: doc.extractedData?.content?.tables,  // OCR cell tables of scanned images
           aiProvider: aiProvider  // Pass the selected AI provider
         });
 
@@ -834,6 +1198,7 @@ app.post('/api/documents/analyze/:contractId', async (req, res) => {
           parties: aiAnalysis.documentSummary.parties,
           keyTerms: aiAnalysis.documentSummary.keyTerms,
           extractedData: aiAnalysis.extractedData,
+          citations: aiAnalysis.citations || {},  // Page, offsets and snippet per extracted field
           extractedRules: aiAnalysis.extractedRules,
           riskFactors: aiAnalysis.riskFactors,
           anomalies: aiAnalysis.anomalies,
@@ -902,9 +1267,22 @@ app.post('/api/documents/analyze/:contractId', async (req, res) => {
           });
 
           console.log(`💾 Saved analysis for ${filename} (${documentAnalysis.extractedRules.length} rules)`);
+
+          if (doc.contractId && queueUploadIndexing) {
+            await queueUploadIndexing(prisma, doc.id);
+          }
         } catch (updateError) {
           console.warn(`Failed to update document ${doc.id}:`, updateError.message);
         }
+
+        // Flag low-confidence fields for human review
+        if (reviewQueue) {
+          try {
+            await reviewQueue.recordAnalysis(prisma, analysisResults[analysisResults.length - 1], { contractId });
+          } catch (reviewError) {
+            console.warn(`Failed to record ${filename} for review:`, reviewError.message);
+          }
+        }
       } else {
         // For in-memory storage, also save the analysis
         try {
@@ -929,6 +1307,15 @@ app.post('/api/documents/analyze/:contractId', async (req, res) => {
     console.log(`✅ Analysis complete for ${analysisResults.length} documents`);
     
     const blueprint = buildContractBlueprint(analysisResults);
+
+    // Match the extracted customer against the party registry for review; nothing is linked until the contract is created
+    if (prisma && blueprint.formData.customerName) {
+      try {
+        blueprint.metadata.customerResolution = await partyService.resolve(prisma, blueprint.formData.customerName);
+      } catch (partyError) {
+        console.warn('⚠️ Could not resolve extracted customer:', partyError.message);
+      }
+    }
     const contractNarrative = buildContractNarrative(blueprint.formData);
 
     // Calculate comprehensive summary statistics
@@ -1067,11 +1454,13 @@ app.post('/api/documents/analyze/:contractId', async (req, res) => {
 
 /**
  * POST /api/contracts/from-blueprint
- * Create and save a contract from analysis blueprint
+ * Create and save a contract from analysis blueprint. The contract is linked to
+ * body.customerId when the reviewer picked a party, otherwise to the registry
+ * match for the extracted customer name.
  */
-app.post('/api/contracts/from-blueprint', async (req, res) => {
+app.post('/api/contracts/from-blueprint', optionalAuth, async (req, res) => {
   try {
-    const { blueprint, contractId, analysisResults } = req.body;
+    const { blueprint, contractId, analysisResults, customerId } = req.body;
 
     if (!blueprint || !blueprint.formData) {
       return res.status(400).json({
@@ -1080,6 +1469,15 @@ app.post('/api/contracts/from-blueprint', async (req, res) => {
       });
     }
 
+    // Picking the customer links the contract to that party, which
+    // POST /api/parties/:id/contracts only allows admins to do
+    if (customerId && req.user?.role !== 'ADMIN') {
+      return res.status(req.user ? 403 : 401).json({
+        success: false,
+        error: req.user ? 'Only admins can link a contract to a chosen party' : 'Authentication required to choose the customer party'
+      });
+    }
+
     console.log(`📋 Creating contract from blueprint for contract ID: ${contractId}`);
 
     // Generate UUID inline for ES modules
@@ -1090,9 +1488,20 @@ app.post('/api/contracts/from-blueprint', async (req, res) => {
 
     // Map blueprint formData to contract structure
     const formData = blueprint.formData;
-
-    // Calculate total value
-    const totalValue = formData.ratedCapacity * formData.baseRate * 12 * formData.contractTerm;
+    const sites = normalizeSites(formData.sites);
+    const siteRollup = rollupSites(sites);
+    const renewalNoticeDays = parseInt(formData.renewalNoticeDays, 10);
+    // Site label and capacity follow the sites, as they do on contract create and update
+    const capacity = siteRollup.capacity ?? formData.ratedCapacity;
+
+    // Total value and year-one rate from the shared financial model
+    const financialModel = financialModelService.calculate({
+      capacity,
+      term: formData.contractTerm,
+      baseRate: formData.baseRate,
+      escalation: formData.annualEscalation,
+      escalationSchedule: formData.escalationSchedule
+    });
 
     // Gather all extracted rules from analysis results
     const allExtractedRules = [];
@@ -1109,14 +1518,17 @@ app.post('/api/contracts/from-blueprint', async (req, res) => {
       id: newContractId,
       name: `${formData.customerName} - ${formData.solutionType}`,
       client: formData.customerName,
-      site: formData.siteLocation,
-      capacity: formData.ratedCapacity,
+      site: siteRollup.site || formData.siteLocation,
+      capacity,
       term: formData.contractTerm,
       systemType: formData.solutionType,
       effectiveDate: formData.effectiveDate,
+      // COD from the form, otherwise the earliest site COD
+      commercialOperationDate: formData.commercialOperationDate || siteRollup.commercialOperationDate,
+      renewalNoticeDays: Number.isNaN(renewalNoticeDays) ? null : renewalNoticeDays,
       status: 'DRAFT',
-      totalValue: totalValue,
-      yearlyRate: formData.baseRate * 12,
+      totalValue: financialModel.totalValue,
+      yearlyRate: financialModel.yearlyRate,
       notes: `Contract generated from ${analysisResults?.length || 0} uploaded documents. ${formData.specialRequirements || ''}`,
       tags: ['AI Generated', 'Multi-Document'],
       isAiGenerated: true,
@@ -1130,6 +1542,7 @@ app.post('/api/contracts/from-blueprint', async (req, res) => {
         baseRate: formData.baseRate,
         microgridAdder: formData.microgridAdder || 0,
         escalation: formData.annualEscalation,
+        escalationSchedule: formData.escalationSchedule || null,
         thermalCycleFee: formData.thermalCycleFee || 0,
         electricalBudget: formData.electricalBudget || 0,
         commissioningAllowance: formData.commissioningAllowance || 0
@@ -1152,6 +1565,8 @@ app.post('/api/contracts/from-blueprint', async (req, res) => {
         criticalOutput: formData.guaranteedCriticalOutput
       },
 
+      sites,
+
       // Extracted rules from all documents
       extractedRules: allExtractedRules,
       rulesBySection: blueprint.rulesBySection,
@@ -1171,6 +1586,8 @@ app.post('/api/contracts/from-blueprint', async (req, res) => {
     // If Prisma is available, save to database
     if (prisma) {
       try {
+        // Stored with the contract so totals can be recomputed when it is edited later
+        const financialData = toFinancialParamsData(contract.financialParams);
         const dbContract = await prisma.contract.create({
           data: {
             name: contract.name,
@@ -1180,21 +1597,56 @@ app.post('/api/contracts/from-blueprint', async (req, res) => {
             term: contract.term,
             systemType: contract.systemType,
             effectiveDate: contract.effectiveDate,
+            commercialOperationDate: contract.commercialOperationDate,
+            renewalNoticeDays: contract.renewalNoticeDays,
             status: contract.status,
             totalValue: contract.totalValue,
             yearlyRate: contract.yearlyRate,
             notes: contract.notes,
             tags: contract.tags,
             isAiGenerated: contract.isAiGenerated,
-            aiConfidence: contract.aiConfidence
-          }
+            aiConfidence: contract.aiConfidence,
+            createdBy: req.user?.id,
+            sites: sites.length > 0 ? { create: sites } : undefined,
+            financial: financialData ? { create: financialData } : undefined
+          },
+          include: { sites: true, financial: true }
         });
 
         console.log(`✅ Contract ${dbContract.id} saved to database`);
 
+        let customerResolution = null;
+        try {
+          if (customerId) {
+            await partyService.linkContractToParty(prisma, customerId, dbContract.id);
+            customerResolution = { status: 'selected', party: { id: customerId }, linked: true };
+          } else {
+            customerResolution = await partyService.linkContract(prisma, dbContract, { source: 'EXTRACTION' });
+          }
+
+          // Filename spellings of a linked customer ("BBraun_ESA.pdf") help resolve later uploads
+          if (customerResolution.linked) {
+            dbContract.customerId = customerResolution.party.id;
+            const filenameNames = (analysisResults || [])
+              .map(result => aiService.extractCustomerNameFromFilename(result.filename))
+              .filter(Boolean);
+            await partyService.addMatchingAliases(prisma, dbContract.customerId, filenameNames, 'FILENAME');
+          }
+        } catch (partyError) {
+          console.warn(`⚠️ Could not link contract ${dbContract.id} to a customer:`, partyError.message);
+        }
+
+        notificationService.emit('contract:created', {
+          contractId: dbContract.id,
+          contractName: dbContract.name,
+          createdBy: req.user?.id,
+          contract: dbContract
+        });
+
         return res.status(201).json({
           success: true,
           contract: dbContract,
+          customerResolution,
           message: 'Contract created and saved to database',
           extractedRulesCount: allExtractedRules.length
         });
@@ -1223,6 +1675,9 @@ app.post('/api/contracts/from-blueprint', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof SiteError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     console.error('Failed to create contract from blueprint:', error);
     res.status(500).json({
       success: false,
@@ -1232,6 +1687,26 @@ app.post('/api/contracts/from-blueprint', async (req, res) => {
   }
 });
 
+// Load contract CRUD, bulk and financial model routes. Mounted after the inline
+// /api/contracts handlers above, which keep serving list, detail and sites with
+// the in-memory fallback; changes to contracts require a signed-in user.
+try {
+  const contractsRouter = await import('./routes/contracts.js');
+  const contractAccess = (req, res, next) => {
+    if (req.path === '/financial-model') {
+      return optionalAuth(req, res, next);
+    }
+    if (!req.prisma) {
+      return res.status(503).json({ success: false, error: 'Contract changes require a database connection' });
+    }
+    return req.method === 'GET' ? optionalAuth(req, res, next) : authenticate(req, res, next);
+  };
+  app.use('/api/contracts', contractAccess, contractsRouter.default);
+  console.log('📄 Contract routes loaded successfully');
+} catch (error) {
+  console.warn('⚠️ Could not load contract routes:', error.message);
+}
+
 // ============================================================================
 // MULTI-DOCUMENT PROCESSING API
 // ============================================================================
@@ -1244,7 +1719,7 @@ let multiDocProcessor = null;
  * Called from server.js after Socket.io is initialized
  */
 export function setupMultiDocumentProcessor(io) {
-  multiDocProcessor = new MultiDocumentProcessor(aiService, documentChunker);
+  multiDocProcessor = new MultiDocumentProcessor(aiService, documentChunker, { prisma });
 
   // Listen for progress events and broadcast to connected clients
   multiDocProcessor.on('progress', (status) => {
@@ -1252,7 +1727,28 @@ export function setupMultiDocumentProcessor(io) {
     io.emit('processing:progress', status);
   });
 
-  console.log('✅ Multi-document processor initialized with WebSocket support');
+  // Flag low-confidence fields from finished jobs for human review. Text extraction
+  // indexed each ContractDocument before it had an analysis, so reindex it to add
+  // the extracted fields.
+  multiDocProcessor.on('completed', async ({ jobId, contractId, results }) => {
+    if (!prisma || !reviewQueue) return;
+    for (const result of results) {
+      try {
+        const recorded = await reviewQueue.recordAnalysis(prisma, result, { contractId });
+        if (recorded?.documentId && queueDocumentIndexing) {
+          await queueDocumentIndexing(prisma, recorded.documentId);
+        }
+      } catch (error) {
+        console.warn(`Failed to record ${result.filename} from job ${jobId} for review:`, error.message);
+      }
+    }
+  });
+
+  console.log(`✅ Multi-document processor initialized with WebSocket support (${prisma ? 'persisted to database' : 'in-memory only'})`);
+
+  // Pick up jobs interrupted by the last restart
+  multiDocProcessor.recoverJobs({ resume: process.env.PROCESSING_RESUME_ON_STARTUP !== 'false' })
+    .catch(error => console.error('Failed to recover processing jobs:', error.message));
 
   // Cleanup old jobs every hour
   setInterval(() => {
@@ -1264,7 +1760,7 @@ export function setupMultiDocumentProcessor(io) {
  * POST /api/processing/start
  * Start multi-document processing job
  */
-app.post('/api/processing/start', async (req, res) => {
+app.post('/api/processing/start', optionalAuth, async (req, res) => {
   try {
     if (!multiDocProcessor) {
       return res.status(503).json({
@@ -1273,7 +1769,7 @@ app.post('/api/processing/start', async (req, res) => {
       });
     }
 
-    const { contractId, documents } = req.body;
+    const { contractId, documents, aiProvider } = req.body;
 
     if (!documents || !Array.isArray(documents) || documents.length === 0) {
       return res.status(400).json({
@@ -1295,7 +1791,9 @@ app.post('/api/processing/start', async (req, res) => {
     // Start processing (async - continues in background)
     await multiDocProcessor.startProcessing(jobId, documents, {
       contractId,
-      analysisType: 'contract_extraction'
+      analysisType: 'contract_extraction',
+      aiProvider,
+      userId: req.user?.id
     });
 
     res.json({
@@ -1319,7 +1817,7 @@ app.post('/api/processing/start', async (req, res) => {
  * GET /api/processing/status/:jobId
  * Get processing job status
  */
-app.get('/api/processing/status/:jobId', (req, res) => {
+app.get('/api/processing/status/:jobId', async (req, res) => {
   try {
     if (!multiDocProcessor) {
       return res.status(503).json({
@@ -1329,7 +1827,7 @@ app.get('/api/processing/status/:jobId', (req, res) => {
     }
 
     const { jobId } = req.params;
-    const status = multiDocProcessor.getJobStatus(jobId);
+    const status = multiDocProcessor.getJobStatus(jobId) || await multiDocProcessor.loadJobStatus(jobId);
 
     if (!status) {
       return res.status(404).json({
@@ -1375,6 +1873,9 @@ app.post('/api/processing/pause/:jobId', (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ProcessingJobError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     console.error('Failed to pause job:', error);
     res.status(500).json({
       success: false,
@@ -1406,6 +1907,9 @@ app.post('/api/processing/resume/:jobId', async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ProcessingJobError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     console.error('Failed to resume job:', error);
     res.status(500).json({
       success: false,
@@ -1437,6 +1941,9 @@ app.post('/api/processing/cancel/:jobId', (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof ProcessingJobError) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
     console.error('Failed to cancel job:', error);
     res.status(500).json({
       success: false,
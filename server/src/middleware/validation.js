@@ -34,6 +34,7 @@ const financialCalculationSchema = Joi.object({
   baseRate: Joi.number().min(0).max(1).required(),
   escalation: Joi.number().min(0).max(10).required(),
   term: Joi.number().valid(5, 10, 15, 20).required(),
+  escalationSchedule: Joi.object().unknown(true).allow(null).optional(),
   downPayment: Joi.number().min(0).optional(),
   discountRate: Joi.number().min(0).max(20).optional()
 });
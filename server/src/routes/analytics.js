@@ -0,0 +1,75 @@
+/**
+ * Portfolio Analytics API Routes
+ * Time-series rollups of the contract portfolio for the dashboard
+ */
+
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import portfolioAnalyticsService, { AnalyticsError } from '../services/portfolioAnalyticsService.js';
+
+const router = express.Router();
+
+// Rollups and snapshots come from stored contracts; there is no in-memory fallback
+router.use((req, res, next) => {
+  if (!req.prisma) {
+    return res.status(503).json({
+      success: false,
+      message: 'Portfolio analytics require a database connection'
+    });
+  }
+  next();
+});
+
+router.use(authenticate);
+
+const handleError = (res, error, message) => {
+  if (error instanceof AnalyticsError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * GET /api/analytics/portfolio
+ * Contracted MW over time, base rates, escalation distribution, revenue backlog and expiring capacity
+ * Query: interval (month|quarter), horizonYears, quarters, snapshotDays
+ */
+router.get('/portfolio', async (req, res) => {
+  try {
+    const portfolio = await portfolioAnalyticsService.getPortfolio(req.prisma, req.query);
+
+    res.json({
+      success: true,
+      ...portfolio
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get portfolio analytics');
+  }
+});
+
+/**
+ * POST /api/analytics/snapshots
+ * Store a portfolio snapshot now instead of waiting for the nightly job (admin only)
+ */
+router.post('/snapshots', authorize('ADMIN'), async (req, res) => {
+  try {
+    const snapshot = await portfolioAnalyticsService.takeSnapshot(req.prisma);
+
+    res.status(201).json({
+      success: true,
+      snapshot
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to store portfolio snapshot');
+  }
+});
+
+export default router;
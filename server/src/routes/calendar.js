@@ -0,0 +1,136 @@
+/**
+ * Contract Calendar API Routes
+ * Key contract dates (COD, expiration, renewal notice, escalation) as JSON and as a per-user .ics feed
+ */
+
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import contractCalendarService, { CalendarError, MILESTONE_TYPES } from '../services/contractCalendarService.js';
+
+const router = express.Router();
+
+// Calendar dates are derived from stored contracts; there is no in-memory fallback
+router.use((req, res, next) => {
+  if (!req.prisma) {
+    return res.status(503).json({
+      success: false,
+      message: 'The contract calendar requires a database connection'
+    });
+  }
+  next();
+});
+
+const handleError = (res, error, message) => {
+  if (error instanceof CalendarError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+const feedUrl = (req, token) => `${req.protocol}://${req.get('host')}${req.baseUrl}/feed/${token}.ics`;
+
+/**
+ * GET /api/calendar/feed/:token.ics
+ * iCalendar feed for calendar apps; the secret token in the URL is the credential
+ */
+router.get('/feed/:file', async (req, res) => {
+  try {
+    const token = req.params.file.replace(/\.ics$/, '');
+    const calendar = await contractCalendarService.getFeed(req.prisma, token);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="contract-deadlines.ics"');
+    res.send(calendar);
+  } catch (error) {
+    handleError(res, error, 'Failed to build calendar feed');
+  }
+});
+
+router.use(authenticate);
+
+/**
+ * GET /api/calendar/events
+ * Milestones of the contracts the user follows
+ * Query: from, to (YYYY-MM-DD, default today to one year ahead), types (comma-separated), contractId
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const { from, to, types, contractId } = req.query;
+    const today = new Date();
+    const events = await contractCalendarService.getUserMilestones(req.prisma, req.user, {
+      from: from || today,
+      to: to || new Date(Date.UTC(today.getUTCFullYear() + 1, today.getUTCMonth(), today.getUTCDate())),
+      types,
+      where: contractId ? { id: contractId } : {}
+    });
+
+    res.json({
+      success: true,
+      types: MILESTONE_TYPES,
+      events
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get calendar events');
+  }
+});
+
+/**
+ * GET /api/calendar/feed
+ * Subscription URL of the user's .ics feed, issuing a token on first use
+ */
+router.get('/feed', async (req, res) => {
+  try {
+    const token = await contractCalendarService.getFeedToken(req.prisma, req.user.id);
+
+    res.json({
+      success: true,
+      url: feedUrl(req, token)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get calendar feed');
+  }
+});
+
+/**
+ * POST /api/calendar/feed/rotate
+ * Replace the feed token, e.g. after the URL was shared by mistake
+ */
+router.post('/feed/rotate', async (req, res) => {
+  try {
+    const token = await contractCalendarService.rotateFeedToken(req.prisma, req.user.id);
+
+    res.json({
+      success: true,
+      url: feedUrl(req, token)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to rotate calendar feed');
+  }
+});
+
+/**
+ * POST /api/calendar/alerts/check
+ * Run the deadline alert check now (admin/manager only)
+ */
+router.post('/alerts/check', authorize('ADMIN', 'MANAGER'), async (req, res) => {
+  try {
+    const sent = await contractCalendarService.checkUpcomingDeadlines(req.prisma);
+
+    res.json({
+      success: true,
+      sent
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to check contract deadlines');
+  }
+});
+
+export default router;
@@ -0,0 +1,107 @@
+/**
+ * Saved Contract View API Routes
+ * Per-user named filter sets for the contract library
+ */
+
+import express from 'express';
+import { authenticate } from '../middleware/auth.js';
+import contractLibraryService, { ContractLibraryError } from '../services/contractLibraryService.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Views are stored in the database; there is no in-memory fallback
+router.use((req, res, next) => {
+  if (!req.prisma) {
+    return res.status(503).json({
+      success: false,
+      message: 'Saved views require a database connection'
+    });
+  }
+  next();
+});
+
+const handleError = (res, error, message) => {
+  if (error instanceof ContractLibraryError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * GET /api/contract-views
+ * The user's saved views, default first
+ */
+router.get('/', async (req, res) => {
+  try {
+    const views = await contractLibraryService.listViews(req.prisma, req.user.id);
+
+    res.json({
+      success: true,
+      views
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to list saved views');
+  }
+});
+
+/**
+ * POST /api/contract-views
+ * Body: { name, filters: { status: ['ACTIVE'], capacityMin: 500, ... }, isDefault? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const view = await contractLibraryService.createView(req.prisma, req.user.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      view
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to save view');
+  }
+});
+
+/**
+ * PUT /api/contract-views/:id
+ * Rename, replace filters or set as default
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const view = await contractLibraryService.updateView(req.prisma, req.user.id, req.params.id, req.body);
+
+    res.json({
+      success: true,
+      view
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update saved view');
+  }
+});
+
+/**
+ * DELETE /api/contract-views/:id
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await contractLibraryService.deleteView(req.prisma, req.user.id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Saved view deleted'
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to delete saved view');
+  }
+});
+
+export default router;
@@ -2,7 +2,11 @@ import express from 'express';
 import { captureContractInteraction, captureValidationInteraction } from '../middleware/learningMiddleware.js';
 import { contractAuditMiddleware, captureOldValues, getEntityByTypeAndId } from '../middleware/audit.js';
 import ValidationService from '../services/validationService.js';
-import { validate, validateQuery, validateParams, contractIdSchema, searchQuerySchema } from '../middleware/validation.js';
+import financialModelService from '../services/financialModelService.js';
+import notificationService from '../services/notificationService.js';
+import siteService, { SiteError, normalizeSites, rollupSites } from '../services/siteService.js';
+import partyService from '../services/partyService.js';
+import { validate, validateQuery, validateParams, contractIdSchema, searchQuerySchema, financialCalculationSchema } from '../middleware/validation.js';
 
 const router = express.Router();
 const validationService = new ValidationService();
@@ -81,7 +85,8 @@ router.get('/:id',
         technical: true,
         operating: true,
         uploads: true,
-        templates: true
+        templates: true,
+        sites: { orderBy: { sortOrder: 'asc' } }
       }
     });
 
@@ -116,29 +121,43 @@ router.post('/',
       status = 'DRAFT'
     } = contractData;
 
+    // Linking a chosen party is admin only, as in POST /api/parties/:id/contracts
+    if (contractData.customerId && req.user?.role !== 'ADMIN') {
+      return res.status(403).json({ error: 'Only admins can link a contract to a chosen party' });
+    }
+
+    // Multi-site contracts take their site label and capacity from the sites
+    const sites = normalizeSites(contractData.sites);
+    const siteRollup = rollupSites(sites);
+    const capacity = siteRollup.capacity ?? system.capacity;
+
     // Create contract with related data
     const contract = await req.prisma.contract.create({
       data: {
         name,
         client: client.name,
-        site: client.address?.city || 'Unknown',
-        capacity: system.capacity,
+        site: siteRollup.site || client.address?.city || 'Unknown',
+        capacity,
         term: financial.termYears,
         systemType: system.solutionType,
-        effectiveDate: new Date(),
+        effectiveDate: contractData.effectiveDate || new Date(),
+        commercialOperationDate: contractData.commercialOperationDate || siteRollup.commercialOperationDate,
+        renewalNoticeDays: contractData.renewalNoticeDays ?? null,
         status,
         tags: [],
+        ...financialModelService.contractTotals({ capacity, term: financial?.termYears }, financial),
         financial: financial ? {
           create: {
             baseRate: financial.baseRate,
             microgridAdder: financial.microgridAdder || null,
-            escalation: financial.escalation
+            escalation: financial.escalation,
+            escalationSchedule: financial.escalationSchedule || undefined
           }
         } : undefined,
         technical: technical ? {
           create: {
             voltage: technical.voltage,
-            servers: 1,
+            servers: siteRollup.servers ?? 1,
             components: technical.components || []
           }
         } : undefined,
@@ -150,17 +169,43 @@ router.post('/',
             maxDemand: operating.maxDemand,
             criticalOutput: operating.maxDemand
           }
-        } : undefined
+        } : undefined,
+        sites: sites.length > 0 ? { create: sites } : undefined
       },
       include: {
         financial: true,
         technical: true,
-        operating: true
+        operating: true,
+        sites: { orderBy: { sortOrder: 'asc' } }
       }
     });
 
+    // Link the customer to the party registry; ambiguous names stay unlinked for review
+    try {
+      if (contractData.customerId) {
+        await partyService.linkContractToParty(req.prisma, contractData.customerId, contract.id);
+        contract.customerId = contractData.customerId;
+      } else {
+        const resolution = await partyService.linkContract(req.prisma, contract, { userId: req.user?.id });
+        contract.customerId = resolution.linked ? resolution.party.id : null;
+        contract.customerResolution = resolution;
+      }
+    } catch (partyError) {
+      console.warn(`⚠️ Could not link contract ${contract.id} to a customer:`, partyError.message);
+    }
+
+    notificationService.emit('contract:created', {
+      contractId: contract.id,
+      contractName: contract.name,
+      createdBy: req.user?.id,
+      contract
+    });
+
     res.status(201).json(contract);
   } catch (error) {
+    if (error instanceof SiteError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Error creating contract:', error);
     res.status(500).json({ error: 'Failed to create contract' });
   }
@@ -181,7 +226,10 @@ router.put('/:id',
     const updateData = req.validatedData || req.body;
     
     // Remove nested objects from main update
-    const { financial, technical, operating, ...mainData } = updateData;
+    const { financial, technical, operating, sites, ...mainData } = updateData;
+
+    // Reject invalid sites before anything is written
+    if (sites) normalizeSites(sites);
 
     // Update main contract data
     const contract = await req.prisma.contract.update({
@@ -224,18 +272,51 @@ router.put('/:id',
       });
     }
 
+    // Replace sites if provided; this also refreshes the site and capacity rollups
+    if (sites) {
+      await siteService.replaceSites(req.prisma, id, sites);
+    }
+
     // Fetch updated contract with all relations
-    const updatedContract = await req.prisma.contract.findUnique({
+    let updatedContract = await req.prisma.contract.findUnique({
       where: { id },
       include: {
         financial: true,
         technical: true,
-        operating: true
+        operating: true,
+        sites: { orderBy: { sortOrder: 'asc' } }
       }
     });
 
+    // Keep stored totals in step with the financial model
+    const totals = financialModelService.contractTotals(updatedContract, updatedContract.financial);
+    if (totals && (totals.totalValue !== updatedContract.totalValue || totals.yearlyRate !== updatedContract.yearlyRate)) {
+      updatedContract = await req.prisma.contract.update({
+        where: { id },
+        data: totals,
+        include: {
+          financial: true,
+          technical: true,
+          operating: true,
+          sites: { orderBy: { sortOrder: 'asc' } }
+        }
+      });
+    }
+
+    notificationService.emit('contract:updated', {
+      contractId: id,
+      contractName: updatedContract.name,
+      updatedBy: req.user?.id,
+      changes: Object.keys(updateData),
+      stakeholders: updatedContract.createdBy ? [updatedContract.createdBy] : [],
+      contract: updatedContract
+    });
+
     res.json(updatedContract);
   } catch (error) {
+    if (error instanceof SiteError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error('Error updating contract:', error);
     res.status(500).json({ error: 'Failed to update contract' });
   }
@@ -314,6 +395,27 @@ router.get('/stats/overview', async (req, res) => {
   }
 });
 
+// Financial model: yearly rates, payments, total value, NPV and levelized rate
+router.post('/financial-model',
+  validate(financialCalculationSchema),
+  async (req, res) => {
+  try {
+    const { capacity, term, baseRate, escalation, escalationSchedule, discountRate } = req.body;
+
+    res.json(financialModelService.calculate({
+      capacity,
+      term,
+      baseRate,
+      escalation,
+      escalationSchedule,
+      discountRate
+    }));
+  } catch (error) {
+    console.error('Error calculating financial model:', error);
+    res.status(500).json({ error: 'Failed to calculate financial model' });
+  }
+});
+
 // Bulk operations
 router.post('/bulk/create', async (req, res) => {
   try {
@@ -346,6 +448,7 @@ router.post('/bulk/create', async (req, res) => {
         const contract = await req.prisma.contract.create({
           data: {
             ...contractData,
+            ...financialModelService.contractTotals(contractData, contractData.financial),
             createdBy: req.user?.id,
             // Create related entities if provided
             ...(contractData.financial && {
@@ -433,7 +536,7 @@ router.put('/bulk/update', async (req, res) => {
           continue;
         }
 
-        const contract = await req.prisma.contract.update({
+        let contract = await req.prisma.contract.update({
           where: { id },
           data: {
             ...data,
@@ -446,6 +549,11 @@ router.put('/bulk/update', async (req, res) => {
           }
         });
 
+        const totals = financialModelService.contractTotals(contract, contract.financial);
+        if (totals && (totals.totalValue !== contract.totalValue || totals.yearlyRate !== contract.yearlyRate)) {
+          contract = await req.prisma.contract.update({ where: { id }, data: totals });
+        }
+
         results.push({
           index: i,
           id: contract.id,
@@ -5,7 +5,8 @@
 
 import express from 'express';
 import { authenticate, authorize } from '../middleware/auth.js';
-import notificationService from '../services/notificationService.js';
+import notificationService, { NotificationError } from '../services/notificationService.js';
+import notificationEmailService from '../services/notificationEmailService.js';
 
 const router = express.Router();
 
@@ -32,25 +33,29 @@ router.get('/stats', authenticate, authorize(['admin']), (req, res) => {
 /**
  * GET /api/notifications/history
  * Get notification history for current user
+ * Query: limit, offset, type (comma-separated), unreadOnly
  */
 router.get('/history', authenticate, async (req, res) => {
   try {
-    const { limit = 50, offset = 0 } = req.query;
+    const { limit = 50, offset = 0, type, unreadOnly } = req.query;
     const userId = req.user.id;
     
-    const notifications = await notificationService.getNotificationHistory(
-      userId, 
-      parseInt(limit),
-      parseInt(offset)
-    );
+    const history = await notificationService.getNotificationHistory(userId, {
+      limit,
+      offset,
+      type,
+      unreadOnly: unreadOnly === 'true'
+    });
     
     res.json({
       success: true,
-      notifications,
+      notifications: history.notifications,
+      unreadCount: history.unreadCount,
       pagination: {
-        limit: parseInt(limit),
-        offset: parseInt(offset),
-        total: notifications.length
+        limit: history.limit,
+        offset: history.offset,
+        total: history.total,
+        hasMore: history.offset + history.notifications.length < history.total
       }
     });
   } catch (error) {
@@ -65,24 +70,26 @@ router.get('/history', authenticate, async (req, res) => {
 /**
  * PATCH /api/notifications/mark-read
  * Mark notifications as read
+ * Body: { notificationIds: string[] } or { all: true }
  */
 router.patch('/mark-read', authenticate, async (req, res) => {
   try {
-    const { notificationIds } = req.body;
+    const { notificationIds, all = false } = req.body;
     const userId = req.user.id;
     
-    if (!Array.isArray(notificationIds)) {
+    if (all !== true && !Array.isArray(notificationIds)) {
       return res.status(400).json({
         success: false,
         message: 'notificationIds must be an array'
       });
     }
     
-    await notificationService.markNotificationsAsRead(userId, notificationIds);
+    const marked = await notificationService.markNotificationsAsRead(userId, notificationIds, { all: all === true });
     
     res.json({
       success: true,
-      message: `Marked ${notificationIds.length} notifications as read`
+      marked,
+      message: `Marked ${marked} notifications as read`
     });
   } catch (error) {
     res.status(500).json({
@@ -93,6 +100,84 @@ router.patch('/mark-read', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/notifications/preferences
+ * Get notification preferences for current user
+ */
+router.get('/preferences', authenticate, async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user.id);
+    
+    res.json({
+      success: true,
+      preferences
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get notification preferences',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/notifications/preferences
+ * Replace notification preferences for current user
+ * Body: { preferences: [{ type: 'bulk:*', enabled: true, channel: 'IN_APP' | 'EMAIL' | 'DIGEST' }] }
+ */
+router.put('/preferences', authenticate, async (req, res) => {
+  try {
+    const preferences = await notificationService.updatePreferences(req.user.id, req.body.preferences);
+    
+    res.json({
+      success: true,
+      preferences
+    });
+  } catch (error) {
+    if (error instanceof NotificationError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update notification preferences',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/notifications/digest
+ * Send pending digest emails now instead of waiting for the digest hour
+ */
+router.post('/digest', authenticate, authorize('ADMIN', 'MANAGER'), async (req, res) => {
+  try {
+    if (!req.prisma) {
+      return res.status(503).json({
+        success: false,
+        message: 'Digests require a database connection'
+      });
+    }
+    
+    const result = await notificationEmailService.sendDigests(req.prisma);
+    
+    res.json({
+      success: true,
+      message: `Sent ${result.users} digests`,
+      result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send notification digests',
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/notifications/send
  * Send notification (admin only)
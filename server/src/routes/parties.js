@@ -0,0 +1,238 @@
+/**
+ * Party API Routes
+ * Customer and counterparty registry: aliases, name resolution, contract
+ * linking and merge/unmerge of duplicate parties
+ */
+
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import partyService, { PartyError } from '../services/partyService.js';
+
+const router = express.Router();
+
+// The registry lives in the database; there is no in-memory fallback
+router.use((req, res, next) => {
+  if (!req.prisma) {
+    return res.status(503).json({
+      success: false,
+      message: 'The party registry requires a database connection'
+    });
+  }
+  next();
+});
+
+router.use(authenticate);
+
+const handleError = (res, error, message) => {
+  if (error instanceof PartyError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * GET /api/parties
+ * Parties with their aliases and contract totals (merged parties count towards the survivor)
+ * Query: search, type, includeMerged
+ */
+router.get('/', async (req, res) => {
+  try {
+    const parties = await partyService.listParties(req.prisma, {
+      search: req.query.search,
+      type: req.query.type,
+      includeMerged: req.query.includeMerged === 'true'
+    });
+
+    res.json({
+      success: true,
+      parties,
+      count: parties.length
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to list parties');
+  }
+});
+
+/**
+ * POST /api/parties/resolve
+ * Resolve names against the registry without changing anything
+ * Body: { name } or { names: [] }
+ */
+router.post('/resolve', async (req, res) => {
+  try {
+    const { name, names } = req.body || {};
+    if (names !== undefined) {
+      const results = await partyService.resolveNames(req.prisma, names);
+      return res.json({ success: true, results });
+    }
+
+    const result = await partyService.resolve(req.prisma, name);
+    res.json({ success: true, result });
+  } catch (error) {
+    handleError(res, error, 'Failed to resolve party names');
+  }
+});
+
+/**
+ * GET /api/parties/unresolved
+ * Contracts not linked to a customer, with the parties their client names resemble
+ * Query: limit (default 50, max 200)
+ */
+router.get('/unresolved', async (req, res) => {
+  try {
+    const contracts = await partyService.getUnresolvedContracts(req.prisma, { limit: req.query.limit });
+
+    res.json({
+      success: true,
+      contracts,
+      count: contracts.length
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get unresolved contracts');
+  }
+});
+
+/**
+ * POST /api/parties/link-contracts
+ * Link every contract without a customer; unmatched names become new customers
+ * unless createIfNew is false (admin only)
+ * Body: { createIfNew }
+ */
+router.post('/link-contracts', authorize('ADMIN'), async (req, res) => {
+  try {
+    const result = await partyService.linkUnresolvedContracts(req.prisma, {
+      createIfNew: req.body?.createIfNew !== false,
+      userId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to link contracts to parties');
+  }
+});
+
+/**
+ * GET /api/parties/:id
+ * A party with the aliases, contracts and totals of it and the parties merged into it
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const party = await partyService.getParty(req.prisma, req.params.id);
+
+    res.json({
+      success: true,
+      party
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get party');
+  }
+});
+
+/**
+ * POST /api/parties
+ * Create a party (admin only)
+ * Body: { name, type, aliases }
+ */
+router.post('/', authorize('ADMIN'), async (req, res) => {
+  try {
+    const party = await partyService.createParty(req.prisma, req.body, { userId: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      party
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to create party');
+  }
+});
+
+/**
+ * POST /api/parties/:id/aliases
+ * Add another spelling of a party's name (admin only)
+ * Body: { alias }
+ */
+router.post('/:id/aliases', authorize('ADMIN'), async (req, res) => {
+  try {
+    const alias = await partyService.addAlias(req.prisma, req.params.id, req.body?.alias);
+
+    res.status(201).json({
+      success: true,
+      alias
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to add party alias');
+  }
+});
+
+/**
+ * POST /api/parties/:id/contracts
+ * Link a contract to this party, e.g. after reviewing an ambiguous name (admin only)
+ * Body: { contractId }
+ */
+router.post('/:id/contracts', authorize('ADMIN'), async (req, res) => {
+  try {
+    if (!req.body?.contractId) {
+      return res.status(400).json({
+        success: false,
+        message: 'contractId is required'
+      });
+    }
+
+    const link = await partyService.linkContractToParty(req.prisma, req.params.id, req.body.contractId);
+
+    res.json({
+      success: true,
+      ...link
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to link contract to party');
+  }
+});
+
+/**
+ * POST /api/parties/:id/merge
+ * Merge this party into another; its aliases and contracts count towards the target (admin only)
+ * Body: { targetId }
+ */
+router.post('/:id/merge', authorize('ADMIN'), async (req, res) => {
+  try {
+    const party = await partyService.mergeParties(req.prisma, req.params.id, req.body?.targetId, req.user.id);
+
+    res.json({
+      success: true,
+      party
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to merge parties');
+  }
+});
+
+/**
+ * POST /api/parties/:id/unmerge
+ * Undo a merge, restoring the party with its own aliases and contracts (admin only)
+ */
+router.post('/:id/unmerge', authorize('ADMIN'), async (req, res) => {
+  try {
+    const party = await partyService.unmergeParty(req.prisma, req.params.id);
+
+    res.json({
+      success: true,
+      party
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to unmerge party');
+  }
+});
+
+export default router;
@@ -0,0 +1,92 @@
+import express from 'express';
+import Joi from 'joi';
+import { authenticate, optionalAuth } from '../middleware/auth.js';
+import { validate as validateRequest } from '../middleware/validation.js';
+import learningService from '../services/learningService.js';
+import ReviewQueueService, { ReviewQueueError } from '../services/reviewQueueService.js';
+
+const router = express.Router();
+const reviewQueue = new ReviewQueueService({ learningService });
+
+// Validation schemas
+const fieldReviewSchema = Joi.object({
+  decision: Joi.string().valid('accept', 'correct', 'reject').required(),
+  value: Joi.alternatives().try(Joi.string().trim().min(1), Joi.number())
+    .when('decision', { is: 'correct', then: Joi.required() }),
+  comment: Joi.string().max(2000).allow('', null)
+});
+
+const classificationReviewSchema = Joi.object({
+  documentType: Joi.string().valid(
+    'PRIMARY', 'APPENDIX', 'AMENDMENT', 'EXHIBIT', 'ADDENDUM', 'SIGNATURE', 'COVER_LETTER', 'OTHER'
+  ),
+  comment: Joi.string().max(2000).allow('', null)
+});
+
+const requireDatabase = (req, res, next) => {
+  if (!req.prisma) {
+    return res.status(503).json({
+      success: false,
+      error: 'Review queue requires a database connection'
+    });
+  }
+  next();
+};
+
+const reviewerOf = req => req.user.email || req.user.id;
+
+const sendError = (res, error, fallbackMessage) => {
+  if (error instanceof ReviewQueueError) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500).json({ success: false, error: fallbackMessage, message: error.message });
+};
+
+// GET /api/review/queue - Pending field and classification reviews
+router.get('/queue', optionalAuth, requireDatabase, async (req, res) => {
+  try {
+    const queue = await reviewQueue.listPending(req.prisma, {
+      contractId: req.query.contractId,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+
+    res.json({ success: true, ...queue });
+  } catch (error) {
+    sendError(res, error, 'Failed to load review queue');
+  }
+});
+
+// POST /api/review/fields/:id - Accept, correct or reject a flagged field
+router.post('/fields/:id', authenticate, requireDatabase, validateRequest(fieldReviewSchema), async (req, res) => {
+  try {
+    const item = await reviewQueue.reviewField(req.prisma, req.params.id, req.body, reviewerOf(req));
+
+    res.json({
+      success: true,
+      item,
+      message: `Field ${item.field} ${item.reviewDecision.toLowerCase()}`
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to save field review');
+  }
+});
+
+// POST /api/review/classifications/:id - Mark a document classification reviewed
+router.post('/classifications/:id', authenticate, requireDatabase, validateRequest(classificationReviewSchema), async (req, res) => {
+  try {
+    const classification = await reviewQueue.reviewClassification(req.prisma, req.params.id, req.body, reviewerOf(req));
+
+    res.json({
+      success: true,
+      classification,
+      message: 'Classification marked as reviewed'
+    });
+  } catch (error) {
+    sendError(res, error, 'Failed to save classification review');
+  }
+});
+
+export { reviewQueue };
+export default router;
@@ -0,0 +1,100 @@
+/**
+ * Search API Routes
+ * Full-text search across document pages, extracted fields and rules
+ */
+
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import documentProcessingService from '../services/documentProcessingService.js';
+import searchIndexService, { SearchError } from '../services/searchIndexService.js';
+
+const router = express.Router();
+
+// The index lives in Postgres; there is no in-memory fallback
+router.use((req, res, next) => {
+  if (!req.prisma) {
+    return res.status(503).json({
+      success: false,
+      message: 'Search requires a database connection'
+    });
+  }
+  next();
+});
+
+router.use(authenticate);
+
+/**
+ * Queue (re)indexing of an analyzed upload, e.g. after the analyze endpoint saved its results
+ */
+export const queueUploadIndexing = (prisma, uploadId) =>
+  documentProcessingService.queueProcessingJob(uploadId, 'CONTENT_INDEXING', prisma, {}, 'uploaded_file');
+
+/**
+ * Queue (re)indexing of a ContractDocument, e.g. once its analysis adds extracted fields
+ */
+export const queueDocumentIndexing = (prisma, documentId) =>
+  documentProcessingService.queueProcessingJob(documentId, 'CONTENT_INDEXING', prisma);
+
+/**
+ * GET /api/search?q=
+ * Ranked contracts with their best hits (page number, highlighted snippet)
+ * Query: q (web-search syntax: "exact phrase", or, -exclude), limit, offset, contractId
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { q, limit, offset, contractId } = req.query;
+    const result = await searchIndexService.search(req.prisma, q, { limit, offset, contractId });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error instanceof SearchError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Search failed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Search failed',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/search/reindex
+ * Queue indexing of every processed document and analyzed upload (admin only)
+ */
+router.post('/reindex', authorize('ADMIN'), async (req, res) => {
+  try {
+    const [documents, uploads] = await Promise.all([
+      req.prisma.contractDocument.findMany({ where: { processingStatus: 'COMPLETED' }, select: { id: true } }),
+      req.prisma.uploadedFile.findMany({ where: { contractId: { not: null }, status: 'COMPLETED' }, select: { id: true } })
+    ]);
+
+    for (const document of documents) {
+      await queueDocumentIndexing(req.prisma, document.id);
+    }
+    for (const upload of uploads) {
+      await queueUploadIndexing(req.prisma, upload.id);
+    }
+
+    res.status(202).json({
+      success: true,
+      queued: documents.length + uploads.length
+    });
+  } catch (error) {
+    console.error('Failed to queue search reindex:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue search reindex',
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -2,6 +2,8 @@ import express from 'express';
 import multer from 'multer';
 import { authenticate, optionalAuth } from '../middleware/auth.js';
 import textractManager from '../services/textractManager.js';
+import localTextractService from '../services/localTextractService.js';
+import { fromCellTables } from '../services/contractTableExtractor.js';
 import fileService from '../services/fileService.js';
 
 const router = express.Router();
@@ -295,57 +297,66 @@ router.post('/cleanup-jobs', authenticate, async (req, res) => {
 });
 
 /**
- * POST /api/textract/extract-forms
- * Extract form key-value pairs (future enhancement placeholder)
+ * Run a FORMS or TABLES analysis for the extract-* endpoints
  */
-router.post('/extract-forms', optionalAuth, upload.single('document'), async (req, res) => {
+const runLayoutAnalysis = async (req, res, feature, extract, label) => {
   try {
-    // This is a placeholder for future form extraction capability
+    if (!req.file) {
+      return res.status(400).json({ 
+        error: 'No document provided',
+        message: 'Please provide a document file for analysis'
+      });
+    }
+
+    const result = await textractManager.analyzeDocument(req.file.buffer, {
+      documentType: req.file.mimetype.startsWith('image/') ? 'image' : 'pdf',
+      features: [feature],
+      blocks: true
+    });
+
+    if (result.JobStatus !== 'SUCCEEDED') {
+      return res.status(422).json({
+        JobStatus: result.JobStatus,
+        StatusMessage: result.StatusMessage,
+        error: `${label} failed`
+      });
+    }
+
     res.json({
-      message: 'Form extraction not yet implemented',
-      suggestion: 'Use analyze-document endpoint for text extraction',
-      plannedFeatures: [
-        'Key-value pair detection',
-        'Checkbox detection',
-        'Table extraction',
-        'Signature detection'
-      ]
+      JobStatus: result.JobStatus,
+      DocumentMetadata: result.DocumentMetadata,
+      ...extract(result.Blocks || []),
+      Blocks: result.Blocks
     });
 
   } catch (error) {
-    console.error('Textract extract-forms error:', error);
+    console.error(`Textract ${feature.toLowerCase()} extraction error:`, error);
     res.status(500).json({ 
-      error: 'Form extraction failed',
+      error: `${label} failed`,
       message: error.message
     });
   }
-});
+};
 
 /**
- * POST /api/textract/extract-tables
- * Extract table data (future enhancement placeholder)
+ * POST /api/textract/extract-forms
+ * Extract form key-value pairs ("Effective Date: January 1, 2025")
  */
-router.post('/extract-tables', optionalAuth, upload.single('document'), async (req, res) => {
-  try {
-    // This is a placeholder for future table extraction capability
-    res.json({
-      message: 'Table extraction not yet implemented',
-      suggestion: 'Use analyze-document endpoint for text extraction',
-      plannedFeatures: [
-        'Table structure detection',
-        'Cell content extraction',
-        'Header identification',
-        'CSV/JSON export'
-      ]
-    });
+router.post('/extract-forms', optionalAuth, upload.single('document'), (req, res) =>
+  runLayoutAnalysis(req, res, 'FORMS', blocks => ({ KeyValuePairs: localTextractService.extractKeyValuePairs(blocks) }), 'Form extraction')
+);
 
-  } catch (error) {
-    console.error('Textract extract-tables error:', error);
-    res.status(500).json({ 
-      error: 'Table extraction failed',
-      message: error.message
-    });
-  }
-});
+/**
+ * POST /api/textract/extract-tables
+ * Extract tables as row/column grids (pricing exhibits, degradation schedules).
+ * ContractTables holds the rate schedules, site lists and guarantee tables
+ * among them, parsed into typed records.
+ */
+router.post('/extract-tables', optionalAuth, upload.single('document'), (req, res) =>
+  runLayoutAnalysis(req, res, 'TABLES', blocks => {
+    const tables = localTextractService.extractTables(blocks);
+    return { Tables: tables, ContractTables: fromCellTables(tables) };
+  }, 'Table extraction')
+);
 
 export default router;
\ No newline at end of file
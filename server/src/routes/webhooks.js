@@ -0,0 +1,193 @@
+/**
+ * Webhook API Routes
+ * Manage outbound webhook endpoints and inspect or replay their deliveries
+ */
+
+import express from 'express';
+import { authenticate, authorize } from '../middleware/auth.js';
+import webhookService, { WEBHOOK_EVENTS, WebhookError, toPublicEndpoint } from '../services/webhookService.js';
+
+const router = express.Router();
+
+router.use(authenticate, authorize('ADMIN'));
+
+// Webhooks are stored in the database; there is no in-memory fallback
+router.use((req, res, next) => {
+  if (!req.prisma) {
+    return res.status(503).json({
+      success: false,
+      message: 'Webhooks require a database connection'
+    });
+  }
+  next();
+});
+
+const handleError = (res, error, message) => {
+  if (error instanceof WebhookError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+/**
+ * GET /api/webhooks/events
+ * List the events endpoints can subscribe to
+ */
+router.get('/events', (req, res) => {
+  res.json({
+    success: true,
+    events: WEBHOOK_EVENTS
+  });
+});
+
+/**
+ * GET /api/webhooks
+ * List webhook endpoints
+ */
+router.get('/', async (req, res) => {
+  try {
+    const endpoints = await req.prisma.webhookEndpoint.findMany({
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      endpoints: endpoints.map(endpoint => toPublicEndpoint(endpoint))
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to list webhook endpoints');
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Create an endpoint; the response is the only time the secret is shown
+ * Body: { url, events: ['contract.created', ...] | ['*'], description?, isActive? }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const endpoint = await webhookService.createEndpoint(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      endpoint: toPublicEndpoint(endpoint, { includeSecret: true })
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to create webhook endpoint');
+  }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Get one endpoint
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const endpoint = await webhookService.getEndpoint(req.params.id);
+
+    res.json({
+      success: true,
+      endpoint: toPublicEndpoint(endpoint)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to get webhook endpoint');
+  }
+});
+
+/**
+ * PUT /api/webhooks/:id
+ * Update url, events, description or isActive
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const endpoint = await webhookService.updateEndpoint(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      endpoint: toPublicEndpoint(endpoint)
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to update webhook endpoint');
+  }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete an endpoint and its delivery log
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await webhookService.deleteEndpoint(req.params.id);
+    res.status(204).send();
+  } catch (error) {
+    handleError(res, error, 'Failed to delete webhook endpoint');
+  }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Issue a new signing secret; the old one stops working immediately
+ */
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const endpoint = await webhookService.rotateSecret(req.params.id);
+
+    res.json({
+      success: true,
+      endpoint: toPublicEndpoint(endpoint, { includeSecret: true })
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to rotate webhook secret');
+  }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log, newest first
+ * Query: status (PENDING | SUCCEEDED | FAILED), limit, offset
+ */
+router.get('/:id/deliveries', async (req, res) => {
+  try {
+    const { status, limit, offset } = req.query;
+    const log = await webhookService.listDeliveries(req.params.id, { status, limit, offset });
+
+    res.json({
+      success: true,
+      deliveries: log.deliveries,
+      pagination: {
+        limit: log.limit,
+        offset: log.offset,
+        total: log.total
+      }
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to list webhook deliveries');
+  }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/replay
+ * Send a failed delivery again with the same payload
+ */
+router.post('/deliveries/:deliveryId/replay', async (req, res) => {
+  try {
+    const delivery = await webhookService.replay(req.params.deliveryId);
+
+    res.json({
+      success: true,
+      delivery
+    });
+  } catch (error) {
+    handleError(res, error, 'Failed to replay webhook delivery');
+  }
+});
+
+export default router;
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Extraction Benchmark Runner
+ *
+ * Feeds the labeled fixtures in server/benchmark/fixtures through the full
+ * rules-extraction pipeline (buildRulesExtractionPrompt, structured
+ * extraction, response parsing and regex fallback) and writes a scored
+ * report as JSON and Markdown.
+ *
+ * Usage:
+ *   npm run benchmark                                   # stubbed: replay each fixture's response.json
+ *   npm run benchmark -- --baseline <report.json>       # show deltas against an earlier run
+ *   npm run benchmark -- --mode live [--record]         # call the configured provider (and save responses)
+ *   npm run benchmark -- --only <fixture> --out <dir>
+ *
+ * Stub mode answers the LLM call from each fixture's recorded response, so
+ * scores move only when parsing, normalization or structured extraction
+ * change. Use live mode to measure prompt edits, then --record to make the
+ * new responses the stubbed baseline.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { loadFixtures, runBenchmark, renderMarkdown } from '../services/extractionBenchmarkService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const BENCHMARK_DIR = path.resolve(__dirname, '../../benchmark');
+
+dotenv.config({ path: path.resolve(__dirname, '../../../.env') });
+
+function parseArgs(argv) {
+  const args = {
+    mode: 'stub',
+    record: false,
+    fixtures: path.join(BENCHMARK_DIR, 'fixtures'),
+    out: path.join(BENCHMARK_DIR, 'reports'),
+    baseline: null,
+    only: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--record') args.record = true;
+    else if (['--mode', '--fixtures', '--out', '--baseline', '--only'].includes(arg)) args[arg.slice(2)] = argv[++i];
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  if (!['stub', 'live'].includes(args.mode)) {
+    throw new Error(`--mode must be "stub" or "live", got "${args.mode}"`);
+  }
+  if (args.record && args.mode !== 'live') {
+    throw new Error('--record only applies to --mode live');
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Imported after dotenv so the services pick up provider configuration
+  const { default: aiService } = await import('../services/aiService.js');
+  const { default: structuredExtractionService } = await import('../services/structuredExtractionService.js');
+  await structuredExtractionService.initialize();
+
+  const completeRulesExtraction = aiService.completeRulesExtraction.bind(aiService);
+  let current = null;
+
+  // Route the LLM call through the fixture being scored
+  aiService.completeRulesExtraction = async (prompt, options) => {
+    current.prompt = prompt;
+    if (args.mode === 'stub') {
+      if (!current.fixture.response) {
+        throw new Error(`No recorded response.json for ${current.fixture.id}; run with --mode live --record first`);
+      }
+      return current.fixture.response;
+    }
+
+    const text = await completeRulesExtraction(prompt, options);
+    if (args.record) {
+      await fs.writeFile(path.join(current.fixture.dir, 'response.json'), text);
+      console.log(`💾 Recorded response for ${current.fixture.id}`);
+    }
+    return text;
+  };
+
+  if (args.mode === 'stub') {
+    // No rate limits to respect when nothing leaves the process
+    aiService.requestQueue = { enqueue: (requestFn) => requestFn() };
+  }
+
+  const fixtures = await loadFixtures(args.fixtures, { only: args.only });
+  if (fixtures.length === 0) {
+    throw new Error(`No fixtures found in ${args.fixtures}`);
+  }
+
+  const report = await runBenchmark(fixtures, async (fixture) => {
+    current = { fixture, prompt: null };
+    const result = await aiService.extractBusinessRules(fixture.text, {
+      filename: fixture.filename,
+      _fullDocumentContent: fixture.text
+    });
+    return { result, prompt: current.prompt };
+  }, {
+    mode: args.mode,
+    provider: args.mode === 'live' ? aiService.provider : 'stub',
+    fixturesDir: path.relative(process.cwd(), args.fixtures)
+  });
+
+  const baseline = args.baseline
+    ? JSON.parse(await fs.readFile(args.baseline, 'utf8'))
+    : null;
+
+  await fs.mkdir(args.out, { recursive: true });
+  const stamp = report.generatedAt.replace(/[:.]/g, '-');
+  const jsonPath = path.join(args.out, `benchmark-${stamp}.json`);
+  const markdownPath = path.join(args.out, `benchmark-${stamp}.md`);
+  const markdown = renderMarkdown(report, baseline);
+
+  await fs.writeFile(jsonPath, JSON.stringify(report, null, 2));
+  await fs.writeFile(markdownPath, markdown);
+
+  console.log(`\n${markdown}`);
+  console.log(`📄 Report written to ${jsonPath} and ${markdownPath}`);
+}
+
+main().catch(error => {
+  console.error('❌ Benchmark failed:', error.message);
+  process.exit(1);
+});
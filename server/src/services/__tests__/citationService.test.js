@@ -0,0 +1,56 @@
+/**
+ * Unit Tests for Citation Service
+ */
+
+import { locateFieldCitations, buildPageMap } from '../citationService.js';
+
+const PAGE_ONE = 'POWER PURCHASE AGREEMENT\nThis Agreement is effective as of January 15, 2024 between Acme Health and Bloom Energy.';
+const PAGE_TWO = 'Section 4. Pricing\nThe System has a nameplate capacity of 2,800 kW. Purchaser shall pay $0.0850/kWh, escalating at 2.5% per year.';
+
+describe('locateFieldCitations', () => {
+  it('should cite page, offsets and snippet for raw and normalized values', () => {
+    const text = `${PAGE_ONE}\f${PAGE_TWO}`;
+
+    const citations = locateFieldCitations({
+      buyer: 'Acme Health',
+      systemCapacity: '2800',
+      baseRate: '$0.0850/kWh',
+      effectiveDate: '2024-01-15',
+      contractTerm: 'NOT SPECIFIED'
+    }, text);
+
+    expect(citations.buyer).toMatchObject({ page: 1, text: 'Acme Health', match: 'exact' });
+    expect(citations.systemCapacity).toMatchObject({ page: 2, text: '2,800', match: 'normalized' });
+    expect(text.slice(citations.systemCapacity.start, citations.systemCapacity.end)).toBe('2,800');
+    expect(PAGE_TWO.slice(citations.systemCapacity.pageStart, citations.systemCapacity.pageEnd)).toBe('2,800');
+    expect(citations.systemCapacity.snippet).toBe('The System has a nameplate capacity of 2,800 kW.');
+    expect(citations.baseRate).toMatchObject({ page: 2, text: '$0.0850/kWh' });
+    expect(citations.effectiveDate.text).toBe('January 15, 2024');
+    expect(citations.contractTerm).toBeUndefined();
+  });
+
+  it('should prefer the occurrence surrounded by the field cues', () => {
+    const text = 'Invoices are due within 15 days of receipt. The Term of this Agreement is 15 years.';
+
+    const citations = locateFieldCitations({ contractTerm: '15' }, text);
+
+    expect(citations.contractTerm.start).toBe(text.lastIndexOf('15'));
+  });
+});
+
+describe('buildPageMap', () => {
+  it('should map DocumentPage rows onto the consolidated text', () => {
+    const text = `--- Page 1 ---\n${PAGE_ONE}\n\n--- Page 2 ---\n${PAGE_TWO}`;
+
+    expect(buildPageMap(text).map(page => page.pageNumber)).toEqual([1, 2]);
+
+    const fromRows = buildPageMap(`${PAGE_ONE}\n\n${PAGE_TWO}`, [
+      { pageNumber: 2, extractedText: PAGE_TWO },
+      { pageNumber: 1, extractedText: PAGE_ONE }
+    ]);
+    expect(fromRows).toEqual([
+      { pageNumber: 1, start: 0, end: PAGE_ONE.length + 2 },
+      { pageNumber: 2, start: PAGE_ONE.length + 2, end: PAGE_ONE.length + 2 + PAGE_TWO.length }
+    ]);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Unit Tests for contract key dates, deadline alerts and the .ics feed
+ */
+
+import contractCalendarService, { deriveKeyDates, toICalendar, parseLeadDays } from '../contractCalendarService.js';
+import notificationService from '../notificationService.js';
+
+const contract = (overrides = {}) => ({
+  id: 'contract-1',
+  name: 'Acme Campus PPA',
+  client: 'Acme, Inc.',
+  term: 3,
+  effectiveDate: new Date('2025-02-10T00:00:00Z'),
+  commercialOperationDate: new Date('2025-06-01T00:00:00Z'),
+  renewalNoticeDays: 120,
+  createdBy: 'user-1',
+  financial: { baseRate: 0.12, escalation: 2, escalationSchedule: null },
+  analyses: [],
+  ...overrides
+});
+
+describe('deriveKeyDates', () => {
+  it('should count the term from COD and derive notice and escalation dates', () => {
+    const milestones = deriveKeyDates(contract());
+
+    expect(milestones.map(({ type, date }) => [type, date])).toEqual([
+      ['COD', '2025-06-01'],
+      ['ESCALATION', '2026-06-01'],
+      ['ESCALATION', '2027-06-01'],
+      ['RENEWAL_NOTICE', '2028-02-02'],
+      ['EXPIRATION', '2028-06-01']
+    ]);
+    expect(milestones[1].description).toBe('Rate changes from $0.1200 to $0.1224/kWh');
+  });
+
+  it('should prefer the analyzed expiration date and skip flat years', () => {
+    const milestones = deriveKeyDates(contract({
+      commercialOperationDate: null,
+      renewalNoticeDays: null,
+      analyses: [{ expirationDate: new Date('2027-12-31T00:00:00Z') }],
+      financial: { baseRate: 0.12, escalation: 0, escalationSchedule: { type: 'step', steps: [{ year: 3, rate: 0.13 }] } }
+    }), { renewalNoticeDays: 60 });
+
+    expect(milestones.map(({ type, date }) => [type, date])).toEqual([
+      ['ESCALATION', '2027-02-10'],
+      ['RENEWAL_NOTICE', '2027-11-01'],
+      ['EXPIRATION', '2027-12-31']
+    ]);
+  });
+
+  it('should parse lead days largest first and fall back to the defaults', () => {
+    expect(parseLeadDays('7, 30,90,30')).toEqual([90, 30, 7]);
+    expect(parseLeadDays('soon')).toEqual([90, 30, 7]);
+  });
+});
+
+describe('toICalendar', () => {
+  it('should render escaped all-day events with a reminder before notice deadlines', () => {
+    const ics = toICalendar(deriveKeyDates(contract()), { now: new Date('2026-01-05T10:00:00Z') });
+    const lines = ics.split('\r\n');
+
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(lines).toContain('UID:contract-1-renewal_notice-20280202@bloom-contracts');
+    expect(lines).toContain('DTSTART;VALUE=DATE:20280202');
+    expect(lines).toContain('DTEND;VALUE=DATE:20280203');
+    expect(lines).toContain('DTSTAMP:20260105T100000Z');
+    expect(lines).toContain('DESCRIPTION:Commercial operation date for Acme Campus PPA (Acme\\, Inc.)');
+    expect(lines.filter(line => line === 'TRIGGER:-P7D')).toHaveLength(1);
+    expect(lines.every(line => line.length <= 75)).toBe(true);
+  });
+});
+
+describe('checkUpcomingDeadlines', () => {
+  let prisma;
+
+  beforeEach(() => {
+    prisma = {
+      contract: { findMany: jest.fn().mockResolvedValue([contract()]) },
+      contractDeadlineAlert: {
+        findMany: jest.fn().mockResolvedValue([
+          { contractId: 'contract-1', milestone: 'ESCALATION', dueDate: new Date('2026-06-01T00:00:00Z'), leadDays: 30 }
+        ]),
+        createMany: jest.fn().mockResolvedValue({ count: 1 })
+      }
+    };
+    jest.spyOn(notificationService, 'sendToUser').mockReturnValue(true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should alert once at the tightest lead time reached', async () => {
+    await expect(contractCalendarService.checkUpcomingDeadlines(prisma, { today: new Date('2026-05-05T15:00:00Z') }))
+      .resolves.toBe(0);
+
+    await expect(contractCalendarService.checkUpcomingDeadlines(prisma, { today: new Date('2026-05-27T15:00:00Z') }))
+      .resolves.toBe(1);
+
+    expect(prisma.contractDeadlineAlert.createMany).toHaveBeenCalledWith({
+      data: [{ contractId: 'contract-1', milestone: 'ESCALATION', dueDate: new Date('2026-06-01T00:00:00Z'), leadDays: 7 }],
+      skipDuplicates: true
+    });
+    expect(notificationService.sendToUser).toHaveBeenCalledWith('user-1', 'system:alert', expect.objectContaining({
+      message: 'Rate escalation (year 2): Acme Campus PPA in 5 days (2026-06-01)',
+      type: 'warning',
+      milestone: 'ESCALATION',
+      daysUntil: 5
+    }), { rateLimit: false });
+  });
+});
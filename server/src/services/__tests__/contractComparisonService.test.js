@@ -0,0 +1,85 @@
+/**
+ * Unit Tests for side-by-side contract comparison
+ */
+
+import contractComparisonService, { findOutliers } from '../contractComparisonService.js';
+
+const rule = (category, name) => ({ id: `${category}-${name}`, category, name, confidence: 0.9 });
+
+const dbContract = (id, baseRate, rules, overrides = {}) => ({
+  id,
+  name: `Contract ${id}`,
+  client: 'Acme',
+  site: 'San Jose',
+  capacity: 975,
+  term: 15,
+  systemType: 'POWER_PURCHASE_STANDARD',
+  status: 'ACTIVE',
+  effectiveDate: new Date('2025-01-01T00:00:00Z'),
+  financial: { baseRate, escalation: 2.5, escalationSchedule: null, microgridAdder: null },
+  technical: { voltage: 'V480', servers: 3, components: ['RI', 'AC'] },
+  operating: { outputWarranty: 90, efficiency: 50, minDemand: 200, maxDemand: 900, criticalOutput: 900 },
+  uploads: [{ extractedData: { analysis: { extractedRules: rules } } }],
+  ...overrides
+});
+
+describe('contractComparisonService', () => {
+  let prisma;
+
+  beforeEach(() => {
+    prisma = {
+      contract: {
+        findMany: jest.fn().mockResolvedValue([
+          dbContract('a', 0.135, [rule('payment', 'Monthly invoice'), rule('termination', 'Early buyout')]),
+          dbContract('b', 0.13, [rule('payment', 'Monthly invoice')]),
+          dbContract('c', 0.18, [rule('payment', 'Monthly invoice'), rule('termination', 'Early buyout')], {
+            technical: { voltage: 'V480', servers: 3, components: ['AC', 'RI'] }
+          })
+        ])
+      }
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should diff fields in request order and flag outliers against the median', async () => {
+    const comparison = await contractComparisonService.compareContracts(prisma, ['c', 'a', 'b']);
+
+    expect(comparison.contracts.map(contract => contract.id)).toEqual(['c', 'a', 'b']);
+    const fields = Object.fromEntries(comparison.sections.flatMap(section => section.fields).map(field => [field.key, field]));
+
+    expect(fields.baseRate).toMatchObject({ values: [0.18, 0.135, 0.13], differs: true, outliers: ['c'] });
+    expect(fields.capacity).toMatchObject({ differs: false, outliers: [] });
+    // Component order is not a difference
+    expect(fields.components).toMatchObject({ values: [['AC', 'RI'], ['AC', 'RI'], ['AC', 'RI']], differs: false });
+    expect(fields.totalValue.values[0]).toBeGreaterThan(fields.totalValue.values[1]);
+    expect(fields.totalValue.outliers).toEqual(['c']);
+  });
+
+  it('should split extracted rules into shared and contract-specific ones', async () => {
+    const { rules } = await contractComparisonService.compareContracts(prisma, ['a', 'b', 'c']);
+
+    expect(rules.shared).toEqual([{ category: 'payment', name: 'Monthly invoice' }]);
+    expect(rules.byContract.find(entry => entry.contractId === 'a').distinct).toEqual([
+      expect.objectContaining({ name: 'Early buyout', alsoIn: ['c'] })
+    ]);
+    expect(rules.byContract.find(entry => entry.contractId === 'b').distinct).toEqual([]);
+  });
+
+  it('should reject too few contracts and report missing ones', async () => {
+    await expect(contractComparisonService.compareContracts(prisma, ['a', 'a'])).rejects.toMatchObject({ statusCode: 400 });
+    await expect(contractComparisonService.compareContracts(prisma, ['a', 'zzz'])).rejects.toMatchObject({
+      statusCode: 404,
+      message: 'Contract(s) not found: zzz'
+    });
+  });
+
+  it('should only flag values far from the median', () => {
+    expect(findOutliers([100, 104, 98, null])).toEqual([false, false, false, false]);
+    expect(findOutliers([100, 104, 140])).toEqual([false, false, true]);
+    expect(findOutliers([0, 0, 5])).toEqual([false, false, true]);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Unit Tests for Contract Consolidation Service
+ */
+
+import contractConsolidationService, { ConsolidationError } from '../contractConsolidationService.js';
+
+const primary = {
+  id: 'doc-ppa',
+  title: 'Acme Health PPA.pdf',
+  documentType: 'PRIMARY',
+  effectiveDate: 'January 15, 2024',
+  uploadDate: new Date('2024-06-01'),
+  fields: {
+    buyer: 'Acme Health Systems, Inc.',
+    effectiveDate: 'January 15, 2024',
+    baseRate: '0.085',
+    contractTerm: '15',
+    systemCapacity: '2800',
+    annualEscalation: 'NOT SPECIFIED'
+  }
+};
+
+const amendmentOne = {
+  id: 'doc-a1',
+  title: 'Amendment No. 1.pdf',
+  documentType: 'AMENDMENT',
+  effectiveDate: '2025-03-01',
+  uploadDate: new Date('2025-03-10'),
+  fields: { effectiveDate: '2025-03-01', baseRate: '0.0815', contractTerm: '20', buyer: 'ACME HEALTH SYSTEMS, INC.' }
+};
+
+const amendmentTwo = {
+  id: 'doc-a2',
+  title: 'Amendment No. 2.pdf',
+  documentType: 'AMENDMENT',
+  effectiveDate: '2026-07-01',
+  uploadDate: new Date('2026-02-01'),
+  fields: { effectiveDate: '2026-07-01', systemCapacity: '3250', annualEscalation: '2%' }
+};
+
+describe('contractConsolidationService.consolidate', () => {
+  it('should apply amendments in effective-date order regardless of upload order', () => {
+    const result = contractConsolidationService.consolidate(
+      [amendmentTwo, amendmentOne, primary],
+      { asOf: '2026-12-31' }
+    );
+
+    expect(result.primaryDocument).toMatchObject({ documentId: 'doc-ppa', effectiveDate: '2024-01-15' });
+    expect(result.timeline.map(entry => entry.documentId)).toEqual(['doc-a1', 'doc-a2']);
+    expect(result.timeline[0].changes).toEqual([
+      { field: 'baseRate', previousValue: '0.085', value: '0.0815' },
+      { field: 'contractTerm', previousValue: '15', value: '20' }
+    ]);
+    expect(result.timeline[1].changes).toEqual([
+      { field: 'systemCapacity', previousValue: '2800', value: '3250' },
+      { field: 'annualEscalation', previousValue: null, value: '2%' }
+    ]);
+
+    expect(result.terms.baseRate).toMatchObject({ value: '0.0815', sourceDocumentId: 'doc-a1', effectiveSince: '2025-03-01', amended: true });
+    expect(result.terms.buyer).toMatchObject({ value: 'Acme Health Systems, Inc.', sourceDocumentId: 'doc-ppa', amended: false });
+    expect(result.terms.systemCapacity.value).toBe('3250');
+    expect(result.terms.effectiveDate).toBeUndefined();
+    expect(result.pending).toEqual([]);
+  });
+
+  it('should report future-dated amendments as pending and fall back to the upload date', () => {
+    const undated = {
+      ...amendmentOne,
+      id: 'doc-a0',
+      effectiveDate: 'NOT SPECIFIED',
+      fields: { paymentFrequency: 'Quarterly' }
+    };
+    const exhibit = { id: 'doc-ex', title: 'Exhibit A.pdf', documentType: 'EXHIBIT', fields: { systemCapacity: '9999' } };
+
+    const result = contractConsolidationService.consolidate(
+      [primary, amendmentOne, amendmentTwo, undated, exhibit],
+      { asOf: '2026-01-01' }
+    );
+
+    expect(result.timeline.map(entry => [entry.documentId, entry.effectiveDate, entry.effectiveDateSource])).toEqual([
+      ['doc-a1', '2025-03-01', 'extracted'],
+      ['doc-a0', '2025-03-10', 'uploadDate']
+    ]);
+    expect(result.pending).toHaveLength(1);
+    expect(result.pending[0]).toMatchObject({ documentId: 'doc-a2', applied: false });
+    expect(result.terms.systemCapacity.value).toBe('2800');
+    expect(result.terms.annualEscalation).toBeUndefined();
+    expect(result.supportingDocuments).toEqual([{ documentId: 'doc-ex', title: 'Exhibit A.pdf', documentType: 'EXHIBIT' }]);
+  });
+});
+
+describe('contractConsolidationService.getEffectiveTerms', () => {
+  it('should consolidate analyzed uploads and reject contracts without analyses', async () => {
+    const upload = (id, filename, documentType, extractedData) => ({
+      id,
+      originalName: filename,
+      uploadDate: new Date('2026-01-01'),
+      extractedData: { analysis: { filename, extractedData, structuredExtraction: { documentType } } }
+    });
+    const prisma = {
+      contractDocument: { findMany: jest.fn().mockResolvedValue([]) },
+      $queryRaw: jest.fn().mockResolvedValue([
+        upload('u1', 'PPA.pdf', 'PPA', { effectiveDate: '2024-01-15', baseRate: '0.085' }),
+        upload('u2', 'Amendment No. 1.pdf', 'Amendment', { effectiveDate: '2025-03-01', baseRate: '0.0815' }),
+        { id: 'u3', originalName: 'Pending.pdf', extractedData: {} }
+      ])
+    };
+
+    const result = await contractConsolidationService.getEffectiveTerms(prisma, 'contract-1', { asOf: '2026-01-01' });
+    expect(result.contractId).toBe('contract-1');
+    expect(result.terms.baseRate).toMatchObject({ value: '0.0815', sourceTitle: 'Amendment No. 1.pdf' });
+
+    await expect(contractConsolidationService.getEffectiveTerms(null, 'empty', {}))
+      .rejects.toMatchObject({ name: 'ConsolidationError', statusCode: 404 });
+    await expect(contractConsolidationService.getEffectiveTerms(prisma, 'contract-1', { asOf: 'soon' }))
+      .rejects.toBeInstanceOf(ConsolidationError);
+  });
+
+  it('should prefer ContractDocuments in sequence order with review decisions applied', async () => {
+    const item = (aspectName, value, extra = {}) => ({ aspectName, evidence: { value }, reviewDecision: 'PENDING', ...extra });
+    const contractDocument = (id, title, documentType, sequenceOrder, confidenceTracking, extra = {}) => ({
+      id,
+      title,
+      documentType,
+      sequenceOrder,
+      parentDocumentId: null,
+      uploadDate: new Date('2026-01-01'),
+      analyses: [{ effectiveDate: null, confidenceTracking }],
+      ...extra
+    });
+    const prisma = {
+      contractDocument: {
+        findMany: jest.fn().mockResolvedValue([
+          contractDocument('d0', 'PPA', 'PRIMARY', 0, [
+            item('effectiveDate', '2024-01-15'),
+            item('baseRate', '0.085'),
+            item('contractTerm', '15')
+          ]),
+          // Same effective date, so only sequenceOrder decides which wins
+          contractDocument('d1', 'Amendment 1', 'AMENDMENT', 1, [
+            item('effectiveDate', '2025-03-01'),
+            item('baseRate', '0.09', { reviewDecision: 'CORRECTED', reviewedValue: '0.0815' })
+          ]),
+          contractDocument('d2', 'Amendment 2', 'AMENDMENT', 2, [
+            item('effectiveDate', '2025-03-01'),
+            item('baseRate', '0.079'),
+            item('contractTerm', '99', { reviewDecision: 'REJECTED' })
+          ], { parentDocumentId: 'd1' }),
+          contractDocument('d3', 'Unanalyzed exhibit', 'EXHIBIT', 3, [], { analyses: [] })
+        ])
+      },
+      $queryRaw: jest.fn()
+    };
+
+    const result = await contractConsolidationService.getEffectiveTerms(prisma, 'contract-1', { asOf: '2026-01-01' });
+
+    expect(prisma.$queryRaw).not.toHaveBeenCalled();
+    expect(result.primaryDocument.documentId).toBe('d0');
+    expect(result.timeline.map(entry => [entry.documentId, entry.parentDocumentId])).toEqual([['d1', null], ['d2', 'd1']]);
+    expect(result.timeline[0].changes).toEqual([{ field: 'baseRate', previousValue: '0.085', value: '0.0815' }]);
+    expect(result.terms.baseRate).toMatchObject({ value: '0.079', sourceDocumentId: 'd2' });
+    expect(result.terms.contractTerm).toMatchObject({ value: '15', amended: false });
+    expect(result.supportingDocuments).toEqual([]);
+  });
+
+  it('should apply an amendment uploaded later but dated earlier before the newer one', async () => {
+    const item = (aspectName, value) => ({ aspectName, evidence: { value }, reviewDecision: 'PENDING' });
+    const contractDocument = (id, documentType, sequenceOrder, confidenceTracking) => ({
+      id,
+      title: id,
+      documentType,
+      sequenceOrder,
+      parentDocumentId: null,
+      uploadDate: new Date('2026-01-01'),
+      analyses: [{ effectiveDate: null, confidenceTracking }]
+    });
+    const prisma = {
+      contractDocument: {
+        findMany: jest.fn().mockResolvedValue([
+          contractDocument('ppa', 'PRIMARY', 0, [item('effectiveDate', '2024-01-15'), item('baseRate', '0.085')]),
+          contractDocument('amendment-2', 'AMENDMENT', 1, [item('effectiveDate', '2025-06-01'), item('baseRate', '0.09')]),
+          // Found and uploaded after Amendment 2
+          contractDocument('amendment-1', 'AMENDMENT', 2, [item('effectiveDate', '2025-01-01'), item('baseRate', '0.087')])
+        ])
+      }
+    };
+
+    const result = await contractConsolidationService.getEffectiveTerms(prisma, 'contract-1', { asOf: '2026-01-01' });
+
+    expect(result.timeline.map(entry => entry.documentId)).toEqual(['amendment-1', 'amendment-2']);
+    expect(result.terms.baseRate).toMatchObject({ value: '0.09', sourceDocumentId: 'amendment-2' });
+  });
+});
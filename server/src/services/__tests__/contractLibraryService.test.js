@@ -0,0 +1,130 @@
+/**
+ * Unit Tests for contract library facets and saved views
+ */
+
+import contractLibraryService, { parseFilters, filterContracts } from '../contractLibraryService.js';
+
+const contract = (id, overrides = {}) => ({
+  id,
+  name: `Contract ${id}`,
+  client: 'Acme',
+  site: 'San Jose',
+  capacity: 1000,
+  term: 15,
+  systemType: 'POWER_PURCHASE_STANDARD',
+  status: 'ACTIVE',
+  effectiveDate: new Date('2025-01-01T00:00:00Z'),
+  tags: [],
+  financial: { escalation: 2.5 },
+  technical: { voltage: 'V_480', components: ['RI', 'AC'] },
+  ...overrides
+});
+
+const contracts = [
+  contract('a'),
+  contract('b', { status: 'DRAFT', capacity: 500, tags: ['priority'], technical: { voltage: 'V_480', components: ['RI', 'BESS'] } }),
+  contract('c', { systemType: 'MICROGRID_CONSTRAINED', capacity: 2000, term: 20, client: 'Globex' }),
+  // In-memory store shape
+  {
+    id: 'd',
+    name: 'Contract d',
+    client: 'Acme',
+    site: 'Fremont',
+    capacity: 750,
+    term: 10,
+    systemType: 'POWER_PURCHASE_STANDARD',
+    status: 'ACTIVE',
+    effectiveDate: '2024-06-15',
+    tags: ['priority'],
+    financialParams: { escalation: 3 },
+    technicalParams: { voltage: 'V_208', components: ['RI'] }
+  }
+];
+
+describe('parseFilters', () => {
+  it('should keep only set filters and split lists', () => {
+    expect(parseFilters({
+      search: '  acme ',
+      status: 'ACTIVE,PENDING',
+      components: ['RI', ' BESS '],
+      capacityMin: '500',
+      capacityMax: '',
+      effectiveFrom: '2025-01-01'
+    })).toEqual({
+      search: 'acme',
+      status: ['ACTIVE', 'PENDING'],
+      components: ['RI', 'BESS'],
+      capacityMin: 500,
+      effectiveFrom: '2025-01-01'
+    });
+  });
+
+  it('should reject invalid numbers, dates and inverted ranges', () => {
+    expect(() => parseFilters({ termMin: 'ten' })).toThrow('termMin must be a number');
+    expect(() => parseFilters({ effectiveTo: 'someday' })).toThrow('effectiveTo must be a date (YYYY-MM-DD)');
+    expect(() => parseFilters({ escalationMin: 3, escalationMax: 2 })).toThrow('escalationMin must not be greater than escalationMax');
+  });
+});
+
+describe('filterContracts', () => {
+  it('should combine filters across both storage shapes', () => {
+    const result = filterContracts(contracts, parseFilters({ customer: 'acme', tags: 'priority', escalationMin: 2 }));
+    expect(result.contracts.map(c => c.id)).toEqual(['b', 'd']);
+    expect(result.total).toBe(2);
+
+    expect(filterContracts(contracts, parseFilters({ components: 'RI,AC' })).contracts.map(c => c.id)).toEqual(['a', 'c']);
+    expect(filterContracts(contracts, parseFilters({ effectiveTo: '2024-12-31' })).contracts.map(c => c.id)).toEqual(['d']);
+  });
+
+  it('should count each facet without its own filter', () => {
+    const { facets } = filterContracts(contracts, parseFilters({ systemType: 'POWER_PURCHASE_STANDARD', status: 'ACTIVE' }));
+
+    // System types counted over ACTIVE contracts only
+    expect(facets.systemType).toEqual([
+      { value: 'POWER_PURCHASE_STANDARD', count: 2 },
+      { value: 'MICROGRID_CONSTRAINED', count: 1 }
+    ]);
+    // Statuses counted over standard power purchase contracts only
+    expect(facets.status).toEqual([{ value: 'ACTIVE', count: 2 }, { value: 'DRAFT', count: 1 }]);
+    expect(facets.voltage).toEqual([{ value: 'V_208', count: 1 }, { value: 'V_480', count: 1 }]);
+    expect(facets.capacity).toEqual({ min: 750, max: 1000 });
+    expect(facets.effectiveDate).toEqual({ min: '2024-06-15', max: '2025-01-01' });
+  });
+});
+
+describe('saved views', () => {
+  let prisma;
+
+  beforeEach(() => {
+    prisma = {
+      savedContractView: {
+        count: jest.fn().mockResolvedValue(1),
+        findFirst: jest.fn().mockResolvedValue(null),
+        create: jest.fn().mockImplementation(({ data }) => Promise.resolve({ id: 'view-1', ...data })),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 })
+      },
+      $transaction: jest.fn().mockImplementation(callback => callback(prisma))
+    };
+  });
+
+  it('should store parsed filters and clear the previous default', async () => {
+    const view = await contractLibraryService.createView(prisma, 'user-1', {
+      name: ' Morning pipeline ',
+      filters: { status: 'PENDING', capacityMin: '1000', unknown: 'ignored' },
+      isDefault: true
+    });
+
+    expect(view).toMatchObject({ name: 'Morning pipeline', filters: { status: ['PENDING'], capacityMin: 1000 }, isDefault: true });
+    expect(prisma.savedContractView.updateMany).toHaveBeenCalledWith({
+      where: { userId: 'user-1', isDefault: true },
+      data: { isDefault: false }
+    });
+  });
+
+  it('should reject duplicate names', async () => {
+    prisma.savedContractView.findFirst.mockResolvedValue({ id: 'view-0', name: 'Morning pipeline' });
+
+    await expect(contractLibraryService.createView(prisma, 'user-1', { name: 'Morning pipeline', filters: {} }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Unit Tests for exhibit table extraction and mapping onto contract fields
+ */
+
+import {
+  applyTableFields,
+  deriveEscalation,
+  extractContractTables,
+  fromCellTables,
+  mapTablesToContractFields
+} from '../contractTableExtractor.js';
+import PatternMatcher from '../patternMatcher.js';
+
+// Text layer with column gaps preserved
+const pricingExhibit = `EXHIBIT B - PRICING SCHEDULE
+Contract Year    Rate ($/kWh)    Guaranteed Output (%)
+1                $0.1200         95.0%
+2                $0.1236         94.5%
+3-20             Escalates 3% per year from the second anniversary
+
+The Seller shall deliver all energy generated by the System.`;
+
+// OCR output: gaps collapsed to single spaces, cents and calendar years
+const ocrExhibits = `Exhibit C Price Schedule
+Years Price (¢/kWh)
+1-5 12.50
+6-10 13.75
+11+ 15.00
+SCHEDULE 2 - SITES
+Site Name Address Capacity (kW)
+Plant A 123 Main St, Springfield 500
+Plant B 9 Oak Ave 1,000
+Total 1,500
+Exhibit D Performance Guarantees
+Operating Year Efficiency Guarantee Availability
+2025 52% 95%
+2026 51.5% 95%`;
+
+describe('extractContractTables', () => {
+  it('should parse a text-layer rate schedule into typed records', () => {
+    const [table] = extractContractTables(pricingExhibit);
+
+    expect(table).toMatchObject({ kind: 'rateSchedule', title: 'EXHIBIT B - PRICING SCHEDULE', startLine: 1 });
+    expect(table.records).toEqual([
+      { fromYear: 1, toYear: 1, rate: 0.12, output: 95 },
+      { fromYear: 2, toYear: 2, rate: 0.1236, output: 94.5 },
+      { fromYear: 3, toYear: 20, escalation: 3 }
+    ]);
+  });
+
+  it('should read OCR text with single-space columns, units and calendar years', () => {
+    const tables = extractContractTables(ocrExhibits);
+
+    expect(tables.map(table => table.kind)).toEqual(['rateSchedule', 'siteCapacity', 'performanceGuarantee']);
+    expect(tables[0].records.map(record => [record.fromYear, record.toYear, record.rate]))
+      .toEqual([[1, 5, 0.125], [6, 10, 0.1375], [11, null, 0.15]]);
+    // Street numbers are not capacities and the total row is dropped
+    expect(tables[1].records).toEqual([
+      { name: 'Plant A', capacityKw: 500 },
+      { name: 'Plant B', capacityKw: 1000 }
+    ]);
+    expect(tables[2].records[1]).toEqual({ fromYear: 2, toYear: 2, calendarYear: 2026, efficiency: 51.5, availability: 95 });
+  });
+
+  it('should read Textract cell tables', () => {
+    const [table] = fromCellTables([{
+      headers: ['Site', 'Capacity (MW)'],
+      rows: [['Site', 'Capacity (MW)'], ['North Campus', '1.5'], ['South Campus', '0.65']]
+    }]);
+
+    expect(table).toMatchObject({ kind: 'siteCapacity', source: 'textract' });
+    expect(table.records).toEqual([
+      { name: 'North Campus', capacityKw: 1500 },
+      { name: 'South Campus', capacityKw: 650 }
+    ]);
+  });
+});
+
+describe('deriveEscalation', () => {
+  it('should collapse rates that compound at one escalator into a fixed schedule', () => {
+    const years = [0.1, 0.103, 0.1061, 0.1093, 0.1126].map((rate, index) => ({ fromYear: index + 1, toYear: index + 1, rate }));
+    expect(deriveEscalation(years)).toEqual({ baseRate: 0.1, annualEscalation: 3, schedule: { type: 'fixed', rate: 3 } });
+  });
+
+  it('should keep step-ups and mixed bands', () => {
+    expect(deriveEscalation([
+      { fromYear: 1, toYear: 5, rate: 0.125 },
+      { fromYear: 6, toYear: 10, rate: 0.1375 },
+      { fromYear: 11, toYear: null, rate: 0.15 }
+    ]).schedule).toEqual({ type: 'step', steps: [{ year: 6, rate: 0.1375 }, { year: 11, rate: 0.15 }] });
+
+    expect(deriveEscalation([
+      { fromYear: 1, toYear: 2, rate: 0.12 },
+      { fromYear: 3, toYear: 10, escalation: 2 },
+      { fromYear: 11, toYear: 20, escalation: 3 }
+    ]).schedule).toEqual({
+      type: 'tiered',
+      tiers: [{ fromYear: 2, toYear: 2, rate: 0 }, { fromYear: 3, toYear: 10, rate: 2 }, { fromYear: 11, toYear: 20, rate: 3 }]
+    });
+  });
+});
+
+describe('mapTablesToContractFields', () => {
+  it('should map rate, site and guarantee tables onto contract fields', () => {
+    const fields = mapTablesToContractFields(extractContractTables(`${pricingExhibit}\n${ocrExhibits}`));
+
+    expect(fields).toMatchObject({
+      baseRate: 0.12,
+      annualEscalation: 3,
+      escalationSchedule: { type: 'fixed', rate: 3 },
+      sites: [{ name: 'Plant A', capacityKw: 500 }, { name: 'Plant B', capacityKw: 1000 }],
+      systemCapacity: 1500,
+      outputWarranty: 95,
+      efficiencyWarranty: 52,
+      availabilityGuarantee: 95
+    });
+  });
+
+  it('should only fill values the model did not return', () => {
+    expect(applyTableFields(
+      { baseRate: '$0.13/kWh', annualEscalation: 'NOT SPECIFIED' },
+      { baseRate: 0.12, annualEscalation: 3, sites: [{ name: 'Plant A', capacityKw: 500 }] }
+    )).toEqual({ baseRate: '$0.13/kWh', annualEscalation: 3, sites: [{ name: 'Plant A', capacityKw: 500 }] });
+  });
+});
+
+describe('PatternMatcher.extractTableData', () => {
+  it('should return parsed tables whose title or header matches a cue', () => {
+    const tables = new PatternMatcher().extractTableData(ocrExhibits, ['Sites', 'Performance Guarantee']);
+
+    expect(tables.map(table => [table.cue, table.kind])).toEqual([
+      ['Sites', 'siteCapacity'],
+      ['Performance Guarantee', 'performanceGuarantee']
+    ]);
+    expect(tables[0]).toMatchObject({ startPosition: 6, lines: expect.arrayContaining(['Plant B 9 Oak Ave 1,000']) });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for clause-level document redlining
+ */
+
+import documentDiffService, { diffDocuments, diffWords, extractValues, segmentClauses } from '../documentDiffService.js';
+
+const page = (pageNumber, extractedText) => ({ pageNumber, extractedText });
+
+const original = [
+  page(1, `ARTICLE 2 PRICING
+2.1 The base rate is $0.1200/kWh in the first contract year.
+2.2 The rate shall escalate at 2.5% per annum on each anniversary of COD.
+2.3 Invoices are payable within thirty days.`),
+  page(2, `ARTICLE 3 WARRANTIES
+3.1 Seller provides an output warranty of 95% of rated capacity.
+3.2 Seller may not assign this Agreement.`)
+];
+
+const revised = [
+  page(1, `ARTICLE 2 PRICING
+2.1 The base rate is $0.1200/kWh in the first contract year.
+2.2 The rate shall escalate at 3.0% per annum on each anniversary of COD.
+2.3 Invoices are payable within forty five days of receipt.
+2.4 Late payments accrue interest at 1% per month.`),
+  page(2, `ARTICLE 3 WARRANTIES
+3.1 Seller provides an output warranty of 95% of rated capacity.`)
+];
+
+describe('segmentClauses', () => {
+  it('should split pages into headings and numbered clauses', () => {
+    const clauses = segmentClauses(original);
+
+    expect(clauses.map(clause => clause.number || clause.text)).toEqual([
+      'ARTICLE 2 PRICING', '2.1', '2.2', '2.3', 'ARTICLE 3 WARRANTIES', '3.1', '3.2'
+    ]);
+    expect(clauses[5]).toMatchObject({ section: 'ARTICLE 3 WARRANTIES', heading: false, page: 2 });
+  });
+});
+
+describe('diffWords', () => {
+  it('should put deletions before insertions', () => {
+    expect(diffWords('payable within thirty days', 'payable within forty five days')).toEqual([
+      { type: 'equal', text: 'payable within' },
+      { type: 'delete', text: 'thirty' },
+      { type: 'insert', text: 'forty five' },
+      { type: 'equal', text: 'days' }
+    ]);
+  });
+});
+
+describe('extractValues', () => {
+  it('should read commercial values and normalize capacity to kW', () => {
+    expect(extractValues('A 1.5 MW system at $0.125/kWh, escalating at 2.5% per annum, for a term of fifteen (15) years'))
+      .toEqual({ escalation: [2.5], baseRate: [0.125], capacity: [1500], term: [15] });
+  });
+});
+
+describe('diffDocuments', () => {
+  it('should classify clause changes', () => {
+    const { summary, clauses } = diffDocuments(original, revised);
+
+    expect(summary).toMatchObject({ inserted: 1, deleted: 1, modified: 2, unchanged: 4 });
+    expect(clauses.map(clause => `${clause.type} ${clause.number}`)).toEqual([
+      'modified 2.2', 'modified 2.3', 'inserted 2.4', 'deleted 3.2'
+    ]);
+    expect(clauses[0].segments).toContainEqual({ type: 'delete', text: '2.5%' });
+    expect(clauses[0].segments).toContainEqual({ type: 'insert', text: '3.0%' });
+  });
+
+  it('should flag changed values but not values that only moved', () => {
+    const { valueChanges } = diffDocuments(original, revised);
+    expect(valueChanges).toEqual([expect.objectContaining({
+      field: 'escalation',
+      change: 'modified',
+      before: [2.5],
+      after: [3],
+      revised: { section: 'ARTICLE 2 PRICING', number: '2.2', page: 1 }
+    })]);
+
+    // Same escalation, restated in a different clause
+    const moved = [page(1, `ARTICLE 2 PRICING
+2.1 The base rate is $0.1200/kWh in the first contract year.
+2.5 Rates escalate annually at 2.5% per annum.`)];
+    expect(diffDocuments(original.slice(0, 1), moved).valueChanges).toEqual([]);
+  });
+
+  it('should pair a clause moved past others with its original', () => {
+    const reordered = [
+      page(1, `ARTICLE 2 PRICING
+2.1 The base rate is $0.1200/kWh in the first contract year.
+2.2 The rate shall escalate at 2.5% per annum on each anniversary of COD.`),
+      page(2, `ARTICLE 3 WARRANTIES
+3.1 Seller provides an output warranty of 95% of rated capacity.
+3.2 Seller may not assign this Agreement.
+3.3 Invoices are payable within thirty business days.`)
+    ];
+    const { summary, clauses } = diffDocuments(original, reordered);
+
+    expect(summary).toMatchObject({ inserted: 0, deleted: 0, modified: 1, moved: 1 });
+    expect(clauses).toEqual([expect.objectContaining({
+      type: 'modified',
+      number: '3.3',
+      movedFrom: { section: 'ARTICLE 2 PRICING', number: '2.3', page: 1 },
+      revisedPage: 2
+    })]);
+  });
+});
+
+describe('compareDocuments', () => {
+  it('should include analysis changes and reject documents without text', async () => {
+    const documents = {
+      a: { id: 'a', title: 'Draft 1', pages: original, analyses: [{ totalValue: 1000000, effectiveDate: new Date('2025-01-01') }] },
+      b: { id: 'b', title: 'Draft 2', pages: revised, analyses: [{ totalValue: 1200000, effectiveDate: new Date('2025-01-01') }] },
+      empty: { id: 'empty', title: 'Scan', pages: [page(1, '')], analyses: [] }
+    };
+    const prisma = {
+      contractDocument: { findUnique: jest.fn(({ where }) => Promise.resolve(documents[where.id] || null)) }
+    };
+
+    const result = await documentDiffService.compareDocuments(prisma, 'a', 'b');
+    expect(result.valueChanges.map(change => `${change.source} ${change.field}`)).toEqual(['text escalation', 'analysis totalValue']);
+    expect(result.summary.valueChanges).toBe(2);
+
+    await expect(documentDiffService.compareDocuments(prisma, 'a', 'empty')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(documentDiffService.compareDocuments(prisma, 'a', 'missing')).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for document similarity scoring and group suggestions
+ */
+
+import documentSimilarityService, {
+  buildTfIdfVectors,
+  cosineSimilarity,
+  extractPartyNames,
+  tokenize
+} from '../documentSimilarityService.js';
+
+const PPA_TEXT = 'Power purchase of electricity generated by the fuel cell system at the Premises. '
+  + 'Purchaser shall pay the Contract Rate per kilowatt hour delivered, escalating annually.';
+
+const document = (id, contractId, overrides = {}) => ({
+  id,
+  contractId,
+  documentType: 'PRIMARY',
+  contract: { id: contractId, name: `Contract ${contractId}`, client: 'Acme', effectiveDate: null },
+  pages: [{ extractedText: PPA_TEXT }],
+  analyses: [{
+    contractType: 'Power Purchase Agreement',
+    parties: [{ name: 'Acme, Inc.', role: 'buyer' }, { name: 'Bloom Energy Corporation', role: 'seller' }],
+    effectiveDate: new Date('2025-01-01T00:00:00Z')
+  }],
+  ...overrides
+});
+
+describe('text similarity', () => {
+  it('should score shared vocabulary above unrelated text', () => {
+    const [a, b, c] = buildTfIdfVectors([
+      tokenize(PPA_TEXT),
+      tokenize(`${PPA_TEXT} Term of fifteen years.`),
+      tokenize('Office lease of the third floor suite, rent due monthly to the landlord.')
+    ]);
+
+    expect(cosineSimilarity(a, a)).toBeCloseTo(1);
+    expect(cosineSimilarity(a, b)).toBeGreaterThan(0.8);
+    expect(cosineSimilarity(a, c)).toBe(0);
+  });
+
+  it('should normalize party names from arrays and role objects', () => {
+    expect(extractPartyNames([{ name: 'Acme, Inc.' }, 'Bloom Energy Corp.'])).toEqual(['acme', 'bloom energy']);
+    expect(extractPartyNames({ buyer: 'ACME Inc', seller: { name: 'Bloom Energy Corporation' } }))
+      .toEqual(['acme', 'bloom energy']);
+  });
+});
+
+describe('documentSimilarityService.analyzeDocument', () => {
+  let prisma;
+
+  beforeEach(() => {
+    prisma = {
+      contractDocument: {
+        findUnique: jest.fn().mockResolvedValue(document('doc-a', 'contract-a')),
+        findMany: jest.fn().mockResolvedValue([
+          document('doc-b', 'contract-b'),
+          document('doc-c', 'contract-a', { documentType: 'AMENDMENT', pages: [{ extractedText: 'Amendment No. 1 revising the escalation rate.' }] }),
+          document('doc-d', 'contract-d', {
+            contract: { id: 'contract-d', name: 'Lease', client: 'Globex' },
+            pages: [{ extractedText: 'Office lease of the third floor suite, rent due monthly to the landlord.' }],
+            analyses: [{ contractType: 'Lease', parties: ['Globex LLC'], effectiveDate: new Date('2019-06-01T00:00:00Z') }]
+          })
+        ])
+      },
+      documentSimilarity: {
+        deleteMany: jest.fn().mockResolvedValue({ count: 0 }),
+        createMany: jest.fn().mockResolvedValue({ count: 2 })
+      },
+      contractGroup: {
+        findFirst: jest.fn().mockResolvedValue(null),
+        create: jest.fn().mockImplementation(({ data }) => Promise.resolve({ id: 'group-1', ...data }))
+      }
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should store classified pairs and skip unrelated documents', async () => {
+    const result = await documentSimilarityService.analyzeDocument(prisma, 'doc-a');
+
+    expect(result).toEqual({ documentId: 'doc-a', compared: 3, stored: 2, groups: ['group-1'] });
+    const rows = Object.fromEntries(prisma.documentSimilarity.createMany.mock.calls[0][0].data.map(row => [row.targetDocumentId, row]));
+
+    expect(rows['doc-b']).toMatchObject({
+      sourceDocumentId: 'doc-a',
+      relationshipType: 'SAME_CONTRACT',
+      partySimilarity: 1,
+      contentSimilarity: 1,
+      aiModel: 'local-tfidf-v1'
+    });
+    expect(rows['doc-b'].matchingFactors).toEqual(expect.arrayContaining(['contract_type', 'shared_parties:acme|bloom energy']));
+    expect(rows['doc-c']).toMatchObject({ relationshipType: 'AMENDMENT' });
+    expect(rows['doc-c'].matchingFactors).toContain('same_contract');
+    expect(rows['doc-d']).toBeUndefined();
+  });
+
+  it('should suggest an auto-created group for related contracts only', async () => {
+    await documentSimilarityService.analyzeDocument(prisma, 'doc-a');
+
+    expect(prisma.contractGroup.create).toHaveBeenCalledTimes(1);
+    expect(prisma.contractGroup.create.mock.calls[0][0].data).toMatchObject({
+      name: 'Possible duplicates: Contract contract-a',
+      groupType: 'DUPLICATE_DETECTION',
+      primaryContractId: 'contract-a',
+      autoCreated: true,
+      contracts: { connect: [{ id: 'contract-a' }, { id: 'contract-b' }] },
+      documents: { connect: [{ id: 'doc-a' }, { id: 'doc-b' }] }
+    });
+  });
+});
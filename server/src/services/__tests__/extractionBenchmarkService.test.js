@@ -0,0 +1,87 @@
+/**
+ * Unit Tests for Extraction Benchmark Service
+ */
+
+import { compareValues, scoreDocument, summarizeResults, renderMarkdown } from '../extractionBenchmarkService.js';
+
+const fixture = {
+  id: 'system-order',
+  filename: 'System Order.pdf',
+  documentType: 'System_Order',
+  fields: {
+    buyer: 'Acme Health Systems, Inc.',
+    effectiveDate: '2024-01-15',
+    systemCapacity: '2800',
+    baseRate: '0.085',
+    contractTerm: '15',
+    annualEscalation: null,
+    efficiencyWarranty: null
+  },
+  tolerances: { baseRate: 0.05 }
+};
+
+describe('compareValues', () => {
+  it('should match dates, numbers and text across formats', () => {
+    expect(compareValues('2024-01-15', 'January 15, 2024')).toEqual({ matched: true, match: 'date' });
+    expect(compareValues('2024-01-15', '2024-01-16').matched).toBe(false);
+    expect(compareValues('2800', '2,800 kW')).toEqual({ matched: true, match: 'normalized' });
+    expect(compareValues('0.085', '$0.0850/kWh')).toEqual({ matched: true, match: 'normalized' });
+    expect(compareValues('0.085', '0.0855')).toEqual({ matched: true, match: 'numeric' });
+    expect(compareValues('0.085', '0.09').matched).toBe(false);
+    expect(compareValues('0.085', '0.089', 0.05)).toEqual({ matched: true, match: 'numeric' });
+    expect(compareValues('Acme Health Systems, Inc.', 'ACME HEALTH SYSTEMS INC')).toEqual({ matched: true, match: 'normalized' });
+  });
+});
+
+describe('scoreDocument', () => {
+  it('should classify each labeled field outcome', () => {
+    const scored = scoreDocument(fixture, {
+      extractedData: {
+        buyer: 'Acme Health Systems Inc.',
+        effectiveDate: '2024-02-01',
+        systemCapacity: 'NOT SPECIFIED',
+        baseRate: '0.088',
+        contractTerm: '15',
+        annualEscalation: 'NOT SPECIFIED',
+        efficiencyWarranty: '52'
+      },
+      structuredExtraction: { documentType: 'System_Order' }
+    });
+
+    const outcomes = Object.fromEntries(scored.fields.map(field => [field.field, field.outcome]));
+    expect(outcomes).toEqual({
+      buyer: 'correct',
+      effectiveDate: 'incorrect',
+      systemCapacity: 'missed',
+      baseRate: 'correct',
+      contractTerm: 'correct',
+      annualEscalation: 'correct_absent',
+      efficiencyWarranty: 'spurious'
+    });
+    expect(scored.classifiedCorrectly).toBe(true);
+  });
+});
+
+describe('summarizeResults', () => {
+  it('should report per-field and per-doc-type precision and recall', () => {
+    const scored = scoreDocument(fixture, {
+      extractedData: { buyer: 'Acme Health Systems, Inc.', effectiveDate: '2024-02-01', baseRate: '0.088', contractTerm: '15', efficiencyWarranty: '52' },
+      structuredExtraction: { documentType: 'Amendment' }
+    });
+    const failed = { ...scoreDocument({ ...fixture, id: 'failed' }, null), error: 'No recorded response' };
+
+    const report = summarizeResults([scored, failed], { mode: 'stub', promptFingerprint: 'abc123' });
+
+    // TP: buyer, baseRate, contractTerm; FP: effectiveDate, efficiencyWarranty; FN: effectiveDate, systemCapacity + 5 from the failure
+    expect(report.totals).toMatchObject({ documents: 2, failed: 1, tp: 3, fp: 2, fn: 7, tn: 3, toleranceMatches: 1 });
+    expect(report.totals.precision).toBe(0.6);
+    expect(report.totals.recall).toBe(0.3);
+    expect(report.fields.baseRate).toMatchObject({ tp: 1, fn: 1, recall: 0.5, toleranceMatches: 1 });
+    expect(report.docTypes.System_Order).toMatchObject({ documents: 2, classificationAccuracy: 0 });
+
+    const markdown = renderMarkdown(report, { ...report, promptFingerprint: 'def456', totals: { ...report.totals, f1: 0.5 } });
+    expect(markdown).toContain('prompts changed');
+    expect(markdown).toContain('- **systemCapacity** missed: expected `2800`, got `NOT SPECIFIED`');
+    expect(markdown).toContain('- ❌ No recorded response');
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Unit Tests for Extraction Spec Schema
+ */
+
+import fs from 'fs';
+import path from 'path';
+import yaml from 'js-yaml';
+import { normalizeExtractionSpec, validateExtractionSpec } from '../extractionSpecSchema.js';
+
+const bundledSpecPath = path.join(__dirname, '..', '..', 'config', 'contract_extraction_spec.yaml');
+const loadBundledSpec = () => yaml.load(fs.readFileSync(bundledSpecPath, 'utf8'));
+
+describe('validateExtractionSpec', () => {
+  it('should accept the bundled spec', () => {
+    const { value, errors } = validateExtractionSpec(normalizeExtractionSpec(loadBundledSpec()));
+
+    expect(errors).toEqual([]);
+    expect(value.spec_version).toMatch(/^\d+\.\d+\.\d+$/);
+  });
+
+  it('should report every problem with its location', () => {
+    const spec = loadBundledSpec();
+    spec.extraction_fields.commercial[0].patterns = ['(?<value>[0-9+)'];
+    spec.extraction_order[0].fields.push('notARealField');
+    spec.doc_type_classifier.strategy.header_cues.Unknown_Type = ['Mystery Agreement'];
+
+    const { errors } = validateExtractionSpec(normalizeExtractionSpec(spec));
+
+    expect(errors).toEqual(expect.arrayContaining([
+      expect.stringMatching(/^extraction_fields\.commercial\[0\]\.patterns\[0\]: invalid regular expression/),
+      'extraction_order[0].fields[19]: unknown field "notARealField" (not defined in extraction_fields)',
+      'doc_type_classifier.strategy.header_cues.Unknown_Type: document type has no extraction_order entry'
+    ]));
+  });
+
+  it('should reject a spec with missing sections', () => {
+    const { errors } = validateExtractionSpec({ spec_version: 'v1' });
+
+    expect(errors).toEqual(expect.arrayContaining([
+      'spec_version: must be a semantic version like "1.2.0"',
+      'doc_type_classifier: is required',
+      'extraction_fields: is required'
+    ]));
+  });
+});
+
+describe('normalizeExtractionSpec', () => {
+  it('should convert Python-style patterns and list-form classifier strategy', () => {
+    const normalized = normalizeExtractionSpec({
+      doc_type_classifier: {
+        strategy: [{ header_cues: { PPA: ['Power Purchase'] } }, { negative_cues: ['Draft'] }]
+      },
+      extraction_fields: {
+        parties: [{ key: 'customerName', patterns: ['(?i)customer[:\\s]+(?P<value>[^\\n]+)'] }]
+      }
+    });
+
+    expect(normalized.doc_type_classifier.strategy).toEqual({
+      header_cues: { PPA: ['Power Purchase'] },
+      negative_cues: ['Draft']
+    });
+    expect(normalized.extraction_fields.parties[0]).toMatchObject({
+      patterns: ['customer[:\\s]+(?<value>[^\\n]+)'],
+      flags: 'i'
+    });
+  });
+});
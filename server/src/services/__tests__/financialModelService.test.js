@@ -0,0 +1,43 @@
+/**
+ * Unit Tests for Financial Model Service
+ */
+
+import financialModelService from '../financialModelService.js';
+
+describe('financialModelService', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should compute escalated totals, NPV and the levelized rate', () => {
+    const model = financialModelService.calculate({ capacity: 1000, term: 2, baseRate: 0.1, escalation: 10, discountRate: 10 });
+
+    // Year 1: 1000 × 0.10 × 12 = 1200; year 2: 1000 × 0.11 × 12 = 1320
+    expect(model.totalValue).toBe(2520);
+    expect(model.yearlyRate).toBe(0.1);
+    expect(model.yearlyRates.map(year => year.annualPayment)).toEqual([1200, 1320]);
+    expect(model.monthlyPaymentYear1).toBe(100);
+    expect(model.npv).toBeCloseTo(1200 / 1.1 + 1320 / 1.21, 2);
+    expect(model.averageRate).toBe(0.105);
+    expect(model.levelizedRate).toBeGreaterThan(0.1);
+    expect(model.levelizedRate).toBeLessThan(0.105);
+  });
+
+  it('should take the default discount rate from the environment', () => {
+    process.env.FINANCIAL_DISCOUNT_RATE = '5';
+    expect(financialModelService.calculate({ capacity: 325, term: 1, baseRate: 0.1 }).discountRate).toBe(5);
+    delete process.env.FINANCIAL_DISCOUNT_RATE;
+    expect(financialModelService.getDiscountRate()).toBe(8);
+  });
+
+  it('should return persistable totals only when the inputs are complete', () => {
+    expect(financialModelService.contractTotals(
+      { capacity: 1000, term: 3 },
+      { baseRate: 0.1, escalation: 0, escalationSchedule: { type: 'step', steps: [{ year: 3, rate: 0.2 }] } }
+    )).toEqual({ totalValue: 4800, yearlyRate: 0.1 });
+    expect(financialModelService.contractTotals({ capacity: 1000 }, { baseRate: 0.1 })).toBeNull();
+    expect(financialModelService.contractTotals({ capacity: 1000, term: 3 }, null)).toBeNull();
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Unit Tests for LLM Replay Service
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import llmReplayService, { ReplayMissError } from '../llmReplayService.js';
+
+class InvokeModelCommand {
+  constructor(input) {
+    this.input = input;
+  }
+}
+
+class InvokeModelWithResponseStreamCommand {
+  constructor(input) {
+    this.input = input;
+  }
+}
+
+describe('llmReplayService', () => {
+  const originalEnv = { ...process.env };
+  let replayDir;
+
+  beforeEach(() => {
+    replayDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-replay-'));
+    process.env.AI_PROVIDER = 'replay';
+    process.env.AI_REPLAY_DIR = replayDir;
+    process.env.AI_REPLAY_RECORD = 'true';
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    fs.rmSync(replayDir, { recursive: true, force: true });
+  });
+
+  it('should record Anthropic responses keyed by request and replay them offline', async () => {
+    const live = { messages: { create: jest.fn().mockResolvedValue({ content: [{ type: 'text', text: 'Recorded answer' }] }) } };
+    const params = { model: 'claude-test', max_tokens: 100, messages: [{ role: 'user', content: 'What is the term?' }] };
+
+    const recorder = llmReplayService.wrapAnthropicClient(() => live);
+    await expect(recorder.messages.create(params)).resolves.toEqual({ content: [{ type: 'text', text: 'Recorded answer' }] });
+    expect(live.messages.create).toHaveBeenCalledTimes(1);
+    expect(fs.readdirSync(path.join(replayDir, 'anthropic'))).toHaveLength(1);
+
+    process.env.AI_REPLAY_RECORD = 'false';
+    const createLive = jest.fn();
+    const replayer = llmReplayService.wrapAnthropicClient(createLive);
+
+    // Key order does not matter, content does
+    const reordered = { messages: params.messages, max_tokens: 100, model: 'claude-test' };
+    await expect(replayer.messages.create(reordered)).resolves.toEqual({ content: [{ type: 'text', text: 'Recorded answer' }] });
+    await expect(replayer.messages.create({ ...params, max_tokens: 200 })).rejects.toBeInstanceOf(ReplayMissError);
+    expect(createLive).not.toHaveBeenCalled();
+  });
+
+  it('should replay streamed Anthropic events in order', async () => {
+    const events = [
+      { type: 'content_block_delta', delta: { text: 'Hello ' } },
+      { type: 'content_block_delta', delta: { text: 'world' } },
+      { type: 'message_stop' }
+    ];
+    async function* liveStream() {
+      yield* events;
+    }
+    const params = { model: 'claude-test', messages: [{ role: 'user', content: 'Hi' }], stream: true };
+
+    const collect = async (stream) => {
+      const received = [];
+      for await (const event of stream) received.push(event);
+      return received;
+    };
+
+    const recorder = llmReplayService.wrapAnthropicClient(() => ({ messages: { create: async () => liveStream() } }));
+    expect(await collect(await recorder.messages.create(params))).toEqual(events);
+
+    process.env.AI_REPLAY_RECORD = 'false';
+    const replayer = llmReplayService.wrapAnthropicClient(() => { throw new Error('network'); });
+    expect(await collect(await replayer.messages.create(params))).toEqual(events);
+  });
+
+  it('should round-trip Bedrock binary bodies and response streams', async () => {
+    const encoder = new TextEncoder();
+    const body = encoder.encode(JSON.stringify({ content: [{ type: 'text', text: '{"ok":true}' }] }));
+    const chunk = encoder.encode(JSON.stringify({ type: 'content_block_delta', delta: { text: 'chunk' } }));
+    async function* liveEvents() {
+      yield { chunk: { bytes: chunk } };
+    }
+    const live = {
+      send: jest.fn(async (command) => (command instanceof InvokeModelWithResponseStreamCommand
+        ? { body: liveEvents() }
+        : { body })
+      )
+    };
+    const input = { modelId: 'anthropic.claude-test', body: JSON.stringify({ messages: [] }) };
+
+    const recorder = llmReplayService.wrapBedrockClient(async () => live);
+    await recorder.send(new InvokeModelCommand(input));
+    const recordedStream = await recorder.send(new InvokeModelWithResponseStreamCommand(input));
+    for await (const event of recordedStream.body) expect(event.chunk.bytes).toEqual(chunk);
+
+    process.env.AI_REPLAY_RECORD = 'false';
+    const replayer = llmReplayService.wrapBedrockClient(async () => { throw new Error('network'); });
+
+    const response = await replayer.send(new InvokeModelCommand(input));
+    expect(JSON.parse(new TextDecoder().decode(response.body)).content[0].text).toBe('{"ok":true}');
+
+    const stream = await replayer.send(new InvokeModelWithResponseStreamCommand(input));
+    const decoded = [];
+    for await (const event of stream.body) decoded.push(JSON.parse(new TextDecoder().decode(event.chunk.bytes)));
+    expect(decoded).toEqual([{ type: 'content_block_delta', delta: { text: 'chunk' } }]);
+    expect(live.send).toHaveBeenCalledTimes(2);
+  });
+});
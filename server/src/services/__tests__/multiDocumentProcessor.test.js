@@ -0,0 +1,256 @@
+/**
+ * Unit Tests for Multi-Document Processor and Contract Blueprint
+ */
+
+import MultiDocumentProcessor, { ProcessingJobError } from '../multiDocumentProcessor.js';
+import { DocumentChunker } from '../documentChunker.js';
+import { buildContractBlueprint } from '../contractBlueprintService.js';
+
+const buildAIResult = (extractedData, confidence = 0.8) => ({
+  documentSummary: { contractType: 'PPA', parties: { buyer: 'Acme Health', seller: 'Bloom Energy' }, keyTerms: [] },
+  extractedData,
+  extractedRules: [{ id: 'r1', category: 'payment', name: 'Monthly invoice', sourceText: 'Invoices are monthly', confidence }],
+  riskFactors: [],
+  anomalies: [],
+  summary: { confidenceScore: confidence }
+});
+
+const waitFor = async (predicate, attempts = 50) => {
+  for (let i = 0; i < attempts; i++) {
+    if (predicate()) return;
+    await new Promise(resolve => setImmediate(resolve));
+  }
+  throw new Error('Condition not met');
+};
+
+describe('DocumentChunker', () => {
+  const chunker = new DocumentChunker({ maxTokens: 100, overlapTokens: 10 });
+
+  it('should keep short documents in a single chunk', () => {
+    const chunks = chunker.chunkDocument('Short contract text');
+    expect(chunks).toHaveLength(1);
+    expect(chunks[0].text).toBe('Short contract text');
+  });
+
+  it('should split long documents into token-bounded chunks', () => {
+    const text = Array.from({ length: 10 }, (_, i) =>
+      `ARTICLE ${i + 1}\n${'The Purchaser shall pay the Seller monthly. '.repeat(8)}`
+    ).join('\n');
+
+    const chunks = chunker.chunkDocument(text);
+
+    expect(chunks.length).toBeGreaterThan(1);
+    chunks.forEach(chunk => expect(chunk.tokens).toBeLessThanOrEqual(100));
+    expect(chunks[chunks.length - 1].end).toBe(text.length);
+  });
+});
+
+describe('buildContractBlueprint', () => {
+  it('should parse values and record provenance for each field', () => {
+    const blueprint = buildContractBlueprint([
+      {
+        documentId: 'doc-1',
+        filename: 'PPA.pdf',
+        confidence: 0.9,
+        contractType: 'PPA',
+        parties: { buyer: 'Acme Health', seller: 'Bloom Energy' },
+        extractedData: { systemCapacity: '2.8 MW', baseRate: '$0.0850/kWh', annualEscalation: '2.5%', contractTerm: '15 years' },
+        extractedRules: []
+      },
+      {
+        documentId: 'doc-2',
+        filename: 'Amendment.pdf',
+        confidence: 0.6,
+        contractType: 'Amendment',
+        parties: {},
+        extractedData: { systemCapacity: '2,600 kW', baseRate: 'NOT SPECIFIED' },
+        extractedRules: []
+      }
+    ]);
+
+    expect(blueprint.formData.ratedCapacity).toBe(2800);
+    expect(blueprint.formData.baseRate).toBeCloseTo(0.085);
+    expect(blueprint.formData.annualEscalation).toBe(2.5);
+    expect(blueprint.formData.contractTerm).toBe(15);
+    expect(blueprint.formData.customerName).toBeNull();
+    expect(blueprint.sections.financial.baseRate).toBeCloseTo(0.085);
+    expect(blueprint.provenance.ratedCapacity).toMatchObject({ documentId: 'doc-1', rawValue: '2.8 MW', conflict: true });
+    expect(blueprint.provenance.ratedCapacity.alternatives[0]).toMatchObject({ documentId: 'doc-2', value: 2600 });
+    expect(blueprint.metadata.parties).toEqual(['Acme Health', 'Bloom Energy']);
+  });
+});
+
+describe('MultiDocumentProcessor', () => {
+  let aiService;
+  let processor;
+
+  beforeEach(() => {
+    aiService = { extractBusinessRules: jest.fn() };
+    processor = new MultiDocumentProcessor(aiService, new DocumentChunker({ maxTokens: 100, overlapTokens: 0 }));
+  });
+
+  it('should process every chunk and emit a completed status with a blueprint', async () => {
+    aiService.extractBusinessRules.mockResolvedValue(buildAIResult({ systemCapacity: '975 kW' }));
+    const events = [];
+    processor.on('progress', status => events.push(status));
+
+    await processor.startProcessing('job-1', [{ id: 'doc-1', filename: 'PPA.pdf', content: 'Capacity: 975 kW' }]);
+    await waitFor(() => processor.getJobStatus('job-1').status === 'completed');
+
+    const finalStatus = events[events.length - 1];
+    expect(finalStatus.overallProgress).toBe(100);
+    expect(finalStatus.results).toHaveLength(1);
+    expect(finalStatus.blueprint.formData.ratedCapacity).toBe(975);
+  });
+
+  it('should stop between chunks when paused and continue from the cursor on resume', async () => {
+    let releaseFirstChunk;
+    aiService.extractBusinessRules
+      .mockImplementationOnce(() => new Promise(resolve => { releaseFirstChunk = () => resolve(buildAIResult({})); }))
+      .mockResolvedValue(buildAIResult({ contractTerm: '20' }));
+
+    const longText = Array.from({ length: 6 }, (_, i) => `SECTION ${i + 1}\n${'x'.repeat(300)}`).join('\n');
+    await processor.startProcessing('job-2', [{ id: 'doc-1', filename: 'Long.pdf', content: longText }]);
+    await waitFor(() => typeof releaseFirstChunk === 'function');
+
+    processor.pauseJob('job-2');
+    releaseFirstChunk();
+    await waitFor(() => processor.getJobStatus('job-2').documents[0].chunksProcessed === 1);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(aiService.extractBusinessRules).toHaveBeenCalledTimes(1);
+    expect(processor.getJobStatus('job-2').status).toBe('paused');
+
+    await processor.resumeJob('job-2');
+    await waitFor(() => processor.getJobStatus('job-2').status === 'completed');
+
+    const status = processor.getJobStatus('job-2');
+    expect(aiService.extractBusinessRules).toHaveBeenCalledTimes(status.documents[0].chunksTotal);
+    expect(status.blueprint.formData.contractTerm).toBe(20);
+  });
+
+  it('should discard in-flight results when cancelled', async () => {
+    let releaseChunk;
+    aiService.extractBusinessRules.mockImplementation(
+      () => new Promise(resolve => { releaseChunk = () => resolve(buildAIResult({})); })
+    );
+
+    await processor.startProcessing('job-3', [{ id: 'doc-1', filename: 'PPA.pdf', content: 'text' }]);
+    await waitFor(() => typeof releaseChunk === 'function');
+
+    processor.cancelJob('job-3');
+    releaseChunk();
+    await new Promise(resolve => setImmediate(resolve));
+
+    const status = processor.getJobStatus('job-3');
+    expect(status.status).toBe('cancelled');
+    expect(status.results).toBeUndefined();
+  });
+
+  it('should report unknown jobs as 404 and invalid transitions as 409', async () => {
+    expect(() => processor.pauseJob('missing')).toThrow(ProcessingJobError);
+    expect(() => processor.cancelJob('missing')).toThrow(expect.objectContaining({ statusCode: 404 }));
+    await expect(processor.resumeJob('missing')).rejects.toMatchObject({ statusCode: 404 });
+
+    aiService.extractBusinessRules.mockResolvedValue(buildAIResult({}));
+    await processor.startProcessing('job-4', [{ id: 'doc-1', filename: 'PPA.pdf', content: 'text' }], { aiProvider: 'bedrock' });
+    await waitFor(() => processor.getJobStatus('job-4').status === 'completed');
+    expect(() => processor.pauseJob('job-4')).toThrow(expect.objectContaining({ statusCode: 409 }));
+    expect(aiService.extractBusinessRules.mock.calls[0][1]).toMatchObject({ aiProvider: 'bedrock' });
+  });
+
+  describe('persistence', () => {
+    let prisma;
+
+    beforeEach(() => {
+      prisma = {
+        processingJob: {
+          create: jest.fn().mockResolvedValue({}),
+          update: jest.fn().mockResolvedValue({}),
+          findMany: jest.fn().mockResolvedValue([]),
+          findUnique: jest.fn()
+        }
+      };
+      processor = new MultiDocumentProcessor(aiService, new DocumentChunker(), { prisma });
+    });
+
+    it('should record the job and its final state in ProcessingJob', async () => {
+      aiService.extractBusinessRules.mockResolvedValue(buildAIResult({ systemCapacity: '975 kW' }));
+
+      await processor.startProcessing('job-db', [{ id: 'doc-1', filename: 'PPA.pdf', content: 'text' }], { contractId: 'contract-1' });
+      await waitFor(() => processor.getJobStatus('job-db').status === 'completed');
+      await waitFor(() => prisma.processingJob.update.mock.calls.some(([args]) => args.data.status === 'COMPLETED'));
+
+      expect(prisma.processingJob.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          id: 'job-db',
+          jobType: 'CONTRACT_ANALYSIS',
+          status: 'PROCESSING',
+          entityId: 'contract-1',
+          jobConfig: expect.objectContaining({ documents: [expect.objectContaining({ id: 'doc-1', content: 'text' })] })
+        })
+      });
+      const finalUpdate = prisma.processingJob.update.mock.calls.map(([args]) => args).pop();
+      expect(finalUpdate.data).toMatchObject({ status: 'COMPLETED', progress: 100 });
+      expect(finalUpdate.data.result.analyses).toHaveLength(1);
+    });
+
+    it('should resume interrupted jobs from the saved cursor on recovery', async () => {
+      aiService.extractBusinessRules.mockResolvedValue(buildAIResult({ contractTerm: '15' }));
+      prisma.processingJob.findMany.mockResolvedValue([{
+        id: 'job-interrupted',
+        jobType: 'CONTRACT_ANALYSIS',
+        status: 'PROCESSING',
+        retryCount: 0,
+        maxRetries: 3,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        jobConfig: {
+          contractId: 'contract-1',
+          documents: [
+            { id: 'doc-1', filename: 'PPA.pdf', content: 'first' },
+            { id: 'doc-2', filename: 'Amendment.pdf', content: 'second' }
+          ]
+        },
+        result: {
+          cursor: { docIndex: 1, chunkIndex: 0 },
+          documents: [{ id: 'doc-1', status: 'completed', progress: 100, chunksProcessed: 1, chunkResults: [] }],
+          analyses: [{ documentId: 'doc-1', filename: 'PPA.pdf', extractedData: { systemCapacity: '975' }, extractedRules: [], confidence: 0.9 }]
+        }
+      }]);
+
+      const summary = await processor.recoverJobs();
+      await waitFor(() => processor.getJobStatus('job-interrupted').status === 'completed');
+
+      expect(summary).toEqual({ resumed: 1, paused: 0, failed: 0 });
+      expect(aiService.extractBusinessRules).toHaveBeenCalledTimes(1);
+      expect(aiService.extractBusinessRules.mock.calls[0][0]).toBe('second');
+      const status = processor.getJobStatus('job-interrupted');
+      expect(status.blueprint.formData).toMatchObject({ ratedCapacity: 975, contractTerm: 15 });
+    });
+
+    it('should mark interrupted jobs as failed once retries are exhausted', async () => {
+      prisma.processingJob.findMany.mockResolvedValue([{
+        id: 'job-exhausted',
+        jobType: 'CONTRACT_ANALYSIS',
+        status: 'PROCESSING',
+        retryCount: 3,
+        maxRetries: 3,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        jobConfig: { documents: [{ id: 'doc-1', filename: 'PPA.pdf', content: 'text' }] },
+        result: null
+      }]);
+
+      const summary = await processor.recoverJobs();
+
+      expect(summary.failed).toBe(1);
+      expect(processor.getJobStatus('job-exhausted')).toBeNull();
+      expect(prisma.processingJob.update).toHaveBeenCalledWith({
+        where: { id: 'job-exhausted' },
+        data: expect.objectContaining({ status: 'FAILED' })
+      });
+      expect(aiService.extractBusinessRules).not.toHaveBeenCalled();
+    });
+  });
+});
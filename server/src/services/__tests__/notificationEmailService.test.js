@@ -0,0 +1,105 @@
+/**
+ * Unit Tests for notification preferences and email delivery
+ */
+
+import notificationEmailService from '../notificationEmailService.js';
+import emailService, { createMemoryTransport, createTransportFromEnv } from '../emailService.js';
+import { resolveNotificationPreference, validateNotificationPreferences } from '../../../../shared/notificationPreferences.js';
+
+const digestRow = (id, userId, type, data) => ({
+  id,
+  userId,
+  notification: { id: `notif-${id}`, type, data, createdAt: new Date('2026-01-05T06:00:00Z') },
+  user: { id: userId, email: `${userId}@example.com`, firstName: userId, isActive: true }
+});
+
+describe('notification preferences', () => {
+  it('should let the most specific pattern win', () => {
+    const preferences = [
+      { type: '*', enabled: true, channel: 'DIGEST' },
+      { type: 'document:*', enabled: false, channel: 'IN_APP' },
+      { type: 'document:processing:failed', enabled: true, channel: 'EMAIL' }
+    ];
+
+    expect(resolveNotificationPreference(preferences, 'document:processing:failed')).toMatchObject({ enabled: true, channel: 'EMAIL' });
+    expect(resolveNotificationPreference(preferences, 'document:upload:started')).toMatchObject({ enabled: false });
+    expect(resolveNotificationPreference(preferences, 'rule:learned')).toMatchObject({ enabled: true, channel: 'DIGEST' });
+    expect(resolveNotificationPreference([], 'rule:learned')).toMatchObject({ enabled: true, channel: 'IN_APP' });
+  });
+
+  it('should reject malformed preferences', () => {
+    expect(validateNotificationPreferences([{ type: 'bulk:*', enabled: false }])).toEqual([]);
+    expect(validateNotificationPreferences([
+      { type: 'bulk*' },
+      { type: 'rule:learned', channel: 'SMS' },
+      { type: 'rule:learned' }
+    ])).toEqual([
+      'Preference 1: type must be a notification type, a "prefix:*" pattern or "*"',
+      'Preference 2: channel must be one of IN_APP, EMAIL, DIGEST',
+      'Preference 3: duplicate preference for rule:learned'
+    ]);
+  });
+});
+
+describe('notificationEmailService', () => {
+  let transport;
+
+  beforeEach(() => {
+    transport = createMemoryTransport();
+    emailService.setTransport(transport);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    emailService.setTransport(undefined);
+    jest.restoreAllMocks();
+  });
+
+  it('should send one digest per user and mark the rows emailed', async () => {
+    const prisma = {
+      notificationRecipient: {
+        findMany: jest.fn().mockResolvedValue([
+          digestRow('r1', 'manager', 'document:processing:failed', { fileName: 'ppa.pdf', error: 'OCR timeout' }),
+          digestRow('r2', 'manager', 'document:processing:failed', { fileName: 'amendment.pdf' }),
+          digestRow('r3', 'analyst', 'bulk:failed', { operationType: 'import' })
+        ]),
+        updateMany: jest.fn().mockResolvedValue({ count: 1 })
+      }
+    };
+
+    const summary = await notificationEmailService.sendDigests(prisma);
+
+    expect(summary).toEqual({ users: 2, notifications: 3 });
+    expect(transport.sent.map(message => message.to)).toEqual(['manager@example.com', 'analyst@example.com']);
+    expect(transport.sent[0].subject).toBe('[Contracts] Daily digest: 2 notifications');
+    expect(transport.sent[0].text).toContain('document:processing:failed: 2');
+    expect(transport.sent[0].text).toContain('document:processing:failed - ppa.pdf - OCR timeout');
+    expect(prisma.notificationRecipient.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['r1', 'r2'] } },
+      data: { emailedAt: expect.any(Date) }
+    });
+  });
+
+  it('should leave email disabled and nothing marked emailed without SMTP settings', async () => {
+    const saved = { EMAIL_TRANSPORT: process.env.EMAIL_TRANSPORT, SMTP_HOST: process.env.SMTP_HOST };
+    delete process.env.EMAIL_TRANSPORT;
+    delete process.env.SMTP_HOST;
+    try {
+      expect(createTransportFromEnv()).toBeNull();
+      process.env.EMAIL_TRANSPORT = 'console';
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      expect(createTransportFromEnv().name).toBe('console');
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+
+    emailService.setTransport(null);
+    const prisma = { user: { findMany: jest.fn() }, notificationRecipient: { findMany: jest.fn(), updateMany: jest.fn() } };
+    expect(await notificationEmailService.sendImmediate(prisma, { id: 'n1', type: 'bulk:failed' }, ['manager'])).toBe(0);
+    expect(await notificationEmailService.sendDigests(prisma)).toEqual({ users: 0, notifications: 0 });
+    expect(prisma.notificationRecipient.updateMany).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit Tests for the Notification Service inbox
+ */
+
+import notificationService from '../notificationService.js';
+
+const storedRecipient = (overrides = {}) => ({
+  id: 'rcpt-1',
+  notificationId: 'notif-1',
+  userId: 'user-1',
+  readAt: null,
+  deliveredAt: null,
+  notification: {
+    id: 'notif-1',
+    type: 'system:alert',
+    data: { message: 'Maintenance tonight' },
+    audience: 'SYSTEM',
+    role: null,
+    createdAt: new Date('2026-01-05T10:00:00Z')
+  },
+  ...overrides
+});
+
+const createPrisma = () => ({
+  user: {
+    findMany: jest.fn().mockResolvedValue([{ id: 'user-1' }, { id: 'user-2' }])
+  },
+  notification: {
+    create: jest.fn().mockImplementation(({ data }) => Promise.resolve(data))
+  },
+  notificationPreference: {
+    findMany: jest.fn().mockResolvedValue([])
+  },
+  notificationRecipient: {
+    findMany: jest.fn().mockResolvedValue([]),
+    count: jest.fn().mockResolvedValue(0),
+    updateMany: jest.fn().mockResolvedValue({ count: 0 })
+  }
+});
+
+describe('notificationService inbox', () => {
+  let prisma;
+
+  beforeEach(() => {
+    prisma = createPrisma();
+    notificationService.setPrisma(prisma);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    notificationService.setPrisma(null);
+    notificationService.notificationQueue.clear();
+    notificationService.connections.clear();
+    jest.restoreAllMocks();
+  });
+
+  it('should fan role notifications out to every active user in the role', async () => {
+    await notificationService.storeRoleNotification('admin', {
+      id: 'notif-9',
+      type: 'rule:learned',
+      data: { ruleName: 'Escalation cap' },
+      timestamp: '2026-01-05T10:00:00.000Z'
+    });
+
+    expect(prisma.user.findMany).toHaveBeenCalledWith({ where: { role: 'ADMIN', isActive: true }, select: { id: true } });
+    const { data } = prisma.notification.create.mock.calls[0][0];
+    expect(data).toMatchObject({ id: 'notif-9', audience: 'ROLE', role: 'ADMIN' });
+    expect(data.recipients.create).toEqual([
+      { userId: 'user-1', channel: 'IN_APP', deliveredAt: null },
+      { userId: 'user-2', channel: 'IN_APP', deliveredAt: null }
+    ]);
+  });
+
+  it('should skip muted recipients and record each recipient channel', async () => {
+    prisma.notificationPreference.findMany.mockResolvedValue([
+      { userId: 'user-1', type: 'bulk:*', enabled: false, channel: 'IN_APP' },
+      { userId: 'user-2', type: 'bulk:*', enabled: true, channel: 'DIGEST' },
+      { userId: 'user-2', type: 'bulk:completed', enabled: false, channel: 'IN_APP' }
+    ]);
+
+    await notificationService.storeSystemNotification({
+      id: 'notif-10',
+      type: 'bulk:failed',
+      data: { jobId: 'job-1' },
+      timestamp: '2026-01-05T10:00:00.000Z'
+    });
+
+    const { data } = prisma.notification.create.mock.calls[0][0];
+    expect(data.recipients.create).toEqual([{ userId: 'user-2', channel: 'DIGEST', deliveredAt: null }]);
+  });
+
+  it('should page and filter history and mark notifications as read', async () => {
+    prisma.notificationRecipient.findMany.mockResolvedValue([storedRecipient()]);
+    prisma.notificationRecipient.count.mockResolvedValueOnce(12).mockResolvedValueOnce(3);
+
+    const history = await notificationService.getNotificationHistory('user-1', {
+      limit: '500',
+      offset: '10',
+      type: 'system:alert,export:ready',
+      unreadOnly: true
+    });
+
+    expect(prisma.notificationRecipient.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { userId: 'user-1', readAt: null, notification: { type: { in: ['system:alert', 'export:ready'] } } },
+      skip: 10,
+      take: 100
+    }));
+    expect(history).toMatchObject({ total: 12, unreadCount: 3, limit: 100, offset: 10 });
+    expect(history.notifications[0]).toMatchObject({
+      id: 'notif-1',
+      type: 'system:alert',
+      timestamp: '2026-01-05T10:00:00.000Z',
+      read: false
+    });
+
+    prisma.notificationRecipient.updateMany.mockResolvedValue({ count: 2 });
+    await expect(notificationService.markNotificationsAsRead('user-1', ['notif-1', 'notif-2'])).resolves.toBe(2);
+    expect(prisma.notificationRecipient.updateMany.mock.calls[0][0].where).toEqual({
+      userId: 'user-1',
+      readAt: null,
+      notificationId: { in: ['notif-1', 'notif-2'] }
+    });
+
+    await notificationService.markNotificationsAsRead('user-1', undefined, { all: true });
+    expect(prisma.notificationRecipient.updateMany.mock.calls[1][0].where).toEqual({ userId: 'user-1', readAt: null });
+  });
+
+  it('should deliver stored notifications on reconnect without repeating the memory queue', async () => {
+    notificationService.notificationQueue.set('user-1', [{ id: 'notif-2', type: 'export:ready', data: {} }]);
+    prisma.notificationRecipient.findMany.mockResolvedValue([
+      storedRecipient(),
+      storedRecipient({ id: 'rcpt-2', notificationId: 'notif-2', notification: { ...storedRecipient().notification, id: 'notif-2' } })
+    ]);
+    const socket = { emit: jest.fn() };
+
+    await notificationService.sendQueuedNotifications('user-1', socket);
+
+    expect(socket.emit.mock.calls.map(([, notification]) => notification.id)).toEqual(['notif-2', 'notif-1']);
+    expect(prisma.notificationRecipient.updateMany).toHaveBeenCalledWith({
+      where: { id: { in: ['rcpt-1', 'rcpt-2'] } },
+      data: { deliveredAt: expect.any(Date) }
+    });
+    expect(notificationService.notificationQueue.has('user-1')).toBe(false);
+  });
+
+  it('should let callers skip the per-minute rate limit', async () => {
+    notificationService.rateLimits.set('user-1', { count: notificationService.maxNotificationsPerMinute, resetTime: Date.now() + 60000 });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    await notificationService.sendToUser('user-1', 'contract:deadline', { contractName: 'Acme' });
+    expect(notificationService.notificationQueue.has('user-1')).toBe(false);
+
+    await notificationService.sendToUser('user-1', 'contract:deadline', { contractName: 'Acme' }, { rateLimit: false });
+    expect(notificationService.notificationQueue.get('user-1')).toHaveLength(1);
+    notificationService.rateLimits.delete('user-1');
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Unit Tests for party name resolution, contract linking and merges
+ */
+
+import partyService, { PartyError, normalizeName, nameSimilarity, resolveName, partyTotals } from '../partyService.js';
+
+const party = (id, name, aliases = [], extra = {}) => ({
+  id,
+  name,
+  type: 'CUSTOMER',
+  normalizedName: normalizeName(name),
+  mergedIntoId: null,
+  aliases: aliases.map(alias => ({ alias, normalizedAlias: normalizeName(alias) })),
+  ...extra
+});
+
+describe('normalizeName and nameSimilarity', () => {
+  it('should ignore case, punctuation, legal suffixes and "&"', () => {
+    expect(normalizeName('B. Braun Medical, Inc.')).toBe('b braun medical');
+    expect(normalizeName('The Home Depot LLC')).toBe('home depot');
+    expect(normalizeName('Pacific Gas & Electric Co.')).toBe(normalizeName('Pacific Gas and Electric'));
+  });
+
+  it('should score spelling variants high and different companies low', () => {
+    expect(nameSimilarity('wal mart', 'walmart')).toBe(0.98);
+    expect(nameSimilarity('b braun', 'b braun medical')).toBeGreaterThanOrEqual(0.9);
+    expect(nameSimilarity('jonson controls', 'johnson controls')).toBeGreaterThanOrEqual(0.9);
+    expect(nameSimilarity('generate capital', 'generate c and i')).toBeLessThan(0.9);
+    expect(nameSimilarity('apple', 'apex')).toBeLessThan(0.75);
+  });
+});
+
+describe('resolveName', () => {
+  const registry = [
+    party('p-1', 'B. Braun Medical Inc.', ['BBraun']),
+    party('p-2', 'Generate Capital'),
+    party('p-3', 'B Braun Melsungen', [], { mergedIntoId: 'p-1' })
+  ];
+
+  it('should match aliases and report the surviving party of a merge', () => {
+    expect(resolveName('B-Braun', registry)).toMatchObject({
+      status: 'matched',
+      party: { id: 'p-1', name: 'B. Braun Medical Inc.' },
+      matchedAlias: 'BBraun'
+    });
+    expect(resolveName('B Braun Melsungen AG', registry).party.id).toBe('p-1');
+  });
+
+  it('should list candidates for close names and propose new parties otherwise', () => {
+    const ambiguous = resolveName('Generate C&I', registry);
+    expect(ambiguous.status).toBe('ambiguous');
+    expect(ambiguous.candidates.map(candidate => candidate.partyId)).toEqual(['p-2']);
+
+    expect(resolveName('Kaiser Permanente', registry)).toMatchObject({
+      status: 'new',
+      candidates: [],
+      proposal: { name: 'Kaiser Permanente', type: 'CUSTOMER' }
+    });
+    expect(resolveName('NOT SPECIFIED', registry).status).toBe('empty');
+  });
+
+  it('should not auto-link a name that two parties match equally well', () => {
+    const result = resolveName('Acme', [party('a-1', 'Acme Corp'), party('a-2', 'ACME LLC')]);
+    expect(result.status).toBe('ambiguous');
+    expect(result.candidates).toHaveLength(2);
+  });
+});
+
+describe('partyTotals', () => {
+  it('should total capacity and value without cancelled contracts', () => {
+    expect(partyTotals([
+      { status: 'ACTIVE', capacity: 1500, totalValue: 1000000 },
+      { status: 'DRAFT', capacity: 500, totalValue: null },
+      { status: 'CANCELLED', capacity: 2000, totalValue: 3000000 }
+    ])).toEqual({
+      contracts: 3,
+      capacityKw: 2000,
+      capacityMw: 2,
+      totalValue: 1000000,
+      byStatus: { ACTIVE: 1, DRAFT: 1, CANCELLED: 1 }
+    });
+  });
+});
+
+describe('PartyService', () => {
+  const fakePrisma = (parties, contracts = []) => {
+    const updates = [];
+    return {
+      updates,
+      party: {
+        findMany: async ({ where } = {}) => parties.filter(entry => (
+          !where?.mergedIntoId?.in || where.mergedIntoId.in.includes(entry.mergedIntoId)
+        )),
+        findUnique: async ({ where }) => {
+          const found = parties.find(entry => entry.id === where.id);
+          return found && {
+            ...found,
+            mergedInto: parties.find(entry => entry.id === found.mergedIntoId) || null,
+            mergedParties: parties.filter(entry => entry.mergedIntoId === found.id)
+          };
+        },
+        findFirst: async () => null,
+        create: async ({ data }) => {
+          const created = { id: `p-${parties.length + 1}`, ...data, mergedIntoId: null, aliases: data.aliases.create };
+          parties.push(created);
+          return created;
+        },
+        update: async ({ where, data }) => {
+          updates.push(['party', where.id, data]);
+          Object.assign(parties.find(entry => entry.id === where.id), data);
+        }
+      },
+      partyAlias: {
+        findMany: async ({ where }) => parties
+          .filter(entry => where.partyId.in.includes(entry.id))
+          .flatMap(entry => entry.aliases.map(alias => ({ ...alias, partyId: entry.id }))),
+        upsert: async ({ create }) => create
+      },
+      contract: {
+        findMany: async ({ where }) => contracts.filter(contract => where.customerId.in.includes(contract.customerId)),
+        update: async ({ where, data }) => updates.push(['contract', where.id, data])
+      }
+    };
+  };
+
+  it('should link a contract to the matched party and record its spelling', async () => {
+    const prisma = fakePrisma([party('p-1', 'B. Braun Medical Inc.')]);
+    const result = await partyService.linkContract(prisma, { id: 'c-1', client: 'B Braun Medical' });
+
+    expect(result).toMatchObject({ status: 'matched', linked: true, created: false });
+    expect(prisma.updates).toEqual([['contract', 'c-1', { customerId: 'p-1' }]]);
+  });
+
+  it('should create a customer for a new name and leave ambiguous names unlinked', async () => {
+    const prisma = fakePrisma([party('p-1', 'Generate Capital')]);
+
+    const created = await partyService.linkContract(prisma, { id: 'c-1', client: 'Kaiser Permanente' });
+    expect(created).toMatchObject({ linked: true, created: true, party: { id: 'p-2', name: 'Kaiser Permanente' } });
+
+    const ambiguous = await partyService.linkContract(prisma, { id: 'c-2', client: 'Generate C&I' });
+    expect(ambiguous).toMatchObject({ status: 'ambiguous', linked: false });
+    expect(prisma.updates).toEqual([['contract', 'c-1', { customerId: 'p-2' }]]);
+  });
+
+  it('should link to the party a concurrent save created instead of adding a duplicate', async () => {
+    const prisma = fakePrisma([]);
+    const winner = party('p-9', 'Kaiser Permanente');
+    prisma.party.findFirst = jest.fn().mockResolvedValueOnce(null).mockResolvedValue(winner);
+    prisma.party.create = jest.fn().mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+    await expect(partyService.createParty(prisma, { name: 'Kaiser Permanente' }))
+      .rejects.toMatchObject({ statusCode: 409, party: winner });
+
+    prisma.party.findFirst.mockResolvedValueOnce(null);
+    const result = await partyService.linkContract(prisma, { id: 'c-1', client: 'Kaiser Permanente' });
+    expect(result).toMatchObject({ linked: true, created: false, party: { id: 'p-9' } });
+    expect(prisma.updates).toEqual([['contract', 'c-1', { customerId: 'p-9' }]]);
+  });
+
+  it('should merge into the surviving party, total across the group and unmerge', async () => {
+    const parties = [
+      party('p-1', 'B. Braun Medical Inc.'),
+      party('p-2', 'BBraun Melsungen'),
+      party('p-3', 'B Braun of America', [], { mergedIntoId: 'p-1' })
+    ];
+    const contracts = [
+      { id: 'c-1', customerId: 'p-1', status: 'ACTIVE', capacity: 1000 },
+      { id: 'c-2', customerId: 'p-2', status: 'ACTIVE', capacity: 500 },
+      { id: 'c-3', customerId: 'p-3', status: 'ACTIVE', capacity: 250 }
+    ];
+    const prisma = fakePrisma(parties, contracts);
+
+    const merged = await partyService.mergeParties(prisma, 'p-2', 'p-3', 'admin-1');
+    expect(merged.id).toBe('p-1');
+    expect(prisma.updates[0]).toEqual(['party', 'p-2', expect.objectContaining({ mergedIntoId: 'p-1', mergedBy: 'admin-1' })]);
+    expect(merged.totals).toMatchObject({ contracts: 3, capacityMw: 1.75 });
+
+    await expect(partyService.mergeParties(prisma, 'p-1', 'p-2')).rejects.toMatchObject({ statusCode: 409 });
+    await expect(partyService.mergeParties(prisma, 'p-2', 'p-1')).rejects.toThrow('already merged');
+
+    const restored = await partyService.unmergeParty(prisma, 'p-2');
+    expect(restored.totals.capacityKw).toBe(500);
+    await expect(partyService.unmergeParty(prisma, 'p-2')).rejects.toThrow(PartyError);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Unit Tests for per-page PDF parsing
+ */
+
+import { parsePdfPages, hasTextLayer, pageGeometry } from '../pdfPageParser.js';
+
+// Minimal PDF: a Letter page with a text layer and a rotated A4 page without one
+const buildPdf = () => {
+  const text = 'BT /F1 12 Tf 72 720 Td (Section 1. The Seller shall deliver energy to the Buyer.) Tj ET';
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R 5 0 R] /Count 2 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 6 0 R >> >> >>',
+    `<< /Length ${text.length} >>\nstream\n${text}\nendstream`,
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Rotate 90 /Resources << >> >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ];
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length;
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+};
+
+describe('parsePdfPages', () => {
+  it('should return one entry per physical page with size, rotation and text layer', async () => {
+    const { pdfData, pages } = await parsePdfPages(buildPdf());
+
+    expect(pdfData.numpages).toBe(2);
+    expect(pages).toHaveLength(2);
+    expect(pages[0]).toMatchObject({ pageNumber: 1, width: 612, height: 792, rotation: 0, hasTextLayer: true });
+    expect(pages[0].text).toContain('The Seller shall deliver energy');
+    expect(pages[1]).toMatchObject({ pageNumber: 2, text: '', width: 842, height: 595, rotation: 90, hasTextLayer: false });
+  });
+});
+
+describe('hasTextLayer', () => {
+  it('should treat page numbers and stamps on scans as no text layer', () => {
+    expect(hasTextLayer('')).toBe(false);
+    expect(hasTextLayer('  Page 3 of 12\n  ')).toBe(false);
+    expect(hasTextLayer('1.1 Definitions. Capitalized terms have the meanings below.')).toBe(true);
+  });
+});
+
+describe('pageGeometry', () => {
+  it('should normalize rotation and swap dimensions for quarter turns', () => {
+    expect(pageGeometry([0, 0, 612, 792], -90)).toEqual({ width: 792, height: 612, rotation: 270 });
+    expect(pageGeometry([0, 0, 612, 792], 180)).toEqual({ width: 612, height: 792, rotation: 180 });
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Unit Tests for portfolio analytics rollups
+ */
+
+import { buildPortfolio, parseOptions, averageEscalation } from '../portfolioAnalyticsService.js';
+
+const contract = (id, overrides = {}) => ({
+  id,
+  name: `Contract ${id}`,
+  client: 'Acme',
+  status: 'ACTIVE',
+  systemType: 'POWER_PURCHASE_STANDARD',
+  capacity: 1000,
+  term: 2,
+  effectiveDate: new Date('2025-07-01T00:00:00Z'),
+  commercialOperationDate: null,
+  financial: { baseRate: 0.1, escalation: 2 },
+  ...overrides
+});
+
+const asOf = new Date('2026-01-01T00:00:00Z');
+
+describe('buildPortfolio', () => {
+  const contracts = [
+    contract('a'),
+    contract('b', {
+      systemType: 'MICROGRID_CONSTRAINED',
+      capacity: 500,
+      term: 10,
+      effectiveDate: new Date('2024-01-01T00:00:00Z'),
+      financial: { baseRate: 0.13, escalation: 3.2 }
+    }),
+    contract('draft', { status: 'DRAFT' }),
+    contract('old', { status: 'EXPIRED', effectiveDate: new Date('2020-01-01T00:00:00Z'), term: 3 })
+  ];
+
+  it('should summarize contracted capacity, rates and escalation', () => {
+    const { summary, baseRates, escalation } = buildPortfolio(contracts, { asOf });
+
+    expect(summary).toMatchObject({ contracts: 3, activeContracts: 2, contractedMw: 1.5, weightedBaseRate: 0.11 });
+    expect(baseRates.map(({ year, systemType }) => `${year} ${systemType}`)).toEqual([
+      '2020 POWER_PURCHASE_STANDARD',
+      '2024 MICROGRID_CONSTRAINED',
+      '2025 POWER_PURCHASE_STANDARD'
+    ]);
+    expect(escalation.buckets.map(bucket => [bucket.label, bucket.contracts])).toEqual([['2.0-2.5%', 2], ['3.0-3.5%', 1]]);
+    expect(escalation.capacityWeighted).toBe(2.24);
+  });
+
+  it('should count expired contracts in history but not in projections', () => {
+    const { contractedCapacity } = buildPortfolio(contracts, { asOf, horizonYears: 2 });
+    const at = (period) => contractedCapacity.find(point => point.period === period);
+
+    expect(contractedCapacity[0].period).toBe('2020-Q1');
+    expect(at('2021-Q4')).toMatchObject({ mw: 1, contracts: 1, projected: false });
+    expect(at('2025-Q3')).toMatchObject({ mw: 1.5, contracts: 2 });
+    // Contract a ends 2027-07-01
+    expect(at('2027-Q3')).toMatchObject({ mw: 0.5, contracts: 1, projected: true });
+  });
+
+  it('should prorate the remaining billings across calendar years', () => {
+    const { revenueBacklog } = buildPortfolio([contract('a')], { asOf });
+
+    // 181 of 365 days of year one (1000 kW × $0.10 × 12) and all of year two at +2%
+    expect(revenueBacklog.byYear[0].year).toBe(2026);
+    expect(revenueBacklog.total).toBeCloseTo(1200 * 181 / 365 + 1224, 1);
+    expect(revenueBacklog.byYear[1]).toEqual({ year: 2027, amount: expect.closeTo(1224 * 181 / 365, 1) });
+  });
+
+  it('should bucket expiring capacity by quarter', () => {
+    const { expiringCapacity } = buildPortfolio([contract('a')], { asOf, quarters: 8 });
+
+    expect(expiringCapacity).toHaveLength(8);
+    expect(expiringCapacity[0].quarter).toBe('2026-Q1');
+    expect(expiringCapacity[6]).toMatchObject({
+      quarter: '2027-Q3',
+      mw: 1,
+      contracts: [expect.objectContaining({ id: 'a', expirationDate: '2027-07-01' })]
+    });
+  });
+});
+
+describe('averageEscalation', () => {
+  it('should compound stepped schedules into an annual rate', () => {
+    const stepped = contract('s', {
+      term: 3,
+      financial: {
+        baseRate: 0.1,
+        escalation: 0,
+        escalationSchedule: { type: 'step', steps: [{ year: 3, percent: 21 }] }
+      }
+    });
+
+    expect(averageEscalation(stepped)).toBeCloseTo(10, 1);
+  });
+});
+
+describe('parseOptions', () => {
+  it('should reject unknown intervals and out-of-range numbers', () => {
+    expect(parseOptions({})).toEqual({ interval: 'quarter', horizonYears: 5, quarters: 12, snapshotDays: 90 });
+    expect(() => parseOptions({ interval: 'week' })).toThrow('interval must be one of month, quarter');
+    expect(() => parseOptions({ quarters: '0' })).toThrow('quarters must be a whole number from 1 to 40');
+  });
+});
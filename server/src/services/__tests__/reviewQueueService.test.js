@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for Review Queue Service
+ */
+
+import ReviewQueueService, { ReviewQueueError } from '../reviewQueueService.js';
+
+const createLearningService = () => ({
+  learnFromUserCorrection: jest.fn().mockResolvedValue(undefined),
+  reinforceRule: jest.fn().mockResolvedValue(undefined)
+});
+
+const pendingItem = (overrides = {}) => ({
+  id: 'conf-1',
+  aspectType: 'FINANCIAL_TERMS',
+  aspectName: 'baseRate',
+  reviewDecision: 'PENDING',
+  evidence: { value: '0.085', documentId: 'upload-1', filename: 'ppa.pdf', citation: null },
+  analysis: { contractId: 'contract-1', documentId: null, contractType: 'PPA' },
+  ...overrides
+});
+
+const createPrisma = (item) => ({
+  analysisConfidence: {
+    findUnique: jest.fn().mockResolvedValue(item),
+    update: jest.fn().mockImplementation(({ data }) => Promise.resolve({ ...item, ...data }))
+  },
+  uploadedFile: {
+    findUnique: jest.fn().mockResolvedValue(null),
+    update: jest.fn()
+  }
+});
+
+describe('ReviewQueueService', () => {
+  describe('scoreFields', () => {
+    it('should flag fields below the threshold or without a citation', () => {
+      const service = new ReviewQueueService({ reviewThreshold: 0.6 });
+
+      const scored = service.scoreFields({
+        confidence: 0.9,
+        extractedData: { buyer: 'Acme Health', baseRate: '0.085', systemCapacity: '2800', contractTerm: 'NOT SPECIFIED' },
+        structuredExtraction: { fieldConfidence: { baseRate: 0.4 } },
+        citations: {
+          buyer: { text: 'Acme Health', page: 1 },
+          baseRate: { text: '0.085', page: 2 }
+        }
+      });
+
+      const byName = Object.fromEntries(scored.map(field => [field.aspectName, field]));
+      expect(Object.keys(byName)).toEqual(['buyer', 'baseRate', 'systemCapacity']);
+      expect(byName.buyer).toMatchObject({ aspectType: 'PARTIES', confidence: 0.9, requiresReview: false });
+      expect(byName.baseRate).toMatchObject({ confidence: 0.4, requiresReview: true });
+      expect(byName.systemCapacity.requiresReview).toBe(true);
+      expect(byName.systemCapacity.reasons).toEqual(['Value could not be located in the source document']);
+    });
+  });
+
+  describe('recordAnalysis', () => {
+    it('should supersede pending items from earlier analyses of the same document', async () => {
+      const prisma = {
+        contractDocument: { findUnique: jest.fn().mockResolvedValue(null) },
+        contract: { findUnique: jest.fn().mockResolvedValue(null) },
+        contractAnalysis: { create: jest.fn().mockResolvedValue({ id: 'analysis-2' }) },
+        analysisConfidence: { updateMany: jest.fn().mockResolvedValue({ count: 2 }) }
+      };
+      const service = new ReviewQueueService({ reviewThreshold: 0.6 });
+
+      const result = await service.recordAnalysis(prisma, {
+        documentId: 'upload-1',
+        filename: 'ppa.pdf',
+        confidence: 0.5,
+        extractedData: { baseRate: '0.085' },
+        extractedRules: [{ category: 'payment', name: 'Net 30' }]
+      });
+
+      // Uploads are reindexed by the analyze endpoint; only ContractDocuments are reported back
+      expect(result).toMatchObject({ analysisId: 'analysis-2', documentId: null, fieldsFlagged: 1 });
+      expect(prisma.contractAnalysis.create.mock.calls[0][0].data.extractedRules).toEqual([{ category: 'payment', name: 'Net 30' }]);
+      expect(prisma.analysisConfidence.updateMany).toHaveBeenCalledWith({
+        where: {
+          reviewDecision: 'PENDING',
+          analysisId: { not: 'analysis-2' },
+          evidence: { path: ['documentId'], equals: 'upload-1' }
+        },
+        data: expect.objectContaining({ reviewDecision: 'SUPERSEDED', requiresReview: false })
+      });
+    });
+  });
+
+  describe('reviewField', () => {
+    it('should feed corrections to learnFromUserCorrection', async () => {
+      const learningService = createLearningService();
+      const service = new ReviewQueueService({ learningService });
+      const prisma = createPrisma(pendingItem());
+
+      const result = await service.reviewField(prisma, 'conf-1', {
+        decision: 'correct',
+        value: '0.0850',
+        comment: 'Rate is on page 4'
+      }, 'reviewer@bloom.com');
+
+      expect(result).toMatchObject({ reviewDecision: 'CORRECTED', reviewedValue: '0.0850', reviewedBy: 'reviewer@bloom.com' });
+      expect(learningService.learnFromUserCorrection).toHaveBeenCalledWith(
+        'baseRate',
+        '0.085',
+        '0.0850',
+        expect.objectContaining({ source: 'review_queue', contractId: 'contract-1', comment: 'Rate is on page 4' })
+      );
+      expect(learningService.reinforceRule).not.toHaveBeenCalled();
+    });
+
+    it('should reinforce accepted values and refuse items already reviewed', async () => {
+      const learningService = createLearningService();
+      const service = new ReviewQueueService({ learningService });
+
+      await service.reviewField(createPrisma(pendingItem()), 'conf-1', { decision: 'accept' }, 'reviewer');
+      expect(learningService.reinforceRule).toHaveBeenCalledWith('baseRate', '0.085', true, expect.any(Object));
+
+      await expect(
+        service.reviewField(createPrisma(pendingItem({ reviewDecision: 'ACCEPTED' })), 'conf-1', { decision: 'reject' }, 'reviewer')
+      ).rejects.toMatchObject({ name: 'ReviewQueueError', statusCode: 409 });
+      await expect(
+        service.reviewField(createPrisma(pendingItem()), 'conf-1', { decision: 'correct' }, 'reviewer')
+      ).rejects.toBeInstanceOf(ReviewQueueError);
+    });
+  });
+});
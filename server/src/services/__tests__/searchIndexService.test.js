@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for the full-text search index
+ */
+
+import searchIndexService, { fieldEntries, splitPages } from '../searchIndexService.js';
+
+describe('index entries', () => {
+  it('should split upload text on page offsets', () => {
+    const text = 'Page one text.Page two text.';
+    expect(splitPages(text, [{ pageNumber: 1, start: 0, end: 14 }, { pageNumber: 2, start: 14, end: 28 }])).toEqual([
+      { pageNumber: 1, text: 'Page one text.' },
+      { pageNumber: 2, text: 'Page two text.' }
+    ]);
+    expect(splitPages(text)).toEqual([{ pageNumber: null, text }]);
+  });
+
+  it('should flatten extracted fields into labelled text', () => {
+    expect(fieldEntries({
+      outputWarranty: 95,
+      liquidatedDamages: { availabilityThreshold: '95%' },
+      components: ['RI', 'AC'],
+      isAiGenerated: true,
+      notes: null
+    })).toEqual([
+      { label: 'outputWarranty', content: 'output warranty: 95' },
+      { label: 'liquidatedDamages.availabilityThreshold', content: 'liquidated damages availability threshold: 95%' },
+      { label: 'components', content: 'components: RI, AC' }
+    ]);
+  });
+});
+
+describe('searchIndexService', () => {
+  let prisma;
+
+  beforeEach(() => {
+    prisma = {
+      uploadedFile: {
+        findUnique: jest.fn().mockResolvedValue({
+          id: 'upload-1',
+          contractId: 'contract-1',
+          originalName: 'PPA.pdf',
+          extractedData: {
+            content: { text: 'Recitals.Liquidated damages apply.', pageOffsets: [{ pageNumber: 1, start: 0, end: 9 }, { pageNumber: 2, start: 9, end: 34 }] },
+            analysis: {
+              extractedData: { outputWarranty: 95 },
+              extractedRules: [{ category: 'performance', name: 'Availability guarantee', description: 'Pay LDs below 95% availability' }]
+            }
+          }
+        })
+      },
+      searchIndexEntry: {
+        deleteMany: jest.fn().mockResolvedValue({ count: 0 }),
+        createMany: jest.fn().mockResolvedValue({ count: 4 })
+      },
+      $executeRaw: jest.fn().mockResolvedValue(4),
+      $queryRaw: jest.fn()
+    };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should replace an upload\'s pages, fields and rules', async () => {
+    await expect(searchIndexService.indexUpload(prisma, 'upload-1')).resolves.toEqual({ documentId: 'upload-1', entries: 4 });
+
+    expect(prisma.searchIndexEntry.deleteMany).toHaveBeenCalledWith({ where: { documentId: 'upload-1' } });
+    const { data } = prisma.searchIndexEntry.createMany.mock.calls[0][0];
+    expect(data.map(entry => [entry.sourceType, entry.pageNumber ?? null, entry.label ?? null])).toEqual([
+      ['UPLOAD_PAGE', 1, null],
+      ['UPLOAD_PAGE', 2, null],
+      ['EXTRACTED_FIELD', null, 'outputWarranty'],
+      ['RULE', null, 'Availability guarantee']
+    ]);
+    expect(data[3].content).toBe('performance: Availability guarantee: Pay LDs below 95% availability');
+    expect(prisma.$executeRaw).toHaveBeenCalledTimes(1);
+  });
+
+  it('should index a document\'s reviewed fields and extracted rules', async () => {
+    prisma.contractDocument = {
+      findUnique: jest.fn().mockResolvedValue({
+        id: 'doc-1',
+        contractId: 'contract-1',
+        title: 'PPA',
+        pages: [{ pageNumber: 1, extractedText: 'Recitals.' }],
+        analyses: [{
+          contractType: 'PPA',
+          parties: ['Acme Health'],
+          keywords: [],
+          criticalClauses: [],
+          extractedRules: [{ category: 'performance', name: 'Availability guarantee', description: 'Pay LDs below 95% availability' }],
+          confidenceTracking: [
+            { aspectName: 'purchaseOrderNumber', evidence: { value: 'PO-7731' }, reviewDecision: 'PENDING', reviewedValue: null },
+            { aspectName: 'baseRate', evidence: { value: '0.085' }, reviewDecision: 'CORRECTED', reviewedValue: '0.092' },
+            { aspectName: 'financialOwner', evidence: { value: 'Wrong Capital' }, reviewDecision: 'REJECTED', reviewedValue: null }
+          ]
+        }]
+      })
+    };
+    prisma.searchIndexEntry.createMany.mockResolvedValue({ count: 6 });
+
+    await searchIndexService.indexDocument(prisma, 'doc-1');
+
+    const { data } = prisma.searchIndexEntry.createMany.mock.calls[0][0];
+    expect(data.filter(entry => entry.sourceType === 'EXTRACTED_FIELD').map(entry => entry.content)).toEqual([
+      'contract type: PPA',
+      'parties: Acme Health',
+      'purchase order number: PO-7731',
+      'base rate: 0.092'
+    ]);
+    expect(data.find(entry => entry.sourceType === 'RULE')).toMatchObject({ label: 'Availability guarantee', contractId: 'contract-1' });
+    expect(prisma.contractDocument.findUnique.mock.calls[0][0].include.analyses.include.confidenceTracking).toBeDefined();
+  });
+
+  it('should find a contract by a value that only exists in an extracted field', async () => {
+    prisma.$queryRaw.mockResolvedValue([{
+      id: 'e1',
+      contractId: 'contract-1',
+      rank: 0.4,
+      pageNumber: null,
+      documentId: 'doc-1',
+      sourceType: 'EXTRACTED_FIELD',
+      title: 'PPA',
+      label: 'purchaseOrderNumber',
+      snippet: 'purchase order number: <mark>PO-7731</mark>',
+      contractName: 'Acme PPA',
+      client: 'Acme',
+      site: 'San Jose',
+      status: 'ACTIVE'
+    }]);
+
+    const result = await searchIndexService.search(prisma, 'PO-7731');
+
+    expect(result.results[0].hits[0]).toMatchObject({ sourceType: 'EXTRACTED_FIELD', label: 'purchaseOrderNumber' });
+  });
+
+  it('should group ranked hits by contract', async () => {
+    const hit = (id, contractId, rank, pageNumber) => ({
+      id, contractId, rank, pageNumber,
+      documentId: `doc-${contractId}`,
+      sourceType: 'UPLOAD_PAGE',
+      title: 'PPA.pdf',
+      label: null,
+      snippet: '<mark>liquidated</mark> <mark>damages</mark>',
+      contractName: `Contract ${contractId}`,
+      client: 'Acme',
+      site: 'San Jose',
+      status: 'ACTIVE'
+    });
+    prisma.$queryRaw.mockResolvedValue([hit('e1', 'b', 0.6, 4), hit('e2', 'a', 0.5, 2), hit('e3', 'b', 0.3, 9)]);
+
+    const result = await searchIndexService.search(prisma, ' "liquidated damages" ', { limit: 1 });
+
+    expect(result.query).toBe('"liquidated damages"');
+    expect(result.total).toBe(2);
+    expect(result.results).toHaveLength(1);
+    expect(result.results[0]).toMatchObject({ contract: { id: 'b', name: 'Contract b' }, score: 0.6, hitCount: 2 });
+    expect(result.results[0].hits.map(entry => entry.pageNumber)).toEqual([4, 9]);
+  });
+
+  it('should reject queries that are too short', async () => {
+    await expect(searchIndexService.search(prisma, 'a')).rejects.toMatchObject({ statusCode: 400 });
+    expect(prisma.$queryRaw).not.toHaveBeenCalled();
+  });
+});
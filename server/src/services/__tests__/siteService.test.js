@@ -0,0 +1,164 @@
+/**
+ * Unit Tests for contract sites, their rollups and blueprint site merging
+ */
+
+import siteService, { SiteError, normalizeSites, rollupSites } from '../siteService.js';
+import { buildContractBlueprint } from '../contractBlueprintService.js';
+import financialModelService from '../financialModelService.js';
+
+describe('normalizeSites', () => {
+  it('should accept extraction names, MW capacities and voltage labels', () => {
+    expect(normalizeSites([
+      { name: 'Plant A', siteId: 'BBM000.Z', capacityKw: '1.5 MW', servers: '5', voltage: '13.2kV', cod: '2025-03-01' },
+      { address: '9 Oak Ave', capacity: 650, voltage: 'V_480', utility: 'NOT SPECIFIED' }
+    ])).toEqual([
+      {
+        name: 'Plant A', siteCode: 'BBM000.Z', address: null, utility: null, capacity: 1500, servers: 5,
+        commercialOperationDate: new Date('2025-03-01'), voltage: 'V_13_2K', sortOrder: 0
+      },
+      {
+        name: '9 Oak Ave', siteCode: null, address: '9 Oak Ave', utility: null, capacity: 650, servers: null,
+        commercialOperationDate: null, voltage: 'V_480', sortOrder: 1
+      }
+    ]);
+  });
+
+  it('should reject sites without a name and invalid values', () => {
+    expect(() => normalizeSites({ name: 'Plant A' })).toThrow(SiteError);
+    expect(() => normalizeSites([{ utility: 'PG&E' }])).toThrow('Site 1 needs a name, site ID or address');
+    expect(() => normalizeSites([{ name: 'Plant A', capacity: -5 }])).toThrow('negative capacity');
+    expect(() => normalizeSites([{ name: 'Plant A', commercialOperationDate: 'soon' }])).toThrow('invalid commercial operation date');
+  });
+});
+
+describe('rollupSites', () => {
+  it('should sum stated values, label the sites and keep the earliest COD', () => {
+    const rollup = rollupSites(normalizeSites([
+      { name: 'North', capacity: 500, servers: 2, commercialOperationDate: '2025-06-01' },
+      { name: 'South', capacity: 1000, commercialOperationDate: '2025-03-01' },
+      { name: 'East' },
+      { name: 'West', servers: 3 }
+    ]));
+
+    expect(rollup).toEqual({
+      siteCount: 4,
+      site: 'North, South and 2 more',
+      capacity: 1500,
+      servers: 5,
+      commercialOperationDate: new Date('2025-03-01')
+    });
+    expect(rollupSites([])).toMatchObject({ siteCount: 0, site: null, capacity: null });
+  });
+});
+
+describe('SiteService.replaceSites', () => {
+  const fakePrisma = (contract) => {
+    const calls = [];
+    const record = (model, method) => (args) => {
+      calls.push([model, method, args]);
+      return [model, method];
+    };
+    return {
+      calls,
+      contract: { findUnique: async () => contract, update: record('contract', 'update') },
+      site: {
+        deleteMany: record('site', 'deleteMany'),
+        createMany: record('site', 'createMany'),
+        findMany: async () => [{ id: 'site-1', name: 'North' }]
+      },
+      technicalParams: { updateMany: record('technicalParams', 'updateMany') },
+      $transaction: async (operations) => operations
+    };
+  };
+
+  it('should replace the sites and roll capacity, label and servers onto the contract', async () => {
+    const prisma = fakePrisma({ id: 'c-1', commercialOperationDate: null });
+    const result = await siteService.replaceSites(prisma, 'c-1', [
+      { name: 'North', capacity: 500, servers: 2 },
+      { name: 'South', capacity: 750, servers: 3, commercialOperationDate: '2026-01-15' }
+    ]);
+
+    expect(prisma.calls.map(([model, method]) => `${model}.${method}`))
+      .toEqual(['site.deleteMany', 'site.createMany', 'contract.update', 'technicalParams.updateMany']);
+    expect(prisma.calls[1][2].data.map(site => [site.contractId, site.name, site.sortOrder]))
+      .toEqual([['c-1', 'North', 0], ['c-1', 'South', 1]]);
+    expect(prisma.calls[2][2].data).toEqual({
+      site: 'North, South',
+      capacity: 1250,
+      commercialOperationDate: new Date('2026-01-15')
+    });
+    expect(prisma.calls[3][2].data).toEqual({ servers: 5 });
+    expect(result.rollup.siteCount).toBe(2);
+  });
+
+  it('should recompute the stored totals when the site capacity changes', async () => {
+    const financial = { baseRate: 0.1, escalation: 0, escalationSchedule: null };
+    const prisma = fakePrisma({ id: 'c-1', commercialOperationDate: null, capacity: 1000, term: 10, financial });
+    await siteService.replaceSites(prisma, 'c-1', [{ name: 'North', capacity: 500 }, { name: 'South', capacity: 750 }]);
+
+    const expected = financialModelService.contractTotals({ capacity: 1250, term: 10 }, financial);
+    expect(prisma.calls[2][2].data).toMatchObject({ capacity: 1250, ...expected });
+    expect(expected.totalValue).toBeGreaterThan(0);
+  });
+
+  it('should clear the rollups when the last site is removed', async () => {
+    const financial = { baseRate: 0.1, escalation: 0, escalationSchedule: null };
+    const prisma = fakePrisma({ id: 'c-1', capacity: 1250, term: 10, financial, _count: { sites: 2 } });
+    await siteService.replaceSites(prisma, 'c-1', []);
+
+    expect(prisma.calls.map(([model, method]) => `${model}.${method}`))
+      .toEqual(['site.deleteMany', 'site.createMany', 'contract.update']);
+    expect(prisma.calls[2][2].data).toEqual({ site: '', capacity: 0, totalValue: null, yearlyRate: null });
+
+    // A contract that never had sites keeps its own label and capacity
+    const withoutSites = fakePrisma({ id: 'c-2', capacity: 800, term: 10, financial, _count: { sites: 0 } });
+    await siteService.replaceSites(withoutSites, 'c-2', []);
+    expect(withoutSites.calls.map(([model, method]) => `${model}.${method}`)).toEqual(['site.deleteMany', 'site.createMany']);
+  });
+
+  it('should return 404 for an unknown contract', async () => {
+    await expect(siteService.replaceSites(fakePrisma(null), 'missing', []))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+});
+
+describe('buildContractBlueprint sites', () => {
+  it('should merge site lists across documents and fill contract totals from them', () => {
+    const blueprint = buildContractBlueprint([
+      {
+        documentId: 'doc-1',
+        extractedData: {
+          sites: [
+            { name: 'Avocado Project', siteId: 'AVO-1', capacityKw: '1.2 MW', servers: 'NOT SPECIFIED' },
+            { name: 'McDonald Project', capacityKw: 800, servers: '3' }
+          ]
+        }
+      },
+      {
+        documentId: 'doc-2',
+        extractedData: {
+          sites: [
+            { name: 'Avocado Project (Site A)', siteId: 'AVO-1', address: '1 Grove Rd', servers: '4', voltage: '480 V' },
+            { name: 'mcdonald project', utility: 'SCE', capacityKw: 900 }
+          ]
+        }
+      }
+    ]);
+
+    expect(blueprint.formData.sites).toEqual([
+      {
+        name: 'Avocado Project', siteCode: 'AVO-1', address: '1 Grove Rd', utility: null,
+        capacity: 1200, servers: 4, commercialOperationDate: null, voltage: '480V'
+      },
+      {
+        name: 'McDonald Project', siteCode: null, address: null, utility: 'SCE',
+        capacity: 800, servers: 3, commercialOperationDate: null, voltage: null
+      }
+    ]);
+    expect(blueprint.formData.ratedCapacity).toBe(2000);
+    expect(blueprint.formData.numberOfServers).toBe(7);
+    expect(blueprint.provenance.ratedCapacity).toMatchObject({ sourceField: 'sites', documentId: null });
+    expect(blueprint.sections.sites.sites).toHaveLength(2);
+    expect(blueprint.metadata.siteCount).toBe(2);
+  });
+});
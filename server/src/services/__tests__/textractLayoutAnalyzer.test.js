@@ -0,0 +1,149 @@
+/**
+ * Unit Tests for table and key-value reconstruction from OCR geometry
+ */
+
+import {
+  analyzeLayout,
+  geometry,
+  keyValuePairsFromBlocks,
+  linesFromTesseractBlocks,
+  parseTesseractTsv,
+  tablesFromBlocks
+} from '../textractLayoutAnalyzer.js';
+
+const CHAR_WIDTH = 0.008;
+const LINE_HEIGHT = 0.02;
+
+// One LINE per entry; each entry lists [left, text] runs of words on that line
+const page = (lines) => {
+  let id = 1;
+  const lineBlocks = [];
+  const wordBlocks = [];
+
+  lines.forEach(([top, runs]) => {
+    const words = runs.flatMap(([left, text]) => {
+      let x = left;
+      return text.split(' ').map(word => {
+        const block = {
+          BlockType: 'WORD',
+          Id: `word-${id++}`,
+          Text: word,
+          Confidence: 90,
+          Geometry: geometry(x, top, word.length * CHAR_WIDTH, LINE_HEIGHT)
+        };
+        x += (word.length + 1) * CHAR_WIDTH;
+        return block;
+      });
+    });
+    wordBlocks.push(...words);
+    const last = words[words.length - 1].Geometry.BoundingBox;
+    lineBlocks.push({
+      BlockType: 'LINE',
+      Id: `line-${id++}`,
+      Text: words.map(word => word.Text).join(' '),
+      Geometry: geometry(runs[0][0], top, last.Left + last.Width - runs[0][0], LINE_HEIGHT),
+      Relationships: [{ Type: 'CHILD', Ids: words.map(word => word.Id) }]
+    });
+  });
+
+  let next = 1000;
+  return { lineBlocks, wordBlocks, nextId: prefix => `${prefix}-${next++}` };
+};
+
+const analyze = (lines, features = { tables: true, forms: true }) => {
+  const { lineBlocks, wordBlocks, nextId } = page(lines);
+  return [...lineBlocks, ...wordBlocks, ...analyzeLayout(lineBlocks, wordBlocks, { ...features, nextId })];
+};
+
+describe('tables', () => {
+  it('should rebuild a pricing exhibit with headers, empty and spanning cells', () => {
+    const blocks = analyze([
+      [0.10, [[0.1, 'EXHIBIT B - PRICING']]],
+      [0.14, [[0.1, 'Contract Year'], [0.4, 'Rate ($/kWh)'], [0.7, 'Guaranteed Output']]],
+      [0.17, [[0.1, '1'], [0.4, '$0.1200'], [0.7, '8,760 MWh']]],
+      [0.20, [[0.1, '2'], [0.4, '$0.1236']]],
+      [0.23, [[0.1, '3-20'], [0.4, 'Escalates 3% per year from the second anniversary']]],
+      [0.30, [[0.1, 'Buyer shall pay invoices within thirty days.']]]
+    ], { tables: true, forms: false });
+
+    const tables = tablesFromBlocks(blocks);
+    expect(tables).toHaveLength(1);
+    expect(tables[0]).toMatchObject({ rowCount: 4, columnCount: 3, headers: ['Contract Year', 'Rate ($/kWh)', 'Guaranteed Output'] });
+    expect(tables[0].rows.slice(1)).toEqual([
+      ['1', '$0.1200', '8,760 MWh'],
+      ['2', '$0.1236', ''],
+      ['3-20', 'Escalates 3% per year from the second anniversary', '']
+    ]);
+
+    const spanning = blocks.find(block => block.BlockType === 'CELL' && block.RowIndex === 4 && block.ColumnIndex === 2);
+    expect(spanning.ColumnSpan).toBe(2);
+    expect(blocks.filter(block => block.BlockType === 'CELL')).toHaveLength(11);
+  });
+
+  it('should not treat prose or label/value lines as tables', () => {
+    const blocks = analyze([
+      [0.10, [[0.1, 'The Seller shall deliver all energy generated by the System.']]],
+      [0.13, [[0.1, 'Effective Date:'], [0.4, 'January 1, 2025']]],
+      [0.16, [[0.1, 'Term:'], [0.4, 'Twenty (20) years']]]
+    ]);
+
+    expect(tablesFromBlocks(blocks)).toEqual([]);
+  });
+});
+
+describe('key-value pairs', () => {
+  it('should pair labels with values on the same line, including several per line', () => {
+    const blocks = analyze([
+      [0.10, [[0.1, 'Effective Date:'], [0.4, 'January 1, 2025']]],
+      [0.13, [[0.1, 'Start Date: 1/1/2025'], [0.5, 'End Date: 12/31/2044']]],
+      [0.16, [[0.1, 'Notice:']]],
+      [0.19, [[0.1, 'Meeting at 10:30 in the main office.']]]
+    ]);
+
+    expect(keyValuePairsFromBlocks(blocks).map(({ key, value }) => [key, value])).toEqual([
+      ['Effective Date', 'January 1, 2025'],
+      ['Start Date', '1/1/2025'],
+      ['End Date', '12/31/2044']
+    ]);
+
+    const key = blocks.find(block => block.EntityTypes?.includes('KEY'));
+    expect(key.Relationships[0]).toEqual({ Type: 'VALUE', Ids: [expect.stringMatching(/^value-/)] });
+  });
+});
+
+describe('parseTesseractTsv', () => {
+  it('should group word rows into lines with pixel bounding boxes', () => {
+    const tsv = [
+      'level\tpage_num\tblock_num\tpar_num\tline_num\tword_num\tleft\ttop\twidth\theight\tconf\ttext',
+      '4\t1\t1\t1\t1\t0\t10\t20\t200\t30\t-1\t',
+      '5\t1\t1\t1\t1\t1\t10\t20\t60\t30\t95.5\tBase',
+      '5\t1\t1\t1\t1\t2\t80\t22\t60\t28\t91\tRate:',
+      '5\t1\t1\t1\t2\t1\t10\t60\t90\t30\t88\t$0.1200'
+    ].join('\n');
+
+    const lines = parseTesseractTsv(tsv);
+    expect(lines.map(line => line.text)).toEqual(['Base Rate:', '$0.1200']);
+    expect(lines[0].bbox).toEqual({ x0: 10, y0: 20, x1: 140, y1: 50 });
+    expect(lines[0].words[1]).toMatchObject({ text: 'Rate:', confidence: 91 });
+  });
+});
+
+describe('linesFromTesseractBlocks', () => {
+  it('should flatten tesseract.js blocks into lines with their words', () => {
+    const word = (text, x0) => ({ text, confidence: 90, bbox: { x0, y0: 20, x1: x0 + 60, y1: 50 }, symbols: [] });
+    const blocks = [{
+      paragraphs: [{
+        lines: [
+          { text: 'Base Rate:\n', confidence: 92, bbox: { x0: 10, y0: 20, x1: 140, y1: 50 }, words: [word('Base', 10), word('Rate:', 80)] },
+          { text: ' \n', confidence: 0, bbox: { x0: 0, y0: 0, x1: 0, y1: 0 }, words: [] }
+        ]
+      }]
+    }];
+
+    const lines = linesFromTesseractBlocks(blocks);
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({ text: 'Base Rate:', bbox: { x0: 10, x1: 140 } });
+    expect(lines[0].words.map(entry => entry.text)).toEqual(['Base', 'Rate:']);
+    expect(linesFromTesseractBlocks(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for outbound webhook delivery
+ */
+
+import { WebhookService, signPayload, verifySignature } from '../webhookService.js';
+
+const endpoint = {
+  id: 'wh-1',
+  url: 'https://hooks.example.com/contracts',
+  secret: 'whsec_test',
+  events: ['contract.created'],
+  isActive: true
+};
+
+const pendingDelivery = (overrides = {}) => ({
+  id: 'del-1',
+  endpointId: 'wh-1',
+  event: 'contract.created',
+  payload: { contractId: 'c-1' },
+  status: 'PENDING',
+  attempts: 0,
+  createdAt: new Date('2026-01-05T10:00:00Z'),
+  endpoint,
+  ...overrides
+});
+
+const createPrisma = (delivery) => ({
+  webhookEndpoint: {
+    findMany: jest.fn().mockResolvedValue([endpoint])
+  },
+  webhookDelivery: {
+    findUnique: jest.fn().mockResolvedValue(delivery),
+    create: jest.fn().mockImplementation(({ data }) => Promise.resolve({ id: 'del-2', ...data })),
+    update: jest.fn().mockImplementation(({ data }) => Promise.resolve({ ...delivery, ...data }))
+  }
+});
+
+const response = (status) => ({ status, ok: status < 300, text: () => Promise.resolve('') });
+
+describe('webhook signatures', () => {
+  it('should verify signed bodies and reject tampered or stale ones', () => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({ event: 'contract.created' });
+    const header = signPayload('whsec_test', timestamp, body);
+
+    expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(verifySignature('whsec_test', header, body)).toBe(true);
+    expect(verifySignature('whsec_other', header, body)).toBe(false);
+    expect(verifySignature('whsec_test', header, body.replace('created', 'updated'))).toBe(false);
+    expect(verifySignature('whsec_test', signPayload('whsec_test', timestamp - 3600, body), body)).toBe(false);
+  });
+});
+
+describe('WebhookService deliveries', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    for (const timer of service.retryTimers.values()) {
+      clearTimeout(timer);
+    }
+    jest.restoreAllMocks();
+  });
+
+  it('should sign the request and schedule a backed-off retry on a server error', async () => {
+    const prisma = createPrisma(pendingDelivery({ attempts: 1 }));
+    const fetch = jest.fn().mockResolvedValue(response(500));
+    service = new WebhookService({ fetch, prisma, retryBaseMs: 1000 });
+
+    const before = Date.now();
+    await service.attempt('del-1');
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe(endpoint.url);
+    expect(verifySignature(endpoint.secret, request.headers['X-Webhook-Signature'], request.body)).toBe(true);
+
+    const { data } = prisma.webhookDelivery.update.mock.calls[0][0];
+    expect(data).toMatchObject({ status: 'PENDING', attempts: 2, responseStatus: 500, error: 'HTTP 500' });
+    expect(data.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 2000);
+    expect(service.retryTimers.has('del-1')).toBe(true);
+  });
+
+  it('should mark a delivery FAILED once attempts are exhausted and allow a replay', async () => {
+    const prisma = createPrisma(pendingDelivery({ attempts: 2 }));
+    service = new WebhookService({ fetch: jest.fn().mockRejectedValue(new Error('ECONNREFUSED')), prisma, maxAttempts: 3 });
+
+    await service.attempt('del-1');
+
+    expect(prisma.webhookDelivery.update.mock.calls[0][0].data).toMatchObject({
+      status: 'FAILED',
+      attempts: 3,
+      nextAttemptAt: null,
+      error: 'ECONNREFUSED'
+    });
+    expect(service.retryTimers.size).toBe(0);
+
+    prisma.webhookDelivery.findUnique.mockResolvedValue(pendingDelivery({ status: 'FAILED', attempts: 3 }));
+    jest.spyOn(service, 'attempt').mockResolvedValue(null);
+    await service.replay('del-1');
+
+    expect(prisma.webhookDelivery.create).toHaveBeenCalledWith({
+      data: expect.objectContaining({ endpointId: 'wh-1', event: 'contract.created', status: 'PENDING', replayOfId: 'del-1' })
+    });
+    expect(service.attempt).toHaveBeenCalledWith('del-2');
+  });
+
+  it('should refuse to replay deliveries that have not failed', async () => {
+    const prisma = createPrisma(pendingDelivery({ status: 'SUCCEEDED' }));
+    service = new WebhookService({ fetch: jest.fn(), prisma });
+
+    await expect(service.replay('del-1')).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
@@ -1,5 +1,6 @@
 import Anthropic from '@anthropic-ai/sdk';
 import { AIProvider } from './AIProvider.js';
+import llmReplayService from '../llmReplayService.js';
 
 /**
  * Anthropic Claude AI Provider
@@ -18,6 +19,13 @@ export class AnthropicProvider extends AIProvider {
 
   async initialize() {
     const apiKey = process.env.ANTHROPIC_API_KEY;
+    if (llmReplayService.isEnabled()) {
+      this.anthropic = llmReplayService.wrapAnthropicClient(() => new Anthropic({ apiKey }));
+      this.isConfigured = true;
+      console.log(`📼 Anthropic provider replaying recorded responses from ${llmReplayService.getReplayDir()}`);
+      return;
+    }
+
     if (!apiKey) {
       console.warn('Anthropic API key not configured');
       this.isConfigured = false;
@@ -1,5 +1,6 @@
 import OpenAI from 'openai';
 import { AIProvider } from './AIProvider.js';
+import llmReplayService from '../llmReplayService.js';
 
 /**
  * OpenAI GPT Provider
@@ -14,6 +15,13 @@ export class OpenAIProvider extends AIProvider {
 
   async initialize() {
     const apiKey = process.env.OPENAI_API_KEY;
+    if (llmReplayService.isEnabled()) {
+      this.openai = llmReplayService.wrapOpenAIClient(() => new OpenAI({ apiKey }));
+      this.isConfigured = true;
+      console.log(`📼 OpenAI provider replaying recorded responses from ${llmReplayService.getReplayDir()}`);
+      return;
+    }
+
     if (!apiKey) {
       console.warn('OpenAI API key not configured');
       this.isConfigured = false;
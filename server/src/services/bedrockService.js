@@ -1,3 +1,5 @@
+import llmReplayService from './llmReplayService.js';
+
 /**
  * AWS Bedrock AI Service for Claude models
  * Provides streaming and non-streaming inference using Amazon Bedrock
@@ -66,29 +68,43 @@ class BedrockService {
    * Initialize Bedrock client (async to support lazy SDK loading)
    */
   async getClient() {
-    if (!this.client) {
-      const { BedrockRuntimeClient } = await this.loadAWSSDK();
-      const region = this.getRegion();
-      this.client = new BedrockRuntimeClient({
-        region: region,
-        // AWS credentials will be loaded from environment or IAM role
-        credentials: process.env.AWS_ACCESS_KEY_ID ? {
-          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-          sessionToken: process.env.AWS_SESSION_TOKEN
-        } : undefined
-      });
-      console.log(`✅ AWS Bedrock client initialized`);
-      console.log(`📊 Region: ${region}`);
-      console.log(`📊 Model: ${this.getModelId()}`);
+    if (!this.client && llmReplayService.isEnabled()) {
+      this.client = llmReplayService.wrapBedrockClient(() => this.createClient());
+      console.log(`📼 AWS Bedrock client replaying recorded responses from ${llmReplayService.getReplayDir()}`);
+    } else if (!this.client) {
+      this.client = await this.createClient();
     }
     return this.client;
   }
 
+  /**
+   * Create the real Bedrock runtime client
+   */
+  async createClient() {
+    const { BedrockRuntimeClient } = await this.loadAWSSDK();
+    const region = this.getRegion();
+    const client = new BedrockRuntimeClient({
+      region: region,
+      // AWS credentials will be loaded from environment or IAM role
+      credentials: process.env.AWS_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+        sessionToken: process.env.AWS_SESSION_TOKEN
+      } : undefined
+    });
+    console.log(`✅ AWS Bedrock client initialized`);
+    console.log(`📊 Region: ${region}`);
+    console.log(`📊 Model: ${this.getModelId()}`);
+    return client;
+  }
+
   /**
    * Check if Bedrock is configured
    */
   isConfigured() {
+    if (llmReplayService.isEnabled()) {
+      return true;
+    }
     return !!(process.env.AWS_REGION && (process.env.AWS_ACCESS_KEY_ID || process.env.AWS_EXECUTION_ENV));
   }
 
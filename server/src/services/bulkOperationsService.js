@@ -20,6 +20,18 @@ class BulkOperationsService extends EventEmitter {
     this.jobCounter = 1;
     this.maxConcurrentOperations = parseInt(process.env.MAX_CONCURRENT_BULK_OPS || '3');
     this.batchSize = parseInt(process.env.BULK_BATCH_SIZE || '10');
+
+    // Surface finished jobs to notifications and webhooks
+    this.on('job:completed', ({ jobId, job }) => {
+      notificationService.emit('bulk:operation:completed', {
+        userId: job.userId,
+        operationType: job.type,
+        jobId,
+        successfulItems: job.successfulItems,
+        failedItems: job.failedItems,
+        duration: job.duration
+      });
+    });
   }
 
   /**
@@ -31,6 +43,7 @@ class BulkOperationsService extends EventEmitter {
     const job = {
       id: jobId,
       type: 'BULK_IMPORT',
+      userId,
       status: 'STARTED',
       totalItems: files.length,
       processedItems: 0,
@@ -546,6 +559,7 @@ class BulkOperationsService extends EventEmitter {
     const job = {
       id: jobId,
       type: 'BULK_STATUS_UPDATE',
+      userId,
       status: 'STARTED',
       totalItems: contractIds.length,
       processedItems: 0,
@@ -614,6 +628,7 @@ class BulkOperationsService extends EventEmitter {
     const job = {
       id: jobId,
       type: 'BULK_DELETE',
+      userId,
       status: 'STARTED',
       totalItems: contractIds.length,
       processedItems: 0,
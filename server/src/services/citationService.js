@@ -0,0 +1,319 @@
+/**
+ * Citation Service
+ *
+ * Links extracted contract values back to the text they were read from.
+ * For every field in extractedData the best matching occurrence in the
+ * document is located and recorded as a citation: page number, character
+ * offsets (document-level and page-relative) and a quoted snippet, so a
+ * reviewer can jump straight to the clause instead of re-reading the PDF.
+ *
+ * Page boundaries come from, in order of preference:
+ *  - page offsets recorded at upload time ({ pageNumber, start, end })
+ *  - DocumentPage rows ({ pageNumber, extractedText })
+ *  - page markers in the text: form feeds (pdftotext) or the
+ *    "--- Page N ---" headers written by the consolidated content endpoint
+ */
+
+const SNIPPET_RADIUS = 160;
+const MAX_MATCHES_PER_PATTERN = 50;
+const CUE_WINDOW_BEFORE = 150;
+const CUE_WINDOW_AFTER = 60;
+
+const MISSING_VALUES = new Set(['', 'not specified', 'n/a', 'na', 'none', 'unknown', 'tbd', 'yes', 'no', 'true', 'false']);
+
+const MONTHS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Words expected near a value; used to pick between several occurrences of the same number
+const FIELD_CUES = {
+  systemCapacity: ['capacity', 'kw', 'mw', 'nameplate', 'system size'],
+  ratedCapacity: ['capacity', 'kw', 'mw', 'nameplate'],
+  baseRate: ['rate', 'price', 'kwh', 'per', 'charge'],
+  annualEscalation: ['escalat', 'increase', 'annual', 'per year'],
+  contractTerm: ['term', 'years', 'period'],
+  efficiencyWarranty: ['efficiency', 'warrant', 'guarantee'],
+  availabilityGuarantee: ['availability', 'guarantee', 'uptime'],
+  outputWarranty: ['output', 'warrant'],
+  effectiveDate: ['effective', 'dated', 'as of'],
+  commercialOperationDate: ['commercial operation', 'cod'],
+  voltage: ['voltage', 'kv', 'volt'],
+  buyer: ['buyer', 'purchaser', 'customer', 'host'],
+  seller: ['seller', 'provider', 'bloom'],
+  customerName: ['customer', 'purchaser', 'buyer', 'host'],
+  financialOwner: ['owner', 'lessor', 'financ'],
+  siteLocation: ['site', 'location', 'address', 'premises']
+};
+
+/**
+ * Locate a citation for every populated field in extractedData
+ *
+ * @param {Object} extractedData - Field values returned by the AI/regex extraction
+ * @param {string} text - Document text the values were extracted from
+ * @param {Object} options - { pages: page offsets or DocumentPage rows }
+ * @returns {Object} { [field]: { value, text, start, end, page, pageStart, pageEnd, snippet, match } }
+ */
+export function locateFieldCitations(extractedData, text, options = {}) {
+  if (!extractedData || typeof text !== 'string' || text.length === 0) {
+    return {};
+  }
+
+  const pageMap = buildPageMap(text, options.pages);
+  const citations = {};
+
+  Object.entries(extractedData).forEach(([field, value]) => {
+    const citation = locateValue(text, field, value, pageMap);
+    if (citation) {
+      citations[field] = citation;
+    }
+  });
+
+  return citations;
+}
+
+/**
+ * Find the best occurrence of a single value in the text
+ */
+export function locateValue(text, field, value, pageMap = []) {
+  if (!isCitable(value)) return null;
+
+  const cues = FIELD_CUES[field] || splitFieldName(field);
+  let best = null;
+
+  buildValuePatterns(value).forEach(({ regex, match }) => {
+    let found;
+    let count = 0;
+    regex.lastIndex = 0;
+
+    while ((found = regex.exec(text)) && count < MAX_MATCHES_PER_PATTERN) {
+      count++;
+      if (found[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+
+      const score = scoreOccurrence(text, found.index, found.index + found[0].length, cues) + (match === 'exact' ? 1 : 0);
+      if (!best || score > best.score) {
+        best = { start: found.index, end: found.index + found[0].length, score, match };
+      }
+    }
+  });
+
+  if (!best) return null;
+
+  const page = findPage(pageMap, best.start);
+
+  return {
+    value,
+    text: text.slice(best.start, best.end),
+    start: best.start,
+    end: best.end,
+    page: page ? page.pageNumber : null,
+    pageStart: page ? best.start - page.start : null,
+    pageEnd: page ? best.end - page.start : null,
+    snippet: buildSnippet(text, best.start, best.end),
+    match: best.match
+  };
+}
+
+/**
+ * Resolve page spans ({ pageNumber, start, end }) over the document text
+ */
+export function buildPageMap(text, pages) {
+  if (Array.isArray(pages) && pages.length > 0) {
+    if (pages.every(page => Number.isInteger(page.start) && Number.isInteger(page.end))) {
+      return pages
+        .map(page => ({ pageNumber: page.pageNumber, start: page.start, end: page.end }))
+        .sort((a, b) => a.start - b.start);
+    }
+
+    const located = locatePageTexts(text, pages);
+    if (located.length > 0) return located;
+  }
+
+  const markerPattern = /--- Page (\d+) ---\n?/g;
+  const markers = [...text.matchAll(markerPattern)];
+  if (markers.length > 0) {
+    return markers.map((marker, index) => ({
+      pageNumber: parseInt(marker[1], 10),
+      start: marker.index + marker[0].length,
+      end: index + 1 < markers.length ? markers[index + 1].index : text.length
+    }));
+  }
+
+  if (text.includes('\f')) {
+    const spans = [];
+    let start = 0;
+    text.split('\f').forEach((pageText, index) => {
+      spans.push({ pageNumber: index + 1, start, end: start + pageText.length });
+      start += pageText.length + 1;
+    });
+    return spans;
+  }
+
+  return [];
+}
+
+// DocumentPage rows store trimmed page text; find each page in order within the full text
+function locatePageTexts(text, pages) {
+  const spans = [];
+  let cursor = 0;
+
+  [...pages]
+    .filter(page => typeof page.extractedText === 'string' && page.extractedText.trim())
+    .sort((a, b) => a.pageNumber - b.pageNumber)
+    .forEach(page => {
+      const pageText = page.extractedText.trim();
+      const index = text.indexOf(pageText.slice(0, 200), cursor);
+      if (index === -1) return;
+
+      spans.push({ pageNumber: page.pageNumber, start: index, end: index + pageText.length });
+      cursor = index + 1;
+    });
+
+  // Pages run until the next page starts so separators are attributed to the earlier page
+  spans.forEach((span, index) => {
+    span.end = Math.max(span.end, index + 1 < spans.length ? spans[index + 1].start : text.length);
+  });
+
+  return spans;
+}
+
+function findPage(pageMap, offset) {
+  return pageMap.find(page => offset >= page.start && offset < page.end) || null;
+}
+
+function isCitable(value) {
+  if (typeof value === 'number') return Number.isFinite(value);
+  if (typeof value !== 'string') return false;
+
+  const trimmed = value.trim();
+  return trimmed.length >= 2 && !MISSING_VALUES.has(trimmed.toLowerCase());
+}
+
+/**
+ * Search patterns for a value, most literal first: the value as written,
+ * then its numbers and dates in the formats contracts commonly use.
+ */
+function buildValuePatterns(value) {
+  const raw = String(value).trim();
+  const patterns = [];
+
+  const literal = escapeRegex(raw).replace(/\s+/g, '\\s+');
+  patterns.push({ regex: new RegExp(boundary(literal, raw), 'gi'), match: 'exact' });
+
+  const dateAlternatives = dateVariants(raw);
+  if (dateAlternatives.length > 0) {
+    patterns.push({ regex: new RegExp(`(?:${dateAlternatives.join('|')})`, 'gi'), match: 'normalized' });
+    return patterns;
+  }
+
+  const numbers = raw.match(/\d[\d,]*(?:\.\d+)?|\.\d+/g) || [];
+  numbers.forEach(number => {
+    patterns.push({ regex: new RegExp(numberPattern(number), 'g'), match: 'normalized' });
+  });
+
+  return patterns;
+}
+
+// Only anchor on word boundaries where the value itself starts/ends with a word character
+function boundary(pattern, raw) {
+  const start = /^\w/.test(raw) ? '(?<![\\w])' : '';
+  const end = /\w$/.test(raw) ? '(?![\\w])' : '';
+  return `${start}${pattern}${end}`;
+}
+
+// "2800", "2,800" and "2800.00" all match each other; "0.0850" matches "0.085"
+function numberPattern(number) {
+  const [integerPart, fractionPart = ''] = number.replace(/,/g, '').split('.');
+  const integer = integerPart.replace(/^0+(?=\d)/, '');
+  const fraction = fractionPart.replace(/0+$/, '');
+
+  const groupedInteger = integer.length > 3
+    ? integer.replace(/\B(?=(\d{3})+(?!\d))/g, ',?')
+    : integer;
+  const integerRegex = integer === '0' || integer === '' ? '0?' : groupedInteger;
+  const fractionRegex = fraction ? `\\.${fraction}0*` : '(?:\\.0+)?';
+
+  return `(?<![\\d.,])${integerRegex}${fractionRegex}(?![\\d]|\\.\\d)`;
+}
+
+// ISO and US dates are matched in the spelled-out forms contracts use
+function dateVariants(raw) {
+  let year;
+  let month;
+  let day;
+
+  const iso = raw.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  const us = raw.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (iso) {
+    [year, month, day] = [iso[1], parseInt(iso[2], 10), parseInt(iso[3], 10)];
+  } else if (us) {
+    [year, month, day] = [us[3], parseInt(us[1], 10), parseInt(us[2], 10)];
+  } else {
+    return [];
+  }
+
+  if (month < 1 || month > 12 || day < 1 || day > 31) return [];
+
+  const monthName = MONTHS[month - 1];
+  const monthShort = monthName.slice(0, 3);
+  const dayRegex = `0?${day}(?:st|nd|rd|th)?`;
+
+  return [
+    `${year}-0?${month}-0?${day}(?!\\d)`,
+    `(?<!\\d)0?${month}/0?${day}/${year}`,
+    `(?:${monthName}|${monthShort}\\.?)\\s+${dayRegex},?\\s+${year}`,
+    `(?<!\\d)${dayRegex}\\s+(?:day\\s+of\\s+)?(?:${monthName}|${monthShort}\\.?),?\\s+${year}`
+  ];
+}
+
+// Count cue words near the match, weighting closer ones higher
+function scoreOccurrence(text, start, end, cues) {
+  const windowStart = Math.max(0, start - CUE_WINDOW_BEFORE);
+  const before = text.slice(windowStart, start).toLowerCase();
+  const after = text.slice(end, end + CUE_WINDOW_AFTER).toLowerCase();
+
+  return cues.reduce((score, cue) => {
+    const cueLower = cue.toLowerCase();
+    const beforeIndex = before.lastIndexOf(cueLower);
+    if (beforeIndex !== -1) {
+      return score + 1 + (beforeIndex / CUE_WINDOW_BEFORE);
+    }
+    return after.includes(cueLower) ? score + 0.5 : score;
+  }, 0);
+}
+
+function buildSnippet(text, start, end) {
+  const lowerBound = Math.max(0, start - SNIPPET_RADIUS);
+  const upperBound = Math.min(text.length, end + SNIPPET_RADIUS);
+
+  const before = text.slice(lowerBound, start);
+  const sentenceStart = Math.max(before.lastIndexOf('\n'), before.search(/[.;:]\s[^.;:]*$/));
+  const snippetStart = sentenceStart >= 0 ? lowerBound + sentenceStart + 1 : lowerBound;
+
+  const after = text.slice(end, upperBound);
+  const sentenceEnd = after.search(/[.;]\s|\n/);
+  const snippetEnd = sentenceEnd >= 0 ? end + sentenceEnd + 1 : upperBound;
+
+  return text.slice(snippetStart, snippetEnd).replace(/\s+/g, ' ').trim();
+}
+
+function splitFieldName(field) {
+  return field
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[\s_]+/)
+    .filter(word => word.length > 3);
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export default {
+  locateFieldCitations,
+  locateValue,
+  buildPageMap
+};
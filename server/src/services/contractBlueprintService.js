@@ -0,0 +1,548 @@
+/**
+ * Contract Blueprint Service
+ *
+ * Merges per-document AI analysis results into a single contract blueprint:
+ * normalized form data for the contract editor, the same data grouped by
+ * form section, extracted rules grouped by section, and per-field provenance
+ * recording which document each value came from (with its page/snippet
+ * citation when one was located) and which alternatives were rejected.
+ * Site lists from all documents are merged into formData.sites.
+ */
+
+const NOT_SPECIFIED = 'NOT SPECIFIED';
+
+// Form sections and the fields that belong to them (mirrors TAB_CONFIG on the client)
+const SECTION_FIELDS = {
+  basic: ['customerName', 'siteLocation', 'orderDate', 'effectiveDate'],
+  system: ['solutionType', 'ratedCapacity', 'reliabilityLevel', 'installationType'],
+  sites: ['sites'],
+  financial: [
+    'baseRate', 'annualEscalation', 'contractTerm', 'microgridAdder',
+    'thermalCycleFee', 'electricalBudget', 'commissioningAllowance', 'invoiceFrequency'
+  ],
+  operating: [
+    'outputWarrantyPercent', 'efficiencyWarrantyPercent', 'minDemandKW',
+    'maxDemandKW', 'guaranteedCriticalOutput', 'includeRECs', 'recType'
+  ],
+  technical: ['gridParallelVoltage', 'numberOfServers', 'selectedComponents', 'specialRequirements']
+};
+
+// Rule categories mapped to the form section they affect
+const RULE_CATEGORY_SECTIONS = {
+  payment: 'financial',
+  pricing: 'financial',
+  financial: 'financial',
+  escalation: 'financial',
+  performance: 'operating',
+  warranty: 'operating',
+  operational: 'operating',
+  operating: 'operating',
+  technical: 'technical',
+  equipment: 'technical',
+  compliance: 'business-rules',
+  termination: 'business-rules',
+  general: 'business-rules'
+};
+
+/**
+ * Form field definitions: which extractedData keys feed each field and how
+ * to parse the raw value.
+ */
+const FIELD_DEFINITIONS = {
+  customerName: { sources: ['customerName', 'buyer'], parse: parseText },
+  siteLocation: { sources: ['siteLocation', 'siteName'], parse: parseText },
+  orderDate: { sources: ['orderDate'], parse: parseDate },
+  effectiveDate: { sources: ['effectiveDate', 'commercialOperationDate'], parse: parseDate },
+  solutionType: { sources: ['solutionType'], parse: parseSolutionType },
+  ratedCapacity: { sources: ['systemCapacity', 'ratedCapacity'], parse: parseCapacityKW },
+  reliabilityLevel: { sources: ['reliabilityLevel'], parse: parseReliability },
+  installationType: { sources: ['installationType'], parse: parseText },
+  baseRate: { sources: ['baseRate'], parse: parseRate },
+  annualEscalation: { sources: ['annualEscalation', 'escalationRate'], parse: parsePercent },
+  contractTerm: { sources: ['contractTerm'], parse: parseYears },
+  microgridAdder: { sources: ['microgridAdder'], parse: parseRate },
+  thermalCycleFee: { sources: ['thermalCycleFee'], parse: parseAmount },
+  electricalBudget: { sources: ['electricalBudget'], parse: parseAmount },
+  commissioningAllowance: { sources: ['commissioningAllowance'], parse: parseAmount },
+  invoiceFrequency: { sources: ['paymentFrequency'], parse: parseFrequency },
+  outputWarrantyPercent: { sources: ['outputWarranty', 'availabilityGuarantee'], parse: parsePercent },
+  efficiencyWarrantyPercent: { sources: ['efficiencyWarranty'], parse: parsePercent },
+  minDemandKW: { sources: ['minDemand'], parse: parseCapacityKW },
+  maxDemandKW: { sources: ['maxDemand'], parse: parseCapacityKW },
+  guaranteedCriticalOutput: { sources: ['guaranteedCriticalOutput'], parse: parseCapacityKW },
+  recType: { sources: ['environmentalCredits'], parse: parseText },
+  gridParallelVoltage: { sources: ['gridParallelVoltage', 'voltage'], parse: parseVoltage },
+  numberOfServers: { sources: ['numberOfServers'], parse: parseInteger }
+};
+
+// Fields of each extractedData.sites entry; the first source present is used
+const SITE_FIELDS = {
+  name: { sources: ['name', 'siteName'], parse: parseText },
+  siteCode: { sources: ['siteCode', 'siteId'], parse: parseText },
+  address: { sources: ['address', 'location'], parse: parseText },
+  utility: { sources: ['utility'], parse: parseText },
+  capacity: { sources: ['capacityKw', 'capacity'], parse: parseCapacityKW },
+  servers: { sources: ['servers', 'numberOfServers'], parse: parseInteger },
+  commercialOperationDate: { sources: ['commercialOperationDate', 'cod'], parse: parseDate },
+  voltage: { sources: ['voltage'], parse: parseVoltage }
+};
+
+// Contract fields filled from site totals when no document states them
+const SITE_ROLLUP_FIELDS = {
+  ratedCapacity: 'capacity',
+  numberOfServers: 'servers'
+};
+
+// Component flags in extractedData mapped to selectedComponents codes
+const COMPONENT_FLAGS = {
+  renewableIntegration: 'RI',
+  advancedControls: 'AC',
+  utilityConnections: 'UC',
+  bess: 'BESS',
+  solarIntegration: 'Solar',
+  windIntegration: 'Wind'
+};
+
+/**
+ * Build a contract blueprint from per-document analysis results
+ *
+ * @param {Array} analysisResults - Results from aiService.extractBusinessRules, one per document
+ * @returns {Object} { formData, sections, rulesBySection, metadata, provenance }
+ */
+export function buildContractBlueprint(analysisResults = []) {
+  const results = (analysisResults || []).filter(result => result && !result.error);
+
+  const provenance = {};
+  const formData = {};
+
+  Object.entries(FIELD_DEFINITIONS).forEach(([field, definition]) => {
+    const candidates = collectCandidates(results, definition);
+    const selected = selectCandidate(candidates);
+
+    formData[field] = selected ? selected.value : null;
+
+    if (selected) {
+      provenance[field] = {
+        value: selected.value,
+        rawValue: selected.rawValue,
+        sourceField: selected.sourceField,
+        documentId: selected.documentId,
+        filename: selected.filename,
+        confidence: selected.confidence,
+        citation: selected.citation,
+        alternatives: candidates
+          .filter(candidate => candidate !== selected)
+          .map(({ value, rawValue, documentId, filename, confidence }) => ({
+            value, rawValue, documentId, filename, confidence
+          })),
+        conflict: candidates.some(candidate => !valuesEqual(candidate.value, selected.value))
+      };
+    }
+  });
+
+  formData.sites = collectSites(results);
+  applySiteRollups(formData, provenance);
+  formData.selectedComponents = collectComponents(results);
+  formData.includeRECs = Boolean(formData.recType);
+  formData.specialRequirements = collectSpecialRequirements(results);
+
+  const sections = {};
+  Object.entries(SECTION_FIELDS).forEach(([section, fields]) => {
+    sections[section] = {};
+    fields.forEach(field => {
+      sections[section][field] = formData[field];
+    });
+  });
+
+  const blueprint = {
+    formData,
+    sections,
+    rulesBySection: groupRulesBySection(results),
+    metadata: {
+      parties: collectParties(results),
+      contractType: selectContractType(results),
+      siteCount: formData.sites.length,
+      documents: (analysisResults || []).filter(Boolean).map(result => ({
+        documentId: result.documentId,
+        filename: result.filename,
+        confidence: result.confidence
+      }))
+    },
+    provenance
+  };
+
+  const populated = Object.keys(provenance).length;
+  const conflicts = Object.values(provenance).filter(entry => entry.conflict).length;
+  console.log(`📋 Built contract blueprint from ${results.length} document(s): ${populated} fields populated, ${conflicts} with conflicting values`);
+
+  return blueprint;
+}
+
+/**
+ * Collect parsed candidate values for a field across all documents
+ */
+function collectCandidates(results, definition) {
+  const candidates = [];
+
+  results.forEach((result, documentIndex) => {
+    const data = result.extractedData || {};
+
+    for (const sourceField of definition.sources) {
+      const rawValue = data[sourceField];
+      if (isMissing(rawValue)) continue;
+
+      const value = definition.parse(rawValue);
+      if (value === null || value === undefined) continue;
+
+      const fieldConfidence = result.structuredExtraction?.fieldConfidence?.[sourceField];
+      candidates.push({
+        value,
+        rawValue,
+        sourceField,
+        documentId: result.documentId,
+        filename: result.filename,
+        documentIndex,
+        citation: result.citations?.[sourceField] || null,
+        confidence: typeof fieldConfidence === 'number' ? fieldConfidence : (result.confidence ?? 0.5)
+      });
+      break;
+    }
+  });
+
+  return candidates;
+}
+
+/**
+ * Pick the winning candidate: values agreed on by more documents win,
+ * then higher confidence, then the earlier document in upload order
+ */
+function selectCandidate(candidates) {
+  if (candidates.length === 0) return null;
+
+  const agreement = candidate =>
+    candidates.filter(other => valuesEqual(other.value, candidate.value)).length;
+
+  return [...candidates].sort((a, b) =>
+    agreement(b) - agreement(a) ||
+    b.confidence - a.confidence ||
+    a.documentIndex - b.documentIndex
+  )[0];
+}
+
+const siteKey = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+/**
+ * Merge the site lists of all documents. Sites are matched by site ID when
+ * both have one, otherwise by name; earlier documents win and later ones
+ * only fill values that are still missing.
+ */
+function collectSites(results) {
+  const sites = [];
+
+  results.forEach(result => {
+    const list = result.extractedData?.sites;
+    if (!Array.isArray(list)) return;
+
+    list.forEach(raw => {
+      if (!raw || typeof raw !== 'object') return;
+
+      const site = {};
+      Object.entries(SITE_FIELDS).forEach(([field, definition]) => {
+        const source = definition.sources.find(key => !isMissing(raw[key]));
+        site[field] = source ? (definition.parse(raw[source]) ?? null) : null;
+      });
+      site.name = site.name || site.siteCode || site.address;
+      if (!site.name) return;
+
+      const existing = sites.find(other => (other.siteCode && site.siteCode
+        ? other.siteCode === site.siteCode
+        : siteKey(other.name) === siteKey(site.name)));
+      if (!existing) {
+        sites.push(site);
+        return;
+      }
+      Object.keys(SITE_FIELDS).forEach(field => {
+        if (existing[field] === null) existing[field] = site[field];
+      });
+    });
+  });
+
+  return sites;
+}
+
+/**
+ * Fill contract totals from the sites. Only used when every site states the
+ * value, so a partial site list never understates the contract.
+ */
+function applySiteRollups(formData, provenance) {
+  const sites = formData.sites;
+  if (sites.length === 0) return;
+
+  Object.entries(SITE_ROLLUP_FIELDS).forEach(([field, siteField]) => {
+    if (formData[field] !== null || !sites.every(site => typeof site[siteField] === 'number')) return;
+
+    formData[field] = sites.reduce((total, site) => total + site[siteField], 0);
+    provenance[field] = {
+      value: formData[field],
+      rawValue: null,
+      sourceField: 'sites',
+      documentId: null,
+      filename: null,
+      confidence: null,
+      citation: null,
+      alternatives: [],
+      conflict: false
+    };
+  });
+}
+
+function collectComponents(results) {
+  const components = new Set();
+
+  results.forEach(result => {
+    const data = result.extractedData || {};
+    Object.entries(COMPONENT_FLAGS).forEach(([flag, code]) => {
+      if (parseBoolean(data[flag])) components.add(code);
+    });
+  });
+
+  return Array.from(components);
+}
+
+function collectSpecialRequirements(results) {
+  const notes = new Set();
+
+  results.forEach(result => {
+    const data = result.extractedData || {};
+    ['powerQualityRequirements', 'insuranceRequired'].forEach(key => {
+      if (!isMissing(data[key]) && typeof data[key] === 'string') notes.add(data[key].trim());
+    });
+  });
+
+  return Array.from(notes).join('; ');
+}
+
+function collectParties(results) {
+  const parties = new Set();
+
+  results.forEach(result => {
+    const source = result.parties;
+    const values = Array.isArray(source)
+      ? source
+      : source && typeof source === 'object'
+        ? Object.values(source).flat()
+        : [];
+
+    values.forEach(party => {
+      if (typeof party === 'string' && !isMissing(party) && party !== 'Unknown') {
+        parties.add(party.trim());
+      }
+    });
+  });
+
+  return Array.from(parties);
+}
+
+function selectContractType(results) {
+  const counts = {};
+  results.forEach(result => {
+    const type = result.contractType;
+    if (type && type !== 'Unknown' && type !== 'Analysis Failed') {
+      counts[type] = (counts[type] || 0) + 1;
+    }
+  });
+
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : 'Unknown';
+}
+
+/**
+ * Group extracted rules by the form section they affect
+ */
+function groupRulesBySection(results) {
+  const rulesBySection = {};
+
+  results.forEach(result => {
+    (result.extractedRules || []).forEach(rule => {
+      const category = (rule.category || 'general').toLowerCase();
+      const section = RULE_CATEGORY_SECTIONS[category] || 'business-rules';
+
+      if (!rulesBySection[section]) rulesBySection[section] = [];
+      rulesBySection[section].push({
+        id: rule.id,
+        name: rule.name,
+        category,
+        mappedField: rule.mappedFormField || null,
+        mappedValue: rule.mappedValue ?? (rule.parameters && Object.keys(rule.parameters).length > 0 ? rule.parameters : null),
+        confidence: rule.confidence,
+        sourceText: rule.sourceText,
+        description: rule.description,
+        documentId: result.documentId,
+        filename: result.filename
+      });
+    });
+  });
+
+  return rulesBySection;
+}
+
+// ============================================================================
+// VALUE PARSERS
+// ============================================================================
+
+function isMissing(value) {
+  if (value === null || value === undefined) return true;
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    return trimmed === '' || trimmed.toUpperCase() === NOT_SPECIFIED || trimmed.toUpperCase() === 'N/A';
+  }
+  return false;
+}
+
+function valuesEqual(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    return Math.abs(a - b) < 1e-9;
+  }
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Parse the first number from a value ("54,600 kW" → 54600)
+ */
+export function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const match = value.replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+function parseText(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+function parseInteger(value) {
+  const number = parseNumber(value);
+  return number === null ? null : Math.round(number);
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value !== 'string') return false;
+  return /^(yes|true|y|included)\b/i.test(value.trim());
+}
+
+/**
+ * Parse capacity into kW, converting MW when present
+ */
+export function parseCapacityKW(value) {
+  const number = parseNumber(value);
+  if (number === null) return null;
+  if (typeof value === 'string' && /\bmw\b/i.test(value) && !/\bkw\b/i.test(value)) {
+    return Math.round(number * 1000);
+  }
+  return number;
+}
+
+/**
+ * Parse an energy rate into $/kWh, converting ¢/kWh and $/MWh
+ */
+export function parseRate(value) {
+  const number = parseNumber(value);
+  if (number === null) return null;
+  if (typeof value === 'string') {
+    if (/\/\s*mwh/i.test(value)) return number / 1000;
+    if (/¢|cents?/i.test(value)) return number / 100;
+  }
+  return number;
+}
+
+/**
+ * Parse a percentage ("2.5%" → 2.5, "0.025" → 2.5)
+ */
+export function parsePercent(value) {
+  const number = parseNumber(value);
+  if (number === null) return null;
+  if (typeof value === 'string' && value.includes('%')) return number;
+  return number > 0 && number < 1 ? Math.round(number * 10000) / 100 : number;
+}
+
+function parseAmount(value) {
+  return parseNumber(value);
+}
+
+const NUMBER_WORDS = {
+  five: 5, ten: 10, twelve: 12, fifteen: 15, twenty: 20, 'twenty-five': 25, thirty: 30
+};
+
+export function parseYears(value) {
+  if (typeof value === 'string') {
+    const word = value.toLowerCase().match(/\b(five|ten|twelve|fifteen|twenty-five|twenty|thirty)\b/);
+    if (word && !/\d/.test(value)) return NUMBER_WORDS[word[1]];
+    if (/\bmonths?\b/i.test(value) && !/\byears?\b/i.test(value)) {
+      const months = parseNumber(value);
+      return months === null ? null : Math.round((months / 12) * 100) / 100;
+    }
+  }
+  return parseNumber(value);
+}
+
+function parseDate(value) {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+
+  const iso = trimmed.match(/\b(\d{4}-\d{2}-\d{2})\b/);
+  if (iso) return iso[1];
+
+  const parsed = new Date(trimmed);
+  if (!Number.isNaN(parsed.getTime())) {
+    // Date strings without a zone parse as local time, so format from local parts
+    const month = String(parsed.getMonth() + 1).padStart(2, '0');
+    const day = String(parsed.getDate()).padStart(2, '0');
+    return `${parsed.getFullYear()}-${month}-${day}`;
+  }
+  return null;
+}
+
+function parseSolutionType(value) {
+  if (typeof value !== 'string') return null;
+  const normalized = value.trim().toLowerCase();
+
+  if (normalized === 'amg' || normalized.includes('unconstrained') || normalized.includes('advanced microgrid')) {
+    return 'Microgrid - Unconstrained';
+  }
+  if (normalized === 'mg' || normalized.includes('microgrid')) return 'Microgrid - Constrained';
+  if (normalized.includes('battery') || normalized.includes('bess')) return 'Power Purchase - With Battery';
+  if (normalized === 'pp' || normalized === 'og' || normalized.includes('power purchase') || normalized.includes('ppa')) {
+    return 'Power Purchase - Standard';
+  }
+  return null;
+}
+
+function parseReliability(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+
+  const normalized = value.trim().toLowerCase();
+  if (normalized === 'critical') return 99.99;
+  if (normalized === 'high') return 99.95;
+  if (normalized === 'standard') return 99.9;
+  return parseNumber(value);
+}
+
+function parseVoltage(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(kv|v)\b/i);
+  if (!match) return null;
+  return match[2].toLowerCase() === 'kv' ? `${match[1]}kV` : `${match[1]}V`;
+}
+
+function parseFrequency(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.toLowerCase().match(/monthly|quarterly|annual/);
+  return match ? match[0] : null;
+}
+
+export default { buildContractBlueprint };
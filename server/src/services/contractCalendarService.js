@@ -0,0 +1,447 @@
+/**
+ * Contract Calendar Service
+ *
+ * Derives the key dates of every open contract so account managers see
+ * deadlines coming instead of finding them afterwards:
+ *
+ *   COD            - Contract.commercialOperationDate
+ *   EXPIRATION     - expirationDate from the latest contract analysis, else the
+ *                    end of the term counted from COD (or the effective date)
+ *   RENEWAL_NOTICE - last day to give renewal/non-renewal notice,
+ *                    renewalNoticeDays before expiration
+ *   ESCALATION     - each contract-year anniversary on which the billed rate
+ *                    changes (shared/escalationSchedule.js)
+ *
+ * A periodic check sends a SYSTEM_ALERT when a date comes within each
+ * configured lead time. Sent alerts are recorded in ContractDeadlineAlert, so
+ * restarts never repeat one. The same dates are served per user as JSON and
+ * as an iCalendar (.ics) feed that calendar apps can subscribe to.
+ *
+ * Environment:
+ *   CONTRACT_ALERT_LEAD_DAYS     - days ahead to alert, comma-separated (default "90,30,7")
+ *   CONTRACT_RENEWAL_NOTICE_DAYS - notice period for contracts without one (default 90)
+ */
+
+import crypto from 'crypto';
+import notificationService from './notificationService.js';
+import { evaluateEscalationSchedule } from '../../../shared/escalationSchedule.js';
+
+export const MILESTONE_TYPES = ['COD', 'EXPIRATION', 'RENEWAL_NOTICE', 'ESCALATION'];
+
+const DEFAULT_LEAD_DAYS = [90, 30, 7];
+const DEFAULT_RENEWAL_NOTICE_DAYS = 90;
+const ALERT_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FEED_HISTORY_DAYS = 365;
+const CLOSED_STATUSES = ['EXPIRED', 'CANCELLED'];
+
+// Admins and managers follow every contract; other users the ones they created
+const PORTFOLIO_ROLES = ['ADMIN', 'MANAGER'];
+
+export class CalendarError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'CalendarError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Calendar dates are whole UTC days, exchanged as YYYY-MM-DD
+const toDay = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Anniversaries of Feb 29 fall on Feb 28
+const addYears = (date, years) => {
+  const result = new Date(Date.UTC(date.getUTCFullYear() + years, date.getUTCMonth(), date.getUTCDate()));
+  return result.getUTCMonth() === date.getUTCMonth() ? result : addDays(result, -result.getUTCDate());
+};
+
+const parseDayParam = (value, name) => {
+  if (value === undefined || value === null || value === '') return null;
+  const day = toDay(value);
+  if (!day) {
+    throw new CalendarError(`Invalid ${name} date: ${value}`);
+  }
+  return day;
+};
+
+/**
+ * Lead times in days, largest first
+ */
+export function parseLeadDays(value) {
+  const days = String(value ?? '')
+    .split(',')
+    .map(entry => parseInt(entry, 10))
+    .filter(entry => Number.isInteger(entry) && entry >= 0);
+  return days.length > 0
+    ? [...new Set(days)].sort((a, b) => b - a)
+    : DEFAULT_LEAD_DAYS;
+}
+
+/**
+ * Term of a contract as UTC days: it starts at COD (else the effective date)
+ * and ends at the analyzed expiration date, else after `term` years
+ *
+ * @param {Object} contract - Contract with optional `analyses` (latest first)
+ * @returns {{ start: Date|null, expiration: Date|null, analyzedExpiration: boolean }}
+ */
+export function contractTerm(contract) {
+  const start = toDay(contract.commercialOperationDate) || toDay(contract.effectiveDate);
+  if (!start) {
+    return { start: null, expiration: null, analyzedExpiration: false };
+  }
+  const analyzed = (contract.analyses || []).map(analysis => toDay(analysis.expirationDate)).find(Boolean);
+  return {
+    start,
+    expiration: analyzed || (contract.term ? addYears(start, contract.term) : null),
+    analyzedExpiration: Boolean(analyzed)
+  };
+}
+
+/**
+ * Key dates for one contract
+ *
+ * @param {Object} contract - Contract with optional `financial` and `analyses` (latest first)
+ * @param {Object} [options] - { renewalNoticeDays } used when the contract has none
+ * @returns {Object[]} Milestones sorted by date:
+ *   { contractId, contractName, client, createdBy, type, date, title, description }
+ */
+export function deriveKeyDates(contract, options = {}) {
+  const milestones = [];
+  const add = (type, date, title, description) => milestones.push({
+    contractId: contract.id,
+    contractName: contract.name,
+    client: contract.client,
+    createdBy: contract.createdBy || null,
+    type,
+    date: formatDay(date),
+    title: `${title}: ${contract.name}`,
+    description
+  });
+
+  const cod = toDay(contract.commercialOperationDate);
+  if (cod) {
+    add('COD', cod, 'COD', `Commercial operation date for ${contract.name} (${contract.client})`);
+  }
+  const { start: termStart, expiration, analyzedExpiration } = contractTerm(contract);
+  if (!termStart) {
+    return milestones;
+  }
+
+  if (expiration) {
+    add('EXPIRATION', expiration, 'Contract expires', analyzedExpiration
+      ? 'Expiration date from the analyzed contract documents'
+      : `End of the ${contract.term}-year term starting ${formatDay(termStart)}`);
+
+    const noticeDays = contract.renewalNoticeDays ?? options.renewalNoticeDays ?? DEFAULT_RENEWAL_NOTICE_DAYS;
+    if (noticeDays > 0) {
+      add('RENEWAL_NOTICE', addDays(expiration, -noticeDays), 'Renewal notice due',
+        `Last day to give renewal or non-renewal notice (${noticeDays} days before the ${formatDay(expiration)} expiration)`);
+    }
+  }
+
+  if (contract.financial && contract.term) {
+    const years = evaluateEscalationSchedule({
+      baseRate: contract.financial.baseRate,
+      contractTerm: contract.term,
+      schedule: contract.financial.escalationSchedule,
+      annualEscalation: contract.financial.escalation
+    });
+    for (let index = 1; index < years.length; index++) {
+      const previous = years[index - 1];
+      const { year, rate } = years[index];
+      if (rate === previous.rate) continue;
+      add('ESCALATION', addYears(termStart, year - 1), `Rate escalation (year ${year})`,
+        `Rate changes from $${previous.rate.toFixed(4)} to $${rate.toFixed(4)}/kWh`);
+    }
+  }
+
+  return milestones.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+const escapeText = (text) => String(text ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Long lines continue on the next line after a single space (RFC 5545 3.1)
+const foldLine = (line) => {
+  const parts = [];
+  let rest = line;
+  while (rest.length > 75) {
+    parts.push(rest.slice(0, 75));
+    rest = ` ${rest.slice(75)}`;
+  }
+  parts.push(rest);
+  return parts.join('\r\n');
+};
+
+const icsDate = (day) => day.replace(/-/g, '');
+
+/**
+ * Render milestones as an iCalendar document of all-day events
+ *
+ * @param {Object[]} milestones - From deriveKeyDates
+ * @param {Object} [options] - { name, now, alarmDays } alarmDays: reminder before renewal notice deadlines
+ * @returns {string}
+ */
+export function toICalendar(milestones, { name = 'Contract deadlines', now = new Date(), alarmDays = 7 } = {}) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Bloom Energy//Contract Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const milestone of milestones) {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${milestone.contractId}-${milestone.type.toLowerCase()}-${icsDate(milestone.date)}@bloom-contracts`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${icsDate(milestone.date)}`,
+      `DTEND;VALUE=DATE:${icsDate(formatDay(addDays(toDay(milestone.date), 1)))}`,
+      `SUMMARY:${escapeText(milestone.title)}`,
+      `DESCRIPTION:${escapeText(milestone.description)}`,
+      `CATEGORIES:${milestone.type}`,
+      'TRANSP:TRANSPARENT'
+    );
+    if (milestone.type === 'RENEWAL_NOTICE' && alarmDays > 0) {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${escapeText(milestone.title)}`,
+        `TRIGGER:-P${alarmDays}D`,
+        'END:VALARM'
+      );
+    }
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+const contractScope = (user) => (PORTFOLIO_ROLES.includes(String(user.role).toUpperCase())
+  ? {}
+  : { createdBy: user.id });
+
+class ContractCalendarService {
+  constructor() {
+    this.alertTimer = null;
+  }
+
+  getLeadDays() {
+    return parseLeadDays(process.env.CONTRACT_ALERT_LEAD_DAYS);
+  }
+
+  getRenewalNoticeDays() {
+    const days = parseInt(process.env.CONTRACT_RENEWAL_NOTICE_DAYS, 10);
+    return days >= 0 ? days : DEFAULT_RENEWAL_NOTICE_DAYS;
+  }
+
+  /**
+   * Milestones of open contracts, optionally limited to a date range and types
+   *
+   * @param {Object} prisma
+   * @param {Object} [options] - { where, from, to, types }
+   * @returns {Promise<Object[]>}
+   */
+  async getMilestones(prisma, { where = {}, from, to, types } = {}) {
+    const fromDay = parseDayParam(from, 'from');
+    const toDayParam = parseDayParam(to, 'to');
+    const typeList = typeof types === 'string' ? types.split(',').map(type => type.trim()).filter(Boolean) : types;
+    const unknown = (typeList || []).filter(type => !MILESTONE_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new CalendarError(`Unknown milestone type(s): ${unknown.join(', ')}. Expected ${MILESTONE_TYPES.join(', ')}`);
+    }
+
+    const contracts = await prisma.contract.findMany({
+      where: { status: { notIn: CLOSED_STATUSES }, ...where },
+      include: {
+        financial: true,
+        analyses: {
+          where: { expirationDate: { not: null } },
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+          select: { expirationDate: true }
+        }
+      }
+    });
+
+    const renewalNoticeDays = this.getRenewalNoticeDays();
+    return contracts
+      .flatMap(contract => deriveKeyDates(contract, { renewalNoticeDays }))
+      .filter(milestone => (!fromDay || milestone.date >= formatDay(fromDay)) &&
+        (!toDayParam || milestone.date <= formatDay(toDayParam)) &&
+        (!typeList?.length || typeList.includes(milestone.type)))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Milestones of the contracts a user follows
+   */
+  async getUserMilestones(prisma, user, options = {}) {
+    return this.getMilestones(prisma, { ...options, where: { ...options.where, ...contractScope(user) } });
+  }
+
+  /**
+   * Feed token for a user, issued on first use
+   */
+  async getFeedToken(prisma, userId) {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { calendarFeedToken: true } });
+    if (!user) {
+      throw new CalendarError('User not found', 404);
+    }
+    return user.calendarFeedToken || this.rotateFeedToken(prisma, userId);
+  }
+
+  /**
+   * Issue a new feed token; the previous feed URL stops working
+   */
+  async rotateFeedToken(prisma, userId) {
+    const token = crypto.randomBytes(24).toString('hex');
+    await prisma.user.update({ where: { id: userId }, data: { calendarFeedToken: token } });
+    return token;
+  }
+
+  /**
+   * iCalendar feed for the user owning `token`: the past year and everything ahead
+   */
+  async getFeed(prisma, token) {
+    const user = token
+      ? await prisma.user.findUnique({
+        where: { calendarFeedToken: token },
+        select: { id: true, role: true, firstName: true, isActive: true }
+      })
+      : null;
+    if (!user || !user.isActive) {
+      throw new CalendarError('Calendar feed not found', 404);
+    }
+
+    const milestones = await this.getUserMilestones(prisma, user, {
+      from: addDays(toDay(new Date()), -FEED_HISTORY_DAYS)
+    });
+    return toICalendar(milestones, {
+      name: `Contract deadlines (${user.firstName})`,
+      alarmDays: Math.min(...this.getLeadDays())
+    });
+  }
+
+  /**
+   * Alert on milestones that have come within a lead time
+   *
+   * Only the tightest lead time reached is alerted, so a missed check sends
+   * one alert rather than several. Alerts go to the contract's creator, or to
+   * managers when it has none.
+   *
+   * @param {Object} prisma
+   * @param {Object} [options] - { today }
+   * @returns {Promise<number>} Alerts sent
+   */
+  async checkUpcomingDeadlines(prisma, { today = new Date() } = {}) {
+    const leadDays = this.getLeadDays();
+    const start = toDay(today);
+    const milestones = await this.getMilestones(prisma, { from: start, to: addDays(start, leadDays[0]) });
+    if (milestones.length === 0) {
+      return 0;
+    }
+
+    const due = milestones.map(milestone => {
+      const daysUntil = Math.round((toDay(milestone.date) - start) / DAY_MS);
+      return { ...milestone, daysUntil, leadDays: leadDays.filter(days => days >= daysUntil).pop() };
+    });
+
+    const key = (contractId, type, date, lead) => `${contractId}|${type}|${date}|${lead}`;
+    const sent = await prisma.contractDeadlineAlert.findMany({
+      where: {
+        contractId: { in: [...new Set(due.map(milestone => milestone.contractId))] },
+        dueDate: { gte: start }
+      },
+      select: { contractId: true, milestone: true, dueDate: true, leadDays: true }
+    });
+    const sentKeys = new Set(sent.map(alert => key(alert.contractId, alert.milestone, formatDay(toDay(alert.dueDate)), alert.leadDays)));
+    const pending = due.filter(milestone => !sentKeys.has(key(milestone.contractId, milestone.type, milestone.date, milestone.leadDays)));
+    if (pending.length === 0) {
+      return 0;
+    }
+
+    // Record first: a failed send is better than an alert repeated every check.
+    // Sends below skip the per-minute rate limit, so a catch-up run with many
+    // milestones does not drop alerts that are already recorded as sent.
+    await prisma.contractDeadlineAlert.createMany({
+      data: pending.map(milestone => ({
+        contractId: milestone.contractId,
+        milestone: milestone.type,
+        dueDate: toDay(milestone.date),
+        leadDays: milestone.leadDays
+      })),
+      skipDuplicates: true
+    });
+
+    for (const milestone of pending) {
+      const when = milestone.daysUntil === 0
+        ? 'today'
+        : `in ${milestone.daysUntil} day${milestone.daysUntil === 1 ? '' : 's'}`;
+      const data = {
+        message: `${milestone.title} ${when} (${milestone.date})`,
+        type: milestone.type === 'RENEWAL_NOTICE' || milestone.daysUntil <= 7 ? 'warning' : 'info',
+        alertType: 'contract_deadline',
+        milestone: milestone.type,
+        contractId: milestone.contractId,
+        contractName: milestone.contractName,
+        dueDate: milestone.date,
+        daysUntil: milestone.daysUntil
+      };
+
+      if (milestone.createdBy) {
+        notificationService.sendToUser(milestone.createdBy, notificationService.NOTIFICATION_TYPES.SYSTEM_ALERT, data, { rateLimit: false });
+      } else {
+        notificationService.sendToRole('manager', notificationService.NOTIFICATION_TYPES.SYSTEM_ALERT, data);
+      }
+    }
+
+    console.log(`📅 Sent ${pending.length} contract deadline alert(s)`);
+    return pending.length;
+  }
+
+  /**
+   * Check for upcoming deadlines now and every few hours
+   */
+  startAlertSchedule(prisma) {
+    this.stopAlertSchedule();
+
+    const check = () => {
+      this.checkUpcomingDeadlines(prisma).catch(error => {
+        console.error('Contract deadline check failed:', error.message);
+      });
+    };
+
+    check();
+    this.alertTimer = setInterval(check, ALERT_CHECK_INTERVAL_MS);
+    this.alertTimer.unref?.();
+    console.log(`📅 Contract deadline alerts scheduled ${this.getLeadDays().join(', ')} days ahead`);
+  }
+
+  stopAlertSchedule() {
+    if (this.alertTimer) {
+      clearInterval(this.alertTimer);
+      this.alertTimer = null;
+    }
+  }
+}
+
+const contractCalendarService = new ContractCalendarService();
+
+export default contractCalendarService;
@@ -0,0 +1,312 @@
+/**
+ * Contract Comparison Service
+ *
+ * Side-by-side comparison of 2-5 contracts, e.g. benchmarking a new PPA
+ * against similar signed ones. Every field of the contract and its financial,
+ * technical and operating parameters is lined up across the contracts, with
+ * lifetime value computed by the shared financial model and the business
+ * rules extracted from each contract's documents grouped into shared and
+ * contract-specific rules.
+ *
+ * Numeric fields flag outliers: values more than OUTLIER_THRESHOLD away from
+ * the median across the compared contracts. With only two contracts that
+ * differ by that much, both are flagged.
+ *
+ * Contracts come from the database or, like GET /api/contracts, from the
+ * in-memory store (financialParams/technicalParams/operatingParams shape).
+ */
+
+import financialModelService from './financialModelService.js';
+import { describeEscalationSchedule } from '../../../shared/escalationSchedule.js';
+
+export const MIN_COMPARED_CONTRACTS = 2;
+export const MAX_COMPARED_CONTRACTS = 5;
+
+// Relative deviation from the median
+const OUTLIER_THRESHOLD = 0.15;
+
+export class ComparisonError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ComparisonError';
+    this.statusCode = statusCode;
+  }
+}
+
+const toDateString = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? String(value) : date.toISOString().slice(0, 10);
+};
+
+// `value` reads the field from a normalized contract; `numeric` fields get outlier detection
+const SECTIONS = [
+  {
+    key: 'contract',
+    label: 'Contract',
+    fields: [
+      { key: 'capacity', label: 'Capacity', unit: 'kW', numeric: true, value: c => c.capacity },
+      { key: 'term', label: 'Term', unit: 'years', numeric: true, value: c => c.term },
+      { key: 'systemType', label: 'System type', value: c => c.systemType },
+      { key: 'status', label: 'Status', value: c => c.status },
+      { key: 'effectiveDate', label: 'Effective date', value: c => toDateString(c.effectiveDate) },
+      { key: 'commercialOperationDate', label: 'COD', value: c => toDateString(c.commercialOperationDate) }
+    ]
+  },
+  {
+    key: 'financial',
+    label: 'Financial',
+    fields: [
+      { key: 'baseRate', label: 'Base rate', unit: '$/kWh', numeric: true, value: c => c.financial.baseRate },
+      { key: 'escalation', label: 'Annual escalation', unit: '%', numeric: true, value: c => c.financial.escalation },
+      {
+        key: 'escalationSchedule',
+        label: 'Escalation schedule',
+        value: c => (c.financial.baseRate === undefined
+          ? null
+          : describeEscalationSchedule(c.financial.escalationSchedule, c.financial.escalation ?? 0))
+      },
+      { key: 'microgridAdder', label: 'Microgrid adder', unit: '$/kWh', numeric: true, value: c => c.financial.microgridAdder },
+      { key: 'thermalCycleFee', label: 'Thermal cycle fee', unit: '$', numeric: true, value: c => c.financial.thermalCycleFee },
+      { key: 'electricalBudget', label: 'Electrical budget', unit: '$', numeric: true, value: c => c.financial.electricalBudget },
+      { key: 'commissioningAllowance', label: 'Commissioning allowance', unit: '$', numeric: true, value: c => c.financial.commissioningAllowance }
+    ]
+  },
+  {
+    key: 'technical',
+    label: 'Technical',
+    fields: [
+      { key: 'voltage', label: 'Voltage', value: c => c.technical.voltage },
+      { key: 'gridVoltage', label: 'Grid voltage', value: c => c.technical.gridVoltage },
+      { key: 'servers', label: 'Servers', numeric: true, value: c => c.technical.servers },
+      { key: 'components', label: 'Components', value: c => (c.technical.components ? [...c.technical.components].sort() : null) },
+      { key: 'recType', label: 'REC type', value: c => c.technical.recType }
+    ]
+  },
+  {
+    key: 'operating',
+    label: 'Operating',
+    fields: [
+      { key: 'outputWarranty', label: 'Output warranty', unit: '%', numeric: true, value: c => c.operating.outputWarranty },
+      { key: 'efficiency', label: 'Efficiency warranty', unit: '%', numeric: true, value: c => c.operating.efficiency },
+      { key: 'minDemand', label: 'Minimum demand', unit: 'kW', numeric: true, value: c => c.operating.minDemand },
+      { key: 'maxDemand', label: 'Maximum demand', unit: 'kW', numeric: true, value: c => c.operating.maxDemand },
+      { key: 'criticalOutput', label: 'Critical output', unit: 'kW', numeric: true, value: c => c.operating.criticalOutput }
+    ]
+  },
+  {
+    key: 'lifetimeValue',
+    label: 'Lifetime value',
+    fields: [
+      { key: 'totalValue', label: 'Total contract value', unit: '$', numeric: true, value: c => c.lifetime?.totalValue },
+      { key: 'npv', label: 'Net present value', unit: '$', numeric: true, value: c => c.lifetime?.npv },
+      { key: 'monthlyPaymentYear1', label: 'Year 1 monthly payment', unit: '$', numeric: true, value: c => c.lifetime?.monthlyPaymentYear1 },
+      { key: 'averageRate', label: 'Average rate', unit: '$/kWh', numeric: true, value: c => c.lifetime?.averageRate },
+      { key: 'levelizedRate', label: 'Levelized rate', unit: '$/kWh', numeric: true, value: c => c.lifetime?.levelizedRate }
+    ]
+  }
+];
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Whether each value is an outlier against the median of all numeric values
+ *
+ * @param {(number|null)[]} values
+ * @returns {boolean[]}
+ */
+export function findOutliers(values) {
+  const numbers = values.filter(value => typeof value === 'number');
+  if (numbers.length < 2) {
+    return values.map(() => false);
+  }
+
+  const baseline = median(numbers);
+  return values.map(value => {
+    if (typeof value !== 'number') return false;
+    if (baseline === 0) return value !== 0;
+    return Math.abs(value - baseline) / Math.abs(baseline) > OUTLIER_THRESHOLD;
+  });
+}
+
+const ruleKey = (rule) => `${String(rule.category || 'general').toLowerCase()}|${String(rule.name || rule.description || '').trim().toLowerCase()}`;
+
+/**
+ * Group extracted rules into rules every contract has and rules specific to some
+ *
+ * @param {{ id: string, rules: Object[] }[]} contracts
+ */
+export function compareRules(contracts) {
+  const keysByContract = contracts.map(contract => new Set(contract.rules.map(ruleKey)));
+  const shared = [];
+  const seen = new Set();
+
+  for (const rule of contracts.flatMap(contract => contract.rules)) {
+    const key = ruleKey(rule);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (keysByContract.every(keys => keys.has(key))) {
+      shared.push({ category: rule.category || 'general', name: rule.name || rule.description });
+    }
+  }
+
+  const sharedKeys = new Set(shared.map(ruleKey));
+  return {
+    shared,
+    byContract: contracts.map(contract => ({
+      contractId: contract.id,
+      total: contract.rules.length,
+      // Rules not shared by every contract, with who else has them
+      distinct: contract.rules
+        .filter(rule => !sharedKeys.has(ruleKey(rule)))
+        .map(rule => ({
+          id: rule.id,
+          category: rule.category || 'general',
+          name: rule.name || rule.description,
+          description: rule.description,
+          confidence: rule.confidence,
+          alsoIn: contracts
+            .filter((other, index) => other.id !== contract.id && keysByContract[index].has(ruleKey(rule)))
+            .map(other => other.id)
+        }))
+    }))
+  };
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+class ContractComparisonService {
+  /**
+   * Compare contracts field by field
+   *
+   * @param {Object|null} prisma - Prisma client (null when running on the in-memory store)
+   * @param {string[]} contractIds - 2-5 contract IDs, in display order
+   * @param {Object} [options] - { memoryContracts }
+   * @returns {Promise<Object>} { contracts, sections, rules, summary }
+   */
+  async compareContracts(prisma, contractIds, options = {}) {
+    const ids = Array.isArray(contractIds) ? [...new Set(contractIds.filter(Boolean).map(String))] : [];
+    if (ids.length < MIN_COMPARED_CONTRACTS || ids.length > MAX_COMPARED_CONTRACTS) {
+      throw new ComparisonError(`Provide ${MIN_COMPARED_CONTRACTS}-${MAX_COMPARED_CONTRACTS} distinct contract IDs to compare`);
+    }
+
+    const found = await this.loadContracts(prisma, ids, options.memoryContracts || []);
+    const missing = ids.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      throw new ComparisonError(`Contract(s) not found: ${missing.join(', ')}`, 404);
+    }
+
+    const contracts = ids.map(id => this.withLifetimeValue(found.get(id)));
+    console.log(`⚖️ Comparing ${contracts.length} contracts: ${ids.join(', ')}`);
+
+    let differingFields = 0;
+    let outlierCount = 0;
+    const sections = SECTIONS.map(section => ({
+      key: section.key,
+      label: section.label,
+      fields: section.fields.map(field => {
+        const values = contracts.map(contract => field.value(contract) ?? null);
+        const differs = values.some(value => !sameValue(value, values[0]));
+        const flags = field.numeric && differs ? findOutliers(values) : [];
+        const outliers = contracts.filter((contract, index) => flags[index]).map(contract => contract.id);
+        if (differs) differingFields += 1;
+        outlierCount += outliers.length;
+
+        return {
+          key: field.key,
+          label: field.label,
+          unit: field.unit || null,
+          values,
+          differs,
+          outliers
+        };
+      })
+    }));
+
+    return {
+      contracts: contracts.map(contract => ({
+        id: contract.id,
+        name: contract.name,
+        client: contract.client,
+        site: contract.site,
+        status: contract.status,
+        systemType: contract.systemType
+      })),
+      sections,
+      rules: compareRules(contracts),
+      summary: { differingFields, outlierCount }
+    };
+  }
+
+  /**
+   * Contracts by ID from the database and the in-memory store, normalized
+   */
+  async loadContracts(prisma, ids, memoryContracts) {
+    const found = new Map();
+
+    if (prisma) {
+      const rows = await prisma.contract.findMany({
+        where: { id: { in: ids } },
+        include: {
+          financial: true,
+          technical: true,
+          operating: true,
+          uploads: { select: { extractedData: true } }
+        }
+      });
+      for (const row of rows) {
+        found.set(row.id, this.normalize(row));
+      }
+    }
+
+    for (const contract of memoryContracts) {
+      if (ids.includes(contract.id) && !found.has(contract.id)) {
+        found.set(contract.id, this.normalize(contract));
+      }
+    }
+
+    return found;
+  }
+
+  normalize(contract) {
+    const uploadRules = (contract.uploads || [])
+      .flatMap(upload => upload.extractedData?.analysis?.extractedRules || []);
+    // The same rule is often extracted from several documents of one contract
+    const rules = new Map();
+    for (const rule of [...(contract.extractedRules || []), ...uploadRules]) {
+      if (!rules.has(ruleKey(rule))) rules.set(ruleKey(rule), rule);
+    }
+
+    return {
+      ...contract,
+      financial: contract.financial || contract.financialParams || {},
+      technical: contract.technical || contract.technicalParams || {},
+      operating: contract.operating || contract.operatingParams || {},
+      rules: [...rules.values()]
+    };
+  }
+
+  withLifetimeValue(contract) {
+    const { financial } = contract;
+    if (!contract.capacity || !contract.term || typeof financial.baseRate !== 'number') {
+      return { ...contract, lifetime: null };
+    }
+
+    const { yearlyRates, ...lifetime } = financialModelService.calculate({
+      capacity: contract.capacity,
+      term: contract.term,
+      baseRate: financial.baseRate,
+      escalation: financial.escalation ?? 0,
+      escalationSchedule: financial.escalationSchedule ?? null
+    });
+    return { ...contract, lifetime };
+  }
+}
+
+const contractComparisonService = new ContractComparisonService();
+
+export default contractComparisonService;
@@ -0,0 +1,292 @@
+/**
+ * Contract Consolidation Service
+ *
+ * Builds the "current effective terms" of a contract from its analyzed
+ * documents. The primary agreement supplies the baseline values; amendments
+ * and addenda are then applied on top in effective-date order, each one
+ * overriding only the fields it actually specifies.
+ *
+ * Alongside the consolidated terms it returns a timeline of which document
+ * changed which field and when. Amendments dated after `asOf` are reported
+ * as pending instead of being applied.
+ *
+ * Documents are the contract's ContractDocument rows; sequenceOrder picks the
+ * primary agreement and orders amendments that share an effective date (or
+ * have none). Field values come from each document's latest analysis in
+ * the review queue, so reviewer corrections and rejections (and document type
+ * corrections) are honoured. Contracts without analyzed ContractDocuments fall
+ * back to the uploaded files analyzed by /api/documents/analyze.
+ */
+
+import { toDocumentType } from './documentTypeClassifier.js';
+
+const NOT_SPECIFIED = 'NOT SPECIFIED';
+
+// Document types whose values override the primary agreement
+const AMENDING_TYPES = ['AMENDMENT', 'ADDENDUM'];
+
+// Dates that describe the document itself rather than a contract term
+const DOCUMENT_FIELDS = ['effectiveDate', 'orderDate'];
+
+const DATE_LIKE = /^\d{4}-\d{1,2}-\d{1,2}$|^\d{1,2}\/\d{1,2}\/\d{2,4}$|[a-z]{3,}\.?\s+\d{1,2},?\s+\d{4}/i;
+
+export class ConsolidationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ConsolidationError';
+    this.statusCode = statusCode;
+  }
+}
+
+const isSpecified = (value) => value !== null && value !== undefined &&
+  String(value).trim() !== '' && String(value).trim().toUpperCase() !== NOT_SPECIFIED;
+
+// Extracted dates come as ISO, US or long-form text; normalize to YYYY-MM-DD
+const parseDate = (value) => {
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  }
+  if (!isSpecified(value)) return null;
+  const text = String(value).trim();
+  if (!DATE_LIKE.test(text)) return null;
+  const isoMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const date = isoMatch
+    ? new Date(Date.UTC(+isoMatch[1], +isoMatch[2] - 1, +isoMatch[3]))
+    : new Date(`${text} UTC`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+const sameValue = (a, b) => String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+
+class ContractConsolidationService {
+  /**
+   * Current effective terms and amendment timeline for a contract
+   *
+   * @param {Object|null} prisma - Prisma client (null when running on the in-memory store)
+   * @param {string} contractId - Contract ID (or temporary upload contract ID)
+   * @param {Object} options - { asOf, memoryDocuments }
+   */
+  async getEffectiveTerms(prisma, contractId, options = {}) {
+    const asOf = options.asOf ? parseDate(options.asOf) : new Date().toISOString().slice(0, 10);
+    if (!asOf) {
+      throw new ConsolidationError(`Invalid asOf date: ${options.asOf}`);
+    }
+
+    let documents = await this.loadContractDocuments(prisma, contractId);
+    if (documents.length === 0) {
+      const uploads = await this.loadUploads(prisma, contractId, options.memoryDocuments || []);
+      documents = uploads
+        .map(upload => this.toConsolidationDocument(upload))
+        .filter(Boolean);
+    }
+
+    if (documents.length === 0) {
+      throw new ConsolidationError(`No analyzed documents found for contract ${contractId}`, 404);
+    }
+
+    console.log(`📑 Consolidating ${documents.length} document(s) for contract ${contractId} as of ${asOf}`);
+
+    return {
+      contractId,
+      ...this.consolidate(documents, { asOf })
+    };
+  }
+
+  /**
+   * Analyzed ContractDocuments for a contract, with fields taken from the
+   * latest analysis: reviewer corrections replace the extracted value and
+   * rejected fields are dropped
+   */
+  async loadContractDocuments(prisma, contractId) {
+    if (!prisma) {
+      return [];
+    }
+
+    const contractDocuments = await prisma.contractDocument.findMany({
+      where: { contractId },
+      include: {
+        analyses: {
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+          include: { confidenceTracking: true }
+        }
+      },
+      orderBy: [{ sequenceOrder: 'asc' }, { uploadDate: 'asc' }]
+    });
+
+    return contractDocuments
+      .filter(doc => doc.analyses?.length > 0)
+      .map(doc => {
+        const fields = {};
+        for (const item of doc.analyses[0].confidenceTracking || []) {
+          if (item.reviewDecision === 'REJECTED') continue;
+          fields[item.aspectName] = item.reviewDecision === 'CORRECTED'
+            ? item.reviewedValue
+            : item.evidence?.value;
+        }
+
+        return {
+          id: doc.id,
+          title: doc.title || doc.originalName,
+          documentType: doc.documentType,
+          sequenceOrder: doc.sequenceOrder,
+          parentDocumentId: doc.parentDocumentId || null,
+          effectiveDate: fields.effectiveDate ?? doc.analyses[0].effectiveDate,
+          uploadDate: doc.uploadDate,
+          fields
+        };
+      });
+  }
+
+  /**
+   * Uploaded files for a contract from the database and the in-memory store,
+   * matched on contractId or tempContractId like the analyze endpoint
+   */
+  async loadUploads(prisma, contractId, memoryDocuments) {
+    let dbDocuments = [];
+    if (prisma) {
+      dbDocuments = await prisma.$queryRaw`
+        SELECT * FROM uploaded_files
+        WHERE "contractId" = ${contractId} OR "tempContractId" = ${contractId}
+        ORDER BY "uploadDate" ASC
+      `;
+    }
+
+    const seen = new Set(dbDocuments.map(doc => doc.id));
+    return [...dbDocuments, ...memoryDocuments.filter(doc => !seen.has(doc.id))];
+  }
+
+  /**
+   * Normalize an analyzed upload, or null if it has no usable analysis
+   */
+  toConsolidationDocument(upload) {
+    const analysis = upload.extractedData?.analysis;
+    if (!analysis?.extractedData || analysis.error) {
+      return null;
+    }
+
+    const specType = analysis.structuredExtraction?.documentType;
+    const documentType = specType
+      ? toDocumentType(specType)
+      : (/amendment/i.test(analysis.contractType || '') ? 'AMENDMENT' : 'PRIMARY');
+
+    return {
+      id: upload.id,
+      title: upload.originalName || analysis.filename || upload.fileName,
+      documentType,
+      sequenceOrder: upload.sequenceOrder ?? 0,
+      effectiveDate: analysis.extractedData.effectiveDate,
+      uploadDate: upload.uploadDate,
+      fields: analysis.extractedData
+    };
+  }
+
+  /**
+   * Apply amendments over the primary agreement
+   *
+   * Amendments are applied in effective-date order, with sequenceOrder breaking
+   * ties. A PRIMARY document attached to a parent document (e.g. a sub-agreement) is
+   * not chosen as the baseline while a top-level one exists.
+   *
+   * @param {Array} documents - [{ id, title, documentType, sequenceOrder, parentDocumentId, effectiveDate, uploadDate, fields }]
+   * @param {Object} options - { asOf } as YYYY-MM-DD
+   * @returns {Object} { asOf, primaryDocument, terms, timeline, pending, supportingDocuments }
+   */
+  consolidate(documents, options = {}) {
+    const asOf = options.asOf || new Date().toISOString().slice(0, 10);
+
+    const dated = documents.map(doc => {
+      const effectiveDate = parseDate(doc.effectiveDate);
+      return {
+        ...doc,
+        effectiveDate: effectiveDate || parseDate(doc.uploadDate),
+        effectiveDateSource: effectiveDate ? 'extracted' : 'uploadDate'
+      };
+    });
+    const chronological = (a, b) => (a.effectiveDate || '').localeCompare(b.effectiveDate || '')
+      || (a.sequenceOrder ?? 0) - (b.sequenceOrder ?? 0);
+    const bySequence = (a, b) => (a.sequenceOrder ?? 0) - (b.sequenceOrder ?? 0) || chronological(a, b);
+
+    const primaries = dated.filter(doc => doc.documentType === 'PRIMARY');
+    const topLevel = primaries.filter(doc => !doc.parentDocumentId);
+    const candidates = topLevel.length > 0 ? topLevel : (primaries.length > 0 ? primaries : dated);
+    const primary = [...candidates].sort(bySequence)[0];
+
+    const amendments = dated
+      .filter(doc => doc !== primary && AMENDING_TYPES.includes(doc.documentType))
+      .sort(chronological);
+
+    const terms = {};
+    for (const [field, value] of Object.entries(primary.fields || {})) {
+      if (DOCUMENT_FIELDS.includes(field) || !isSpecified(value)) continue;
+      terms[field] = {
+        value,
+        sourceDocumentId: primary.id,
+        sourceTitle: primary.title,
+        effectiveSince: primary.effectiveDate,
+        amended: false
+      };
+    }
+
+    const timeline = [];
+    const pending = [];
+
+    for (const amendment of amendments) {
+      const entry = {
+        documentId: amendment.id,
+        title: amendment.title,
+        documentType: amendment.documentType,
+        parentDocumentId: amendment.parentDocumentId || null,
+        effectiveDate: amendment.effectiveDate,
+        effectiveDateSource: amendment.effectiveDateSource,
+        applied: false,
+        changes: []
+      };
+
+      for (const [field, value] of Object.entries(amendment.fields || {})) {
+        if (DOCUMENT_FIELDS.includes(field) || !isSpecified(value)) continue;
+        const previousValue = terms[field]?.value ?? null;
+        if (previousValue !== null && sameValue(previousValue, value)) continue;
+        entry.changes.push({ field, previousValue, value });
+      }
+
+      if (amendment.effectiveDate && amendment.effectiveDate > asOf) {
+        pending.push(entry);
+        continue;
+      }
+
+      for (const change of entry.changes) {
+        terms[change.field] = {
+          value: change.value,
+          sourceDocumentId: amendment.id,
+          sourceTitle: amendment.title,
+          effectiveSince: amendment.effectiveDate,
+          amended: true
+        };
+      }
+      entry.applied = true;
+      timeline.push(entry);
+    }
+
+    return {
+      asOf,
+      primaryDocument: {
+        documentId: primary.id,
+        title: primary.title,
+        documentType: primary.documentType,
+        effectiveDate: primary.effectiveDate,
+        effectiveDateSource: primary.effectiveDateSource
+      },
+      terms,
+      timeline,
+      pending,
+      supportingDocuments: dated
+        .filter(doc => doc !== primary && !AMENDING_TYPES.includes(doc.documentType))
+        .map(doc => ({ documentId: doc.id, title: doc.title, documentType: doc.documentType }))
+    };
+  }
+}
+
+const contractConsolidationService = new ContractConsolidationService();
+
+export default contractConsolidationService;
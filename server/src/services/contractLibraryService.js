@@ -0,0 +1,312 @@
+/**
+ * Contract Library Service
+ *
+ * Faceted filtering for the contract library and per-user saved views.
+ *
+ * Filters run over the same merged list GET /api/contracts returns (database
+ * plus in-memory store), so both storage shapes are normalized first. Values
+ * within one facet are alternatives (status ACTIVE or PENDING); components and
+ * tags are required together (has RI and BESS). Facet counts follow the usual
+ * faceted-search rule: each facet is counted over the contracts matching
+ * every other filter, so picking a system type does not hide the other types.
+ */
+
+export const MAX_SAVED_VIEWS = 50;
+
+export class ContractLibraryError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ContractLibraryError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Multi-value filters and how to read them from a normalized contract
+const LIST_FACETS = {
+  status: { value: c => c.status },
+  systemType: { value: c => c.systemType },
+  voltage: { value: c => c.technical.voltage },
+  // Linked contracts group under their registry customer, whatever the spelling of client
+  customer: { value: c => c.customer?.name || c.client },
+  // Multi-site contracts match and count under each of their sites
+  site: { values: c => (c.sites?.length ? c.sites.map(site => site.name) : [c.site]) },
+  components: { values: c => c.technical.components || [], matchAll: true },
+  tags: { values: c => c.tags || [], matchAll: true }
+};
+
+const RANGE_FACETS = {
+  capacity: { value: c => c.capacity },
+  term: { value: c => c.term },
+  escalation: { value: c => c.financial.escalation }
+};
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+const toNumber = (value, name) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new ContractLibraryError(`${name} must be a number`);
+  }
+  return number;
+};
+
+const toDay = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ContractLibraryError(`${name} must be a date (YYYY-MM-DD)`);
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Normalized filters from query parameters or a saved view
+ *
+ * Lists are comma-separated strings or arrays; ranges are capacityMin/Max,
+ * termMin/Max, escalationMin/Max and effectiveFrom/effectiveTo.
+ *
+ * @param {Object} query
+ * @returns {Object} Only the filters that are set
+ */
+export function parseFilters(query = {}) {
+  const filters = {};
+
+  const search = String(query.search || '').trim();
+  if (search) filters.search = search;
+
+  for (const key of Object.keys(LIST_FACETS)) {
+    const values = toList(query[key]);
+    if (values.length > 0) filters[key] = values;
+  }
+
+  for (const key of Object.keys(RANGE_FACETS)) {
+    const min = toNumber(query[`${key}Min`], `${key}Min`);
+    const max = toNumber(query[`${key}Max`], `${key}Max`);
+    if (min !== null && max !== null && min > max) {
+      throw new ContractLibraryError(`${key}Min must not be greater than ${key}Max`);
+    }
+    if (min !== null) filters[`${key}Min`] = min;
+    if (max !== null) filters[`${key}Max`] = max;
+  }
+
+  const from = toDay(query.effectiveFrom, 'effectiveFrom');
+  const to = toDay(query.effectiveTo, 'effectiveTo');
+  if (from) filters.effectiveFrom = from;
+  if (to) filters.effectiveTo = to;
+
+  return filters;
+}
+
+// Effective date of a stored contract as YYYY-MM-DD, null if missing or unparseable
+const dayOf = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+};
+
+const normalize = (contract) => ({
+  ...contract,
+  financial: contract.financial || contract.financialParams || {},
+  technical: contract.technical || contract.technicalParams || {}
+});
+
+const sameText = (a, b) => String(a ?? '').toLowerCase() === String(b ?? '').toLowerCase();
+
+// Predicate per filter group, keyed like the facets so one group can be skipped
+const predicates = (filters) => {
+  const checks = {};
+
+  if (filters.search) {
+    const term = filters.search.toLowerCase();
+    checks.search = c => [c.name, c.client, c.customer?.name, c.site, c.id, ...(c.sites || []).flatMap(site => [site.name, site.address])]
+      .some(field => String(field || '').toLowerCase().includes(term));
+  }
+
+  for (const [key, facet] of Object.entries(LIST_FACETS)) {
+    const wanted = filters[key];
+    if (!wanted) continue;
+    const values = facet.values || (c => [facet.value(c)]);
+    checks[key] = facet.matchAll
+      ? c => wanted.every(value => values(c).some(item => sameText(item, value)))
+      : c => wanted.some(value => values(c).some(item => sameText(item, value)));
+  }
+
+  for (const [key, facet] of Object.entries(RANGE_FACETS)) {
+    const min = filters[`${key}Min`];
+    const max = filters[`${key}Max`];
+    if (min === undefined && max === undefined) continue;
+    checks[key] = c => {
+      const value = facet.value(c);
+      return typeof value === 'number'
+        && (min === undefined || value >= min)
+        && (max === undefined || value <= max);
+    };
+  }
+
+  if (filters.effectiveFrom || filters.effectiveTo) {
+    checks.effectiveDate = c => {
+      const day = dayOf(c.effectiveDate);
+      return day !== null
+        && (!filters.effectiveFrom || day >= filters.effectiveFrom)
+        && (!filters.effectiveTo || day <= filters.effectiveTo);
+    };
+  }
+
+  return checks;
+};
+
+const countValues = (contracts, read) => {
+  const counts = new Map();
+  for (const contract of contracts) {
+    for (const value of read(contract)) {
+      if (value === undefined || value === null || value === '') continue;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+};
+
+const rangeOf = (values) => {
+  const numbers = values.filter(value => typeof value === 'number');
+  return numbers.length > 0 ? { min: Math.min(...numbers), max: Math.max(...numbers) } : { min: null, max: null };
+};
+
+/**
+ * Apply filters and compute facet counts
+ *
+ * @param {Object[]} contracts - Database and/or in-memory contracts
+ * @param {Object} filters - From parseFilters
+ * @returns {{ contracts: Object[], total: number, facets: Object }}
+ */
+export function filterContracts(contracts, filters) {
+  const normalized = contracts.map(normalize);
+  const checks = predicates(filters);
+  const matching = (skip) => normalized.filter(contract => Object.entries(checks)
+    .every(([key, check]) => key === skip || check(contract)));
+
+  const facets = {};
+  for (const [key, facet] of Object.entries(LIST_FACETS)) {
+    facets[key] = countValues(matching(key), facet.values || (c => [facet.value(c)]));
+  }
+  facets.term = countValues(matching('term'), c => [c.term]);
+  facets.capacity = rangeOf(matching('capacity').map(c => c.capacity));
+  facets.escalation = rangeOf(matching('escalation').map(c => c.financial.escalation));
+
+  const days = matching('effectiveDate')
+    .map(c => dayOf(c.effectiveDate))
+    .filter(Boolean)
+    .sort();
+  facets.effectiveDate = { min: days[0] || null, max: days[days.length - 1] || null };
+
+  const ids = new Set(matching(null).map(contract => contract.id));
+  const results = contracts.filter(contract => ids.has(contract.id));
+
+  return {
+    contracts: results,
+    total: results.length,
+    facets
+  };
+}
+
+class ContractLibraryService {
+  /**
+   * Saved views of a user, default view first
+   */
+  async listViews(prisma, userId) {
+    return prisma.savedContractView.findMany({
+      where: { userId },
+      orderBy: [{ isDefault: 'desc' }, { name: 'asc' }]
+    });
+  }
+
+  /**
+   * Save the current filters under a name
+   *
+   * @param {Object} prisma - Prisma client
+   * @param {string} userId
+   * @param {Object} view - { name, filters, isDefault? }
+   */
+  async createView(prisma, userId, { name, filters, isDefault = false } = {}) {
+    const viewName = this.validateName(name);
+    const count = await prisma.savedContractView.count({ where: { userId } });
+    if (count >= MAX_SAVED_VIEWS) {
+      throw new ContractLibraryError(`A user can save at most ${MAX_SAVED_VIEWS} views`);
+    }
+    if (await prisma.savedContractView.findFirst({ where: { userId, name: viewName } })) {
+      throw new ContractLibraryError(`A view named "${viewName}" already exists`, 409);
+    }
+
+    return this.saveDefault(prisma, userId, isDefault, client => client.savedContractView.create({
+      data: {
+        userId,
+        name: viewName,
+        filters: parseFilters(filters),
+        isDefault: Boolean(isDefault)
+      }
+    }));
+  }
+
+  /**
+   * Rename a view, replace its filters or make it the default
+   */
+  async updateView(prisma, userId, id, changes = {}) {
+    const view = await this.getView(prisma, userId, id);
+    const data = {};
+
+    if (changes.name !== undefined) {
+      data.name = this.validateName(changes.name);
+      const clash = await prisma.savedContractView.findFirst({ where: { userId, name: data.name, id: { not: id } } });
+      if (clash) {
+        throw new ContractLibraryError(`A view named "${data.name}" already exists`, 409);
+      }
+    }
+    if (changes.filters !== undefined) data.filters = parseFilters(changes.filters);
+    if (changes.isDefault !== undefined) data.isDefault = Boolean(changes.isDefault);
+
+    return this.saveDefault(prisma, userId, data.isDefault, client => client.savedContractView.update({
+      where: { id: view.id },
+      data
+    }));
+  }
+
+  async deleteView(prisma, userId, id) {
+    const view = await this.getView(prisma, userId, id);
+    await prisma.savedContractView.delete({ where: { id: view.id } });
+  }
+
+  async getView(prisma, userId, id) {
+    const view = await prisma.savedContractView.findFirst({ where: { id, userId } });
+    if (!view) {
+      throw new ContractLibraryError('Saved view not found', 404);
+    }
+    return view;
+  }
+
+  validateName(name) {
+    const viewName = String(name || '').trim();
+    if (!viewName || viewName.length > 100) {
+      throw new ContractLibraryError('View name is required (at most 100 characters)');
+    }
+    return viewName;
+  }
+
+  // A user has at most one default view
+  async saveDefault(prisma, userId, isDefault, write) {
+    if (!isDefault) return write(prisma);
+    return prisma.$transaction(async (tx) => {
+      await tx.savedContractView.updateMany({ where: { userId, isDefault: true }, data: { isDefault: false } });
+      return write(tx);
+    });
+  }
+}
+
+const contractLibraryService = new ContractLibraryService();
+
+export default contractLibraryService;
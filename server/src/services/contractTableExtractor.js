@@ -0,0 +1,583 @@
+/**
+ * Contract Table Extractor
+ * Finds the tabular exhibits of a contract - year-by-year rate schedules,
+ * capacity-by-site lists and performance guarantee tables - parses their rows
+ * into typed records and maps those onto the FinancialParams fields, the
+ * shared escalation schedule and the site list.
+ *
+ * Reads plain text (pdf-parse text layers, and OCR output where column gaps
+ * have often collapsed to a single space) as well as the TABLE blocks rebuilt
+ * by the local Textract layout analyzer.
+ */
+
+import { evaluateEscalationSchedule, validateEscalationSchedule } from '../../../shared/escalationSchedule.js';
+
+// Header words that start a column, in the order they are tried. Units in the
+// header ("($/kWh)", "(kW)", "%") attach to the column before them.
+const COLUMN_KEYWORDS = [
+  ['year', /\b(?:contract\s+|operating\s+|calendar\s+)?years?\b|\bperiod\b/iy],
+  ['escalation', /\bescalat\w*|\bincrease\b/iy],
+  ['rate', /\b(?:rate|price|pricing|tariff|charge)s?\b/iy],
+  ['capacity', /\b(?:capacity|nameplate|system\s+size|size)\b/iy],
+  ['output', /\b(?:output|production|generation)\b/iy],
+  ['efficiency', /\befficiency\b/iy],
+  ['availability', /\b(?:availability|uptime)\b/iy],
+  ['name', /\b(?:site|location|facility|premises|address)\b/iy]
+];
+
+const HEADER_UNIT = /\$?\s*\/\s*(kWh|MWh)\b|(¢)\s*\/\s*kWh|\b(cents)\b|\b(kWh|MWh|kW|MW)\b|(%)/iy;
+
+const VALUE_COLUMNS = ['rate', 'escalation', 'capacity', 'output', 'efficiency', 'availability'];
+const GUARANTEE_METRICS = ['output', 'efficiency', 'availability'];
+
+// A number with its currency sign and unit, e.g. "$0.1250/kWh", "3.0%", "1.5 MW"
+const VALUE_TOKEN = /(\$\s*)?(\d[\d,]*(?:\.\d+)?|\.\d+)\s*(%|¢|cents\b|(?:\/|per\s+)(?:kWh|MWh)\b|kWh\b|MWh\b|kW\b|MW\b)?/gi;
+
+const YEAR_PREFIX = /^(?:contract\s+|operating\s+)?(?:years?\s*)?(\d{1,2}|(?:19|20)\d{2})(?:\s*(?:-|–|—|to|through)\s*(?:year\s*)?(\d{1,2}|(?:19|20)\d{2})|\s*(\+|and\s+thereafter|thereafter))?(?![\d.,]|\s*(?:%|kW|MW))/i;
+
+const TITLE_CUE = /\b(?:exhibit|schedule|appendix|attachment|annex|table)\b/i;
+
+const isCalendarYear = (year) => year >= 1900;
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Column layout of a table header, e.g. "Contract Year  Rate ($/kWh)  Escalation (%)"
+ * becomes [{ kind: 'year' }, { kind: 'rate', unit: 'kWh' }, { kind: 'escalation', unit: '%' }]
+ */
+export function parseHeader(line) {
+  const columns = [];
+  let index = 0;
+  let gap = '';
+
+  while (index < line.length) {
+    let matched = false;
+
+    for (const [kind, pattern] of COLUMN_KEYWORDS) {
+      pattern.lastIndex = index;
+      const match = pattern.exec(line);
+      if (!match) continue;
+
+      const previous = columns[columns.length - 1];
+      // "Escalation Rate" / "Rate Escalation" name one column, not two
+      const sameColumn = previous && !gap.trim() &&
+        ['rate', 'escalation'].includes(previous.kind) && ['rate', 'escalation'].includes(kind);
+      if (sameColumn) {
+        previous.kind = 'escalation';
+        previous.label += match[0];
+      } else if (!(kind === 'name' && columns.some(column => column.kind === 'name')) &&
+        !(previous && previous.kind === kind && !gap.trim())) {
+        // "Site Name  Address" is still the one name column
+        columns.push({ kind, label: match[0] });
+      }
+      index += match[0].length;
+      gap = '';
+      matched = true;
+      break;
+    }
+    if (matched) continue;
+
+    HEADER_UNIT.lastIndex = index;
+    const unitMatch = HEADER_UNIT.exec(line);
+    if (unitMatch) {
+      const unit = unitMatch[1] || (unitMatch[2] || unitMatch[3] ? 'cents' : null) || unitMatch[4] || unitMatch[5];
+      const previous = columns[columns.length - 1];
+      const kind = /Wh$/i.test(unit) && unitMatch[0].includes('/') ? 'rate'
+        : unit === 'cents' ? 'rate'
+          : /^(kW|MW)$/i.test(unit) ? 'capacity'
+            : null;
+
+      if (previous && !previous.unit && (!kind || kind === previous.kind || previous.kind === 'output')) {
+        previous.unit = unit;
+      } else if (kind) {
+        columns.push({ kind, label: unitMatch[0], unit });
+      }
+      index += unitMatch[0].length;
+      continue;
+    }
+
+    gap += line[index];
+    index++;
+  }
+
+  return columns;
+}
+
+/**
+ * Whether a line reads as a table header rather than prose or a data row
+ */
+function isHeader(line, columns) {
+  return columns.length >= 2 &&
+    columns.some(column => VALUE_COLUMNS.includes(column.kind)) &&
+    line.length <= 120 &&
+    line.split(/\s+/).length <= 14 &&
+    !/[.;:]\s*$/.test(line) &&
+    !/\$\s*\d|\d\s*%|\d\s*(?:kW|MW)\b/i.test(line);
+}
+
+/**
+ * Typed numbers in a piece of row text, in reading order
+ */
+function readValues(text) {
+  const values = [];
+  for (const match of text.matchAll(VALUE_TOKEN)) {
+    const [, dollar, digits, rawUnit] = match;
+    const number = parseFloat(digits.replace(/,/g, ''));
+    if (!Number.isFinite(number)) continue;
+    const unit = (rawUnit || '').toLowerCase().replace(/^(?:\/|per\s+)/, '/');
+
+    if (unit === '%') {
+      values.push({ type: 'percent', value: number, index: match.index });
+    } else if (unit === '¢' || unit === 'cents') {
+      values.push({ type: 'rate', value: number / 100, index: match.index });
+    } else if (unit.startsWith('/')) {
+      values.push({ type: 'rate', value: unit === '/mwh' ? number / 1000 : number, index: match.index });
+    } else if (dollar) {
+      values.push({ type: 'rate', value: number, index: match.index, unitless: true });
+    } else if (unit === 'kwh' || unit === 'mwh') {
+      values.push({ type: 'energy', value: unit === 'mwh' ? number * 1000 : number, index: match.index });
+    } else if (unit === 'kw' || unit === 'mw') {
+      values.push({ type: 'capacity', value: unit === 'mw' ? number * 1000 : number, index: match.index });
+    } else {
+      values.push({ type: 'bare', value: number, index: match.index });
+    }
+  }
+  return values;
+}
+
+// Value types a column accepts, and how a bare number is read under its unit
+const ACCEPTS = {
+  rate: ['rate'],
+  escalation: ['percent'],
+  capacity: ['capacity'],
+  output: ['percent', 'energy'],
+  efficiency: ['percent'],
+  availability: ['percent']
+};
+
+function fromColumnUnit(column, value) {
+  const unit = (column.unit || '').toLowerCase();
+  if (column.kind === 'rate') {
+    if (unit === 'cents') return { type: 'rate', value: value / 100 };
+    if (unit === 'mwh') return { type: 'rate', value: value / 1000 };
+    return { type: 'rate', value };
+  }
+  if (column.kind === 'capacity') {
+    return { type: 'capacity', value: unit === 'mw' ? value * 1000 : value };
+  }
+  if (column.kind === 'output' && (unit === 'kwh' || unit === 'mwh')) {
+    return { type: 'energy', value: unit === 'mwh' ? value * 1000 : value };
+  }
+  return { type: 'percent', value };
+}
+
+function setValue(record, column, typed) {
+  switch (column.kind) {
+    case 'rate': {
+      // "$85.00" under a "$/MWh" header
+      const unit = (column.unit || '').toLowerCase();
+      record.rate = typed.unitless && unit === 'mwh' ? typed.value / 1000 : typed.value;
+      break;
+    }
+    case 'escalation': record.escalation = typed.value; break;
+    case 'capacity': record.capacityKw = typed.value; break;
+    default:
+      if (typed.type === 'energy') {
+        record[`${column.kind}Kwh`] = typed.value;
+      } else {
+        record[column.kind] = typed.value;
+      }
+  }
+}
+
+/**
+ * Fill the value columns of a record from the numbers found in `text`.
+ * Numbers with a unit go to the first free column that takes that unit; bare
+ * numbers fill the remaining columns left to right under the header's unit.
+ */
+function assignValues(record, text, columns) {
+  const free = columns.filter(column => VALUE_COLUMNS.includes(column.kind));
+  const taken = new Set();
+  const bare = [];
+  let assigned = 0;
+
+  for (const typed of readValues(text)) {
+    if (typed.type === 'bare') {
+      bare.push(typed);
+      continue;
+    }
+    if (typed.type === 'percent' && record.escalation === undefined && /escalat|increase/i.test(text) &&
+      columns.some(column => column.kind === 'rate') && !columns.some(column => column.kind === 'escalation')) {
+      // "3-20  Escalates 3% per year" written into the rate column
+      record.escalation = typed.value;
+      assigned++;
+      continue;
+    }
+    const column = free.find(candidate => !taken.has(candidate) && ACCEPTS[candidate.kind].includes(typed.type));
+    if (column) {
+      taken.add(column);
+      setValue(record, column, typed);
+      assigned++;
+    }
+  }
+
+  // Value columns sit to the right, so stray numbers earlier in the row
+  // (street numbers, clause references) are the ones dropped
+  const open = free.filter(column => !taken.has(column));
+  bare.slice(Math.max(0, bare.length - open.length)).forEach((typed, index) => {
+    const column = open[index];
+    if (!column) return;
+    setValue(record, column, fromColumnUnit(column, typed.value));
+    assigned++;
+  });
+
+  return assigned;
+}
+
+function readYears(text) {
+  const match = text.match(YEAR_PREFIX);
+  if (!match) return null;
+  const fromYear = parseInt(match[1], 10);
+  const toYear = match[2] ? parseInt(match[2], 10) : match[3] ? null : fromYear;
+  if (toYear !== null && toYear < fromYear) return null;
+  return { fromYear, toYear, rest: text.slice(match[0].length) };
+}
+
+/**
+ * Parse one row of text against the table's columns. Returns null when the
+ * line does not read as a row of this table.
+ */
+export function parseRow(line, columns) {
+  const text = line.trim();
+  const record = {};
+  let rest = text;
+
+  if (columns.some(column => column.kind === 'year')) {
+    const years = readYears(rest);
+    if (!years) return null;
+    record.fromYear = years.fromYear;
+    record.toYear = years.toYear;
+    rest = years.rest;
+  } else if (columns.some(column => column.kind === 'name')) {
+    const name = rest.match(/^(.*?[A-Za-z].*?)(?=\s*[|\t]|\s{2,}|\s+\$?\d|$)/);
+    if (!name) return null;
+    record.name = name[1].replace(/[\s|:,-]+$/, '').trim();
+    rest = rest.slice(name[0].length);
+    if (/^(?:sub)?total\b/i.test(record.name)) {
+      record.total = true;
+    }
+  }
+
+  const assigned = assignValues(record, rest, columns);
+  return assigned > 0 ? record : null;
+}
+
+/**
+ * Parse a row given as separate cells (Textract tables), one column per cell
+ */
+function parseCells(cells, columns) {
+  const record = {};
+  let assigned = 0;
+
+  cells.forEach((cell, index) => {
+    const column = columns[index];
+    const text = (cell || '').trim();
+    if (!column || !text) return;
+
+    if (column.kind === 'year') {
+      const years = readYears(text);
+      if (years) {
+        record.fromYear = years.fromYear;
+        record.toYear = years.toYear;
+      }
+    } else if (column.kind === 'name') {
+      record.name = text;
+      if (/^(?:sub)?total\b/i.test(text)) record.total = true;
+    } else {
+      assigned += assignValues(record, text, [column]);
+    }
+  });
+
+  const hasKey = columns.some(column => column.kind === 'year') ? record.fromYear !== undefined : true;
+  return assigned > 0 && hasKey ? record : null;
+}
+
+/**
+ * What kind of exhibit a table is, from its columns
+ */
+export function classifyTable(columns) {
+  const kinds = new Set(columns.map(column => column.kind));
+  if (kinds.has('year') && (kinds.has('rate') || kinds.has('escalation'))) return 'rateSchedule';
+  if (kinds.has('capacity') && kinds.has('name')) return 'siteCapacity';
+  if (kinds.has('year') && GUARANTEE_METRICS.some(metric => kinds.has(metric))) return 'performanceGuarantee';
+  return null;
+}
+
+// Calendar-year tables ("2025  $0.1200") are rebased onto contract years
+function toContractYears(records) {
+  const calendar = records.filter(record => record.fromYear !== undefined && isCalendarYear(record.fromYear));
+  if (calendar.length === 0) return records;
+  const firstYear = Math.min(...calendar.map(record => record.fromYear));
+  return records.map(record => (record.fromYear !== undefined && isCalendarYear(record.fromYear)
+    ? {
+      ...record,
+      calendarYear: record.fromYear,
+      fromYear: record.fromYear - firstYear + 1,
+      toYear: record.toYear === null ? null : record.toYear - firstYear + 1
+    }
+    : record));
+}
+
+function buildTable({ columns, rows, title, startLine, lines, source }) {
+  const kind = classifyTable(columns);
+  if (!kind) return null;
+  const records = toContractYears(rows.filter(row => !row.total));
+  if (records.length === 0) return null;
+  return {
+    kind,
+    title,
+    source,
+    startLine,
+    columns: columns.map(({ kind: columnKind, label, unit }) => ({ kind: columnKind, label: label.trim(), unit: unit || null })),
+    lines,
+    records
+  };
+}
+
+function findTitle(lines, headerIndex) {
+  for (let index = headerIndex - 1; index >= Math.max(0, headerIndex - 3); index--) {
+    const line = lines[index].trim();
+    if (line && TITLE_CUE.test(line) && line.length <= 100) return line;
+  }
+  return null;
+}
+
+/**
+ * Tables found in plain document text: a header line followed by two or more
+ * rows that parse against it. Blank lines inside a table are tolerated once.
+ */
+export function findTextTables(text) {
+  const lines = (text || '').split(/\r?\n/);
+  const tables = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const header = lines[index].trim();
+    const columns = parseHeader(header);
+    if (!isHeader(header, columns) || !classifyTable(columns)) continue;
+
+    const rows = [];
+    const rowLines = [header];
+    let cursor = index + 1;
+    let blanks = 0;
+
+    while (cursor < lines.length) {
+      const line = lines[cursor].trim();
+      if (!line) {
+        if (rows.length > 0 && ++blanks > 1) break;
+        cursor++;
+        continue;
+      }
+      if (isHeader(line, parseHeader(line))) break;
+      const row = parseRow(line, columns);
+      if (!row) break;
+      rows.push(row);
+      rowLines.push(line);
+      blanks = 0;
+      cursor++;
+    }
+
+    if (rows.length >= 2) {
+      const table = buildTable({
+        columns,
+        rows,
+        title: findTitle(lines, index),
+        startLine: index,
+        lines: rowLines,
+        source: 'text'
+      });
+      if (table) {
+        tables.push(table);
+        index = cursor - 1;
+      }
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * Tables from Textract-style output ({ headers, rows } as returned by
+ * tablesFromBlocks, with the header row first in `rows`)
+ */
+export function fromCellTables(cellTables = []) {
+  return cellTables.map((cellTable, tableIndex) => {
+    const headers = cellTable.headers || cellTable.rows?.[0] || [];
+    const columns = headers.map(header => parseHeader(header || '')[0] || { kind: 'other', label: header || '' });
+    if (!classifyTable(columns)) return null;
+
+    const rows = (cellTable.rows || []).slice(1)
+      .map(cells => parseCells(cells, columns))
+      .filter(Boolean);
+
+    return buildTable({
+      columns,
+      rows,
+      title: cellTable.title || null,
+      startLine: tableIndex,
+      lines: (cellTable.rows || []).map(cells => cells.join(' | ')),
+      source: 'textract'
+    });
+  }).filter(Boolean);
+}
+
+/**
+ * All pricing, site and guarantee tables in a document
+ *
+ * @param {string} text - Document text (text layer or OCR)
+ * @param {Object} [options]
+ * @param {Array} [options.tables] - Cell tables from Textract, when available
+ */
+export function extractContractTables(text, { tables = [] } = {}) {
+  return [...fromCellTables(tables), ...findTextTables(text)];
+}
+
+// Rates are quoted to 1/100 of a cent, and tables that round each year's
+// price from the previous rounded price drift a little from exact compounding
+const QUOTED_PRECISION = 0.00005 + 1e-9;
+const ROUNDING_DRIFT = 0.0005;
+
+// Adjacent year bands with the same escalator become one tier
+function mergeTiers(tiers) {
+  return tiers.reduce((merged, tier) => {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.rate === tier.rate && previous.toYear === tier.fromYear - 1) {
+      if (tier.toYear === undefined) delete previous.toYear;
+      else previous.toYear = tier.toYear;
+    } else {
+      merged.push({ ...tier });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Escalation schedule reproducing a rate table.
+ * Absolute prices after year 1 become step-ups and bands quoted as a
+ * percentage become tiers. When a single compound escalator reproduces every
+ * year to the precision the table is quoted in, that `fixed` schedule is
+ * returned instead.
+ */
+export function deriveEscalation(records) {
+  const bands = records
+    .filter(record => record.fromYear >= 1 && (record.rate !== undefined || record.escalation !== undefined))
+    .sort((a, b) => a.fromYear - b.fromYear);
+  const first = bands.find(band => band.fromYear === 1 && band.rate !== undefined);
+  if (!first) return null;
+  const baseRate = first.rate;
+
+  const steps = [];
+  const tiers = [];
+  bands.forEach((band, index) => {
+    const previous = bands[index - 1];
+    if (band.rate !== undefined && band.fromYear > 1 && band.rate !== previous?.rate) {
+      steps.push({ year: band.fromYear, rate: band.rate });
+    }
+    const tier = { fromYear: Math.max(band.fromYear, 2), rate: band.escalation ?? 0 };
+    if (band.toYear !== null) tier.toYear = band.toYear;
+    if (band.toYear === null || band.toYear >= tier.fromYear) tiers.push(tier);
+  });
+
+  let schedule;
+  if (tiers.every(tier => tier.rate === 0)) {
+    schedule = steps.length > 0 ? { type: 'step', steps } : { type: 'fixed', rate: 0 };
+  } else {
+    schedule = { type: 'tiered', tiers: mergeTiers(tiers) };
+    if (steps.length > 0) schedule.steps = steps;
+  }
+
+  const horizon = Math.max(2, ...bands.map(band => band.toYear ?? band.fromYear));
+  const quoted = evaluateEscalationSchedule({ baseRate, contractTerm: horizon, schedule });
+  const growth = (Math.pow(quoted[horizon - 1].rate / baseRate, 1 / (horizon - 1)) - 1) * 100;
+  const reproduces = (rate) => evaluateEscalationSchedule({ baseRate, contractTerm: horizon, schedule: { type: 'fixed', rate } })
+    .every((year, index) => Math.abs(year.rate - quoted[index].rate) <= Math.max(QUOTED_PRECISION, quoted[index].rate * ROUNDING_DRIFT));
+
+  // Escalators are written as 3% or 2.5%, so try the rounder figure first
+  const rate = [round(growth, 1), round(growth, 2)].find(reproduces);
+  return rate !== undefined
+    ? { baseRate, annualEscalation: rate, schedule: { type: 'fixed', rate } }
+    : { baseRate, schedule };
+}
+
+/**
+ * Map extracted tables onto contract fields:
+ * baseRate / annualEscalation / escalationSchedule from the rate schedule,
+ * sites and systemCapacity from the site list, and the year-1 output,
+ * efficiency and availability guarantees from the guarantee table.
+ * Only fields the tables actually determine are returned.
+ */
+export function mapTablesToContractFields(tables) {
+  const fields = {};
+
+  const rateTable = tables.find(table => table.kind === 'rateSchedule' && deriveEscalation(table.records));
+  if (rateTable) {
+    const { baseRate, annualEscalation, schedule } = deriveEscalation(rateTable.records);
+    fields.baseRate = baseRate;
+    if (annualEscalation !== undefined) fields.annualEscalation = annualEscalation;
+    if (schedule && validateEscalationSchedule(schedule).length === 0) {
+      fields.escalationSchedule = schedule;
+    }
+  }
+
+  const siteTable = tables.find(table => table.kind === 'siteCapacity');
+  if (siteTable) {
+    const sites = [];
+    for (const record of siteTable.records) {
+      if (record.name && record.capacityKw !== undefined && !sites.some(site => site.name === record.name)) {
+        sites.push({ name: record.name, capacityKw: record.capacityKw });
+      }
+    }
+    if (sites.length > 0) {
+      fields.sites = sites;
+      fields.systemCapacity = sites.reduce((sum, site) => sum + site.capacityKw, 0);
+    }
+  }
+
+  const guarantees = [];
+  for (const table of tables) {
+    for (const record of table.records) {
+      if (record.fromYear === undefined) continue;
+      for (const metric of GUARANTEE_METRICS) {
+        if (record[metric] !== undefined) {
+          guarantees.push({ metric, fromYear: record.fromYear, toYear: record.toYear, percent: record[metric] });
+        }
+      }
+    }
+  }
+  if (guarantees.length > 0) {
+    fields.performanceGuarantees = guarantees;
+    const yearOne = (metric) => guarantees.find(entry => entry.metric === metric && entry.fromYear === 1)?.percent;
+    const keys = { output: 'outputWarranty', efficiency: 'efficiencyWarranty', availability: 'availabilityGuarantee' };
+    for (const metric of GUARANTEE_METRICS) {
+      const value = yearOne(metric);
+      if (value !== undefined) fields[keys[metric]] = value;
+    }
+  }
+
+  return fields;
+}
+
+const isMissing = (value) => value === undefined || value === null || value === '' || value === 'NOT SPECIFIED';
+
+/**
+ * Fill gaps in AI-extracted data with table-derived fields. Values the model
+ * already returned are kept; the schedule, sites and guarantees are added
+ * when the model did not supply them.
+ */
+export function applyTableFields(extractedData, fields) {
+  const merged = { ...extractedData };
+  for (const [key, value] of Object.entries(fields)) {
+    if (isMissing(merged[key]) || (Array.isArray(merged[key]) && merged[key].length === 0)) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
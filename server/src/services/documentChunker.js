@@ -0,0 +1,283 @@
+/**
+ * Document Chunker
+ *
+ * Splits long contract text into token-bounded chunks along section
+ * boundaries so each AI call stays within provider limits. Also builds a
+ * condensed "parameter extraction" view of very large documents that keeps
+ * only the sections most likely to contain contract values.
+ */
+
+// Rough chars-per-token ratio for English contract text (Claude/GPT tokenizers)
+const CHARS_PER_TOKEN = 4;
+
+const DEFAULT_MAX_TOKENS = 12000;
+const DEFAULT_OVERLAP_TOKENS = 200;
+
+// Documents below this size are sent to the AI as-is
+const PARAMETER_TEXT_THRESHOLD = 50000;
+const PARAMETER_TEXT_MAX_CHARS = 58000;
+
+// Lines that look like section headings in executed contracts
+const HEADING_PATTERNS = [
+  /^\s*(?:ARTICLE|SECTION|EXHIBIT|SCHEDULE|ATTACHMENT|APPENDIX|ADDENDUM)\s+[\w.-]+/i,
+  /^\s*\d{1,2}(?:\.\d{1,2})*\.?\s+[A-Z][A-Za-z ,&/-]{2,80}$/,
+  /^\s*[A-Z][A-Z0-9 ,&/()-]{4,80}$/
+];
+
+// Keywords that signal a section carries extractable contract parameters
+const PARAMETER_KEYWORDS = [
+  'capacity', 'kw', 'mw', 'price', 'pricing', 'rate', '$/kwh', 'escalat',
+  'term', 'commercial operation', 'effective date', 'warranty', 'efficiency',
+  'availability', 'guarantee', 'payment', 'invoice', 'fee', 'adder',
+  'customer', 'purchaser', 'buyer', 'seller', 'site', 'premises', 'address',
+  'voltage', 'server', 'demand', 'output', 'renewable', 'rec', 'battery'
+];
+
+class DocumentChunker {
+  constructor(options = {}) {
+    this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+    this.overlapTokens = options.overlapTokens ?? DEFAULT_OVERLAP_TOKENS;
+  }
+
+  /**
+   * Estimate token count for a string
+   */
+  estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Split text into sections at heading lines
+   *
+   * @param {string} text - Document text
+   * @returns {Array<{heading: string|null, text: string, start: number, end: number}>}
+   */
+  splitIntoSections(text) {
+    if (!text) return [];
+
+    const sections = [];
+    const lines = text.split('\n');
+    let current = { heading: null, lines: [], start: 0 };
+    let offset = 0;
+
+    lines.forEach(line => {
+      const isHeading = line.trim().length > 0 && HEADING_PATTERNS.some(pattern => pattern.test(line));
+
+      if (isHeading && current.lines.some(l => l.trim().length > 0)) {
+        const sectionText = current.lines.join('\n');
+        sections.push({
+          heading: current.heading,
+          text: sectionText,
+          start: current.start,
+          end: current.start + sectionText.length
+        });
+        current = { heading: line.trim(), lines: [], start: offset };
+      } else if (isHeading && !current.heading) {
+        current.heading = line.trim();
+      }
+
+      current.lines.push(line);
+      offset += line.length + 1;
+    });
+
+    if (current.lines.length > 0) {
+      const sectionText = current.lines.join('\n');
+      sections.push({
+        heading: current.heading,
+        text: sectionText,
+        start: current.start,
+        end: current.start + sectionText.length
+      });
+    }
+
+    return sections;
+  }
+
+  /**
+   * Chunk a document into token-bounded pieces.
+   * Sections are packed together until the budget is reached; sections that
+   * are larger than the budget on their own are split on paragraph and then
+   * character boundaries.
+   *
+   * @param {string} text - Document text
+   * @param {Object} options - { maxTokens, overlapTokens }
+   * @returns {Array<{index: number, text: string, start: number, end: number, tokens: number, headings: string[]}>}
+   */
+  chunkDocument(text, options = {}) {
+    if (!text) return [];
+
+    const maxTokens = options.maxTokens || this.maxTokens;
+    const overlapTokens = options.overlapTokens ?? this.overlapTokens;
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    const overlapChars = Math.min(overlapTokens * CHARS_PER_TOKEN, Math.floor(maxChars / 4));
+
+    if (text.length <= maxChars) {
+      return [this._buildChunk(0, text, 0, text.length, [])];
+    }
+
+    // Later chunks are prefixed with overlap, so pieces must leave room for it
+    const budget = maxChars - overlapChars;
+
+    // Break every section down into pieces that individually fit the budget
+    const pieces = [];
+    this.splitIntoSections(text).forEach(section => {
+      if (section.text.length <= budget) {
+        pieces.push(section);
+      } else {
+        this._splitOversizedSection(section, budget).forEach(piece => pieces.push(piece));
+      }
+    });
+
+    // Pack pieces greedily into chunks
+    const chunks = [];
+    let packed = [];
+
+    const flush = () => {
+      if (packed.length === 0) return;
+      const start = packed[0].start;
+      const end = packed[packed.length - 1].end;
+      const overlapStart = chunks.length > 0 ? Math.max(0, start - overlapChars) : start;
+      chunks.push(this._buildChunk(
+        chunks.length,
+        text.slice(overlapStart, end),
+        overlapStart,
+        end,
+        packed.map(p => p.heading).filter(Boolean)
+      ));
+      packed = [];
+    };
+
+    pieces.forEach(piece => {
+      // Measure the span in the source text so separators between pieces count too
+      if (packed.length > 0 && piece.end - packed[0].start > budget) {
+        flush();
+      }
+      packed.push(piece);
+    });
+    flush();
+
+    return chunks;
+  }
+
+  /**
+   * Build condensed text for parameter extraction.
+   * Small documents are returned unchanged. Large documents keep the opening
+   * (parties, recitals, key terms table) plus the highest-scoring sections,
+   * in original order, up to the character budget.
+   *
+   * @param {string} content - Full document text
+   * @param {string} filename - Document filename (for logging)
+   * @returns {string}
+   */
+  createParameterExtractionText(content, filename = 'document') {
+    if (!content || content.length <= PARAMETER_TEXT_THRESHOLD) {
+      return content || '';
+    }
+
+    const sections = this.splitIntoSections(content);
+    const headLength = Math.min(8000, Math.floor(PARAMETER_TEXT_MAX_CHARS / 6));
+    const budget = PARAMETER_TEXT_MAX_CHARS - headLength;
+
+    const scored = sections
+      .map((section, index) => ({ ...section, index, score: this.scoreSection(section.text) }))
+      .filter(section => section.end > headLength && section.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    let used = 0;
+    for (const section of scored) {
+      const sectionText = section.start < headLength
+        ? content.slice(headLength, section.end)
+        : section.text;
+      if (used + sectionText.length > budget) continue;
+      selected.push({ index: section.index, text: sectionText });
+      used += sectionText.length;
+    }
+
+    selected.sort((a, b) => a.index - b.index);
+
+    const condensed = [content.slice(0, headLength), ...selected.map(s => s.text)].join('\n\n[...]\n\n');
+
+    console.log(`✂️  Condensed ${filename}: ${content.length} → ${condensed.length} chars (${selected.length}/${sections.length} sections kept)`);
+
+    return condensed;
+  }
+
+  /**
+   * Score a section by density of parameter keywords and numeric values
+   */
+  scoreSection(text) {
+    if (!text) return 0;
+
+    const lower = text.toLowerCase();
+    let score = 0;
+
+    PARAMETER_KEYWORDS.forEach(keyword => {
+      if (lower.includes(keyword)) score += 1;
+    });
+
+    const numericValues = text.match(/\$?\d[\d,]*(?:\.\d+)?\s*(?:%|kw|mw|kwh|years?)/gi);
+    if (numericValues) {
+      score += Math.min(numericValues.length, 10) * 2;
+    }
+
+    // Prefer dense sections over long boilerplate
+    return score / Math.max(1, Math.log10(text.length));
+  }
+
+  /**
+   * Split a section that exceeds the budget on paragraph boundaries,
+   * hard-splitting any paragraph that is still too large
+   */
+  _splitOversizedSection(section, maxChars) {
+    const pieces = [];
+    const paragraphs = section.text.split(/(\n\s*\n)/);
+    let buffer = '';
+    let bufferStart = section.start;
+    let cursor = section.start;
+
+    const pushBuffer = () => {
+      if (!buffer) return;
+      pieces.push({ heading: section.heading, text: buffer, start: bufferStart, end: bufferStart + buffer.length });
+      buffer = '';
+    };
+
+    paragraphs.forEach(paragraph => {
+      if (buffer.length + paragraph.length > maxChars) {
+        pushBuffer();
+      }
+
+      if (paragraph.length > maxChars) {
+        for (let i = 0; i < paragraph.length; i += maxChars) {
+          const slice = paragraph.slice(i, i + maxChars);
+          pieces.push({ heading: section.heading, text: slice, start: cursor + i, end: cursor + i + slice.length });
+        }
+      } else {
+        if (!buffer) bufferStart = cursor;
+        buffer += paragraph;
+      }
+
+      cursor += paragraph.length;
+    });
+
+    pushBuffer();
+    return pieces;
+  }
+
+  _buildChunk(index, text, start, end, headings) {
+    return {
+      index,
+      text,
+      start,
+      end,
+      tokens: this.estimateTokens(text),
+      headings
+    };
+  }
+}
+
+// Export singleton instance
+const documentChunker = new DocumentChunker();
+export default documentChunker;
+export { DocumentChunker };
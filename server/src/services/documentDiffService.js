@@ -0,0 +1,498 @@
+/**
+ * Document Diff Service
+ *
+ * Redlines two versions of a contract document (e.g. a revised draft uploaded
+ * as a new ContractDocument) at clause level.
+ *
+ * Both documents' DocumentPage text is split into clauses: section headings
+ * (the documentChunker heading rules) and numbered clauses or paragraphs
+ * within a section. Clauses are aligned in document order by text
+ * similarity, with a bonus for the same section and clause number, so a
+ * renumbered clause still pairs with its original. An order-preserving
+ * alignment cannot pair a clause that moved past others, so a second pass
+ * pairs the leftover deletions and insertions that are similar enough as
+ * moves. Paired clauses that differ get a word-level diff; unpaired clauses
+ * are insertions or deletions.
+ *
+ * Commercial values (escalation, base rate, capacity, term, warranties) are
+ * read from the clause text of both versions, and the latest analysis of each
+ * document is compared, so "escalation 2.5% -> 3.0%" stands out from wording
+ * changes.
+ */
+
+import documentChunker from './documentChunker.js';
+
+// Clauses pair up only above this similarity (token Jaccard), or the lower
+// threshold when they keep their section and clause number
+const MATCH_THRESHOLD = 0.5;
+const SAME_POSITION_THRESHOLD = 0.3;
+const SAME_POSITION_BONUS = 0.25;
+// Word-level diffs beyond this many cells fall back to delete + insert
+const MAX_WORD_DIFF_CELLS = 400000;
+const MAX_ALIGNMENT_CELLS = 4000000;
+
+// A clause starts at a numbered line: "5.2 ...", "(a) ...", "iv) ..."
+const CLAUSE_START = /^\s*(\d{1,3}(?:\.\d{1,3})+\.?|\(?[a-z]\)|\(?[ivx]{1,5}\))\s+/i;
+
+export class DocumentDiffError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DocumentDiffError';
+    this.statusCode = statusCode;
+  }
+}
+
+const number = (pattern) => ({ pattern, parse: match => parseFloat(match[1].replace(/,/g, '')) });
+
+/**
+ * Commercial values read from clause text. Capacities are normalized to kW.
+ */
+export const VALUE_FIELDS = [
+  {
+    field: 'escalation',
+    label: 'Annual escalation',
+    unit: '%',
+    matchers: [
+      number(/escalat\w*[^.;%]{0,80}?(\d+(?:\.\d+)?)\s*%/gi),
+      number(/(\d+(?:\.\d+)?)\s*%\s*(?:per\s+(?:annum|year)|annually)/gi)
+    ]
+  },
+  {
+    field: 'baseRate',
+    label: 'Base rate',
+    unit: '$/kWh',
+    matchers: [number(/\$\s*(\d+(?:\.\d+)?)\s*(?:\/|per)\s*kwh/gi)]
+  },
+  {
+    field: 'capacity',
+    label: 'Capacity',
+    unit: 'kW',
+    matchers: [{
+      pattern: /(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)\s*(kW|MW)(?![a-z])/gi,
+      parse: match => parseFloat(match[1].replace(/,/g, '')) * (match[2].toLowerCase() === 'mw' ? 1000 : 1)
+    }]
+  },
+  {
+    field: 'term',
+    label: 'Term',
+    unit: 'years',
+    matchers: [
+      number(/term\s+of\s+(?:[a-z-]+\s+)?\(?(\d{1,2})\)?\s*years?/gi),
+      number(/(\d{1,2})[\s-]*year\s+term/gi)
+    ]
+  },
+  {
+    field: 'outputWarranty',
+    label: 'Output warranty',
+    unit: '%',
+    matchers: [number(/(?:output|availability)\s+(?:warranty|guarantee)[^.;%]{0,60}?(\d+(?:\.\d+)?)\s*%/gi)]
+  },
+  {
+    field: 'efficiency',
+    label: 'Efficiency warranty',
+    unit: '%',
+    matchers: [number(/efficiency[^.;%]{0,60}?(\d+(?:\.\d+)?)\s*%/gi)]
+  }
+];
+
+// Fields of the latest ContractAnalysis compared between the two versions
+const ANALYSIS_FIELDS = [
+  { field: 'effectiveDate', label: 'Effective date' },
+  { field: 'expirationDate', label: 'Expiration date' },
+  { field: 'totalValue', label: 'Total value' },
+  { field: 'currency', label: 'Currency' },
+  { field: 'paymentTerms', label: 'Payment terms' },
+  { field: 'contractType', label: 'Contract type' }
+];
+
+const normalizeText = (text) => text.replace(/\s+/g, ' ').trim();
+
+const wordSet = (text) => new Set(text.toLowerCase().match(/[a-z0-9$%]+(?:\.\d+)*/g) || []);
+
+// Jaccard similarity is at most the size ratio, so lopsided pairs are skipped early
+const jaccard = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 1;
+  if (Math.min(a.size, b.size) / Math.max(a.size, b.size) < SAME_POSITION_THRESHOLD) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+};
+
+const sectionKey = (heading) => (heading || '').toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+
+/**
+ * Clauses of a document in reading order
+ *
+ * @param {Array<{pageNumber: number, extractedText: string}>} pages
+ * @returns {Array<{section: string|null, number: string|null, heading: boolean, text: string, page: number}>}
+ */
+export function segmentClauses(pages) {
+  const ordered = [...pages].sort((a, b) => a.pageNumber - b.pageNumber);
+  const offsets = [];
+  let text = '';
+  for (const page of ordered) {
+    offsets.push({ pageNumber: page.pageNumber, start: text.length });
+    text += `${page.extractedText || ''}\n\n`;
+  }
+  const pageAt = (offset) => [...offsets].reverse().find(entry => entry.start <= offset)?.pageNumber ?? null;
+
+  const clauses = [];
+  const push = (section, clauseNumber, lines, start, heading = false) => {
+    const clauseText = normalizeText(lines.join(' '));
+    if (clauseText) {
+      clauses.push({ section, number: clauseNumber, heading, text: clauseText, page: pageAt(start) });
+    }
+  };
+
+  for (const section of documentChunker.splitIntoSections(text)) {
+    let offset = section.start;
+    let current = { number: null, lines: [], start: offset };
+
+    for (const line of section.text.split('\n')) {
+      const trimmed = line.trim();
+      const clauseNumber = trimmed.match(CLAUSE_START)?.[1] || null;
+
+      if (section.heading && trimmed === section.heading) {
+        push(section.heading, null, current.lines, current.start);
+        push(section.heading, null, [trimmed], offset, true);
+        current = { number: null, lines: [], start: offset + line.length + 1 };
+      } else if (clauseNumber || !trimmed) {
+        // Numbered lines start a clause; blank lines end a paragraph
+        push(section.heading, current.number, current.lines, current.start);
+        current = { number: clauseNumber ? clauseNumber.replace(/\.$/, '') : null, lines: trimmed ? [trimmed] : [], start: offset };
+      } else {
+        current.lines.push(trimmed);
+      }
+      offset += line.length + 1;
+    }
+    push(section.heading, current.number, current.lines, current.start);
+  }
+
+  return clauses;
+}
+
+/**
+ * Pair clauses of two versions in document order, maximizing total similarity,
+ * then pair leftover deletions and insertions as moved clauses
+ *
+ * @returns {Array<{base: Object|null, revised: Object|null, similarity: number, moved: boolean}>}
+ */
+export function alignClauses(base, revised) {
+  const n = base.length;
+  const m = revised.length;
+  if ((n + 1) * (m + 1) > MAX_ALIGNMENT_CELLS) {
+    throw new DocumentDiffError(`Documents are too long to compare (${n} and ${m} clauses)`, 413);
+  }
+
+  const baseWords = base.map(clause => wordSet(clause.text));
+  const revisedWords = revised.map(clause => wordSet(clause.text));
+  const score = (i, j) => {
+    const a = base[i];
+    const b = revised[j];
+    if (a.heading !== b.heading) return 0;
+    const similarity = a.text === b.text ? 1 : jaccard(baseWords[i], revisedWords[j]);
+    const samePosition = a.number && a.number === b.number && sectionKey(a.section) === sectionKey(b.section);
+    if (similarity < (samePosition ? SAME_POSITION_THRESHOLD : MATCH_THRESHOLD)) return 0;
+    return similarity + (samePosition ? SAME_POSITION_BONUS : 0);
+  };
+
+  // Needleman-Wunsch style table without gap penalties
+  const width = m + 1;
+  const table = new Float64Array((n + 1) * width);
+  const scores = new Float64Array(n * m);
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      const pair = score(i - 1, j - 1);
+      scores[(i - 1) * m + (j - 1)] = pair;
+      table[i * width + j] = Math.max(
+        table[(i - 1) * width + j],
+        table[i * width + j - 1],
+        pair > 0 ? table[(i - 1) * width + j - 1] + pair : 0
+      );
+    }
+  }
+
+  const pairs = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const pair = i > 0 && j > 0 ? scores[(i - 1) * m + (j - 1)] : 0;
+    if (pair > 0 && table[i * width + j] === table[(i - 1) * width + j - 1] + pair) {
+      pairs.push({ base: base[i - 1], revised: revised[j - 1], similarity: Math.min(1, pair), moved: false });
+      i--;
+      j--;
+    } else if (j > 0 && (i === 0 || table[i * width + j] === table[i * width + j - 1])) {
+      // Walking backwards, so insertions taken first end up after deletions
+      pairs.push({ base: null, revised: revised[j - 1], similarity: 0, moved: false });
+      j--;
+    } else {
+      pairs.push({ base: base[i - 1], revised: null, similarity: 0, moved: false });
+      i--;
+    }
+  }
+  pairs.reverse();
+
+  // Moves: best-matching deletion and insertion first; a moved clause is
+  // reported at its new position
+  const baseIndex = new Map(base.map((clause, index) => [clause, index]));
+  const revisedIndex = new Map(revised.map((clause, index) => [clause, index]));
+  const insertions = pairs.filter(pair => !pair.base);
+  const candidates = [];
+  for (const deletion of pairs.filter(pair => !pair.revised)) {
+    for (const insertion of insertions) {
+      if (deletion.base.heading !== insertion.revised.heading) continue;
+      const similarity = deletion.base.text === insertion.revised.text
+        ? 1
+        : jaccard(baseWords[baseIndex.get(deletion.base)], revisedWords[revisedIndex.get(insertion.revised)]);
+      if (similarity >= MATCH_THRESHOLD) {
+        candidates.push({ deletion, insertion, similarity });
+      }
+    }
+  }
+
+  const movedAway = new Set();
+  for (const { deletion, insertion, similarity } of candidates.sort((a, b) => b.similarity - a.similarity)) {
+    if (movedAway.has(deletion) || insertion.base) continue;
+    Object.assign(insertion, { base: deletion.base, similarity, moved: true });
+    movedAway.add(deletion);
+  }
+
+  return pairs.filter(pair => !movedAway.has(pair));
+}
+
+/**
+ * Word-level diff of two clause texts
+ *
+ * @returns {Array<{type: 'equal'|'delete'|'insert', text: string}>}
+ */
+export function diffWords(before, after) {
+  const a = before.split(' ').filter(Boolean);
+  const b = after.split(' ').filter(Boolean);
+  if ((a.length + 1) * (b.length + 1) > MAX_WORD_DIFF_CELLS) {
+    return [{ type: 'delete', text: before }, { type: 'insert', text: after }];
+  }
+
+  // Longest common subsequence, filled from the end so the walk runs forwards
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const segments = [];
+  const add = (type, word) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      segments.push({ type, text: word });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      add('equal', a[i]);
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || lcs[i * width + j + 1] > lcs[(i + 1) * width + j])) {
+      add('insert', b[j]);
+      j++;
+    } else {
+      add('delete', a[i]);
+      i++;
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Commercial values mentioned in a text, per field, sorted and unique
+ *
+ * @returns {Object<string, number[]>}
+ */
+export function extractValues(text) {
+  const values = {};
+  for (const { field, matchers } of VALUE_FIELDS) {
+    const found = new Set();
+    for (const { pattern, parse } of matchers) {
+      for (const match of text.matchAll(pattern)) {
+        const value = parse(match);
+        if (Number.isFinite(value)) found.add(value);
+      }
+    }
+    if (found.size > 0) values[field] = [...found].sort((a, b) => a - b);
+  }
+  return values;
+}
+
+const sameValues = (a = [], b = []) => a.length === b.length && a.every((value, index) => value === b[index]);
+
+const clauseRef = (clause) => clause && { section: clause.section, number: clause.number, page: clause.page };
+
+/**
+ * Clause-level redline of two page sets
+ *
+ * @param {Object[]} basePages - Pages of the earlier version
+ * @param {Object[]} revisedPages - Pages of the revised version
+ * @param {Object} [options] - { includeUnchanged } to return unchanged clauses too
+ * @returns {{ summary: Object, clauses: Object[], valueChanges: Object[] }}
+ */
+export function diffDocuments(basePages, revisedPages, { includeUnchanged = false } = {}) {
+  const pairs = alignClauses(segmentClauses(basePages), segmentClauses(revisedPages));
+  const summary = { inserted: 0, deleted: 0, modified: 0, unchanged: 0, moved: 0 };
+  const clauses = [];
+  const candidates = [];
+
+  for (const { base, revised, similarity, moved } of pairs) {
+    const type = !base ? 'inserted' : !revised ? 'deleted' : base.text === revised.text ? 'unchanged' : 'modified';
+    summary[type] += 1;
+    if (moved) summary.moved += 1;
+    if (type === 'unchanged' && !moved && !includeUnchanged) continue;
+
+    const current = revised || base;
+    clauses.push({
+      type,
+      movedFrom: moved ? clauseRef(base) : null,
+      section: current.section,
+      number: current.number,
+      heading: current.heading,
+      basePage: base?.page ?? null,
+      revisedPage: revised?.page ?? null,
+      similarity: Math.round(similarity * 100) / 100,
+      ...(type === 'modified'
+        ? { segments: diffWords(base.text, revised.text) }
+        : { text: current.text })
+    });
+
+    if (type !== 'unchanged') {
+      const before = base ? extractValues(base.text) : {};
+      const after = revised ? extractValues(revised.text) : {};
+      for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+        if (!sameValues(before[field], after[field])) {
+          candidates.push({ field, before: before[field] || [], after: after[field] || [], base: clauseRef(base), revised: clauseRef(revised) });
+        }
+      }
+    }
+  }
+
+  // Values that only moved between clauses are not changes
+  const documentValues = (pages) => extractValues(pages.map(page => page.extractedText || '').join('\n'));
+  const baseValues = documentValues(basePages);
+  const revisedValues = documentValues(revisedPages);
+  const valueChanges = candidates
+    .filter(change => !sameValues(baseValues[change.field], revisedValues[change.field]))
+    .map(change => {
+      const definition = VALUE_FIELDS.find(entry => entry.field === change.field);
+      return {
+        source: 'text',
+        field: change.field,
+        label: definition.label,
+        unit: definition.unit,
+        change: change.before.length === 0 ? 'added' : change.after.length === 0 ? 'removed' : 'modified',
+        before: change.before,
+        after: change.after,
+        base: change.base,
+        revised: change.revised
+      };
+    });
+
+  return { summary: { ...summary, valueChanges: valueChanges.length }, clauses, valueChanges };
+}
+
+const analysisValue = (value) => (value instanceof Date ? value.toISOString().slice(0, 10) : value ?? null);
+
+/**
+ * Differences between the latest analyses of the two versions
+ */
+export function diffAnalyses(baseAnalysis, revisedAnalysis) {
+  if (!baseAnalysis || !revisedAnalysis) return [];
+  return ANALYSIS_FIELDS
+    .map(({ field, label }) => ({ field, label, before: analysisValue(baseAnalysis[field]), after: analysisValue(revisedAnalysis[field]) }))
+    .filter(({ before, after }) => before !== after)
+    .map(change => ({
+      source: 'analysis',
+      ...change,
+      change: change.before === null ? 'added' : change.after === null ? 'removed' : 'modified'
+    }));
+}
+
+const documentSummary = (document) => ({
+  id: document.id,
+  contractId: document.contractId,
+  title: document.title,
+  documentType: document.documentType,
+  uploadDate: document.uploadDate,
+  pageCount: document.pages.length
+});
+
+class DocumentDiffService {
+  /**
+   * Processed documents of a contract that can be compared, newest first
+   */
+  async listVersions(prisma, contractId) {
+    return prisma.contractDocument.findMany({
+      where: { contractId, processingStatus: 'COMPLETED' },
+      select: { id: true, contractId: true, title: true, documentType: true, uploadDate: true, pageCount: true },
+      orderBy: { uploadDate: 'desc' }
+    });
+  }
+
+  async loadDocument(prisma, documentId) {
+    const document = await prisma.contractDocument.findUnique({
+      where: { id: documentId },
+      include: {
+        pages: { select: { pageNumber: true, extractedText: true }, orderBy: { pageNumber: 'asc' } },
+        analyses: { orderBy: { createdAt: 'desc' }, take: 1 }
+      }
+    });
+    if (!document) {
+      throw new DocumentDiffError(`Document ${documentId} not found`, 404);
+    }
+    if (!document.pages.some(page => page.extractedText?.trim())) {
+      throw new DocumentDiffError(`Document "${document.title}" has no extracted text yet`, 409);
+    }
+    return document;
+  }
+
+  /**
+   * Redline of a revised document against an earlier version
+   *
+   * @param {Object} prisma - Prisma client
+   * @param {string} baseId - Earlier version
+   * @param {string} revisedId - Revised version
+   * @param {Object} [options] - { includeUnchanged }
+   */
+  async compareDocuments(prisma, baseId, revisedId, options = {}) {
+    if (baseId === revisedId) {
+      throw new DocumentDiffError('Choose two different documents to compare');
+    }
+    const [base, revised] = await Promise.all([
+      this.loadDocument(prisma, baseId),
+      this.loadDocument(prisma, revisedId)
+    ]);
+
+    const diff = diffDocuments(base.pages, revised.pages, options);
+    const analysisChanges = diffAnalyses(base.analyses[0], revised.analyses[0]);
+
+    return {
+      base: documentSummary(base),
+      revised: documentSummary(revised),
+      summary: { ...diff.summary, valueChanges: diff.valueChanges.length + analysisChanges.length },
+      valueChanges: [...diff.valueChanges, ...analysisChanges],
+      clauses: diff.clauses
+    };
+  }
+}
+
+const documentDiffService = new DocumentDiffService();
+
+export default documentDiffService;
@@ -4,10 +4,12 @@ import { fileTypeFromBuffer } from 'file-type';
 import crypto from 'crypto';
 import sharp from 'sharp';
 import mammoth from 'mammoth';
-import pdfParse from 'pdf-parse';
 import pdf2pic from 'pdf2pic';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import fileService from './fileService.js';
+import documentSimilarityService from './documentSimilarityService.js';
+import searchIndexService from './searchIndexService.js';
 // Import services with error handling
 let textractManager = null;
 let notificationService = null;
@@ -327,11 +329,11 @@ class DocumentProcessingService {
   }
 
   // Queue processing job
-  async queueProcessingJob(entityId, jobType, prisma, jobConfig = {}) {
+  async queueProcessingJob(entityId, jobType, prisma, jobConfig = {}, entityType = 'contract_document') {
     const job = await prisma.processingJob.create({
       data: {
         jobType,
-        entityType: 'contract_document',
+        entityType,
         entityId,
         jobConfig,
         priority: jobConfig.priority || 5
@@ -371,6 +373,14 @@ class DocumentProcessingService {
         case 'PAGE_ANALYSIS':
           result = await this.analyzeDocumentPages(job.entityId, prisma);
           break;
+        case 'CONTENT_INDEXING':
+          result = job.entityType === 'uploaded_file'
+            ? await searchIndexService.indexUpload(prisma, job.entityId)
+            : await searchIndexService.indexDocument(prisma, job.entityId);
+          break;
+        case 'SIMILARITY_ANALYSIS':
+          result = await documentSimilarityService.analyzeDocument(prisma, job.entityId);
+          break;
         default:
           throw new Error(`Unknown job type: ${job.jobType}`);
       }
@@ -464,7 +474,13 @@ class DocumentProcessingService {
           processingStatus: 'COMPLETED',
           extractionCompleted: new Date(),
           pageCount: extractedContent.pages || 1,
-          wordCount: extractedContent.wordCount || this.countWords(extractedContent.text || '')
+          wordCount: extractedContent.wordCount || this.countWords(extractedContent.text || ''),
+          processingMetadata: {
+            ...(document.processingMetadata || {}),
+            extractionMethod: extractedContent.extractionMethod || 'direct',
+            // PDF pages that had no text layer and were OCRed
+            scannedPages: extractedContent.scannedPages || []
+          }
         }
       });
 
@@ -478,13 +494,38 @@ class DocumentProcessingService {
           extractionMethod: extractedContent.extractionMethod || 'unknown',
           userId: document.uploadedBy
         });
+        notificationService.emit('document:processing:completed', {
+          documentId,
+          documentTitle: document.title,
+          contractId: document.contractId,
+          processingType: 'text_extraction',
+          pageCount: extractedContent.pages || 1,
+          userId: document.uploadedBy
+        });
       }
 
+      // Make the new text searchable and score it against the other documents.
+      // Extracted fields are indexed once the document's analysis is recorded.
+      await this.queueProcessingJob(documentId, 'CONTENT_INDEXING', prisma);
+      await this.queueProcessingJob(documentId, 'SIMILARITY_ANALYSIS', prisma);
+
       console.log(`✅ Text extraction completed for document ${documentId}`);
       return { success: true, pageCount: extractedContent.pages || 1 };
 
     } catch (error) {
       await this.markDocumentAsFailed(documentId, `Text extraction failed: ${error.message}`, prisma);
+
+      if (notificationService) {
+        notificationService.emit('document:processing:failed', {
+          documentId,
+          documentTitle: document.title,
+          contractId: document.contractId,
+          processingType: 'text_extraction',
+          error: error.message,
+          retryable: true,
+          userId: document.uploadedBy
+        });
+      }
       throw error;
     }
   }
@@ -499,59 +540,44 @@ class DocumentProcessingService {
 
     try {
       // Try pdf-parse first (pure JavaScript, always available)
+      let parsed;
       try {
         console.log('📄 Using pdf-parse for text extraction...');
-        const pdfData = await pdfParse(buffer);
-
-        // Create a single page record with all text (pdf-parse doesn't separate pages easily)
-        await this.createPageRecord(document.id, 1, {
-          text: pdfData.text.trim(),
-          extractionMethod: 'pdf-parse',
-          wordCount: this.countWords(pdfData.text)
-        }, prisma);
-
-        await fs.rm(tempDir, { recursive: true }).catch(() => {});
-
-        console.log(`✅ PDF text extracted successfully using pdf-parse (${pdfData.numpages} pages, ${this.countWords(pdfData.text)} words)`);
-
-        return {
-          text: pdfData.text.trim(),
-          pages: pdfData.numpages,
-          wordCount: this.countWords(pdfData.text),
-          extractionMethod: 'pdf-parse'
-        };
+        parsed = await fileService.parsePdfWithPages(buffer);
       } catch (pdfParseError) {
         console.warn('⚠️ pdf-parse failed, trying pdftotext command...', pdfParseError.message);
+      }
 
-        // Try pdftotext command-line tool as fallback
-        try {
-          const { stdout } = await execAsync(`pdftotext "${tempFilePath}" -`);
-          const pages = stdout.split('\f'); // Form feed character separates pages
-
-          // Create page records
-          for (let i = 0; i < pages.length; i++) {
-            if (pages[i].trim()) {
-              await this.createPageRecord(document.id, i + 1, {
-                text: pages[i].trim(),
-                extractionMethod: 'pdftotext',
-                wordCount: this.countWords(pages[i])
-              }, prisma);
-            }
-          }
+      if (parsed) {
+        return await this.extractPDFPages(parsed.pages, tempFilePath, document, prisma);
+      }
 
-          await fs.rm(tempDir, { recursive: true });
-          return {
-            text: stdout.trim(),
-            pages: pages.length,
-            extractionMethod: 'pdftotext'
-          };
+      // Try pdftotext command-line tool as fallback
+      try {
+        const { stdout } = await execAsync(`pdftotext "${tempFilePath}" -`);
+        const pages = stdout.split('\f'); // Form feed character separates pages
+
+        // Create page records
+        for (let i = 0; i < pages.length; i++) {
+          if (pages[i].trim()) {
+            await this.createPageRecord(document.id, i + 1, {
+              text: pages[i].trim(),
+              extractionMethod: 'pdftotext',
+              wordCount: this.countWords(pages[i])
+            }, prisma);
+          }
+        }
 
+        return {
+          text: stdout.trim(),
+          pages: pages.length,
+          extractionMethod: 'pdftotext'
+        };
       } catch (pdfToTextError) {
         console.warn('⚠️ pdftotext command failed, trying OCR fallback...', pdfToTextError.message);
         // Fallback to pdf2pic + OCR
         return await this.extractPDFWithOCR(tempFilePath, document, prisma);
       }
-      }
     } finally {
       try {
         await fs.rm(tempDir, { recursive: true });
@@ -561,51 +587,119 @@ class DocumentProcessingService {
     }
   }
 
-  // Extract PDF using OCR (fallback method)
-  async extractPDFWithOCR(tempFilePath, document, prisma) {
-    const tempDir = path.dirname(tempFilePath);
-    
-    const convert = pdf2pic.fromPath(tempFilePath, {
+  // One page record per physical PDF page. Pages with a text layer keep the
+  // pdf-parse text; only pages without one (scans inside a native PDF) are OCRed.
+  async extractPDFPages(pages, tempFilePath, document, prisma) {
+    const scannedPages = pages.filter(page => !page.hasTextLayer).map(page => page.pageNumber);
+    const convert = scannedPages.length > 0 ? this.createPageConverter(tempFilePath) : null;
+    if (scannedPages.length > 0) {
+      console.log(`🖼️ ${scannedPages.length} of ${pages.length} pages have no text layer, sending them to OCR`);
+    }
+
+    const pageTexts = [];
+    for (const page of pages) {
+      const layout = { width: page.width, height: page.height, rotation: page.rotation };
+
+      if (page.hasTextLayer) {
+        const text = page.text.trim();
+        await this.createPageRecord(document.id, page.pageNumber, {
+          ...layout,
+          text,
+          extractionMethod: 'pdf-parse',
+          confidenceScore: 100,
+          wordCount: this.countWords(text)
+        }, prisma);
+        pageTexts.push(text);
+        continue;
+      }
+
+      try {
+        const image = await convert(page.pageNumber, { responseType: 'image' });
+        pageTexts.push(await this.ocrPageImage(image.path, document.id, page.pageNumber, layout, prisma));
+      } catch (renderError) {
+        console.warn(`Failed to render page ${page.pageNumber} for OCR:`, renderError.message);
+        await this.createPageRecord(document.id, page.pageNumber, {
+          ...layout,
+          text: page.text.trim(),
+          extractionMethod: 'ocr',
+          confidenceScore: 0,
+          errorMessage: renderError.message
+        }, prisma);
+        pageTexts.push('');
+      }
+    }
+
+    const text = pageTexts.filter(Boolean).join('\n\n');
+    let extractionMethod = 'pdf-parse';
+    if (scannedPages.length === pages.length) {
+      extractionMethod = 'ocr';
+    } else if (scannedPages.length > 0) {
+      extractionMethod = 'pdf-parse+ocr';
+    }
+
+    console.log(`✅ PDF text extracted (${pages.length} pages, ${scannedPages.length} OCRed, ${this.countWords(text)} words)`);
+
+    return {
+      text,
+      pages: pages.length,
+      wordCount: this.countWords(text),
+      extractionMethod,
+      scannedPages
+    };
+  }
+
+  createPageConverter(tempFilePath) {
+    return pdf2pic.fromPath(tempFilePath, {
       density: 200,
       saveFilename: "page",
-      savePath: tempDir,
+      savePath: path.dirname(tempFilePath),
       format: "png",
       width: 2048,
       height: 2048
     });
+  }
+
+  // OCR one rendered page image and store its page record
+  async ocrPageImage(pageImagePath, documentId, pageNumber, layout, prisma) {
+    try {
+      const imageBuffer = await fs.readFile(pageImagePath);
+      const ocrResult = await this.extractTextFromImage(imageBuffer);
+
+      await this.createPageRecord(documentId, pageNumber, {
+        ...layout,
+        text: ocrResult.text || '',
+        extractionMethod: 'ocr',
+        confidenceScore: ocrResult.confidence || 0,
+        wordCount: this.countWords(ocrResult.text || ''),
+        ocrProvider: 'textract',
+        processingTime: ocrResult.processingTime
+      }, prisma);
+
+      // Cleanup page image
+      await fs.unlink(pageImagePath);
+      return ocrResult.text || '';
+    } catch (pageError) {
+      console.warn(`Failed to process page ${pageNumber}:`, pageError);
+      await this.createPageRecord(documentId, pageNumber, {
+        ...layout,
+        text: '',
+        extractionMethod: 'ocr',
+        confidenceScore: 0,
+        errorMessage: pageError.message
+      }, prisma);
+      return '';
+    }
+  }
+
+  // Extract PDF using OCR (fallback method)
+  async extractPDFWithOCR(tempFilePath, document, prisma) {
+    const convert = this.createPageConverter(tempFilePath);
 
     const results = await convert.bulk(-1);
     const extractedPages = [];
-    
-    for (let i = 0; i < results.length; i++) {
-      const pageImagePath = results[i].path;
-      
-      try {
-        const imageBuffer = await fs.readFile(pageImagePath);
-        const ocrResult = await this.extractTextFromImage(imageBuffer);
-        
-        await this.createPageRecord(document.id, i + 1, {
-          text: ocrResult.text || '',
-          extractionMethod: 'ocr',
-          confidenceScore: ocrResult.confidence || 0,
-          wordCount: this.countWords(ocrResult.text || ''),
-          ocrProvider: 'textract',
-          processingTime: ocrResult.processingTime
-        }, prisma);
 
-        extractedPages.push(ocrResult.text || '');
-        
-        // Cleanup page image
-        await fs.unlink(pageImagePath);
-      } catch (pageError) {
-        console.warn(`Failed to process page ${i + 1}:`, pageError);
-        await this.createPageRecord(document.id, i + 1, {
-          text: '',
-          extractionMethod: 'ocr',
-          confidenceScore: 0,
-          errorMessage: pageError.message
-        }, prisma);
-      }
+    for (let i = 0; i < results.length; i++) {
+      extractedPages.push(await this.ocrPageImage(results[i].path, document.id, i + 1, {}, prisma));
     }
 
     return {
@@ -630,6 +724,7 @@ class DocumentProcessingService {
         extractionMethod: pageData.extractionMethod,
         width: pageData.width,
         height: pageData.height,
+        rotation: pageData.rotation,
         hasTable: this.detectTables(pageData.text || ''),
         hasImage: pageData.hasImage || false,
         language: pageData.language || 'en',
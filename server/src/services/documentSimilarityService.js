@@ -0,0 +1,479 @@
+/**
+ * Document Similarity Service
+ *
+ * Scores a contract document against every other processed document and
+ * stores the result in DocumentSimilarity (the SIMILARITY_ANALYSIS job).
+ * Four signals are combined into the overall score:
+ *
+ *   type     - analyzed contract type, else the document type
+ *   party    - overlap of normalized party names (Jaccard)
+ *   date     - proximity of effective dates
+ *   content  - TF-IDF cosine similarity over the extracted page text,
+ *              computed locally so no document text leaves the server
+ *
+ * Signals that cannot be computed (e.g. no analysis yet) are left out and the
+ * remaining weights are rescaled. Each pair is classified into a
+ * DocumentRelation, and strongly related documents of different contracts
+ * are grouped into auto-created ContractGroups as suggestions to review.
+ */
+
+export const SIMILARITY_MODEL = 'local-tfidf-v1';
+
+const WEIGHTS = { type: 0.2, party: 0.3, date: 0.1, content: 0.4 };
+
+// Pairs below this overall score are not stored
+const MIN_STORED_SIMILARITY = 0.25;
+// Cross-contract pairs at or above this score are suggested as a group
+const GROUP_THRESHOLD = 0.6;
+const MAX_CANDIDATES = 500;
+const MAX_TEXT_CHARS = 200000;
+// Effective dates this many days apart score 1/e
+const DATE_SCALE_DAYS = 365;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'any', 'all', 'this', 'that', 'with', 'from', 'shall', 'will',
+  'such', 'which', 'each', 'other', 'its', 'has', 'have', 'been', 'was', 'were', 'may', 'under', 'upon',
+  'into', 'than', 'then', 'there', 'their', 'these', 'those', 'hereof', 'herein', 'hereunder', 'thereof',
+  'set', 'forth', 'without', 'including', 'party', 'parties', 'agreement', 'section', 'page'
+]);
+
+const ENTITY_SUFFIXES = /\b(inc|incorporated|llc|l\.l\.c|ltd|limited|corp|corporation|co|company|lp|llp|plc|gmbh)\b\.?/g;
+
+const AMENDMENT_TYPES = new Set(['AMENDMENT', 'ADDENDUM']);
+const APPENDIX_TYPES = new Set(['APPENDIX', 'EXHIBIT', 'SIGNATURE']);
+
+/**
+ * Lowercased content words of a text
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[a-z][a-z0-9]{2,}/g) || [])
+    .filter(token => !STOP_WORDS.has(token));
+}
+
+/**
+ * L2-normalized TF-IDF vectors for a corpus of tokenized documents
+ *
+ * @param {string[][]} corpus
+ * @returns {Map<string, number>[]}
+ */
+export function buildTfIdfVectors(corpus) {
+  const documentFrequency = new Map();
+  for (const tokens of corpus) {
+    for (const term of new Set(tokens)) {
+      documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  return corpus.map(tokens => {
+    const counts = new Map();
+    for (const term of tokens) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+
+    const vector = new Map();
+    let norm = 0;
+    for (const [term, count] of counts) {
+      // Smoothed IDF; sublinear TF keeps boilerplate-heavy documents from dominating
+      const weight = (1 + Math.log(count)) * (Math.log((1 + corpus.length) / (1 + documentFrequency.get(term))) + 1);
+      vector.set(term, weight);
+      norm += weight * weight;
+    }
+
+    norm = Math.sqrt(norm);
+    for (const [term, weight] of vector) {
+      vector.set(term, weight / norm);
+    }
+    return vector;
+  });
+}
+
+/**
+ * Cosine similarity of two normalized vectors
+ */
+export function cosineSimilarity(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  for (const [term, weight] of small) {
+    dot += weight * (large.get(term) || 0);
+  }
+  return Math.min(1, dot);
+}
+
+export const normalizePartyName = (name) => String(name || '')
+  .toLowerCase()
+  .replace(ENTITY_SUFFIXES, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Party names from ContractAnalysis.parties, which is either an array of
+ * names/party objects or an object keyed by role ({ buyer, seller, ... })
+ */
+export function extractPartyNames(parties) {
+  if (!parties) return [];
+  const entries = Array.isArray(parties) ? parties : Object.values(parties);
+  return entries
+    .map(party => (typeof party === 'string' ? party : party?.name))
+    .map(normalizePartyName)
+    .filter(Boolean);
+}
+
+const round = (value) => (value === null ? null : Math.round(value * 1000) / 1000);
+
+/**
+ * Score one pair of prepared documents
+ *
+ * @param {Object} source - { contractId, documentType, contractType, parties, effectiveDate, vector }
+ * @param {Object} target - Same shape
+ * @returns {Object} Similarity components, overall score, relationship and matching factors
+ */
+export function scorePair(source, target) {
+  let typeSimilarity;
+  if (source.contractType && target.contractType) {
+    const a = source.contractType.toLowerCase();
+    const b = target.contractType.toLowerCase();
+    typeSimilarity = a === b ? 1 : (a.includes(b) || b.includes(a) ? 0.7 : 0);
+  } else {
+    typeSimilarity = source.documentType === target.documentType ? 1 : 0.5;
+  }
+
+  let partySimilarity = null;
+  const sharedParties = source.parties.filter(party => target.parties.includes(party));
+  if (source.parties.length > 0 && target.parties.length > 0) {
+    partySimilarity = sharedParties.length / new Set([...source.parties, ...target.parties]).size;
+  }
+
+  let dateSimilarity = null;
+  let daysApart = null;
+  if (source.effectiveDate && target.effectiveDate) {
+    daysApart = Math.abs(source.effectiveDate - target.effectiveDate) / 86400000;
+    dateSimilarity = Math.exp(-daysApart / DATE_SCALE_DAYS);
+  }
+
+  const contentSimilarity = source.vector.size > 0 && target.vector.size > 0
+    ? cosineSimilarity(source.vector, target.vector)
+    : null;
+
+  const components = { type: typeSimilarity, party: partySimilarity, date: dateSimilarity, content: contentSimilarity };
+  let weighted = 0;
+  let totalWeight = 0;
+  for (const [key, value] of Object.entries(components)) {
+    if (value === null) continue;
+    weighted += WEIGHTS[key] * value;
+    totalWeight += WEIGHTS[key];
+  }
+  const overallSimilarity = totalWeight > 0 ? weighted / totalWeight : 0;
+
+  const matchingFactors = [];
+  if (source.contractId === target.contractId) matchingFactors.push('same_contract');
+  if (typeSimilarity >= 0.7) matchingFactors.push('contract_type');
+  if (sharedParties.length > 0) matchingFactors.push(`shared_parties:${sharedParties.join('|')}`);
+  if (daysApart !== null && daysApart <= 90) matchingFactors.push('effective_dates_within_90_days');
+  if (contentSimilarity !== null && contentSimilarity >= 0.5) matchingFactors.push('content');
+
+  return {
+    overallSimilarity: round(overallSimilarity),
+    typeSimilarity: round(typeSimilarity),
+    partySimilarity: round(partySimilarity),
+    dateSimilarity: round(dateSimilarity),
+    contentSimilarity: round(contentSimilarity),
+    ...classifyRelationship(source, target, { overallSimilarity, partySimilarity, contentSimilarity }),
+    matchingFactors
+  };
+}
+
+/**
+ * DocumentRelation of a scored pair with a confidence
+ */
+export function classifyRelationship(source, target, { overallSimilarity, partySimilarity, contentSimilarity }) {
+  const types = [source.documentType, target.documentType];
+  const sameParties = partySimilarity === null || partySimilarity >= 0.5;
+
+  // Near-identical text: the same contract, possibly uploaded twice
+  if (contentSimilarity !== null && contentSimilarity >= 0.9 && sameParties) {
+    return { relationshipType: 'SAME_CONTRACT', relationshipConfidence: round(contentSimilarity) };
+  }
+
+  if (source.contractId === target.contractId) {
+    if (types.includes('COVER_LETTER')) {
+      return { relationshipType: 'COVER_LETTER', relationshipConfidence: 0.9 };
+    }
+    if (types.some(type => AMENDMENT_TYPES.has(type))) {
+      return { relationshipType: 'AMENDMENT', relationshipConfidence: 0.9 };
+    }
+    if (types.some(type => APPENDIX_TYPES.has(type))) {
+      return { relationshipType: 'APPENDIX', relationshipConfidence: 0.9 };
+    }
+  }
+
+  if (overallSimilarity >= GROUP_THRESHOLD) {
+    // An amendment uploaded under its own contract record
+    if (types.some(type => AMENDMENT_TYPES.has(type)) && partySimilarity !== null && partySimilarity >= 0.5) {
+      return { relationshipType: 'AMENDMENT', relationshipConfidence: round(overallSimilarity) };
+    }
+    return { relationshipType: 'RELATED_CONTRACT', relationshipConfidence: round(overallSimilarity) };
+  }
+
+  if (overallSimilarity >= 0.45) {
+    return { relationshipType: 'REQUIRES_REVIEW', relationshipConfidence: round(overallSimilarity) };
+  }
+
+  return { relationshipType: 'UNRELATED', relationshipConfidence: round(1 - overallSimilarity) };
+}
+
+// Group type suggested for a cross-contract relationship
+const GROUP_TYPES = {
+  SAME_CONTRACT: 'DUPLICATE_DETECTION',
+  AMENDMENT: 'CONTRACT_FAMILY',
+  RELATED_CONTRACT: 'RELATED_CONTRACTS'
+};
+
+const GROUP_LABELS = {
+  DUPLICATE_DETECTION: 'Possible duplicates',
+  CONTRACT_FAMILY: 'Contract family',
+  RELATED_CONTRACTS: 'Related contracts'
+};
+
+const documentInclude = {
+  contract: { select: { id: true, name: true, client: true, effectiveDate: true } },
+  pages: { select: { extractedText: true }, orderBy: { pageNumber: 'asc' } },
+  analyses: { orderBy: { createdAt: 'desc' }, take: 1 }
+};
+
+class DocumentSimilarityService {
+  /**
+   * Score a document against all other processed documents and store the pairs
+   *
+   * @param {Object} prisma - Prisma client
+   * @param {string} documentId - ContractDocument ID
+   * @returns {Promise<Object>} { documentId, compared, stored, groups }
+   */
+  async analyzeDocument(prisma, documentId) {
+    console.log(`🔗 Analyzing similarity for document ${documentId}`);
+
+    const document = await prisma.contractDocument.findUnique({
+      where: { id: documentId },
+      include: documentInclude
+    });
+    if (!document) {
+      throw new Error(`Document ${documentId} not found`);
+    }
+
+    const candidates = await prisma.contractDocument.findMany({
+      where: { id: { not: documentId }, processingStatus: 'COMPLETED' },
+      include: documentInclude,
+      orderBy: { createdAt: 'desc' },
+      take: MAX_CANDIDATES
+    });
+
+    const prepared = this.prepare([document, ...candidates]);
+    const [source, ...targets] = prepared;
+
+    const pairs = [];
+    for (const target of targets) {
+      const score = scorePair(source, target);
+      if (score.overallSimilarity >= MIN_STORED_SIMILARITY) {
+        pairs.push({ target, score });
+      }
+    }
+
+    // One row per unordered pair, from whichever document was analyzed last
+    await prisma.documentSimilarity.deleteMany({
+      where: {
+        OR: [
+          { sourceDocumentId: documentId },
+          { targetDocumentId: documentId }
+        ]
+      }
+    });
+    if (pairs.length > 0) {
+      await prisma.documentSimilarity.createMany({
+        data: pairs.map(({ target, score }) => ({
+          sourceDocumentId: documentId,
+          targetDocumentId: target.id,
+          ...score,
+          aiModel: SIMILARITY_MODEL
+        })),
+        skipDuplicates: true
+      });
+    }
+
+    const groups = await this.suggestGroups(prisma, source, pairs);
+    console.log(`✅ Similarity for document ${documentId}: ${pairs.length} of ${targets.length} documents related, ${groups.length} group suggestion(s)`);
+
+    return {
+      documentId,
+      compared: targets.length,
+      stored: pairs.length,
+      groups: groups.map(group => group.id)
+    };
+  }
+
+  /**
+   * Documents reduced to the fields the scoring needs, with TF-IDF vectors over the batch
+   */
+  prepare(documents) {
+    const vectors = buildTfIdfVectors(documents.map(document => tokenize(
+      (document.pages || []).map(page => page.extractedText || '').join('\n').slice(0, MAX_TEXT_CHARS)
+    )));
+
+    return documents.map((document, index) => {
+      const analysis = document.analyses?.[0] || null;
+      const parties = extractPartyNames(analysis?.parties);
+      if (parties.length === 0 && document.contract?.client) {
+        parties.push(normalizePartyName(document.contract.client));
+      }
+      const effectiveDate = analysis?.effectiveDate || document.contract?.effectiveDate || null;
+
+      return {
+        id: document.id,
+        contractId: document.contractId,
+        contract: document.contract,
+        documentType: document.documentType,
+        contractType: analysis?.contractType || null,
+        parties: [...new Set(parties)],
+        effectiveDate: effectiveDate ? new Date(effectiveDate).getTime() : null,
+        vector: vectors[index]
+      };
+    });
+  }
+
+  /**
+   * Group the source contract with strongly related contracts
+   *
+   * Joins an existing auto-created group of the same type that already holds
+   * one of the contracts; otherwise creates one. Manually created groups are
+   * never modified.
+   */
+  async suggestGroups(prisma, source, pairs) {
+    const byType = new Map();
+    for (const { target, score } of pairs) {
+      const groupType = GROUP_TYPES[score.relationshipType];
+      if (!groupType || target.contractId === source.contractId || score.overallSimilarity < GROUP_THRESHOLD) continue;
+      if (!byType.has(groupType)) byType.set(groupType, []);
+      byType.get(groupType).push({ target, score });
+    }
+
+    const groups = [];
+    for (const [groupType, members] of byType) {
+      const contractIds = [...new Set([source.contractId, ...members.map(({ target }) => target.contractId)])];
+      const documentIds = [source.id, ...members.map(({ target }) => target.id)];
+      const confidence = round(members.reduce((sum, { score }) => sum + score.overallSimilarity, 0) / members.length);
+
+      const existing = await prisma.contractGroup.findFirst({
+        where: { autoCreated: true, groupType, contracts: { some: { id: { in: contractIds } } } }
+      });
+
+      const connect = {
+        contracts: { connect: contractIds.map(id => ({ id })) },
+        documents: { connect: documentIds.map(id => ({ id })) }
+      };
+
+      if (existing) {
+        groups.push(await prisma.contractGroup.update({
+          where: { id: existing.id },
+          data: { ...connect, groupingConfidence: Math.max(existing.groupingConfidence, confidence) }
+        }));
+        continue;
+      }
+
+      const sourceName = source.contract?.name || source.contractId;
+      groups.push(await prisma.contractGroup.create({
+        data: {
+          name: `${GROUP_LABELS[groupType]}: ${sourceName}`,
+          description: `Suggested from document similarity (${members.length + 1} documents)`,
+          groupType,
+          groupReason: [...new Set(members.flatMap(({ score }) => score.matchingFactors))].join(', '),
+          primaryContractId: source.contractId,
+          groupingConfidence: confidence,
+          autoCreated: true,
+          ...connect
+        }
+      }));
+    }
+
+    return groups;
+  }
+
+  /**
+   * Contracts similar to a contract, best document pair first
+   *
+   * @param {Object} prisma - Prisma client
+   * @param {string} contractId
+   * @param {Object} [options] - { limit, minSimilarity }
+   * @returns {Promise<Object>} { documentCount, similar, groups }
+   */
+  async getSimilarContracts(prisma, contractId, options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 10, 1), 50);
+    const minSimilarity = Number.isFinite(Number(options.minSimilarity)) ? Number(options.minSimilarity) : 0.4;
+
+    const documents = await prisma.contractDocument.findMany({
+      where: { contractId },
+      select: { id: true }
+    });
+    const documentIds = documents.map(document => document.id);
+
+    const documentSelect = {
+      select: {
+        id: true,
+        title: true,
+        documentType: true,
+        contract: { select: { id: true, name: true, client: true, site: true, status: true, capacity: true, term: true } }
+      }
+    };
+    const similarities = await prisma.documentSimilarity.findMany({
+      where: {
+        overallSimilarity: { gte: minSimilarity },
+        relationshipType: { not: 'UNRELATED' },
+        OR: [
+          { sourceDocumentId: { in: documentIds } },
+          { targetDocumentId: { in: documentIds } }
+        ]
+      },
+      include: { sourceDocument: documentSelect, targetDocument: documentSelect },
+      orderBy: { overallSimilarity: 'desc' }
+    });
+
+    // Best pair per other contract
+    const similar = new Map();
+    for (const similarity of similarities) {
+      const [own, other] = documentIds.includes(similarity.sourceDocumentId)
+        ? [similarity.sourceDocument, similarity.targetDocument]
+        : [similarity.targetDocument, similarity.sourceDocument];
+      if (other.contract.id === contractId || similar.has(other.contract.id)) continue;
+
+      similar.set(other.contract.id, {
+        contract: other.contract,
+        overallSimilarity: similarity.overallSimilarity,
+        typeSimilarity: similarity.typeSimilarity,
+        partySimilarity: similarity.partySimilarity,
+        dateSimilarity: similarity.dateSimilarity,
+        contentSimilarity: similarity.contentSimilarity,
+        relationshipType: similarity.relationshipType,
+        relationshipConfidence: similarity.relationshipConfidence,
+        matchingFactors: similarity.matchingFactors,
+        document: { id: own.id, title: own.title, documentType: own.documentType },
+        matchedDocument: { id: other.id, title: other.title, documentType: other.documentType }
+      });
+    }
+
+    const groups = await prisma.contractGroup.findMany({
+      where: { contracts: { some: { id: contractId } } },
+      include: { contracts: { select: { id: true, name: true, client: true } } },
+      orderBy: { groupingConfidence: 'desc' }
+    });
+
+    return {
+      documentCount: documentIds.length,
+      similar: [...similar.values()].slice(0, limit),
+      groups
+    };
+  }
+}
+
+const documentSimilarityService = new DocumentSimilarityService();
+
+export default documentSimilarityService;
@@ -7,6 +7,22 @@
  * Returns: { type, confidence, hints }
  */
 
+// Extraction spec document types -> DocumentType enum (anything else is PRIMARY)
+const SPEC_DOCUMENT_TYPES = {
+  Amendment: 'AMENDMENT',
+  EPC_Addendum: 'ADDENDUM',
+  OM_Addendum: 'ADDENDUM',
+  Lease_Supplement: 'ADDENDUM',
+  System_Order: 'EXHIBIT'
+};
+
+/**
+ * Map a classifier/spec document type onto the DocumentType enum
+ */
+export function toDocumentType(specType) {
+  return SPEC_DOCUMENT_TYPES[specType] || 'PRIMARY';
+}
+
 class DocumentTypeClassifier {
   constructor(spec) {
     this.spec = spec;
@@ -0,0 +1,159 @@
+/**
+ * Email Service
+ *
+ * Outbound email behind a small transport interface, so notification emails
+ * and digests can go to a real SMTP server in production, a local SMTP catcher
+ * (Mailpit, MailHog, smtp4dev) in development, or nowhere at all in tests.
+ *
+ * A transport is any object with:
+ *   name                      - label for logs
+ *   send(message) -> Promise  - { from, to, subject, text, html? } -> { messageId }
+ *
+ * Environment:
+ *   EMAIL_TRANSPORT - smtp | console | memory | none
+ *                     (default: smtp when SMTP_HOST is set, otherwise none)
+ *   SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS
+ *   SMTP_SECURE     - "true" for implicit TLS (port 465)
+ *   FROM_EMAIL      - sender address
+ *
+ * A local catcher typically needs only SMTP_HOST=localhost and SMTP_PORT=1025;
+ * auth is skipped when SMTP_USER is empty.
+ *
+ * With no transport nothing is marked as emailed, so notifications and digests
+ * go out once SMTP is configured. `console` only logs messages, including
+ * recipient addresses, and is meant for development.
+ */
+
+const DEFAULT_FROM = 'noreply@bloomenergy.com';
+
+/**
+ * SMTP via nodemailer, loaded on first use
+ */
+export function createSmtpTransport({
+  host = process.env.SMTP_HOST,
+  port = parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure = process.env.SMTP_SECURE === 'true',
+  user = process.env.SMTP_USER,
+  pass = process.env.SMTP_PASS
+} = {}) {
+  let transporter = null;
+
+  return {
+    name: `smtp://${host}:${port}`,
+    async send(message) {
+      if (!transporter) {
+        const { default: nodemailer } = await import('nodemailer');
+        transporter = nodemailer.createTransport({
+          host,
+          port,
+          secure,
+          auth: user ? { user, pass } : undefined
+        });
+      }
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+/**
+ * Log messages instead of sending them (development only: they count as sent)
+ */
+export function createConsoleTransport() {
+  let counter = 0;
+
+  return {
+    name: 'console',
+    async send(message) {
+      counter += 1;
+      console.log(`📧 [email] to=${message.to} subject="${message.subject}"\n${message.text}`);
+      return { messageId: `console-${counter}` };
+    }
+  };
+}
+
+/**
+ * Keep messages in memory; `sent` is inspectable from tests
+ */
+export function createMemoryTransport() {
+  const sent = [];
+
+  return {
+    name: 'memory',
+    sent,
+    async send(message) {
+      sent.push(message);
+      return { messageId: `memory-${sent.length}` };
+    }
+  };
+}
+
+/**
+ * Transport for EMAIL_TRANSPORT, or null when email is disabled
+ */
+export function createTransportFromEnv() {
+  const kind = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'none');
+
+  switch (kind) {
+    case 'smtp':
+      return createSmtpTransport();
+    case 'console':
+      console.warn('⚠️ EMAIL_TRANSPORT=console: emails are logged, not sent, and count as delivered');
+      return createConsoleTransport();
+    case 'memory':
+      return createMemoryTransport();
+    case 'none':
+      console.log('📧 Email disabled (set SMTP_HOST or EMAIL_TRANSPORT to enable)');
+      return null;
+    default:
+      console.warn(`⚠️ Unknown EMAIL_TRANSPORT "${kind}", email disabled`);
+      return null;
+  }
+}
+
+class EmailService {
+  constructor() {
+    this.transport = undefined; // Resolved from the environment on first use
+  }
+
+  /**
+   * Replace the transport (null disables email)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    if (this.transport === undefined) {
+      this.transport = createTransportFromEnv();
+    }
+    return this.transport;
+  }
+
+  isEnabled() {
+    return Boolean(this.getTransport());
+  }
+
+  /**
+   * Send one message; returns null when email is disabled
+   *
+   * @param {Object} message - { to, subject, text, html? }
+   */
+  async send(message) {
+    const transport = this.getTransport();
+    if (!transport) {
+      return null;
+    }
+
+    const result = await transport.send({
+      from: process.env.FROM_EMAIL || DEFAULT_FROM,
+      ...message
+    });
+    console.log(`📧 Sent "${message.subject}" to ${message.to} via ${transport.name}`);
+    return result;
+  }
+}
+
+const emailService = new EmailService();
+
+export default emailService;
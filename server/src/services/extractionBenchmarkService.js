@@ -0,0 +1,387 @@
+/**
+ * Extraction Benchmark Service
+ *
+ * Scores the rules-extraction pipeline against a directory of labeled
+ * fixtures. Each fixture is a directory containing:
+ *
+ *   document.txt   - extracted document text
+ *   expected.json  - { filename, documentType, fields: { field: value|null }, tolerances?: { field: number } }
+ *   response.json  - recorded LLM response for the document (optional in live mode)
+ *
+ * A field expected as null must come back NOT SPECIFIED. Numeric fields match
+ * within a relative tolerance (default 1%, overridable per field), dates match
+ * on the calendar day regardless of format.
+ *
+ * Reports per-field precision/recall, numeric tolerance matches and per
+ * document type accuracy, as JSON (for comparing runs) and Markdown.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const NOT_SPECIFIED = 'NOT SPECIFIED';
+const DEFAULT_TOLERANCE = 0.01;
+
+const DATE_LIKE = /^\d{4}-\d{1,2}-\d{1,2}$|^\d{1,2}\/\d{1,2}\/\d{2,4}$|[a-z]{3,}\.?\s+\d{1,2},?\s+\d{4}/i;
+const SINGLE_NUMBER = /^[^\d-]*(-?[\d,]*\.?\d+)[^\d]*$/;
+
+// ============================================================================
+// FIXTURES
+// ============================================================================
+
+/**
+ * Load every fixture directory under fixturesDir
+ *
+ * @param {string} fixturesDir - Directory containing one sub-directory per fixture
+ * @param {Object} options - { only: fixture id filter }
+ */
+export async function loadFixtures(fixturesDir, options = {}) {
+  const entries = await fs.readdir(fixturesDir, { withFileTypes: true });
+  const fixtures = [];
+
+  for (const entry of entries.filter(e => e.isDirectory()).sort((a, b) => a.name.localeCompare(b.name))) {
+    if (options.only && !entry.name.includes(options.only)) continue;
+
+    const dir = path.join(fixturesDir, entry.name);
+    const expected = JSON.parse(await fs.readFile(path.join(dir, 'expected.json'), 'utf8'));
+    const text = await fs.readFile(path.join(dir, 'document.txt'), 'utf8');
+
+    let response = null;
+    try {
+      response = await fs.readFile(path.join(dir, 'response.json'), 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    fixtures.push({
+      id: entry.name,
+      dir,
+      filename: expected.filename || `${entry.name}.pdf`,
+      documentType: expected.documentType || null,
+      fields: expected.fields || {},
+      tolerances: expected.tolerances || {},
+      text,
+      response
+    });
+  }
+
+  return fixtures;
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+const isSpecified = (value) => value !== null && value !== undefined &&
+  String(value).trim() !== '' && String(value).trim().toUpperCase() !== NOT_SPECIFIED;
+
+const normalizeText = (value) => String(value)
+  .toLowerCase()
+  .replace(/[^a-z0-9.%]+/g, ' ')
+  .replace(/\.(?=\s|$)/g, '')
+  .trim();
+
+const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const match = String(value).trim().match(SINGLE_NUMBER);
+  if (!match) return null;
+  const number = parseFloat(match[1].replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+const parseDate = (value) => {
+  const text = String(value).trim();
+  if (!DATE_LIKE.test(text)) return null;
+  const isoMatch = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  const date = isoMatch
+    ? new Date(Date.UTC(+isoMatch[1], +isoMatch[2] - 1, +isoMatch[3]))
+    : new Date(`${text} UTC`);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Compare an expected value with an extracted one
+ *
+ * @returns {{ matched: boolean, match: 'exact'|'normalized'|'date'|'numeric'|null }}
+ */
+export function compareValues(expected, actual, tolerance = DEFAULT_TOLERANCE) {
+  if (String(expected).trim() === String(actual).trim()) {
+    return { matched: true, match: 'exact' };
+  }
+
+  const expectedDate = parseDate(expected);
+  const actualDate = parseDate(actual);
+  if (expectedDate || actualDate) {
+    return expectedDate && expectedDate === actualDate
+      ? { matched: true, match: 'date' }
+      : { matched: false, match: null };
+  }
+
+  const expectedNumber = parseNumber(expected);
+  const actualNumber = parseNumber(actual);
+  if (expectedNumber !== null && actualNumber !== null) {
+    if (expectedNumber === actualNumber) {
+      return { matched: true, match: 'normalized' };
+    }
+    const allowed = Math.abs(expectedNumber) * tolerance;
+    return Math.abs(expectedNumber - actualNumber) <= allowed
+      ? { matched: true, match: 'numeric' }
+      : { matched: false, match: null };
+  }
+
+  return normalizeText(expected) === normalizeText(actual)
+    ? { matched: true, match: 'normalized' }
+    : { matched: false, match: null };
+}
+
+/**
+ * Score one document's extraction against its fixture
+ *
+ * Outcomes per field: correct (TP), incorrect (FP + FN), missed (FN),
+ * spurious (FP) and correct_absent (TN).
+ */
+export function scoreDocument(fixture, result) {
+  const extractedData = result?.extractedData || {};
+
+  const fields = Object.entries(fixture.fields).map(([field, expected]) => {
+    const actual = extractedData[field] ?? null;
+    const expectedPresent = isSpecified(expected);
+    const actualPresent = isSpecified(actual);
+
+    let outcome;
+    let match = null;
+    if (expectedPresent && actualPresent) {
+      ({ match } = compareValues(expected, actual, fixture.tolerances[field] ?? DEFAULT_TOLERANCE));
+      outcome = match ? 'correct' : 'incorrect';
+    } else if (expectedPresent) {
+      outcome = 'missed';
+    } else if (actualPresent) {
+      outcome = 'spurious';
+    } else {
+      outcome = 'correct_absent';
+    }
+
+    return { field, expected: expected ?? null, actual, outcome, match };
+  });
+
+  const predictedType = result?.structuredExtraction?.documentType || null;
+
+  return {
+    id: fixture.id,
+    filename: fixture.filename,
+    documentType: fixture.documentType,
+    predictedType,
+    classifiedCorrectly: fixture.documentType ? predictedType === fixture.documentType : null,
+    fields
+  };
+}
+
+const ratio = (numerator, denominator) => (denominator > 0 ? round(numerator / denominator) : null);
+const round = (value) => Math.round(value * 10000) / 10000;
+
+const emptyCounts = () => ({ scored: 0, tp: 0, fp: 0, fn: 0, tn: 0, toleranceMatches: 0 });
+
+const tally = (counts, { outcome, match }) => {
+  counts.scored++;
+  if (outcome === 'correct') counts.tp++;
+  if (outcome === 'incorrect' || outcome === 'spurious') counts.fp++;
+  if (outcome === 'incorrect' || outcome === 'missed') counts.fn++;
+  if (outcome === 'correct_absent') counts.tn++;
+  if (match === 'numeric') counts.toleranceMatches++;
+  return counts;
+};
+
+const withRates = (counts) => {
+  const precision = ratio(counts.tp, counts.tp + counts.fp);
+  const recall = ratio(counts.tp, counts.tp + counts.fn);
+  const f1 = precision !== null && recall !== null && precision + recall > 0
+    ? round((2 * precision * recall) / (precision + recall))
+    : null;
+  return { ...counts, precision, recall, f1, accuracy: ratio(counts.tp + counts.tn, counts.scored) };
+};
+
+/**
+ * Aggregate scored documents into a benchmark report
+ *
+ * @param {Array} documents - scoreDocument() results, plus { error } for failed documents
+ * @param {Object} meta - Run metadata copied onto the report (mode, prompt fingerprint...)
+ */
+export function summarizeResults(documents, meta = {}) {
+  const totals = emptyCounts();
+  const byField = {};
+  const byDocType = {};
+
+  for (const doc of documents) {
+    const docType = doc.documentType || 'UNLABELED';
+    const typeStats = byDocType[docType] || (byDocType[docType] = { documents: 0, classified: 0, counts: emptyCounts() });
+    typeStats.documents++;
+    if (doc.classifiedCorrectly) typeStats.classified++;
+
+    for (const field of doc.fields || []) {
+      tally(totals, field);
+      tally(typeStats.counts, field);
+      tally(byField[field.field] || (byField[field.field] = emptyCounts()), field);
+    }
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    ...meta,
+    totals: {
+      documents: documents.length,
+      failed: documents.filter(doc => doc.error).length,
+      ...withRates(totals)
+    },
+    fields: Object.fromEntries(
+      Object.entries(byField).sort(([a], [b]) => a.localeCompare(b)).map(([field, counts]) => [field, withRates(counts)])
+    ),
+    docTypes: Object.fromEntries(
+      Object.entries(byDocType).map(([docType, stats]) => {
+        const rates = withRates(stats.counts);
+        return [docType, {
+          documents: stats.documents,
+          classificationAccuracy: ratio(stats.classified, stats.documents),
+          fieldAccuracy: rates.accuracy,
+          precision: rates.precision,
+          recall: rates.recall
+        }];
+      })
+    ),
+    documents
+  };
+}
+
+// ============================================================================
+// RUNNING
+// ============================================================================
+
+export const hashPrompt = (prompt) => crypto.createHash('sha256').update(prompt || '').digest('hex').slice(0, 12);
+
+/**
+ * Run every fixture through the extraction pipeline and score the results
+ *
+ * @param {Array} fixtures - loadFixtures() output
+ * @param {Function} extract - async (fixture) => { result, prompt }
+ * @param {Object} meta - Run metadata for the report
+ */
+export async function runBenchmark(fixtures, extract, meta = {}) {
+  const documents = [];
+  const promptHashes = {};
+
+  for (const fixture of fixtures) {
+    console.log(`📏 Benchmarking ${fixture.id}...`);
+    try {
+      const { result, prompt } = await extract(fixture);
+      const scored = scoreDocument(fixture, result);
+      if (prompt) {
+        scored.promptHash = hashPrompt(prompt);
+        promptHashes[fixture.id] = scored.promptHash;
+      }
+      documents.push(scored);
+    } catch (error) {
+      console.error(`❌ Benchmark failed for ${fixture.id}:`, error.message);
+      // Count every labeled field as missed so failures drag the score down
+      const failed = scoreDocument(fixture, null);
+      documents.push({ ...failed, error: error.message });
+    }
+  }
+
+  return summarizeResults(documents, {
+    ...meta,
+    promptFingerprint: hashPrompt(Object.values(promptHashes).join(':'))
+  });
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+const formatRate = (value) => (value === null || value === undefined ? '—' : `${(value * 100).toFixed(1)}%`);
+
+const formatDelta = (current, previous) => {
+  if (current === null || current === undefined || previous === null || previous === undefined) return '';
+  const delta = (current - previous) * 100;
+  if (Math.abs(delta) < 0.05) return ' (±0)';
+  return ` (${delta > 0 ? '+' : ''}${delta.toFixed(1)})`;
+};
+
+/**
+ * Render a benchmark report as Markdown, with deltas against a baseline
+ * report when one is given
+ */
+export function renderMarkdown(report, baseline = null) {
+  const lines = [];
+  const delta = (current, pick) => (baseline ? formatDelta(current, pick(baseline)) : '');
+
+  lines.push('# Extraction Benchmark');
+  lines.push('');
+  lines.push(`Generated ${report.generatedAt} • mode \`${report.mode || 'stub'}\` • prompt fingerprint \`${report.promptFingerprint}\``);
+  if (baseline) {
+    const promptNote = baseline.promptFingerprint === report.promptFingerprint ? 'same prompts' : 'prompts changed';
+    lines.push('');
+    lines.push(`Compared with baseline from ${baseline.generatedAt} (\`${baseline.promptFingerprint}\`, ${promptNote}). Deltas are percentage points.`);
+  }
+
+  const { totals } = report;
+  lines.push('');
+  lines.push('## Summary');
+  lines.push('');
+  lines.push('| Documents | Failed | Precision | Recall | F1 | Accuracy | Tolerance matches |');
+  lines.push('|---|---|---|---|---|---|---|');
+  lines.push(`| ${totals.documents} | ${totals.failed} | ${formatRate(totals.precision)}${delta(totals.precision, b => b.totals?.precision)} | ` +
+    `${formatRate(totals.recall)}${delta(totals.recall, b => b.totals?.recall)} | ${formatRate(totals.f1)}${delta(totals.f1, b => b.totals?.f1)} | ` +
+    `${formatRate(totals.accuracy)}${delta(totals.accuracy, b => b.totals?.accuracy)} | ${totals.toleranceMatches} |`);
+
+  lines.push('');
+  lines.push('## Fields');
+  lines.push('');
+  lines.push('| Field | TP | FP | FN | Precision | Recall | F1 | Tolerance matches |');
+  lines.push('|---|---|---|---|---|---|---|---|');
+  for (const [field, stats] of Object.entries(report.fields)) {
+    lines.push(`| ${field} | ${stats.tp} | ${stats.fp} | ${stats.fn} | ${formatRate(stats.precision)} | ${formatRate(stats.recall)} | ` +
+      `${formatRate(stats.f1)}${delta(stats.f1, b => b.fields?.[field]?.f1)} | ${stats.toleranceMatches} |`);
+  }
+
+  lines.push('');
+  lines.push('## Document Types');
+  lines.push('');
+  lines.push('| Document type | Documents | Classification | Field accuracy | Precision | Recall |');
+  lines.push('|---|---|---|---|---|---|');
+  for (const [docType, stats] of Object.entries(report.docTypes)) {
+    lines.push(`| ${docType} | ${stats.documents} | ${formatRate(stats.classificationAccuracy)} | ` +
+      `${formatRate(stats.fieldAccuracy)}${delta(stats.fieldAccuracy, b => b.docTypes?.[docType]?.fieldAccuracy)} | ` +
+      `${formatRate(stats.precision)} | ${formatRate(stats.recall)} |`);
+  }
+
+  const misses = report.documents.filter(doc => doc.error || doc.fields.some(field => field.outcome !== 'correct' && field.outcome !== 'correct_absent'));
+  if (misses.length > 0) {
+    lines.push('');
+    lines.push('## Misses');
+    for (const doc of misses) {
+      lines.push('');
+      lines.push(`### ${doc.id}${doc.predictedType && doc.predictedType !== doc.documentType ? ` (classified as ${doc.predictedType})` : ''}`);
+      lines.push('');
+      if (doc.error) {
+        lines.push(`- ❌ ${doc.error}`);
+        continue;
+      }
+      for (const field of doc.fields.filter(f => f.outcome !== 'correct' && f.outcome !== 'correct_absent')) {
+        lines.push(`- **${field.field}** ${field.outcome}: expected \`${field.expected ?? NOT_SPECIFIED}\`, got \`${field.actual ?? NOT_SPECIFIED}\``);
+      }
+    }
+  }
+
+  lines.push('');
+  return lines.join('\n');
+}
+
+export default {
+  loadFixtures,
+  compareValues,
+  scoreDocument,
+  summarizeResults,
+  runBenchmark,
+  renderMarkdown,
+  hashPrompt
+};
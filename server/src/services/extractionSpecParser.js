@@ -4,46 +4,102 @@
  * Parses the YAML extraction specification and builds runtime-efficient
  * data structures for field extraction.
  *
+ * The bundled spec lives in server/src/config/contract_extraction_spec.yaml;
+ * set EXTRACTION_SPEC_PATH to load a different file. The spec is validated
+ * at load time (see extractionSpecSchema.js) and an invalid spec disables
+ * structured extraction with the full list of problems logged.
+ *
  * Design: Parse once at startup, reuse for all requests
  */
 
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import yaml from 'js-yaml';
+import {
+  ExtractionSpecError,
+  normalizeExtractionSpec,
+  validateExtractionSpec,
+  mergeFlags
+} from './extractionSpecSchema.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const BUNDLED_SPEC_PATH = path.join(__dirname, '..', 'config', 'contract_extraction_spec.yaml');
+const PROMPT_TEMPLATE_FILENAME = 'llm_prompt_template_contracts.md';
+
 class ExtractionSpecParser {
   constructor() {
     this.spec = null;
     this.fieldsByDocType = {};
     this.patternCache = {};
     this.loaded = false;
+    this.specPath = null;
+    this.source = null;
+    this.checksum = null;
+    this.loadedAt = null;
+    this.loadError = null;
+  }
+
+  /**
+   * Resolve which spec file to load: EXTRACTION_SPEC_PATH wins over the bundled default
+   */
+  resolveSpecPath() {
+    if (process.env.EXTRACTION_SPEC_PATH) {
+      return {
+        specPath: path.resolve(process.cwd(), process.env.EXTRACTION_SPEC_PATH),
+        source: 'env'
+      };
+    }
+
+    return { specPath: BUNDLED_SPEC_PATH, source: 'bundled' };
   }
 
   /**
-   * Load and parse the YAML specification
+   * Load, validate and parse the YAML specification
+   *
+   * @param {Object} options - { force: true reloads even if already loaded }
    */
-  async loadSpec() {
-    if (this.loaded) {
+  async loadSpec(options = {}) {
+    if (this.loaded && !options.force) {
       return this.spec;
     }
 
-    try {
-      const specPath = path.join(__dirname, '../../..', '.github', 'Improvement-docs', 'contract_extraction_spec.yaml');
+    this._reset();
+    const { specPath, source } = this.resolveSpecPath();
+    this.specPath = specPath;
+    this.source = source;
 
+    try {
       if (!fs.existsSync(specPath)) {
-        console.warn('⚠️  Extraction spec not found, structured extraction disabled');
-        this.loaded = true;
-        return null;
+        throw new ExtractionSpecError(`Extraction spec not found at ${specPath}`, [], specPath);
       }
 
       const specContent = fs.readFileSync(specPath, 'utf8');
-      this.spec = yaml.load(specContent);
 
-      console.log('✅ Extraction spec loaded successfully');
+      let parsed;
+      try {
+        parsed = yaml.load(specContent);
+      } catch (error) {
+        throw new ExtractionSpecError(`Extraction spec is not valid YAML: ${error.message}`, [error.message], specPath);
+      }
+
+      const { value, errors } = validateExtractionSpec(normalizeExtractionSpec(parsed));
+      if (errors.length > 0) {
+        throw new ExtractionSpecError(
+          `Extraction spec ${specPath} failed validation with ${errors.length} error(s)`,
+          errors,
+          specPath
+        );
+      }
+
+      this.spec = value;
+      this.checksum = crypto.createHash('sha256').update(specContent).digest('hex');
+      this.loadedAt = new Date().toISOString();
+
+      console.log(`✅ Extraction spec v${this.spec.spec_version} loaded from ${source === 'env' ? 'EXTRACTION_SPEC_PATH' : 'bundled default'} (${specPath})`);
 
       // Build optimized field mappings
       this._buildFieldMappings();
@@ -51,8 +107,13 @@ class ExtractionSpecParser {
       this.loaded = true;
       return this.spec;
     } catch (error) {
-      console.error('❌ Failed to load extraction spec:', error.message);
+      this.loadError = error;
       this.loaded = true;
+
+      console.error(`❌ Failed to load extraction spec: ${error.message}`);
+      (error.errors || []).forEach(detail => console.error(`   - ${detail}`));
+      console.warn('⚠️  Structured extraction disabled until the spec is fixed');
+
       return null;
     }
   }
@@ -65,6 +126,8 @@ class ExtractionSpecParser {
       return;
     }
 
+    const defaultFlags = this.spec.defaults?.pattern_flags || '';
+
     // Build field index from extraction_fields
     const allFields = {};
     const fieldSections = this.spec.extraction_fields || {};
@@ -77,6 +140,7 @@ class ExtractionSpecParser {
               ...field,
               section,
               patterns: field.patterns || [],
+              flags: mergeFlags(defaultFlags, field.flags),
               doc_priority: field.doc_priority || []
             };
           }
@@ -103,6 +167,16 @@ class ExtractionSpecParser {
     console.log(`📋 Loaded field mappings for ${Object.keys(this.fieldsByDocType).length} document types`);
   }
 
+  _reset() {
+    this.spec = null;
+    this.fieldsByDocType = {};
+    this.patternCache = {};
+    this.loaded = false;
+    this.checksum = null;
+    this.loadedAt = null;
+    this.loadError = null;
+  }
+
   /**
    * Get document type classification hints
    */
@@ -136,29 +210,22 @@ class ExtractionSpecParser {
   }
 
   /**
-   * Get validation rules
+   * Get validation rules (the spec's `validation` section)
    */
   getValidationRules() {
-    try {
-      const validationPath = path.join(__dirname, '../../..', '.github', 'Improvement-docs', 'contract_validation_rules.json');
-
-      if (fs.existsSync(validationPath)) {
-        const content = fs.readFileSync(validationPath, 'utf8');
-        return JSON.parse(content);
-      }
-    } catch (error) {
-      console.warn('⚠️  Could not load validation rules:', error.message);
-    }
-
-    return null;
+    return this.spec?.validation || null;
   }
 
   /**
-   * Get LLM prompt template
+   * Get LLM prompt template, read from alongside the active spec file
    */
   getPromptTemplate() {
+    if (!this.specPath) {
+      return null;
+    }
+
     try {
-      const promptPath = path.join(__dirname, '../../..', '.github', 'Improvement-docs', 'llm_prompt_template_contracts.md');
+      const promptPath = path.join(path.dirname(this.specPath), PROMPT_TEMPLATE_FILENAME);
 
       if (fs.existsSync(promptPath)) {
         return fs.readFileSync(promptPath, 'utf8');
@@ -170,6 +237,31 @@ class ExtractionSpecParser {
     return null;
   }
 
+  /**
+   * Describe the active spec for diagnostics (GET /api/ai/extraction-spec)
+   */
+  getStatus() {
+    const fieldCount = this.spec
+      ? Object.values(this.spec.extraction_fields).reduce((sum, fields) => sum + fields.length, 0)
+      : 0;
+
+    return {
+      available: this.isAvailable(),
+      loaded: this.loaded,
+      version: this.spec?.spec_version || null,
+      updated: this.spec?.updated ? String(this.spec.updated) : null,
+      source: this.source,
+      path: this.specPath,
+      checksum: this.checksum,
+      loadedAt: this.loadedAt,
+      documentTypes: this.getSupportedDocTypes(),
+      fieldCount,
+      error: this.loadError
+        ? { message: this.loadError.message, details: this.loadError.errors || [] }
+        : null
+    };
+  }
+
   /**
    * Check if structured extraction is available
    */
@@ -0,0 +1,251 @@
+/**
+ * Extraction Spec Schema
+ *
+ * Normalizes and validates the contract extraction spec YAML before it is
+ * used at runtime. Structural problems are collected with their YAML path
+ * (e.g. "extraction_fields.commercial[1].patterns[0]") so a bad spec fails
+ * with one readable list instead of silently degrading extraction.
+ */
+
+import Joi from 'joi';
+
+export class ExtractionSpecError extends Error {
+  constructor(message, errors = [], specPath = null) {
+    super(message);
+    this.name = 'ExtractionSpecError';
+    this.errors = errors;
+    this.specPath = specPath;
+  }
+}
+
+const stringList = Joi.array().items(Joi.string().min(1));
+
+const fieldSchema = Joi.object({
+  key: Joi.string().pattern(/^[A-Za-z][A-Za-z0-9_]*$/).required(),
+  description: Joi.string().allow(''),
+  doc_priority: stringList.default([]),
+  patterns: stringList.min(1).required(),
+  flags: Joi.string().pattern(/^[imsu]*$/),
+  table_cues: stringList
+}).unknown(true);
+
+const specSchema = Joi.object({
+  spec_version: Joi.string().pattern(/^\d+\.\d+\.\d+$/).required()
+    .messages({ 'string.pattern.base': '"spec_version" must be a semantic version like "1.2.0"' }),
+  updated: Joi.alternatives().try(Joi.string(), Joi.date()),
+  defaults: Joi.object({
+    pattern_flags: Joi.string().pattern(/^[imsu]*$/).default('')
+  }).default({ pattern_flags: '' }),
+  doc_type_classifier: Joi.object({
+    strategy: Joi.object({
+      header_cues: Joi.object().pattern(Joi.string(), stringList.min(1)).min(1).required(),
+      negative_cues: stringList.default([])
+    }).required()
+  }).unknown(true).required(),
+  roles_and_aliases: Joi.object().pattern(Joi.string(), stringList.min(1)).required(),
+  extraction_fields: Joi.object().pattern(Joi.string(), Joi.array().items(fieldSchema).min(1)).min(1).required(),
+  extraction_order: Joi.array().items(Joi.object({
+    doc_type: Joi.string().required(),
+    fields: stringList.min(1).required()
+  }).unknown(true)).min(1).required(),
+  validation: Joi.object({
+    gates: Joi.object({
+      mandatory_fields: Joi.object().pattern(Joi.string(), stringList).default({}),
+      unit_checks: Joi.object().pattern(Joi.string(), Joi.object({
+        must_include: stringList,
+        must_match: Joi.string()
+      })).default({}),
+      ranges: Joi.object().pattern(Joi.string(), Joi.object({
+        min: Joi.number(),
+        max: Joi.number()
+      }).or('min', 'max')).default({})
+    }).required()
+  })
+}).unknown(true);
+
+/**
+ * Convert older spec conventions to the canonical shape:
+ *  - classifier strategy written as a list of single-key maps
+ *  - Python regex syntax: leading "(?i)" and "(?P<name>...)" groups
+ */
+export function normalizeExtractionSpec(rawSpec) {
+  if (!rawSpec || typeof rawSpec !== 'object') {
+    return rawSpec;
+  }
+
+  const spec = { ...rawSpec };
+
+  const strategy = spec.doc_type_classifier?.strategy;
+  if (Array.isArray(strategy)) {
+    spec.doc_type_classifier = {
+      ...spec.doc_type_classifier,
+      strategy: Object.assign({}, ...strategy.filter(entry => entry && typeof entry === 'object'))
+    };
+  }
+
+  if (spec.extraction_fields && typeof spec.extraction_fields === 'object') {
+    spec.extraction_fields = Object.fromEntries(
+      Object.entries(spec.extraction_fields).map(([section, fields]) => [
+        section,
+        Array.isArray(fields) ? fields.map(normalizeField) : fields
+      ])
+    );
+  }
+
+  return spec;
+}
+
+function normalizeField(field) {
+  if (!field || !Array.isArray(field.patterns)) {
+    return field;
+  }
+
+  let flags = field.flags || '';
+  const patterns = field.patterns.map(pattern => {
+    if (typeof pattern !== 'string') return pattern;
+
+    let converted = pattern.replace(/\(\?P<([A-Za-z_][A-Za-z0-9_]*)>/g, '(?<$1>');
+    if (converted.startsWith('(?i)')) {
+      converted = converted.slice(4);
+      if (!flags.includes('i')) flags += 'i';
+    }
+    return converted;
+  });
+
+  return flags ? { ...field, patterns, flags } : { ...field, patterns };
+}
+
+/**
+ * Validate a normalized spec.
+ *
+ * @param {Object} spec - Parsed (and normalized) YAML
+ * @returns {{ value: Object, errors: string[] }} Spec with defaults applied and all problems found
+ */
+export function validateExtractionSpec(spec) {
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    return { value: null, errors: ['Spec must be a YAML mapping at the top level'] };
+  }
+
+  const { value, error } = specSchema.validate(spec, { abortEarly: false });
+  const errors = error ? error.details.map(detail => formatDetail(detail)) : [];
+
+  // Semantic checks only make sense once the structure is sound
+  if (errors.length === 0) {
+    errors.push(...checkPatterns(value));
+    errors.push(...checkReferences(value));
+  }
+
+  return { value, errors };
+}
+
+function formatDetail(detail) {
+  const location = formatPath(detail.path);
+  const message = detail.message.replace(/^"[^"]*"\s*/, '');
+  return location ? `${location}: ${message}` : message;
+}
+
+function formatPath(pathParts) {
+  return pathParts.reduce((result, part) => (
+    typeof part === 'number' ? `${result}[${part}]` : result ? `${result}.${part}` : String(part)
+  ), '');
+}
+
+function checkPatterns(spec) {
+  const errors = [];
+  const defaultFlags = spec.defaults?.pattern_flags || '';
+
+  Object.entries(spec.extraction_fields).forEach(([section, fields]) => {
+    fields.forEach((field, fieldIndex) => {
+      const flags = mergeFlags(defaultFlags, field.flags);
+      field.patterns.forEach((pattern, patternIndex) => {
+        try {
+          new RegExp(pattern, `g${flags}`);
+        } catch (error) {
+          errors.push(`extraction_fields.${section}[${fieldIndex}].patterns[${patternIndex}]: invalid regular expression (${error.message})`);
+        }
+      });
+    });
+  });
+
+  Object.entries(spec.validation?.gates?.unit_checks || {}).forEach(([field, check]) => {
+    if (!check.must_match) return;
+    try {
+      new RegExp(check.must_match, defaultFlags);
+    } catch (error) {
+      errors.push(`validation.gates.unit_checks.${field}.must_match: invalid regular expression (${error.message})`);
+    }
+  });
+
+  return errors;
+}
+
+function checkReferences(spec) {
+  const errors = [];
+  const fieldKeys = new Map();
+
+  Object.entries(spec.extraction_fields).forEach(([section, fields]) => {
+    fields.forEach((field, index) => {
+      if (fieldKeys.has(field.key)) {
+        errors.push(`extraction_fields.${section}[${index}].key: duplicate field key "${field.key}" (first defined in ${fieldKeys.get(field.key)})`);
+      } else {
+        fieldKeys.set(field.key, `extraction_fields.${section}`);
+      }
+    });
+  });
+
+  const orderedDocTypes = new Set();
+  spec.extraction_order.forEach((entry, index) => {
+    if (orderedDocTypes.has(entry.doc_type)) {
+      errors.push(`extraction_order[${index}].doc_type: duplicate document type "${entry.doc_type}"`);
+    }
+    orderedDocTypes.add(entry.doc_type);
+
+    entry.fields.forEach((fieldKey, fieldIndex) => {
+      if (!fieldKeys.has(fieldKey)) {
+        errors.push(`extraction_order[${index}].fields[${fieldIndex}]: unknown field "${fieldKey}" (not defined in extraction_fields)`);
+      }
+    });
+  });
+
+  Object.keys(spec.doc_type_classifier.strategy.header_cues).forEach(docType => {
+    if (!orderedDocTypes.has(docType)) {
+      errors.push(`doc_type_classifier.strategy.header_cues.${docType}: document type has no extraction_order entry`);
+    }
+  });
+
+  Object.entries(spec.extraction_fields).forEach(([section, fields]) => {
+    fields.forEach((field, index) => {
+      field.doc_priority.forEach((docType, priorityIndex) => {
+        if (!orderedDocTypes.has(docType)) {
+          errors.push(`extraction_fields.${section}[${index}].doc_priority[${priorityIndex}]: unknown document type "${docType}"`);
+        }
+      });
+    });
+  });
+
+  const gates = spec.validation?.gates || {};
+  Object.entries(gates.mandatory_fields || {}).forEach(([docType, fields]) => {
+    if (!orderedDocTypes.has(docType)) {
+      errors.push(`validation.gates.mandatory_fields.${docType}: unknown document type`);
+    }
+    fields.forEach((fieldKey, index) => {
+      if (!fieldKeys.has(fieldKey)) {
+        errors.push(`validation.gates.mandatory_fields.${docType}[${index}]: unknown field "${fieldKey}"`);
+      }
+    });
+  });
+
+  ['unit_checks', 'ranges'].forEach(gate => {
+    Object.keys(gates[gate] || {}).forEach(fieldKey => {
+      if (!fieldKeys.has(fieldKey)) {
+        errors.push(`validation.gates.${gate}.${fieldKey}: unknown field`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+export function mergeFlags(...flagSets) {
+  return Array.from(new Set(flagSets.filter(Boolean).join('').split(''))).join('');
+}
@@ -3,11 +3,11 @@ import path from 'path';
 import { fileTypeFromBuffer } from 'file-type';
 import sharp from 'sharp';
 import mammoth from 'mammoth';
-import pdfParse from 'pdf-parse';
 import pdf2pic from 'pdf2pic';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 import localTextractService from './localTextractService.js';
+import { parsePdfPages } from './pdfPageParser.js';
 
 const execAsync = promisify(exec);
 
@@ -77,18 +77,27 @@ class FileService {
     return filePath;
   }
 
+  /**
+   * Run pdf-parse and split the result into physical pages (text, span in the
+   * combined text, size, rotation and text layer). See pdfPageParser.
+   */
+  async parsePdfWithPages(buffer) {
+    return parsePdfPages(buffer);
+  }
+
   async extractTextFromPDF(buffer) {
     try {
       console.log('📄 PDF processing: Using pdf-parse for text extraction...');
 
-      // Use pdf-parse to extract text from PDF
-      const pdfData = await pdfParse(buffer);
+      // Use pdf-parse to extract text from PDF, recording where each page starts
+      const { pdfData, pages } = await this.parsePdfWithPages(buffer);
 
       console.log(`✅ PDF extracted: ${pdfData.numpages} pages, ${pdfData.text.length} characters`);
 
       return {
         text: pdfData.text,
         pages: pdfData.numpages,
+        pageOffsets: pages.map(({ pageNumber, start, end }) => ({ pageNumber, start, end })),
         metadata: {
           extractionMethod: 'pdf-parse',
           info: pdfData.info,
@@ -156,10 +165,11 @@ class FileService {
 
   async extractTextFromImage(buffer) {
     try {
-      // Use LocalTextractService for OCR processing
+      // Use LocalTextractService for OCR processing; TABLES rebuilds exhibit
+      // tables (rate schedules, site lists) from the word positions
       const textractResult = await localTextractService.analyzeDocument(buffer, {
         documentType: 'image',
-        features: ['TEXT'],
+        features: ['TEXT', 'TABLES'],
         blocks: true
       });
 
@@ -178,6 +188,8 @@ class FileService {
         return {
           text: extractedText,
           confidence: avgConfidence,
+          // Cell grids for contract table parsing (extractContractTables `tables`)
+          tables: localTextractService.extractTables(textractResult.Blocks),
           textractData: {
             blocks: textractResult.Blocks,
             metadata: textractResult.DocumentMetadata,
@@ -0,0 +1,127 @@
+/**
+ * Financial Model Service
+ *
+ * Single source of truth for contract financials on the server. Year-by-year
+ * rates come from the shared escalation schedule (the same code the client
+ * evaluates), so the total value, year-one rate, NPV and levelized rate that
+ * routes persist on Contract match what the FinancialTab shows.
+ *
+ * Billing convention (same as calculateTotalContractValue on the client):
+ *   annual payment = rated capacity × year rate × 12
+ *
+ * Environment:
+ *   FINANCIAL_DISCOUNT_RATE - default NPV discount rate in percent (default 8)
+ */
+
+import { evaluateEscalationSchedule, totalContractValue } from '../../../shared/escalationSchedule.js';
+
+const DEFAULT_DISCOUNT_RATE = 8;
+const MONTHS_PER_YEAR = 12;
+
+const round = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+class FinancialModelService {
+  /**
+   * Discount rate in percent: explicit override, then env, then the default
+   */
+  getDiscountRate(override) {
+    if (typeof override === 'number' && Number.isFinite(override)) {
+      return override;
+    }
+    const fromEnv = parseFloat(process.env.FINANCIAL_DISCOUNT_RATE);
+    return Number.isFinite(fromEnv) ? fromEnv : DEFAULT_DISCOUNT_RATE;
+  }
+
+  /**
+   * Full financial model for a contract
+   *
+   * @param {Object} params
+   * @param {number} params.capacity - Rated capacity (kW)
+   * @param {number} params.term - Contract term in years
+   * @param {number} params.baseRate - Year 1 rate
+   * @param {number} [params.escalation] - Fixed annual escalation %
+   * @param {Object} [params.escalationSchedule] - Shared escalation schedule
+   * @param {number} [params.discountRate] - NPV discount rate %
+   * @returns {Object} { yearlyRates, totalValue, yearlyRate, monthlyPaymentYear1, npv, discountRate, averageRate, levelizedRate }
+   */
+  calculate({ capacity, term, baseRate, escalation = 0, escalationSchedule = null, discountRate } = {}) {
+    const rate = this.getDiscountRate(discountRate);
+    const years = evaluateEscalationSchedule({
+      baseRate,
+      contractTerm: term,
+      schedule: escalationSchedule,
+      annualEscalation: escalation
+    });
+
+    let npv = 0;
+    let discountedBillingUnits = 0;
+
+    const yearlyRates = years.map(entry => {
+      const discountFactor = 1 / Math.pow(1 + rate / 100, entry.year);
+      const annualPayment = (capacity || 0) * entry.rate * MONTHS_PER_YEAR;
+      npv += annualPayment * discountFactor;
+      discountedBillingUnits += (capacity || 0) * MONTHS_PER_YEAR * discountFactor;
+
+      return {
+        year: entry.year,
+        calendarYear: entry.calendarYear,
+        rate: entry.rate,
+        escalation: entry.escalation,
+        holiday: entry.holiday,
+        basis: entry.basis,
+        monthlyPayment: round(annualPayment / MONTHS_PER_YEAR),
+        annualPayment: round(annualPayment),
+        presentValue: round(annualPayment * discountFactor)
+      };
+    });
+
+    const totalValue = totalContractValue(capacity, years);
+    const billingUnits = (capacity || 0) * (term || 0) * MONTHS_PER_YEAR;
+
+    return {
+      yearlyRates,
+      totalValue: round(totalValue),
+      yearlyRate: years[0]?.rate ?? 0,
+      monthlyPaymentYear1: yearlyRates[0]?.monthlyPayment ?? 0,
+      npv: round(npv),
+      discountRate: rate,
+      // Simple average of the billed rates
+      averageRate: billingUnits > 0 ? round(totalValue / billingUnits, 6) : 0,
+      // Constant rate with the same present value as the escalating schedule
+      levelizedRate: discountedBillingUnits > 0 ? round(npv / discountedBillingUnits, 6) : 0
+    };
+  }
+
+  /**
+   * Contract.totalValue / Contract.yearlyRate for persistence, or null when
+   * the inputs needed to compute them are missing
+   *
+   * @param {Object} contract - { capacity, term }
+   * @param {Object} financial - { baseRate, escalation, escalationSchedule }
+   */
+  contractTotals(contract, financial) {
+    if (!contract?.capacity || !contract?.term || typeof financial?.baseRate !== 'number') {
+      return null;
+    }
+
+    const model = this.calculate({
+      capacity: contract.capacity,
+      term: contract.term,
+      baseRate: financial.baseRate,
+      escalation: financial.escalation ?? 0,
+      escalationSchedule: financial.escalationSchedule ?? null
+    });
+
+    return {
+      totalValue: model.totalValue,
+      yearlyRate: model.yearlyRate
+    };
+  }
+}
+
+const financialModelService = new FinancialModelService();
+
+export default financialModelService;
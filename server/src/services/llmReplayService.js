@@ -0,0 +1,264 @@
+/**
+ * LLM Replay Service
+ *
+ * Record-and-replay transport for the AI providers. With AI_PROVIDER=replay,
+ * every Anthropic, Bedrock and OpenAI client call is answered from a fixture
+ * on disk keyed by a hash of the request (model, prompts, parameters), so the
+ * extraction, chat and optimize flows run deterministically with no network
+ * access.
+ *
+ * With AI_REPLAY_RECORD=true, requests that have no fixture yet are sent to
+ * the real provider and the request/response pair is written to disk. Without
+ * it a missing fixture is an error rather than a silent live call.
+ *
+ * Only the transport is replaced: provider selection (DEFAULT_AI_PROVIDER),
+ * prompt building and response parsing run exactly as they do live.
+ *
+ * Environment:
+ *   AI_PROVIDER=replay
+ *   AI_REPLAY_DIR     - fixture directory (default server/fixtures/llm-replay)
+ *   AI_REPLAY_RECORD  - "true" to record missing fixtures from the live provider
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+
+const DEFAULT_REPLAY_DIR = 'server/fixtures/llm-replay';
+const KEY_LENGTH = 24;
+const MAX_STORED_STRING = 2000;
+
+export class ReplayMissError extends Error {
+  constructor(provider, key) {
+    super(`No recorded ${provider} response for request ${key}. Re-run with AI_REPLAY_RECORD=true and live credentials to record it.`);
+    this.name = 'ReplayMissError';
+    this.provider = provider;
+    this.key = key;
+  }
+}
+
+const isBytes = (value) => value instanceof Uint8Array;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Stable JSON for hashing: sorted keys, binary payloads reduced to their hash
+ */
+const canonicalize = (value) => {
+  if (isBytes(value)) return { $sha256: sha256(value) };
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => [key, canonicalize(value[key])])
+    );
+  }
+  return value;
+};
+
+// Readable copy of the request for the fixture file; long strings (documents,
+// base64 PDFs) are trimmed since the key already covers their full content
+const summarizeRequest = (value) => {
+  if (isBytes(value)) return { $bytes: value.length, $sha256: sha256(value) };
+  if (typeof value === 'string' && value.length > MAX_STORED_STRING) {
+    return `${value.slice(0, MAX_STORED_STRING)}… [${value.length} chars, sha256 ${sha256(value).slice(0, 12)}]`;
+  }
+  if (Array.isArray(value)) return value.map(summarizeRequest);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, summarizeRequest(entry)]));
+  }
+  return value;
+};
+
+// Responses round-trip through JSON with binary bodies as base64
+const encodeResponse = (value) => {
+  if (isBytes(value)) return { $base64: Buffer.from(value).toString('base64') };
+  if (Array.isArray(value)) return value.map(encodeResponse);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, encodeResponse(entry)]));
+  }
+  return value;
+};
+
+const decodeResponse = (value) => {
+  if (Array.isArray(value)) return value.map(decodeResponse);
+  if (value && typeof value === 'object') {
+    if (typeof value.$base64 === 'string') return new Uint8Array(Buffer.from(value.$base64, 'base64'));
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, decodeResponse(entry)]));
+  }
+  return value;
+};
+
+async function* replayEvents(events) {
+  for (const event of events) {
+    yield event;
+  }
+}
+
+const collectEvents = async (stream) => {
+  const events = [];
+  for await (const event of stream) {
+    events.push(event);
+  }
+  return events;
+};
+
+class LLMReplayService {
+  constructor() {
+    this.hits = 0;
+    this.recorded = 0;
+  }
+
+  /**
+   * Check if replay mode is on (read lazily - env may load after import)
+   */
+  isEnabled() {
+    return process.env.AI_PROVIDER === 'replay';
+  }
+
+  isRecording() {
+    return process.env.AI_REPLAY_RECORD === 'true';
+  }
+
+  getReplayDir() {
+    return path.resolve(process.cwd(), process.env.AI_REPLAY_DIR || DEFAULT_REPLAY_DIR);
+  }
+
+  /**
+   * Hash identifying a request: provider, operation and the full request body
+   */
+  requestKey(provider, operation, request) {
+    return sha256(JSON.stringify(canonicalize({ provider, operation, request }))).slice(0, KEY_LENGTH);
+  }
+
+  fixturePath(provider, key) {
+    return path.join(this.getReplayDir(), provider, `${key}.json`);
+  }
+
+  /**
+   * Answer a request from its fixture, recording it from the live call when
+   * recording is enabled
+   *
+   * @param {string} provider - Fixture namespace ('anthropic', 'bedrock', 'openai')
+   * @param {string} operation - Client method, part of the key
+   * @param {Object} request - Request body, hashed into the key
+   * @param {Function} callLive - async () => live response (JSON-serializable)
+   */
+  async replay(provider, operation, request, callLive) {
+    const key = this.requestKey(provider, operation, request);
+    const file = this.fixturePath(provider, key);
+
+    try {
+      const fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+      this.hits++;
+      console.log(`📼 Replayed ${provider} ${operation} response ${key}`);
+      return decodeResponse(fixture.response);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (!this.isRecording()) {
+      throw new ReplayMissError(provider, key);
+    }
+
+    const response = await callLive();
+
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify({
+      key,
+      provider,
+      operation,
+      recordedAt: new Date().toISOString(),
+      request: summarizeRequest(request),
+      response: encodeResponse(response)
+    }, null, 2));
+
+    this.recorded++;
+    console.log(`🔴 Recorded ${provider} ${operation} response ${key}`);
+    return response;
+  }
+
+  /**
+   * Anthropic SDK client stand-in: messages.create, including stream: true
+   *
+   * @param {Function} createClient - Builds the real client, only called when recording
+   */
+  wrapAnthropicClient(createClient) {
+    let client = null;
+    const liveClient = () => (client = client || createClient());
+
+    return {
+      messages: {
+        create: async (params) => {
+          if (!params.stream) {
+            return this.replay('anthropic', 'messages.create', params,
+              () => liveClient().messages.create(params));
+          }
+
+          const events = await this.replay('anthropic', 'messages.stream', params,
+            async () => collectEvents(await liveClient().messages.create(params)));
+          return replayEvents(events);
+        }
+      }
+    };
+  }
+
+  /**
+   * Bedrock runtime client stand-in: send(command) for Converse, InvokeModel
+   * and InvokeModelWithResponseStream commands
+   */
+  wrapBedrockClient(createClient) {
+    let client = null;
+    const liveClient = async () => (client = client || await createClient());
+
+    return {
+      send: async (command) => {
+        const operation = command.constructor.name;
+
+        if (operation !== 'InvokeModelWithResponseStreamCommand') {
+          return this.replay('bedrock', operation, command.input,
+            async () => (await liveClient()).send(command));
+        }
+
+        const response = await this.replay('bedrock', operation, command.input, async () => {
+          const live = await (await liveClient()).send(command);
+          return { ...live, body: await collectEvents(live.body) };
+        });
+        return { ...response, body: replayEvents(response.body) };
+      }
+    };
+  }
+
+  /**
+   * OpenAI SDK client stand-in: chat.completions.create
+   */
+  wrapOpenAIClient(createClient) {
+    let client = null;
+    const liveClient = () => (client = client || createClient());
+
+    return {
+      chat: {
+        completions: {
+          create: (params) => this.replay('openai', 'chat.completions.create', params,
+            () => liveClient().chat.completions.create(params))
+        }
+      }
+    };
+  }
+
+  getStats() {
+    return {
+      enabled: this.isEnabled(),
+      recording: this.isRecording(),
+      replayDir: this.getReplayDir(),
+      hits: this.hits,
+      recorded: this.recorded
+    };
+  }
+}
+
+const llmReplayService = new LLMReplayService();
+
+export default llmReplayService;
@@ -7,6 +7,7 @@ import { createWorker } from 'tesseract.js';
 import tesseract from 'node-tesseract-ocr';
 import sharp from 'sharp';
 import { EventEmitter } from 'events';
+import { analyzeLayout, keyValuePairsFromBlocks, linesFromTesseractBlocks, parseTesseractTsv, tablesFromBlocks } from './textractLayoutAnalyzer.js';
 
 class LocalTextractService extends EventEmitter {
   constructor() {
@@ -35,14 +36,17 @@ class LocalTextractService extends EventEmitter {
         blocks = true
       } = options;
 
+      // TABLES and FORMS need real word positions
+      const layout = features.includes('TABLES') || features.includes('FORMS');
+
       // Convert buffer to image if needed
       const imageBuffer = await this.prepareImageForOCR(buffer, documentType);
       
       // Perform OCR
-      const ocrResult = await this.performOCR(imageBuffer);
+      const ocrResult = await this.performOCR(imageBuffer, { layout });
       
       // Convert to AWS Textract format
-      const textractResponse = await this.buildTextractResponse(ocrResult, imageBuffer);
+      const textractResponse = await this.buildTextractResponse(ocrResult, imageBuffer, features);
       
       return {
         JobStatus: 'SUCCEEDED',
@@ -161,12 +165,31 @@ class LocalTextractService extends EventEmitter {
 
   /**
    * Perform OCR using either native tesseract or tesseract.js
+   * With `layout`, native tesseract returns TSV so words keep their bounding boxes;
+   * tesseract.js always returns them
    */
-  async performOCR(imageBuffer) {
+  async performOCR(imageBuffer, { layout = false } = {}) {
     const startTime = Date.now();
     
     try {
-      if (this.useNativeTesseract) {
+      if (this.useNativeTesseract && layout) {
+        const tsv = await tesseract.recognize(imageBuffer, {
+          lang: this.ocrConfig.lang,
+          oem: this.ocrConfig.oem,
+          psm: this.ocrConfig.psm,
+          presets: ['tsv']
+        });
+        const lines = parseTesseractTsv(tsv);
+        const words = lines.flatMap(line => line.words);
+
+        return {
+          text: lines.map(line => line.text).join('\n'),
+          confidence: words.length > 0 ? words.reduce((sum, word) => sum + word.confidence, 0) / words.length : 0,
+          words,
+          lines,
+          processingTime: Date.now() - startTime
+        };
+      } else if (this.useNativeTesseract) {
         // Use native tesseract for better performance
         const text = await tesseract.recognize(imageBuffer, {
           lang: this.ocrConfig.lang,
@@ -181,19 +204,21 @@ class LocalTextractService extends EventEmitter {
           processingTime: Date.now() - startTime
         };
       } else {
-        // Use tesseract.js for detailed word/line information
+        // Use tesseract.js for detailed word/line information; lines and words
+        // only come with the `blocks` output
         const worker = await createWorker('eng');
         
-        const { data } = await worker.recognize(imageBuffer);
+        const { data } = await worker.recognize(imageBuffer, {}, { text: true, blocks: true });
         
         await worker.terminate();
+
+        const lines = linesFromTesseractBlocks(data.blocks);
         
         return {
           text: data.text.trim(),
           confidence: data.confidence,
-          words: data.words || [],
-          lines: data.lines || [],
-          paragraphs: data.paragraphs || [],
+          words: lines.flatMap(line => line.words),
+          lines,
           processingTime: Date.now() - startTime
         };
       }
@@ -237,7 +262,7 @@ class LocalTextractService extends EventEmitter {
   /**
    * Build AWS Textract compatible response format
    */
-  async buildTextractResponse(ocrResult, imageBuffer) {
+  async buildTextractResponse(ocrResult, imageBuffer, features = ['TEXT']) {
     const blocks = [];
     const imageInfo = await sharp(imageBuffer).metadata();
     let blockId = 1;
@@ -340,17 +365,34 @@ class LocalTextractService extends EventEmitter {
       });
     }
 
-    // Add relationships to page
-    if (lineBlocks.length > 0) {
+    // Combine all blocks
+    blocks.push(...lineBlocks, ...wordBlocks);
+
+    // Tables and form fields from word geometry. The text-only fallback has
+    // synthetic positions, so there is no layout to analyze.
+    const tables = features.includes('TABLES');
+    const forms = features.includes('FORMS');
+    const layoutBlocks = (tables || forms) && ocrResult.lines?.length > 0
+      ? analyzeLayout(lineBlocks, wordBlocks, {
+        tables,
+        forms,
+        nextId: prefix => `${prefix}-${blockId++}`
+      })
+      : [];
+    blocks.push(...layoutBlocks);
+
+    // As in AWS output, the page's children are its lines, tables and form fields
+    const pageChildIds = [
+      ...lineBlocks,
+      ...layoutBlocks.filter(block => block.BlockType === 'TABLE' || block.BlockType === 'KEY_VALUE_SET')
+    ].map(block => block.Id);
+    if (pageChildIds.length > 0) {
       pageBlock.Relationships.push({
         Type: 'CHILD',
-        Ids: lineBlocks.map(block => block.Id)
+        Ids: pageChildIds
       });
     }
 
-    // Combine all blocks
-    blocks.push(...lineBlocks, ...wordBlocks);
-
     return {
       blocks,
       processingTime: ocrResult.processingTime
@@ -423,21 +465,17 @@ class LocalTextractService extends EventEmitter {
   }
 
   /**
-   * Extract form key-value pairs (future enhancement)
+   * Extract form key-value pairs from KEY_VALUE_SET blocks (utility method)
    */
   extractKeyValuePairs(blocks) {
-    // This would be enhanced in the future to detect forms
-    // For now, return empty array
-    return [];
+    return keyValuePairsFromBlocks(blocks);
   }
 
   /**
-   * Extract tables (future enhancement)
+   * Extract tables as text grids from TABLE/CELL blocks (utility method)
    */
   extractTables(blocks) {
-    // This would be enhanced in the future to detect tables
-    // For now, return empty array
-    return [];
+    return tablesFromBlocks(blocks);
   }
 
   /**
@@ -453,6 +491,8 @@ class LocalTextractService extends EventEmitter {
       capabilities: [
         'TEXT_DETECTION',
         'DOCUMENT_ANALYSIS',
+        'TABLE_DETECTION',
+        'FORM_DETECTION',
         'ASYNC_PROCESSING'
       ]
     };
@@ -0,0 +1,751 @@
+/**
+ * Multi-Document Processor
+ *
+ * Runs AI extraction over a batch of contract documents in the background.
+ * Each document is chunked into token-bounded sections, every chunk is sent
+ * through aiService.extractBusinessRules, and chunk results are merged back
+ * into one analysis per document. When the batch finishes the analyses are
+ * combined into a contract blueprint.
+ *
+ * Jobs can be paused, resumed and cancelled. The worker checks the job state
+ * between chunks, so a pause takes effect once the in-flight chunk returns;
+ * resume restarts the worker from the saved document/chunk cursor.
+ *
+ * When a Prisma client is supplied, every job is mirrored to the
+ * ProcessingJob table (status, progress, currentStep, retryCount, and the
+ * partial chunk results in `result`), so recoverJobs() can pick interrupted
+ * jobs back up after a server restart.
+ *
+ * Emits 'progress' with the status shape consumed by ProcessingContext, and
+ * 'completed' ({ jobId, contractId, results }) once a job finishes successfully.
+ */
+
+import { EventEmitter } from 'events';
+import { buildContractBlueprint } from './contractBlueprintService.js';
+import { locateFieldCitations } from './citationService.js';
+
+const DEFAULT_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+const JOB_TYPE = 'CONTRACT_ANALYSIS';
+
+// In-memory job status -> Prisma ProcessingStatus
+const STATUS_TO_DB = {
+  processing: 'PROCESSING',
+  paused: 'PAUSED',
+  completed: 'COMPLETED',
+  failed: 'FAILED',
+  cancelled: 'CANCELLED'
+};
+
+const DB_TO_STATUS = {
+  PENDING: 'processing',
+  PROCESSING: 'processing',
+  RETRYING: 'processing',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+export class ProcessingJobError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ProcessingJobError';
+    this.statusCode = statusCode;
+  }
+}
+
+class MultiDocumentProcessor extends EventEmitter {
+  constructor(aiService, documentChunker, options = {}) {
+    super();
+    this.aiService = aiService;
+    this.documentChunker = documentChunker;
+    this.maxChunkTokens = options.maxChunkTokens;
+    this.jobTtlMs = options.jobTtlMs || DEFAULT_JOB_TTL_MS;
+    this.prisma = options.prisma || null;
+    this.jobs = new Map();
+  }
+
+  /**
+   * Register a job and start its worker. Returns once the job is queued;
+   * processing continues in the background.
+   *
+   * @param {string} jobId - Job identifier
+   * @param {Array} documents - [{ id, filename, content, extractedText, contractType }]
+   * @param {Object} options - { contractId, analysisType, aiProvider, userId }
+   * @returns {Object} Initial job status
+   */
+  async startProcessing(jobId, documents, options = {}) {
+    if (this.jobs.has(jobId)) {
+      throw new ProcessingJobError(`Job ${jobId} already exists`, 409);
+    }
+
+    const job = this._createJob(jobId, documents, options);
+
+    this.jobs.set(jobId, job);
+    console.log(`📚 Job ${jobId}: ${job.documents.length} documents, ${this._totalChunks(job)} chunks queued`);
+
+    if (this.prisma) {
+      try {
+        await this.prisma.processingJob.create({
+          data: {
+            id: jobId,
+            jobType: JOB_TYPE,
+            status: 'PROCESSING',
+            entityType: 'contract',
+            entityId: options.contractId || jobId,
+            jobConfig: {
+              ...options,
+              documents: job.documents.map(doc => ({
+                id: doc.id,
+                filename: doc.filename,
+                contractType: doc.contractType,
+                content: doc.content,
+                pages: doc.pages
+              }))
+            },
+            totalSteps: this._totalChunks(job),
+            currentStep: 'Queued',
+            startedAt: new Date(job.startTime),
+            createdBy: options.userId || null
+          }
+        });
+      } catch (error) {
+        console.warn(`⚠️ Failed to persist job ${jobId}, continuing in memory only:`, error.message);
+      }
+    }
+
+    this._emitProgress(job);
+    this._launchWorker(job);
+
+    return this.getJobStatus(jobId);
+  }
+
+  /**
+   * Get the public status of a job held in memory, or null if unknown
+   */
+  getJobStatus(jobId) {
+    const job = this.jobs.get(jobId);
+    return job ? this._buildStatus(job) : null;
+  }
+
+  /**
+   * Load the status of a job from the database. Used for jobs that finished
+   * before the last restart or were dropped by cleanup().
+   */
+  async loadJobStatus(jobId) {
+    if (!this.prisma) return null;
+
+    const record = await this.prisma.processingJob.findUnique({ where: { id: jobId } });
+    if (!record || record.jobType !== JOB_TYPE) return null;
+
+    const job = this._restoreJob(record);
+    return job ? this._buildStatus(job) : null;
+  }
+
+  /**
+   * Recover jobs left unfinished by a previous server process.
+   * PROCESSING/RETRYING jobs are resumed from their saved cursor until they
+   * exhaust maxRetries, after which they are marked FAILED. PAUSED jobs are
+   * loaded back so they can be resumed from the UI.
+   *
+   * @param {Object} options - { resume: false marks every interrupted job as failed }
+   * @returns {Object} { resumed, paused, failed }
+   */
+  async recoverJobs(options = {}) {
+    const summary = { resumed: 0, paused: 0, failed: 0 };
+    if (!this.prisma) return summary;
+
+    const resume = options.resume !== false;
+    const records = await this.prisma.processingJob.findMany({
+      where: { jobType: JOB_TYPE, status: { in: ['PENDING', 'PROCESSING', 'RETRYING', 'PAUSED'] } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    for (const record of records) {
+      if (this.jobs.has(record.id)) continue;
+
+      const job = this._restoreJob(record);
+      let failureReason = null;
+
+      if (!job) {
+        failureReason = 'Job configuration missing, cannot resume after restart';
+      } else if (record.status !== 'PAUSED' && !resume) {
+        failureReason = 'Interrupted by server restart';
+      } else if (record.status !== 'PAUSED' && record.retryCount >= record.maxRetries) {
+        failureReason = `Interrupted by server restart after ${record.retryCount} retries`;
+      }
+
+      if (failureReason) {
+        await this.prisma.processingJob.update({
+          where: { id: record.id },
+          data: { status: 'FAILED', errorMessage: failureReason, completedAt: new Date() }
+        });
+        console.warn(`⚠️ Marked processing job ${record.id} as failed: ${failureReason}`);
+        summary.failed++;
+        continue;
+      }
+
+      this.jobs.set(job.jobId, job);
+
+      if (job.status === 'paused') {
+        summary.paused++;
+        continue;
+      }
+
+      job.retryCount = record.retryCount + 1;
+      console.log(`🔄 Resuming processing job ${job.jobId} at document ${job.cursor.docIndex + 1}, chunk ${job.cursor.chunkIndex + 1} (retry ${job.retryCount}/${record.maxRetries})`);
+      this._persistJob(job);
+      this._emitProgress(job);
+      this._launchWorker(job);
+      summary.resumed++;
+    }
+
+    if (records.length > 0) {
+      console.log(`🔄 Processing job recovery: ${summary.resumed} resumed, ${summary.paused} paused, ${summary.failed} failed`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Pause a running job. The in-flight chunk completes and is kept.
+   */
+  pauseJob(jobId) {
+    const job = this._requireJob(jobId);
+
+    if (job.status !== 'processing') {
+      throw new ProcessingJobError(`Cannot pause job in ${job.status} state`, 409);
+    }
+
+    job.status = 'paused';
+    job.updatedAt = Date.now();
+    console.log(`⏸️  Job ${jobId} paused at document ${job.cursor.docIndex + 1}, chunk ${job.cursor.chunkIndex + 1}`);
+    this._persistJob(job);
+    this._emitProgress(job);
+  }
+
+  /**
+   * Resume a paused job from its saved cursor
+   */
+  async resumeJob(jobId) {
+    const job = this._requireJob(jobId);
+
+    if (job.status !== 'paused') {
+      throw new ProcessingJobError(`Cannot resume job in ${job.status} state`, 409);
+    }
+
+    job.status = 'processing';
+    job.updatedAt = Date.now();
+    console.log(`▶️  Job ${jobId} resumed at document ${job.cursor.docIndex + 1}, chunk ${job.cursor.chunkIndex + 1}`);
+    this._persistJob(job);
+    this._emitProgress(job);
+
+    // If the worker has not yet noticed the pause it simply carries on
+    if (!job.running) {
+      this._launchWorker(job);
+    }
+  }
+
+  /**
+   * Cancel a job. Any in-flight chunk result is discarded.
+   */
+  cancelJob(jobId) {
+    const job = this._requireJob(jobId);
+
+    if (['completed', 'failed', 'cancelled'].includes(job.status)) {
+      return;
+    }
+
+    job.status = 'cancelled';
+    job.updatedAt = Date.now();
+    job.completedAt = Date.now();
+    job.documents.forEach(doc => {
+      if (doc.status === 'processing' || doc.status === 'queued') {
+        doc.chunkStatus = 'Cancelled';
+      }
+    });
+    console.log(`🛑 Job ${jobId} cancelled`);
+    this._persistJob(job);
+    this._emitProgress(job);
+  }
+
+  /**
+   * Drop finished jobs older than the TTL
+   */
+  cleanup() {
+    const cutoff = Date.now() - this.jobTtlMs;
+    let removed = 0;
+
+    for (const [jobId, job] of this.jobs) {
+      const finished = ['completed', 'failed', 'cancelled'].includes(job.status);
+      if (finished && job.updatedAt < cutoff) {
+        this.jobs.delete(jobId);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`🧹 Cleaned up ${removed} finished processing job(s)`);
+    }
+    return removed;
+  }
+
+  // ==========================================================================
+  // WORKER
+  // ==========================================================================
+
+  _launchWorker(job) {
+    job.running = true;
+    this._runWorker(job)
+      .catch(error => {
+        console.error(`❌ Job ${job.jobId} failed:`, error);
+        job.status = 'failed';
+        job.error = error.message;
+        job.updatedAt = Date.now();
+        job.completedAt = Date.now();
+        this._persistJob(job);
+        this._emitProgress(job);
+      })
+      .finally(() => {
+        job.running = false;
+      });
+  }
+
+  async _runWorker(job) {
+    while (job.cursor.docIndex < job.documents.length) {
+      const doc = job.documents[job.cursor.docIndex];
+
+      if (doc.status === 'queued') {
+        doc.status = 'processing';
+        doc.startTime = Date.now();
+      }
+
+      while (job.cursor.chunkIndex < doc.chunks.length) {
+        if (job.status !== 'processing') return;
+
+        const chunkIndex = job.cursor.chunkIndex;
+        doc.currentChunk = chunkIndex + 1;
+        doc.chunkStatus = `Analyzing section ${chunkIndex + 1} of ${doc.chunks.length}`;
+        this._emitProgress(job);
+
+        const chunkStart = Date.now();
+        let chunkResult;
+        try {
+          chunkResult = await this._analyzeChunk(job, doc, chunkIndex);
+        } catch (error) {
+          console.error(`❌ Chunk ${chunkIndex + 1}/${doc.chunks.length} of ${doc.filename} failed:`, error.message);
+          chunkResult = { error: error.message };
+        }
+
+        // Cancelled while the AI call was in flight - discard
+        if (job.status === 'cancelled') return;
+
+        doc.chunkResults[chunkIndex] = chunkResult;
+        doc.chunksProcessed = chunkIndex + 1;
+        doc.progress = Math.round((doc.chunksProcessed / doc.chunks.length) * 100);
+        job.chunkDurations.push(Date.now() - chunkStart);
+        job.cursor.chunkIndex = chunkIndex + 1;
+        job.updatedAt = Date.now();
+
+        if (job.cursor.chunkIndex < doc.chunks.length) {
+          this._persistJob(job);
+        }
+      }
+
+      this._finishDocument(job, doc);
+      job.cursor = { docIndex: job.cursor.docIndex + 1, chunkIndex: 0 };
+      this._persistJob(job);
+      this._emitProgress(job);
+    }
+
+    if (job.status !== 'processing') return;
+
+    job.results = job.analyses;
+    job.blueprint = buildContractBlueprint(job.analyses);
+    job.status = job.analyses.every(analysis => analysis.error) ? 'failed' : 'completed';
+    job.error = job.status === 'failed' ? 'All documents failed to process' : null;
+    job.completedAt = Date.now();
+    job.updatedAt = Date.now();
+
+    console.log(`✅ Job ${job.jobId} ${job.status}: ${job.analyses.length} documents in ${Math.round((job.completedAt - job.startTime) / 1000)}s`);
+    this._persistJob(job);
+    await job.persisting;
+    this._emitProgress(job);
+
+    if (job.status === 'completed') {
+      this.emit('completed', { jobId: job.jobId, contractId: job.options.contractId || null, results: job.analyses });
+    }
+  }
+
+  async _analyzeChunk(job, doc, chunkIndex) {
+    const chunk = doc.chunks[chunkIndex];
+
+    return this.aiService.extractBusinessRules(chunk.text, {
+      filename: doc.filename,
+      documentId: doc.id,
+      contractType: doc.contractType || 'unknown',
+      chunkIndex,
+      totalChunks: doc.chunks.length,
+      originalLength: doc.content.length,
+      _fullDocumentContent: doc.content,
+      pages: doc.pages,
+      aiProvider: job.options.aiProvider
+    });
+  }
+
+  /**
+   * Merge chunk results for a document into a single analysis
+   */
+  _finishDocument(job, doc) {
+    const successful = doc.chunkResults.filter(result => result && !result.error);
+    const processingTime = Date.now() - (doc.startTime || job.startTime);
+
+    if (successful.length === 0) {
+      const message = doc.chunkResults.find(result => result?.error)?.error || 'No content to analyze';
+      doc.status = 'failed';
+      doc.error = message;
+      doc.chunkStatus = 'Failed';
+      job.analyses.push(this._buildFailedAnalysis(doc, message, processingTime));
+      return;
+    }
+
+    const merged = this._mergeChunkResults(successful);
+    doc.status = 'completed';
+    doc.progress = 100;
+    doc.chunkStatus = successful.length < doc.chunks.length
+      ? `Completed (${doc.chunks.length - successful.length} section(s) failed)`
+      : 'Completed';
+
+    job.analyses.push({
+      documentId: doc.id,
+      filename: doc.filename,
+      contractType: merged.documentSummary.contractType,
+      parties: merged.documentSummary.parties,
+      keyTerms: merged.documentSummary.keyTerms,
+      extractedData: merged.extractedData,
+      // Chunks may disagree on values, so cite the merged values against the full text
+      citations: locateFieldCitations(merged.extractedData, doc.content, { pages: doc.pages }),
+      extractedRules: merged.extractedRules,
+      riskFactors: merged.riskFactors,
+      anomalies: merged.anomalies,
+      paymentRules: merged.paymentRules,
+      performanceGuarantees: merged.performanceGuarantees,
+      operationalRequirements: merged.operationalRequirements,
+      terminationClauses: merged.terminationClauses,
+      complianceRequirements: merged.complianceRequirements,
+      keyMilestones: merged.keyMilestones,
+      confidence: merged.confidence,
+      processingTime,
+      analysisDate: new Date().toISOString(),
+      summary: merged.summary,
+      structuredExtraction: merged.structuredExtraction,
+      chunksAnalyzed: successful.length,
+      chunksTotal: doc.chunks.length
+    });
+  }
+
+  _mergeChunkResults(chunkResults) {
+    // Chunks with higher confidence win when they disagree on a value
+    const ranked = [...chunkResults].sort(
+      (a, b) => (b.summary?.confidenceScore ?? 0) - (a.summary?.confidenceScore ?? 0)
+    );
+
+    const extractedData = {};
+    ranked.forEach(result => {
+      Object.entries(result.extractedData || {}).forEach(([key, value]) => {
+        if (isMissing(extractedData[key]) && !isMissing(value)) {
+          extractedData[key] = value;
+        } else if (!(key in extractedData)) {
+          extractedData[key] = value;
+        }
+      });
+    });
+
+    const concatUnique = (key, identity) => {
+      const seen = new Set();
+      return chunkResults.flatMap(result => result[key] || []).filter(item => {
+        const id = identity(item);
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      });
+    };
+    const byJson = item => (typeof item === 'string' ? item : JSON.stringify(item));
+
+    const extractedRules = concatUnique('extractedRules', rule => `${rule.category}|${rule.name}|${rule.sourceText}`);
+    const confidences = chunkResults.map(result => result.summary?.confidenceScore ?? 0);
+    const confidence = Math.round((confidences.reduce((sum, c) => sum + c, 0) / confidences.length) * 100) / 100;
+
+    const summaryDoc = ranked.find(result =>
+      result.documentSummary?.contractType && result.documentSummary.contractType !== 'Unknown'
+    ) || ranked[0];
+
+    return {
+      documentSummary: summaryDoc.documentSummary || {},
+      extractedData,
+      extractedRules,
+      riskFactors: concatUnique('riskFactors', byJson),
+      anomalies: concatUnique('anomalies', byJson),
+      paymentRules: concatUnique('paymentRules', byJson),
+      performanceGuarantees: concatUnique('performanceGuarantees', byJson),
+      operationalRequirements: concatUnique('operationalRequirements', byJson),
+      terminationClauses: concatUnique('terminationClauses', byJson),
+      complianceRequirements: concatUnique('complianceRequirements', byJson),
+      keyMilestones: concatUnique('keyMilestones', byJson),
+      confidence,
+      summary: {
+        ...(ranked[0].summary || {}),
+        totalRulesExtracted: extractedRules.length,
+        confidenceScore: confidence
+      },
+      structuredExtraction: ranked.find(result => result.structuredExtraction)?.structuredExtraction
+    };
+  }
+
+  _buildFailedAnalysis(doc, message, processingTime) {
+    return {
+      documentId: doc.id,
+      filename: doc.filename,
+      contractType: 'Analysis Failed',
+      parties: ['Unknown'],
+      keyTerms: [],
+      extractedData: {},
+      extractedRules: [],
+      riskFactors: ['Analysis failed - manual review required'],
+      anomalies: [{
+        type: 'analysis_error',
+        description: `Failed to analyze document: ${message}`,
+        impact: 'Document requires manual processing',
+        recommendation: 'Review document format and content'
+      }],
+      confidence: 0.0,
+      processingTime,
+      analysisDate: new Date().toISOString(),
+      summary: {
+        totalRulesExtracted: 0,
+        confidenceScore: 0.0,
+        processingNotes: `Analysis failed: ${message}`
+      },
+      error: message
+    };
+  }
+
+  // ==========================================================================
+  // PERSISTENCE
+  // ==========================================================================
+
+  /**
+   * Queue a ProcessingJob update. Writes for a job are chained so they land
+   * in order; failures are logged and never interrupt the worker.
+   */
+  _persistJob(job) {
+    if (!this.prisma) return;
+
+    const status = this._buildStatus(job);
+    const data = {
+      status: STATUS_TO_DB[job.status],
+      progress: status.overallProgress,
+      currentStep: this._describeStep(job),
+      retryCount: job.retryCount,
+      errorMessage: job.error,
+      completedAt: job.completedAt ? new Date(job.completedAt) : null,
+      result: this._serializeState(job)
+    };
+
+    job.persisting = (job.persisting || Promise.resolve())
+      .then(() => this.prisma.processingJob.update({ where: { id: job.jobId }, data }))
+      .catch(error => {
+        console.warn(`⚠️ Failed to persist job ${job.jobId}:`, error.message);
+      });
+  }
+
+  _describeStep(job) {
+    if (job.status !== 'processing') {
+      return job.status.charAt(0).toUpperCase() + job.status.slice(1);
+    }
+    const doc = job.documents[job.cursor.docIndex];
+    if (!doc) return 'Building contract blueprint';
+    return `Document ${job.cursor.docIndex + 1}/${job.documents.length}: ${doc.filename} (section ${Math.min(job.cursor.chunkIndex + 1, Math.max(doc.chunks.length, 1))}/${doc.chunks.length})`;
+  }
+
+  _serializeState(job) {
+    return {
+      cursor: job.cursor,
+      documents: job.documents.map(doc => ({
+        id: doc.id,
+        status: doc.status,
+        progress: doc.progress,
+        currentChunk: doc.currentChunk,
+        chunksProcessed: doc.chunksProcessed,
+        chunkStatus: doc.chunkStatus,
+        error: doc.error,
+        startTime: doc.startTime,
+        chunkResults: doc.chunkResults
+      })),
+      analyses: job.analyses,
+      blueprint: job.blueprint,
+      chunkDurations: job.chunkDurations.slice(-50)
+    };
+  }
+
+  /**
+   * Rebuild an in-memory job from a ProcessingJob record
+   */
+  _restoreJob(record) {
+    const config = record.jobConfig || {};
+    if (!Array.isArray(config.documents) || config.documents.length === 0) {
+      return null;
+    }
+
+    const { documents, ...options } = config;
+    const job = this._createJob(record.id, documents, options);
+    const state = record.result || {};
+
+    job.status = DB_TO_STATUS[record.status] || 'failed';
+    job.startTime = record.startedAt ? new Date(record.startedAt).getTime() : new Date(record.createdAt).getTime();
+    job.updatedAt = new Date(record.updatedAt).getTime();
+    job.completedAt = record.completedAt ? new Date(record.completedAt).getTime() : null;
+    job.error = record.errorMessage || null;
+    job.retryCount = record.retryCount || 0;
+    job.cursor = state.cursor || job.cursor;
+    job.analyses = state.analyses || [];
+    job.blueprint = state.blueprint || null;
+    job.results = job.status === 'completed' ? job.analyses : null;
+    job.chunkDurations = state.chunkDurations || [];
+
+    (state.documents || []).forEach((saved, index) => {
+      const doc = job.documents[index];
+      if (!doc || doc.id !== saved.id) return;
+      Object.assign(doc, {
+        status: saved.status,
+        progress: saved.progress,
+        currentChunk: saved.currentChunk,
+        chunksProcessed: saved.chunksProcessed,
+        chunkStatus: saved.chunkStatus,
+        error: saved.error,
+        startTime: saved.startTime,
+        chunkResults: saved.chunkResults || []
+      });
+    });
+
+    return job;
+  }
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  _createJob(jobId, documents, options) {
+    return {
+      jobId,
+      status: 'processing',
+      options,
+      documents: documents.map((doc, index) => this._prepareDocument(doc, index)),
+      cursor: { docIndex: 0, chunkIndex: 0 },
+      analyses: [],
+      results: null,
+      blueprint: null,
+      error: null,
+      startTime: Date.now(),
+      updatedAt: Date.now(),
+      completedAt: null,
+      chunkDurations: [],
+      retryCount: 0,
+      running: false,
+      persisting: null
+    };
+  }
+
+  _prepareDocument(doc, index) {
+    const content = doc.extractedText || (typeof doc.content === 'string' ? doc.content : '') || '';
+    const chunks = this.documentChunker.chunkDocument(content, { maxTokens: this.maxChunkTokens });
+
+    return {
+      id: doc.id || `doc_${index}`,
+      filename: doc.filename || doc.originalName || `Document ${index + 1}`,
+      contractType: doc.contractType,
+      content,
+      pages: doc.pages || doc.pageOffsets || null,
+      chunks,
+      chunkResults: [],
+      status: 'queued',
+      progress: 0,
+      currentChunk: 0,
+      chunksProcessed: 0,
+      chunkStatus: chunks.length > 0 ? 'Queued' : 'No extractable text',
+      error: null,
+      startTime: null
+    };
+  }
+
+  _requireJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new ProcessingJobError(`Job ${jobId} not found`, 404);
+    }
+    return job;
+  }
+
+  _totalChunks(job) {
+    return job.documents.reduce((sum, doc) => sum + Math.max(doc.chunks.length, 1), 0);
+  }
+
+  _processedChunks(job) {
+    return job.documents.reduce((sum, doc) => {
+      if (doc.status === 'completed' || doc.status === 'failed') return sum + Math.max(doc.chunks.length, 1);
+      return sum + doc.chunksProcessed;
+    }, 0);
+  }
+
+  _buildStatus(job) {
+    const totalChunks = this._totalChunks(job);
+    const processedChunks = this._processedChunks(job);
+    const remainingChunks = totalChunks - processedChunks;
+    const averageChunkMs = job.chunkDurations.length > 0
+      ? job.chunkDurations.reduce((sum, ms) => sum + ms, 0) / job.chunkDurations.length
+      : null;
+
+    const status = {
+      jobId: job.jobId,
+      status: job.status,
+      overallProgress: job.status === 'completed' ? 100 : Math.round((processedChunks / Math.max(totalChunks, 1)) * 100),
+      currentDocIndex: job.cursor.docIndex,
+      documents: job.documents.map(doc => ({
+        documentId: doc.id,
+        filename: doc.filename,
+        status: doc.status,
+        progress: doc.progress,
+        chunksTotal: doc.chunks.length,
+        currentChunk: doc.currentChunk,
+        chunksProcessed: doc.chunksProcessed,
+        chunkStatus: doc.chunkStatus,
+        error: doc.error || undefined
+      })),
+      estimatedTimeRemaining: averageChunkMs !== null && job.status === 'processing'
+        ? Math.round((averageChunkMs * remainingChunks) / 1000)
+        : undefined,
+      startTime: job.startTime,
+      contractId: job.options.contractId
+    };
+
+    if (job.status === 'completed') {
+      status.results = job.results;
+      status.blueprint = job.blueprint;
+    }
+    if (job.error) {
+      status.error = job.error;
+    }
+
+    return status;
+  }
+
+  _emitProgress(job) {
+    this.emit('progress', this._buildStatus(job));
+  }
+}
+
+function isMissing(value) {
+  return value === null || value === undefined || value === '' || value === 'NOT SPECIFIED';
+}
+
+export default MultiDocumentProcessor;
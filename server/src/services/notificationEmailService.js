@@ -0,0 +1,211 @@
+/**
+ * Notification Email Service
+ *
+ * Email delivery for notification recipients who chose the EMAIL or DIGEST
+ * channel (see shared/notificationPreferences.js). Immediate emails go out as
+ * soon as a notification is stored; DIGEST recipients accumulate and are sent
+ * once a day as a single summary, e.g. a morning list of failed extractions.
+ *
+ * Delivery state lives on NotificationRecipient.emailedAt, so a restart never
+ * re-sends a digest and nothing is lost if the server was down at digest time:
+ * the next run picks up everything not yet emailed.
+ *
+ * Environment:
+ *   NOTIFICATION_DIGEST_HOUR - hour of day (0-23, server time) for digests (default 8)
+ */
+
+import emailService from './emailService.js';
+
+const DEFAULT_DIGEST_HOUR = 8;
+const DIGEST_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const MAX_DIGEST_ITEMS = 200;
+
+/**
+ * One-line summary of a notification for email subjects and digest rows
+ */
+export function describeNotification(notification) {
+  const data = notification.data || {};
+  const subject = data.contractName || data.fileName || data.filename || data.ruleName || data.operationType;
+  const detail = data.message || data.error;
+  return [notification.type, subject, detail].filter(Boolean).join(' - ');
+}
+
+const dateKey = (date) => date.toDateString();
+
+class NotificationEmailService {
+  constructor() {
+    this.digestTimer = null;
+    this.lastDigestDate = null;
+  }
+
+  getDigestHour() {
+    const hour = parseInt(process.env.NOTIFICATION_DIGEST_HOUR, 10);
+    return hour >= 0 && hour <= 23 ? hour : DEFAULT_DIGEST_HOUR;
+  }
+
+  /**
+   * Email a stored notification to recipients on the EMAIL channel
+   *
+   * @param {Object} prisma
+   * @param {Object} notification - Stored Notification row
+   * @param {string[]} userIds
+   * @returns {Promise<number>} Emails sent
+   */
+  async sendImmediate(prisma, notification, userIds) {
+    if (!userIds.length || !emailService.isEnabled()) {
+      return 0;
+    }
+
+    const users = await prisma.user.findMany({
+      where: { id: { in: userIds }, isActive: true },
+      select: { id: true, email: true, firstName: true }
+    });
+
+    const emailed = [];
+    for (const user of users) {
+      try {
+        const sent = await emailService.send({
+          to: user.email,
+          subject: `[Contracts] ${describeNotification(notification)}`,
+          text: [
+            `Hi ${user.firstName},`,
+            '',
+            describeNotification(notification),
+            `Time: ${new Date(notification.createdAt).toISOString()}`,
+            '',
+            'Change how you receive these under Notifications > Preferences.'
+          ].join('\n')
+        });
+        // A null result means email is off; leave emailedAt unset
+        if (sent) emailed.push(user.id);
+      } catch (error) {
+        console.error(`Failed to email notification ${notification.id} to ${user.email}:`, error.message);
+      }
+    }
+
+    if (emailed.length > 0) {
+      await prisma.notificationRecipient.updateMany({
+        where: { notificationId: notification.id, userId: { in: emailed } },
+        data: { emailedAt: new Date() }
+      });
+    }
+
+    return emailed.length;
+  }
+
+  /**
+   * Send one digest per user covering unread DIGEST notifications not yet emailed
+   *
+   * @param {Object} prisma
+   * @returns {Promise<Object>} { users, notifications }
+   */
+  async sendDigests(prisma) {
+    const summary = { users: 0, notifications: 0 };
+    if (!emailService.isEnabled()) {
+      return summary;
+    }
+
+    const pending = await prisma.notificationRecipient.findMany({
+      where: { channel: 'DIGEST', emailedAt: null, readAt: null },
+      include: {
+        notification: true,
+        user: { select: { id: true, email: true, firstName: true, isActive: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    const byUser = new Map();
+    for (const recipient of pending) {
+      if (!recipient.user?.isActive) continue;
+      if (!byUser.has(recipient.userId)) {
+        byUser.set(recipient.userId, []);
+      }
+      byUser.get(recipient.userId).push(recipient);
+    }
+
+    for (const recipients of byUser.values()) {
+      const { user } = recipients[0];
+      try {
+        const sent = await emailService.send({
+          to: user.email,
+          subject: `[Contracts] Daily digest: ${recipients.length} notification${recipients.length === 1 ? '' : 's'}`,
+          text: this.formatDigest(user, recipients)
+        });
+        if (!sent) continue;
+        await prisma.notificationRecipient.updateMany({
+          where: { id: { in: recipients.map(recipient => recipient.id) } },
+          data: { emailedAt: new Date() }
+        });
+        summary.users += 1;
+        summary.notifications += recipients.length;
+      } catch (error) {
+        console.error(`Failed to send notification digest to ${user.email}:`, error.message);
+      }
+    }
+
+    if (summary.users > 0) {
+      console.log(`📧 Sent ${summary.users} notification digests covering ${summary.notifications} notifications`);
+    }
+    return summary;
+  }
+
+  /**
+   * Digest body: counts per type, then the individual notifications
+   */
+  formatDigest(user, recipients) {
+    const counts = new Map();
+    for (const { notification } of recipients) {
+      counts.set(notification.type, (counts.get(notification.type) || 0) + 1);
+    }
+
+    const lines = [
+      `Hi ${user.firstName},`,
+      '',
+      `You have ${recipients.length} unread notification${recipients.length === 1 ? '' : 's'} since your last digest:`,
+      ...Array.from(counts, ([type, count]) => `  ${type}: ${count}`),
+      ''
+    ];
+
+    for (const { notification } of recipients.slice(0, MAX_DIGEST_ITEMS)) {
+      lines.push(`- ${new Date(notification.createdAt).toISOString()}  ${describeNotification(notification)}`);
+    }
+    if (recipients.length > MAX_DIGEST_ITEMS) {
+      lines.push(`... and ${recipients.length - MAX_DIGEST_ITEMS} more in the app`);
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Check periodically and send digests once a day at the digest hour
+   */
+  startDigestSchedule(prisma) {
+    this.stopDigestSchedule();
+
+    const check = () => {
+      const now = new Date();
+      if (now.getHours() !== this.getDigestHour() || this.lastDigestDate === dateKey(now)) {
+        return;
+      }
+      this.lastDigestDate = dateKey(now);
+      this.sendDigests(prisma).catch(error => {
+        console.error('Notification digest run failed:', error.message);
+      });
+    };
+
+    this.digestTimer = setInterval(check, DIGEST_CHECK_INTERVAL_MS);
+    this.digestTimer.unref?.();
+    console.log(`📧 Notification digests scheduled daily at ${this.getDigestHour()}:00`);
+  }
+
+  stopDigestSchedule() {
+    if (this.digestTimer) {
+      clearInterval(this.digestTimer);
+      this.digestTimer = null;
+    }
+  }
+}
+
+const notificationEmailService = new NotificationEmailService();
+
+export default notificationEmailService;
@@ -6,6 +6,42 @@
 import { EventEmitter } from 'events';
 import { Server } from 'socket.io';
 import jwt from 'jsonwebtoken';
+import { resolveNotificationPreference, validateNotificationPreferences } from '../../../shared/notificationPreferences.js';
+import notificationEmailService from './notificationEmailService.js';
+
+// Page size cap for inbox history and stored notifications replayed on reconnect
+const MAX_HISTORY_PAGE_SIZE = 100;
+
+/**
+ * Shape a stored recipient row like a live notification payload
+ */
+const toInboxNotification = (recipient) => ({
+  id: recipient.notification.id,
+  type: recipient.notification.type,
+  data: recipient.notification.data,
+  timestamp: new Date(recipient.notification.createdAt).toISOString(),
+  audience: recipient.notification.audience,
+  role: recipient.notification.role,
+  read: Boolean(recipient.readAt),
+  readAt: recipient.readAt || null
+});
+
+export class NotificationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'NotificationError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Accept a single type, a comma-separated list or an array
+ */
+const parseTypes = (type) => {
+  if (!type) return [];
+  const types = Array.isArray(type) ? type : String(type).split(',');
+  return types.map(value => value.trim()).filter(Boolean);
+};
 
 class NotificationService extends EventEmitter {
   constructor() {
@@ -15,6 +51,8 @@ class NotificationService extends EventEmitter {
     this.userSessions = new Map(); // userId -> Set of socket ids
     this.notificationQueue = new Map(); // userId -> notification queue for offline users
     this.io = null;
+    this.prisma = null; // Set once the database connects; backs the persistent inbox
+    this.preferences = new Map(); // userId -> notification preferences, loaded on connect
     
     // Notification types
     this.NOTIFICATION_TYPES = {
@@ -79,6 +117,14 @@ class NotificationService extends EventEmitter {
     return this.io;
   }
   
+  /**
+   * Attach the Prisma client used for the notification inbox. Without one,
+   * notifications are only delivered live or from the in-memory queue.
+   */
+  setPrisma(prisma) {
+    this.prisma = prisma;
+  }
+  
   /**
    * Authenticate socket connections using JWT
    */
@@ -92,7 +138,7 @@ class NotificationService extends EventEmitter {
       
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
-      socket.userId = decoded.id;
+      socket.userId = decoded.userId || decoded.id;
       socket.userRole = decoded.role;
       socket.userName = decoded.name || 'Unknown User';
       
@@ -128,8 +174,8 @@ class NotificationService extends EventEmitter {
     // Join role-based rooms
     socket.join(`role:${socket.userRole}`);
     
-    // Send queued notifications if any
-    this.sendQueuedNotifications(userId, socket);
+    // Send queued notifications if any, once preferences say what to push live
+    this.loadPreferences(userId).then(() => this.sendQueuedNotifications(userId, socket));
     
     // Notify others about user joining
     socket.broadcast.emit(this.NOTIFICATION_TYPES.USER_JOINED, {
@@ -149,7 +195,7 @@ class NotificationService extends EventEmitter {
       message: 'Connected to real-time notifications',
       type: 'success',
       timestamp: new Date().toISOString()
-    });
+    }, { transient: true });
   }
   
   /**
@@ -171,10 +217,15 @@ class NotificationService extends EventEmitter {
     });
     
     // Request notification history
-    socket.on('notifications:history', async (data) => {
+    socket.on('notifications:history', async (data = {}) => {
       try {
-        const notifications = await this.getNotificationHistory(userId, data.limit || 50);
-        socket.emit('notifications:history:response', notifications);
+        const history = await this.getNotificationHistory(userId, {
+          limit: data.limit || 50,
+          offset: data.offset || 0,
+          type: data.type,
+          unreadOnly: data.unreadOnly
+        });
+        socket.emit('notifications:history:response', history.notifications);
       } catch (error) {
         socket.emit('error', { message: 'Failed to fetch notification history' });
       }
@@ -238,9 +289,16 @@ class NotificationService extends EventEmitter {
   
   /**
    * Send notification to specific user
+   *
+   * Muted types are dropped. Users on the EMAIL or DIGEST channel get the
+   * notification in their inbox and by email rather than as a live push.
+   * `options.transient` skips the inbox (e.g. connection status messages).
+   * `options.rateLimit: false` exempts scheduled alerts that must not be
+   * dropped from the per-user limit.
    */
   sendToUser(userId, type, data, options = {}) {
-    if (!this.checkRateLimit(userId)) {
+    const { rateLimit = true, ...notificationOptions } = options;
+    if (rateLimit && !this.checkRateLimit(userId)) {
       console.warn(`Rate limit exceeded for user ${userId}`);
       return false;
     }
@@ -252,11 +310,16 @@ class NotificationService extends EventEmitter {
       timestamp: new Date().toISOString(),
       userId,
       read: false,
-      ...options
+      ...notificationOptions
     };
     
+    const preference = resolveNotificationPreference(this.preferences.get(userId), type);
+    if (!preference.enabled) {
+      return false;
+    }
+    
     // Send to connected sockets
-    if (this.connections.has(userId)) {
+    if (this.connections.has(userId) && preference.channel === 'IN_APP') {
       const userSockets = this.connections.get(userId);
       for (const socket of userSockets) {
         if (!socket.notificationSubscriptions || socket.notificationSubscriptions.has(type)) {
@@ -265,9 +328,15 @@ class NotificationService extends EventEmitter {
       }
       
       // Store in database for history
-      this.storeNotification(notification);
+      if (!options.transient) {
+        this.storeNotification(notification, { delivered: true });
+      }
       
       return true;
+    } else if (this.connections.has(userId)) {
+      // Online, but delivered by email instead of a live push
+      this.storeNotification(notification);
+      return false;
     } else {
       // Queue for offline user
       this.queueNotification(userId, notification);
@@ -290,21 +359,20 @@ class NotificationService extends EventEmitter {
    * Send notification to all users with specific role
    */
   sendToRole(role, type, data, options = {}) {
+    const notification = {
+      id: `notif-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      data,
+      timestamp: new Date().toISOString(),
+      role,
+      ...options
+    };
+    
+    // Store for all users with this role, so offline users see it on reconnect
+    this.storeRoleNotification(role, notification);
+    
     if (this.io) {
-      const notification = {
-        id: `notif-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        type,
-        data,
-        timestamp: new Date().toISOString(),
-        role,
-        ...options
-      };
-      
-      this.io.to(`role:${role}`).emit('notification', notification);
-      
-      // Store for all users with this role
-      this.storeRoleNotification(role, notification);
-      
+      this.io.to(`role:${role}`).except(this.mutedRooms(type)).emit('notification', notification);
       return true;
     }
     return false;
@@ -334,21 +402,20 @@ class NotificationService extends EventEmitter {
    * Broadcast notification to all connected users
    */
   broadcast(type, data, options = {}) {
+    const notification = {
+      id: `notif-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      type,
+      data,
+      timestamp: new Date().toISOString(),
+      broadcast: true,
+      ...options
+    };
+    
+    // Store as system notification
+    this.storeSystemNotification(notification);
+    
     if (this.io) {
-      const notification = {
-        id: `notif-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-        type,
-        data,
-        timestamp: new Date().toISOString(),
-        broadcast: true,
-        ...options
-      };
-      
-      this.io.emit('notification', notification);
-      
-      // Store as system notification
-      this.storeSystemNotification(notification);
-      
+      this.io.except(this.mutedRooms(type)).emit('notification', notification);
       return true;
     }
     return false;
@@ -376,13 +443,22 @@ class NotificationService extends EventEmitter {
   
   /**
    * Send queued notifications to user
+   *
+   * The in-memory queue goes first, then anything stored for the user that
+   * was never pushed over a socket (role and system fan-out while offline,
+   * or notifications queued before a server restart).
    */
-  sendQueuedNotifications(userId, socket) {
+  async sendQueuedNotifications(userId, socket) {
+    const sent = new Set();
+    
     if (this.notificationQueue.has(userId)) {
       const queue = this.notificationQueue.get(userId);
       
       for (const notification of queue) {
-        socket.emit('notification', notification);
+        if (this.isLivePush(userId, notification.type)) {
+          socket.emit('notification', notification);
+        }
+        sent.add(notification.id);
       }
       
       // Clear queue
@@ -392,6 +468,37 @@ class NotificationService extends EventEmitter {
         console.log(`📬 Sent ${queue.length} queued notifications to user ${userId}`);
       }
     }
+    
+    if (!this.prisma) {
+      return;
+    }
+    
+    try {
+      const pending = await this.prisma.notificationRecipient.findMany({
+        where: { userId, deliveredAt: null, channel: 'IN_APP' },
+        include: { notification: true },
+        orderBy: { createdAt: 'asc' },
+        take: MAX_HISTORY_PAGE_SIZE
+      });
+      
+      const unsent = pending.filter(recipient => !sent.has(recipient.notificationId));
+      for (const recipient of unsent) {
+        socket.emit('notification', toInboxNotification(recipient));
+      }
+      
+      if (pending.length > 0) {
+        await this.prisma.notificationRecipient.updateMany({
+          where: { id: { in: pending.map(recipient => recipient.id) } },
+          data: { deliveredAt: new Date() }
+        });
+      }
+      
+      if (unsent.length > 0) {
+        console.log(`📬 Sent ${unsent.length} stored notifications to user ${userId}`);
+      }
+    } catch (error) {
+      console.error('Failed to deliver stored notifications:', error.message);
+    }
   }
   
   /**
@@ -425,73 +532,303 @@ class NotificationService extends EventEmitter {
   
   /**
    * Store notification in database
+   *
+   * @param {Object} notification - Notification payload with a userId
+   * @param {Object} [options]
+   * @param {boolean} [options.delivered] - Already pushed to a live socket
+   */
+  async storeNotification(notification, { delivered = false } = {}) {
+    if (!notification.userId) {
+      return null;
+    }
+    
+    return this.persistNotification(notification, {
+      audience: 'USER',
+      userIds: [notification.userId],
+      deliveredUserIds: delivered ? [notification.userId] : []
+    });
+  }
+  
+  /**
+   * Store role-based notification, one recipient per active user in the role
    */
-  async storeNotification(notification) {
+  async storeRoleNotification(role, notification) {
+    if (!this.prisma) {
+      return null;
+    }
+    
     try {
-      // This would integrate with your Prisma client
-      // For now, we'll just log it
-      console.log('📝 Storing notification:', {
-        id: notification.id,
-        type: notification.type,
-        userId: notification.userId
+      const prismaRole = String(role).toUpperCase();
+      const users = await this.prisma.user.findMany({
+        where: { role: prismaRole, isActive: true },
+        select: { id: true }
       });
       
-      // TODO: Implement with Prisma
-      // await prisma.notification.create({
-      //   data: {
-      //     id: notification.id,
-      //     type: notification.type,
-      //     data: notification.data,
-      //     userId: notification.userId,
-      //     read: false,
-      //     createdAt: new Date(notification.timestamp)
-      //   }
-      // });
-      
+      return this.persistNotification(notification, {
+        audience: 'ROLE',
+        role: prismaRole,
+        userIds: users.map(user => user.id),
+        deliveredUserIds: this.connectedUserIds()
+      });
     } catch (error) {
-      console.error('Failed to store notification:', error);
+      console.error('Failed to store role notification:', error.message);
+      return null;
     }
   }
   
   /**
-   * Store role-based notification
+   * Store system-wide notification, one recipient per active user
    */
-  async storeRoleNotification(role, notification) {
-    // Implementation would store for all users with the specified role
-    console.log('📝 Storing role notification:', { role, type: notification.type });
+  async storeSystemNotification(notification) {
+    if (!this.prisma) {
+      return null;
+    }
+    
+    try {
+      const users = await this.prisma.user.findMany({
+        where: { isActive: true },
+        select: { id: true }
+      });
+      
+      return this.persistNotification(notification, {
+        audience: 'SYSTEM',
+        userIds: users.map(user => user.id),
+        deliveredUserIds: this.connectedUserIds()
+      });
+    } catch (error) {
+      console.error('Failed to store system notification:', error.message);
+      return null;
+    }
   }
   
   /**
-   * Store system-wide notification
+   * Users with a live socket, i.e. those who received the emit directly
    */
-  async storeSystemNotification(notification) {
-    // Implementation would store as a system notification visible to all users
-    console.log('📝 Storing system notification:', { type: notification.type });
+  connectedUserIds() {
+    return this.io ? Array.from(this.connections.keys()) : [];
   }
   
   /**
-   * Get notification history for user
+   * Create the notification and its recipient rows
+   *
+   * Each recipient's preferences decide whether they get a row at all (muted
+   * types are skipped) and on which channel; EMAIL recipients are emailed
+   * straight away.
    */
-  async getNotificationHistory(userId, limit = 50) {
-    // TODO: Implement with Prisma
-    // For now, return mock data
-    return [
-      {
-        id: 'notif-1',
-        type: this.NOTIFICATION_TYPES.SYSTEM_ALERT,
-        data: { message: 'Welcome to the contract management system' },
-        timestamp: new Date().toISOString(),
-        read: false
+  async persistNotification(notification, { audience, role = null, userIds, deliveredUserIds = [] }) {
+    if (!this.prisma) {
+      return null;
+    }
+    
+    try {
+      const now = new Date();
+      const delivered = new Set(deliveredUserIds);
+      const preferencesByUser = await this.preferencesFor([...new Set(userIds)]);
+      
+      const recipients = [];
+      for (const [userId, preferences] of preferencesByUser) {
+        const preference = resolveNotificationPreference(preferences, notification.type);
+        if (preference.enabled) {
+          recipients.push({
+            userId,
+            channel: preference.channel,
+            deliveredAt: preference.channel === 'IN_APP' && delivered.has(userId) ? now : null
+          });
+        }
       }
-    ];
+      
+      if (recipients.length === 0) {
+        return null;
+      }
+      
+      const stored = await this.prisma.notification.create({
+        data: {
+          id: notification.id,
+          type: notification.type,
+          data: notification.data ?? {},
+          audience,
+          role,
+          createdAt: new Date(notification.timestamp),
+          recipients: { create: recipients }
+        }
+      });
+      
+      console.log('📝 Stored notification:', { id: stored.id, type: stored.type, audience, recipients: recipients.length });
+      
+      const emailUserIds = recipients.filter(recipient => recipient.channel === 'EMAIL').map(recipient => recipient.userId);
+      await notificationEmailService.sendImmediate(this.prisma, stored, emailUserIds);
+      
+      return stored;
+    } catch (error) {
+      console.error('Failed to store notification:', error.message);
+      return null;
+    }
+  }
+  
+  /**
+   * Preferences for a set of users as userId -> preference list
+   */
+  async preferencesFor(userIds) {
+    const byUser = new Map(userIds.map(userId => [userId, []]));
+    const rows = await this.prisma.notificationPreference.findMany({
+      where: { userId: { in: userIds } }
+    });
+    for (const row of rows) {
+      byUser.get(row.userId)?.push(row);
+    }
+    return byUser;
+  }
+  
+  /**
+   * Refresh the cached preferences used for live pushes
+   */
+  async loadPreferences(userId) {
+    try {
+      this.preferences.set(userId, await this.getPreferences(userId));
+    } catch (error) {
+      console.error('Failed to load notification preferences:', error.message);
+    }
+  }
+  
+  /**
+   * Notification preferences for a user
+   *
+   * @returns {Promise<Object[]>} [{ type, enabled, channel }]
+   */
+  async getPreferences(userId) {
+    if (!this.prisma) {
+      return this.preferences.get(userId) || [];
+    }
+    
+    const rows = await this.prisma.notificationPreference.findMany({
+      where: { userId },
+      orderBy: { type: 'asc' }
+    });
+    return rows.map(({ type, enabled, channel }) => ({ type, enabled, channel }));
+  }
+  
+  /**
+   * Replace a user's notification preferences
+   *
+   * Without a database they are kept in memory until the server restarts.
+   *
+   * @param {string} userId
+   * @param {Object[]} preferences - [{ type, enabled?, channel? }]
+   * @returns {Promise<Object[]>} The saved preferences
+   */
+  async updatePreferences(userId, preferences) {
+    const errors = validateNotificationPreferences(preferences);
+    if (errors.length > 0) {
+      throw new NotificationError(errors.join('; '));
+    }
+    
+    const normalized = preferences.map(({ type, enabled = true, channel = 'IN_APP' }) => ({ type, enabled, channel }));
+    
+    if (this.prisma) {
+      await this.prisma.$transaction([
+        this.prisma.notificationPreference.deleteMany({ where: { userId } }),
+        this.prisma.notificationPreference.createMany({
+          data: normalized.map(preference => ({ userId, ...preference }))
+        })
+      ]);
+    }
+    
+    this.preferences.set(userId, normalized);
+    return normalized;
+  }
+  
+  /**
+   * Whether a type is pushed live to a user, per the cached preferences
+   */
+  isLivePush(userId, type) {
+    const preference = resolveNotificationPreference(this.preferences.get(userId), type);
+    return preference.enabled && preference.channel === 'IN_APP';
+  }
+  
+  /**
+   * User rooms of connected users who should not get a live push of this type
+   */
+  mutedRooms(type) {
+    return Array.from(this.connections.keys())
+      .filter(userId => !this.isLivePush(userId, type))
+      .map(userId => `user:${userId}`);
+  }
+  
+  /**
+   * Get notification history for user, newest first
+   *
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Page size (max 100)
+   * @param {number} [options.offset] - Rows to skip
+   * @param {string|string[]} [options.type] - Type, comma-separated types or an array
+   * @param {boolean} [options.unreadOnly] - Only unread notifications
+   * @returns {Promise<Object>} { notifications, total, unreadCount, limit, offset }
+   */
+  async getNotificationHistory(userId, { limit = 50, offset = 0, type, unreadOnly = false } = {}) {
+    const take = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_HISTORY_PAGE_SIZE);
+    const skip = Math.max(parseInt(offset, 10) || 0, 0);
+    
+    if (!this.prisma) {
+      return { notifications: [], total: 0, unreadCount: 0, limit: take, offset: skip };
+    }
+    
+    const types = parseTypes(type);
+    const where = {
+      userId,
+      ...(unreadOnly ? { readAt: null } : {}),
+      ...(types.length > 0 ? { notification: { type: { in: types } } } : {})
+    };
+    
+    const [recipients, total, unreadCount] = await Promise.all([
+      this.prisma.notificationRecipient.findMany({
+        where,
+        include: { notification: true },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      this.prisma.notificationRecipient.count({ where }),
+      this.prisma.notificationRecipient.count({ where: { userId, readAt: null } })
+    ]);
+    
+    return {
+      notifications: recipients.map(toInboxNotification),
+      total,
+      unreadCount,
+      limit: take,
+      offset: skip
+    };
   }
   
   /**
    * Mark notifications as read
+   *
+   * @param {string} userId
+   * @param {string[]} notificationIds - Ignored when options.all is set
+   * @param {Object} [options]
+   * @param {boolean} [options.all] - Mark every unread notification
+   * @returns {Promise<number>} Number of notifications marked
    */
-  async markNotificationsAsRead(userId, notificationIds) {
-    // TODO: Implement with Prisma
-    console.log(`Marking notifications as read for user ${userId}:`, notificationIds);
+  async markNotificationsAsRead(userId, notificationIds = [], { all = false } = {}) {
+    if (!this.prisma) {
+      return 0;
+    }
+    
+    const where = { userId, readAt: null };
+    if (!all) {
+      if (!Array.isArray(notificationIds) || notificationIds.length === 0) {
+        return 0;
+      }
+      where.notificationId = { in: notificationIds };
+    }
+    
+    const result = await this.prisma.notificationRecipient.updateMany({
+      where,
+      data: { readAt: new Date() }
+    });
+    
+    return result.count;
   }
   
   /**
@@ -517,6 +854,8 @@ class NotificationService extends EventEmitter {
     });
     
     this.on('bulk:operation:completed', (data) => {
+      // Export, extraction and validation jobs are not tied to a user
+      if (!data.userId) return;
       this.sendToUser(data.userId, this.NOTIFICATION_TYPES.BULK_OPERATION_COMPLETED, {
         operationType: data.operationType,
         jobId: data.jobId,
@@ -536,7 +875,7 @@ class NotificationService extends EventEmitter {
     });
     
     this.on('contract:updated', (data) => {
-      this.sendToUsers(data.stakeholders, this.NOTIFICATION_TYPES.CONTRACT_UPDATED, {
+      this.sendToUsers(data.stakeholders || [], this.NOTIFICATION_TYPES.CONTRACT_UPDATED, {
         contractId: data.contractId,
         contractName: data.contractName,
         updatedBy: data.updatedBy,
@@ -643,6 +982,15 @@ class NotificationService extends EventEmitter {
       });
     });
 
+    this.on('document:processing:completed', (data) => {
+      this.sendToUser(data.userId, this.NOTIFICATION_TYPES.DOCUMENT_PROCESSING_COMPLETED, {
+        documentId: data.documentId,
+        documentTitle: data.documentTitle,
+        contractId: data.contractId,
+        pageCount: data.pageCount
+      });
+    });
+
     this.on('document:processing:failed', (data) => {
       this.sendToUser(data.userId, this.NOTIFICATION_TYPES.DOCUMENT_PROCESSING_FAILED, {
         documentId: data.documentId,
@@ -0,0 +1,659 @@
+/**
+ * Party Service
+ *
+ * Master data for customers and other counterparties. Names arrive as free
+ * text (Contract.client, filename hints, AI extraction) in many spellings;
+ * each spelling is kept as an alias of one Party, and new names are resolved
+ * against the registry:
+ *
+ *   matched   - one party scores at least AUTO_LINK_SCORE on its name or an
+ *               alias; the name is linked and recorded as an alias
+ *   ambiguous - candidates score from SUGGEST_SCORE, or two parties tie;
+ *               an admin picks the party
+ *   new       - nothing close; a new party is proposed (and created when a
+ *               contract is linked)
+ *
+ * Merging points a party at the surviving one (mergedIntoId) instead of
+ * moving its contracts and aliases, so an unmerge restores it exactly.
+ * Resolution and totals follow merges to the surviving party.
+ */
+
+import { normalizePartyName } from './documentSimilarityService.js';
+
+export const PARTY_TYPES = ['CUSTOMER', 'FINANCIER', 'SUPPLIER', 'OTHER'];
+export const ALIAS_SOURCES = ['MANUAL', 'CONTRACT', 'EXTRACTION', 'FILENAME'];
+
+// Name similarity needed to link without review, and to be offered as a candidate
+export const AUTO_LINK_SCORE = 0.9;
+export const SUGGEST_SCORE = 0.75;
+
+const MAX_CANDIDATES = 5;
+const MAX_RESOLVE_NAMES = 100;
+const MAX_MERGE_DEPTH = 20;
+
+// Placeholders the extraction writes when it finds no name
+const PLACEHOLDER_NAMES = /^(not specified|unknown|n a|none|tbd|extraction failed)$/;
+
+// Cancelled contracts stay listed but do not count towards a party's totals
+const EXCLUDED_STATUSES = ['CANCELLED'];
+
+const CONTRACT_FIELDS = {
+  id: true,
+  name: true,
+  client: true,
+  customerId: true,
+  capacity: true,
+  status: true,
+  totalValue: true,
+  systemType: true
+};
+
+export class PartyError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'PartyError';
+    this.statusCode = statusCode;
+  }
+}
+
+// 409 for a name an unmerged party already has; `party` is that party
+const duplicatePartyError = (existing) => {
+  const error = new PartyError(
+    existing ? `A party named "${existing.name}" already exists (${existing.id})` : 'A party with this name already exists',
+    409
+  );
+  error.party = existing || null;
+  return error;
+};
+
+const round = (value, places = 3) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const cleanName = (name) => (typeof name === 'string' ? name.replace(/\s+/g, ' ').trim() : '');
+
+/**
+ * Comparable form of a party name: lower case, punctuation and legal
+ * suffixes (Inc, LLC, Corp, ...) removed, "&" read as "and"
+ */
+export function normalizeName(name) {
+  return normalizePartyName(cleanName(name).replace(/&/g, ' and '))
+    .replace(/\s+/g, ' ')
+    .replace(/^the /, '');
+}
+
+const isPlaceholder = (normalized) => !normalized || PLACEHOLDER_NAMES.test(normalized);
+
+/**
+ * Jaro-Winkler similarity of two strings (0-1)
+ */
+export function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const end = Math.min(b.length, i + window + 1);
+    for (let j = Math.max(0, i - window); j < end; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Similarity of two normalized names. Spacing differences ("B-Braun" and
+ * "BBraun") count as the same name; a name whose words all appear in the
+ * other ("B Braun" in "B Braun Medical") scores by how much of it they cover;
+ * anything else is scored by Jaro-Winkler over the letters, capped by a
+ * word-by-word comparison so a long shared first word ("Generate Capital",
+ * "Generate C&I") is not enough to match.
+ */
+export function nameSimilarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const compactA = a.replace(/ /g, '');
+  const compactB = b.replace(/ /g, '');
+  if (compactA === compactB) return 0.98;
+
+  const tokensA = a.split(' ');
+  const tokensB = b.split(' ');
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const contained = shorter.join('').length >= 4 && shorter.every(token => longer.includes(token));
+  const containment = contained ? 0.8 + 0.2 * (shorter.length / longer.length) : 0;
+
+  const wordScore = shorter.reduce((sum, token) => (
+    sum + Math.max(...longer.map(other => jaroWinkler(token, other)))
+  ), 0) / shorter.length;
+
+  return round(Math.max(containment, Math.min(jaroWinkler(compactA, compactB), wordScore)));
+}
+
+/**
+ * The surviving party for a possibly merged party
+ */
+export function rootParty(party, byId) {
+  let current = party;
+  for (let depth = 0; current?.mergedIntoId && depth < MAX_MERGE_DEPTH; depth++) {
+    const parent = byId.get(current.mergedIntoId);
+    if (!parent) break;
+    current = parent;
+  }
+  return current;
+}
+
+/**
+ * Resolve a free-text name against the registry
+ *
+ * @param {string} name - Name as written
+ * @param {Object[]} parties - Parties with their aliases (merged ones included)
+ * @returns {Object} { name, normalizedName, status, party, score, matchedAlias, candidates, proposal }
+ */
+export function resolveName(name, parties = []) {
+  const text = cleanName(name);
+  const normalizedName = normalizeName(text);
+  const result = { name: text, normalizedName, status: 'new', party: null, score: 0, matchedAlias: null, candidates: [] };
+
+  if (isPlaceholder(normalizedName)) {
+    return { ...result, status: 'empty' };
+  }
+
+  const byId = new Map(parties.map(party => [party.id, party]));
+  const best = new Map();
+
+  for (const party of parties) {
+    const root = rootParty(party, byId);
+    const names = [
+      { alias: party.name, normalized: party.normalizedName || normalizeName(party.name) },
+      ...(party.aliases || []).map(alias => ({ alias: alias.alias, normalized: alias.normalizedAlias || normalizeName(alias.alias) }))
+    ];
+
+    for (const { alias, normalized } of names) {
+      const score = nameSimilarity(normalizedName, normalized);
+      if (score < SUGGEST_SCORE) continue;
+      const current = best.get(root.id);
+      if (!current || score > current.score) {
+        best.set(root.id, { partyId: root.id, name: root.name, type: root.type, score, matchedAlias: alias });
+      }
+    }
+  }
+
+  const candidates = [...best.values()]
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+    .slice(0, MAX_CANDIDATES);
+  const [top, runnerUp] = candidates;
+
+  // Two parties matching equally well need a person to choose
+  if (top && top.score >= AUTO_LINK_SCORE && !(runnerUp && runnerUp.score === top.score)) {
+    return {
+      ...result,
+      status: 'matched',
+      party: { id: top.partyId, name: top.name, type: top.type },
+      score: top.score,
+      matchedAlias: top.matchedAlias,
+      candidates
+    };
+  }
+
+  if (candidates.length > 0) {
+    return { ...result, status: 'ambiguous', score: top.score, candidates };
+  }
+  return { ...result, proposal: { name: text, type: 'CUSTOMER' } };
+}
+
+/**
+ * Contract count, capacity and value of a party's contracts
+ */
+export function partyTotals(contracts = []) {
+  const counted = contracts.filter(contract => !EXCLUDED_STATUSES.includes(contract.status));
+  const capacityKw = counted.reduce((sum, contract) => sum + (contract.capacity || 0), 0);
+  const byStatus = {};
+  contracts.forEach(contract => {
+    byStatus[contract.status] = (byStatus[contract.status] || 0) + 1;
+  });
+
+  return {
+    contracts: contracts.length,
+    capacityKw: round(capacityKw),
+    capacityMw: round(capacityKw / 1000),
+    totalValue: round(counted.reduce((sum, contract) => sum + (contract.totalValue || 0), 0), 2),
+    byStatus
+  };
+}
+
+// Alias rows for distinct, non-placeholder spellings
+const aliasRows = (names, source) => {
+  const rows = new Map();
+  names.forEach(name => {
+    const alias = cleanName(name);
+    const normalizedAlias = normalizeName(alias);
+    if (!isPlaceholder(normalizedAlias) && !rows.has(normalizedAlias)) {
+      rows.set(normalizedAlias, { alias, normalizedAlias, source });
+    }
+  });
+  return [...rows.values()];
+};
+
+const describeParty = (party) => ({
+  id: party.id,
+  name: party.name,
+  type: party.type,
+  mergedIntoId: party.mergedIntoId || null,
+  mergedAt: party.mergedAt || null,
+  createdAt: party.createdAt
+});
+
+class PartyService {
+  async loadRegistry(prisma) {
+    return prisma.party.findMany({ include: { aliases: true } });
+  }
+
+  async resolve(prisma, name) {
+    return resolveName(name, await this.loadRegistry(prisma));
+  }
+
+  async resolveNames(prisma, names) {
+    if (!Array.isArray(names) || names.length === 0) {
+      throw new PartyError('names must be a non-empty array');
+    }
+    if (names.length > MAX_RESOLVE_NAMES) {
+      throw new PartyError(`At most ${MAX_RESOLVE_NAMES} names can be resolved at once`);
+    }
+    const parties = await this.loadRegistry(prisma);
+    return names.map(name => resolveName(name, parties));
+  }
+
+  async createParty(prisma, { name, type = 'CUSTOMER', aliases = [] } = {}, { userId = null, aliasSource = 'MANUAL' } = {}) {
+    const display = cleanName(name);
+    const normalizedName = normalizeName(display);
+    if (isPlaceholder(normalizedName)) {
+      throw new PartyError('name is required');
+    }
+    if (!PARTY_TYPES.includes(type)) {
+      throw new PartyError(`type must be one of: ${PARTY_TYPES.join(', ')}`);
+    }
+    if (!Array.isArray(aliases)) {
+      throw new PartyError('aliases must be an array');
+    }
+
+    const findExisting = () => prisma.party.findFirst({
+      where: { normalizedName, mergedIntoId: null },
+      include: { aliases: true }
+    });
+    const existing = await findExisting();
+    if (existing) {
+      throw duplicatePartyError(existing);
+    }
+
+    let party;
+    try {
+      party = await prisma.party.create({
+        data: {
+          name: display,
+          normalizedName,
+          type,
+          createdBy: userId,
+          aliases: { create: aliasRows([display, ...aliases], aliasSource) }
+        },
+        include: { aliases: true }
+      });
+    } catch (error) {
+      // Unmerged names are unique in the database, so a concurrent create of
+      // the same party loses here rather than adding a duplicate
+      if (error.code === 'P2002') {
+        throw duplicatePartyError(await findExisting());
+      }
+      throw error;
+    }
+
+    console.log(`🏢 Created party "${party.name}" (${party.type})`);
+    return party;
+  }
+
+  async addAlias(prisma, partyId, alias, source = 'MANUAL') {
+    const [row] = aliasRows([alias], source);
+    if (!row) {
+      throw new PartyError('alias is required');
+    }
+    if (!ALIAS_SOURCES.includes(source)) {
+      throw new PartyError(`source must be one of: ${ALIAS_SOURCES.join(', ')}`);
+    }
+
+    const party = await prisma.party.findUnique({ where: { id: partyId }, select: { id: true } });
+    if (!party) {
+      throw new PartyError('Party not found', 404);
+    }
+
+    return prisma.partyAlias.upsert({
+      where: { partyId_normalizedAlias: { partyId, normalizedAlias: row.normalizedAlias } },
+      update: {},
+      create: { partyId, ...row }
+    });
+  }
+
+  /**
+   * Record other spellings of a linked party's name (e.g. filename hints),
+   * keeping only those that resemble one of its names
+   */
+  async addMatchingAliases(prisma, partyId, names, source) {
+    const parties = await this.loadRegistry(prisma);
+    const byId = new Map(parties.map(party => [party.id, party]));
+    const added = [];
+
+    for (const row of aliasRows(names, source)) {
+      const resolution = resolveName(row.alias, parties);
+      const candidate = resolution.candidates.find(entry => entry.partyId === rootParty(byId.get(partyId), byId)?.id);
+      if (candidate) {
+        added.push(await this.addAlias(prisma, partyId, row.alias, source));
+      }
+    }
+    return added;
+  }
+
+  /**
+   * Resolve a contract's client name and link the contract to the party.
+   * Matches are linked and the spelling recorded as an alias, names with
+   * nothing close create a new customer when createIfNew is set, and
+   * ambiguous names are left unlinked for review.
+   *
+   * @param {Object} contract - { id, client, customerId? }
+   * @param {Object} options - createIfNew, source, userId, and a preloaded
+   *   registry that is kept up to date when linking many contracts
+   */
+  async linkContract(prisma, contract, { createIfNew = true, source = 'CONTRACT', userId = null, registry = null } = {}) {
+    const parties = registry || await this.loadRegistry(prisma);
+    const resolution = resolveName(contract.client, parties);
+    let partyId = null;
+    let created = false;
+
+    if (resolution.status === 'matched') {
+      partyId = resolution.party.id;
+      const alias = await this.addAlias(prisma, partyId, contract.client, source);
+      const party = parties.find(entry => entry.id === partyId);
+      if (party && !party.aliases?.some(entry => entry.normalizedAlias === alias.normalizedAlias)) {
+        party.aliases = [...(party.aliases || []), alias];
+      }
+    } else if (resolution.status === 'new' && createIfNew) {
+      let party;
+      try {
+        party = await this.createParty(prisma, { name: contract.client }, { userId, aliasSource: source });
+        created = true;
+      } catch (error) {
+        // Another save created this customer since the registry was loaded
+        if (!error.party) throw error;
+        party = error.party;
+      }
+      if (!parties.some(entry => entry.id === party.id)) parties.push(party);
+      partyId = party.id;
+      resolution.party = { id: party.id, name: party.name, type: party.type };
+    }
+
+    if (partyId || contract.customerId) {
+      await prisma.contract.update({ where: { id: contract.id }, data: { customerId: partyId } });
+    }
+
+    return { ...resolution, contractId: contract.id, linked: Boolean(partyId), created };
+  }
+
+  async linkContractToParty(prisma, partyId, contractId) {
+    const [party, contract] = await Promise.all([
+      prisma.party.findUnique({ where: { id: partyId }, select: { id: true, name: true } }),
+      prisma.contract.findUnique({ where: { id: contractId }, select: { id: true, client: true } })
+    ]);
+    if (!party) {
+      throw new PartyError('Party not found', 404);
+    }
+    if (!contract) {
+      throw new PartyError('Contract not found', 404);
+    }
+
+    await prisma.contract.update({ where: { id: contractId }, data: { customerId: partyId } });
+    if (aliasRows([contract.client], 'CONTRACT').length > 0) {
+      await this.addAlias(prisma, partyId, contract.client, 'CONTRACT');
+    }
+
+    console.log(`🔗 Linked contract ${contractId} to party "${party.name}"`);
+    return { contractId, partyId };
+  }
+
+  /**
+   * Link every contract without a customer, oldest first, so earlier
+   * spellings become the parties later ones resolve to
+   */
+  async linkUnresolvedContracts(prisma, { createIfNew = true, userId = null } = {}) {
+    const contracts = await prisma.contract.findMany({
+      where: { customerId: null },
+      select: { id: true, client: true },
+      orderBy: { createdAt: 'asc' }
+    });
+    const registry = await this.loadRegistry(prisma);
+    const summary = { processed: contracts.length, matched: 0, created: 0, ambiguous: 0, skipped: 0 };
+    const unresolved = [];
+
+    for (const contract of contracts) {
+      const result = await this.linkContract(prisma, contract, { createIfNew, userId, registry });
+      if (result.created) {
+        summary.created++;
+      } else if (result.linked) {
+        summary.matched++;
+      } else if (result.status === 'ambiguous') {
+        summary.ambiguous++;
+        unresolved.push(result);
+      } else {
+        summary.skipped++;
+      }
+    }
+
+    console.log(`🏢 Linked contracts to parties: ${summary.matched} matched, ${summary.created} new, ${summary.ambiguous} ambiguous`);
+    return { ...summary, unresolved };
+  }
+
+  /**
+   * Contracts without a customer and the parties their names resemble
+   */
+  async getUnresolvedContracts(prisma, { limit = 50 } = {}) {
+    const take = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    const [contracts, parties] = await Promise.all([
+      prisma.contract.findMany({
+        where: { customerId: null },
+        select: CONTRACT_FIELDS,
+        orderBy: { createdAt: 'desc' },
+        take
+      }),
+      this.loadRegistry(prisma)
+    ]);
+
+    return contracts.map(contract => ({ contract, resolution: resolveName(contract.client, parties) }));
+  }
+
+  /**
+   * Surviving parties with their aliases and totals over their own and
+   * merged parties' contracts
+   */
+  async listParties(prisma, { search, type, includeMerged = false } = {}) {
+    if (type && !PARTY_TYPES.includes(type)) {
+      throw new PartyError(`type must be one of: ${PARTY_TYPES.join(', ')}`);
+    }
+
+    const [parties, contracts] = await Promise.all([
+      this.loadRegistry(prisma),
+      prisma.contract.findMany({ where: { customerId: { not: null } }, select: CONTRACT_FIELDS })
+    ]);
+    const byId = new Map(parties.map(party => [party.id, party]));
+    const groups = new Map(parties.map(party => [party.id, { aliases: [], contracts: [], mergedParties: [] }]));
+
+    parties.forEach(party => {
+      const group = groups.get(rootParty(party, byId).id);
+      group.aliases.push(...(party.aliases || []).map(alias => alias.alias));
+      if (party.mergedIntoId) group.mergedParties.push({ id: party.id, name: party.name });
+    });
+    contracts.forEach(contract => {
+      const party = byId.get(contract.customerId);
+      if (party) groups.get(rootParty(party, byId).id).contracts.push(contract);
+    });
+
+    const term = search ? normalizeName(search) : '';
+    return parties
+      .filter(party => includeMerged || !party.mergedIntoId)
+      .filter(party => !type || party.type === type)
+      .filter(party => !term || [party.name, ...(party.aliases || []).map(alias => alias.alias)]
+        .some(name => normalizeName(name).includes(term)))
+      .map(party => {
+        const group = party.mergedIntoId ? { aliases: [], contracts: [], mergedParties: [] } : groups.get(party.id);
+        return {
+          ...describeParty(party),
+          aliases: [...new Set(group.aliases)],
+          mergedParties: group.mergedParties,
+          totals: partyTotals(group.contracts)
+        };
+      })
+      .sort((a, b) => b.totals.capacityKw - a.totals.capacityKw || a.name.localeCompare(b.name));
+  }
+
+  // Ids of a party and every party merged into it, directly or through others
+  async mergedGroupIds(prisma, partyId) {
+    const ids = [partyId];
+    let frontier = [partyId];
+    for (let depth = 0; frontier.length > 0 && depth < MAX_MERGE_DEPTH; depth++) {
+      const children = await prisma.party.findMany({
+        where: { mergedIntoId: { in: frontier } },
+        select: { id: true }
+      });
+      frontier = children.map(child => child.id).filter(id => !ids.includes(id));
+      ids.push(...frontier);
+    }
+    return ids;
+  }
+
+  async getParty(prisma, id) {
+    const party = await prisma.party.findUnique({
+      where: { id },
+      include: {
+        mergedInto: { select: { id: true, name: true } },
+        mergedParties: { select: { id: true, name: true, mergedAt: true, mergedBy: true } }
+      }
+    });
+    if (!party) {
+      throw new PartyError('Party not found', 404);
+    }
+
+    const ids = await this.mergedGroupIds(prisma, id);
+    const [aliases, contracts] = await Promise.all([
+      prisma.partyAlias.findMany({ where: { partyId: { in: ids } }, orderBy: { createdAt: 'asc' } }),
+      prisma.contract.findMany({ where: { customerId: { in: ids } }, select: CONTRACT_FIELDS, orderBy: { name: 'asc' } })
+    ]);
+
+    return {
+      ...describeParty(party),
+      mergedInto: party.mergedInto,
+      mergedParties: party.mergedParties,
+      aliases: aliases.map(({ id: aliasId, partyId, alias, source }) => ({ id: aliasId, partyId, alias, source })),
+      contracts,
+      totals: partyTotals(contracts)
+    };
+  }
+
+  /**
+   * Merge a party into another (or into the party that one was merged into)
+   */
+  async mergeParties(prisma, sourceId, targetId, userId = null) {
+    if (!targetId) {
+      throw new PartyError('targetId is required');
+    }
+    if (sourceId === targetId) {
+      throw new PartyError('A party cannot be merged into itself');
+    }
+
+    const parties = await prisma.party.findMany({ select: { id: true, name: true, mergedIntoId: true } });
+    const byId = new Map(parties.map(party => [party.id, party]));
+    const source = byId.get(sourceId);
+    const target = byId.get(targetId);
+    if (!source || !target) {
+      throw new PartyError('Party not found', 404);
+    }
+    if (source.mergedIntoId) {
+      throw new PartyError(`"${source.name}" is already merged; unmerge it first`, 409);
+    }
+
+    const survivor = rootParty(target, byId);
+    if (survivor.id === source.id) {
+      throw new PartyError(`"${target.name}" is merged into "${source.name}"`, 409);
+    }
+
+    await prisma.party.update({
+      where: { id: source.id },
+      data: { mergedIntoId: survivor.id, mergedAt: new Date(), mergedBy: userId }
+    });
+
+    console.log(`🔗 Merged party "${source.name}" into "${survivor.name}"`);
+    return this.getParty(prisma, survivor.id);
+  }
+
+  async unmergeParty(prisma, id) {
+    const party = await prisma.party.findUnique({ where: { id }, select: { id: true, name: true, mergedIntoId: true } });
+    if (!party) {
+      throw new PartyError('Party not found', 404);
+    }
+    if (!party.mergedIntoId) {
+      throw new PartyError(`"${party.name}" is not merged`, 409);
+    }
+
+    try {
+      await prisma.party.update({
+        where: { id },
+        data: { mergedIntoId: null, mergedAt: null, mergedBy: null }
+      });
+    } catch (error) {
+      // A party with the same name was created while this one was merged
+      if (error.code === 'P2002') {
+        throw new PartyError(`Another party is already named "${party.name}"; merge the two instead`, 409);
+      }
+      throw error;
+    }
+
+    console.log(`✂️ Unmerged party "${party.name}"`);
+    return this.getParty(prisma, id);
+  }
+
+  /**
+   * Lookup from a contract's customerId to its surviving party ({ id, name })
+   */
+  async customerLookup(prisma) {
+    const parties = await prisma.party.findMany({ select: { id: true, name: true, mergedIntoId: true } });
+    const byId = new Map(parties.map(party => [party.id, party]));
+    return (customerId) => {
+      const party = customerId ? byId.get(customerId) : null;
+      if (!party) return null;
+      const root = rootParty(party, byId);
+      return { id: root.id, name: root.name };
+    };
+  }
+}
+
+const partyService = new PartyService();
+
+export default partyService;
@@ -7,6 +7,8 @@
  * Design: Flexible pattern matching that provides context snippets to LLM
  */
 
+import { extractContractTables } from './contractTableExtractor.js';
+
 class PatternMatcher {
   constructor() {
     this.patternCache = new Map();
@@ -51,7 +53,7 @@ class PatternMatcher {
     patterns.forEach(pattern => {
       try {
         // Get or create regex
-        const regex = this._getRegex(pattern);
+        const regex = this._getRegex(pattern, fieldDef.flags);
 
         // Find all matches
         let match;
@@ -99,17 +101,22 @@ class PatternMatcher {
 
   /**
    * Get or create cached regex
+   *
+   * @param {string} pattern - Regex source
+   * @param {string} flags - Extra flags from the spec (e.g. 'i'); 'g' is always added
    */
-  _getRegex(pattern) {
+  _getRegex(pattern, flags = '') {
+    const regexFlags = `g${(flags || '').replace(/g/g, '')}`;
+
     if (this.patternCache.has(pattern)) {
-      return new RegExp(this.patternCache.get(pattern), 'g');
+      return new RegExp(this.patternCache.get(pattern), regexFlags);
     }
 
     // Cache the pattern (remove 'g' flag from pattern string if present)
     const cleanPattern = pattern.replace(/\/g$/, '');
     this.patternCache.set(pattern, cleanPattern);
 
-    return new RegExp(cleanPattern, 'g');
+    return new RegExp(cleanPattern, regexFlags);
   }
 
   /**
@@ -171,31 +178,41 @@ class PatternMatcher {
 
   /**
    * Extract table data for fields marked as table_cues
-   * This is a simple implementation - can be enhanced with proper table parsing
+   *
+   * Parses the document's rate schedules, site lists and guarantee tables
+   * (see contractTableExtractor) and returns those whose title or header
+   * mentions a cue, with their rows as typed records.
+   *
+   * @param {string} text - Document text
+   * @param {string[]} tableCues - Cue phrases, e.g. "Pricing Schedule"
+   * @param {Object} [options] - { tables } cell tables from Textract
+   * @returns {Array} { cue, kind, title, lines, records, startPosition }
    */
-  extractTableData(text, tableCues) {
+  extractTableData(text, tableCues, options = {}) {
     const tableData = [];
 
     if (!tableCues || tableCues.length === 0) {
       return tableData;
     }
 
-    // Look for lines that contain table cues
-    const lines = text.split('\n');
-
-    tableCues.forEach(cue => {
-      const cueLower = cue.toLowerCase();
-      lines.forEach((line, index) => {
-        if (line.toLowerCase().includes(cueLower)) {
-          // Extract this line and next 5 lines as potential table rows
-          const tableLines = lines.slice(index, Math.min(index + 6, lines.length));
-          tableData.push({
-            cue,
-            lines: tableLines,
-            startPosition: index
-          });
-        }
-      });
+    const tables = extractContractTables(text, options);
+
+    tables.forEach(table => {
+      const heading = [table.title, ...table.columns.map(column => column.label), table.lines[0]]
+        .filter(Boolean)
+        .join(' ')
+        .toLowerCase();
+      const cue = tableCues.find(candidate => heading.includes(candidate.toLowerCase()));
+      if (cue) {
+        tableData.push({
+          cue,
+          kind: table.kind,
+          title: table.title,
+          lines: table.lines,
+          records: table.records,
+          startPosition: table.startLine
+        });
+      }
     });
 
     return tableData;
@@ -0,0 +1,83 @@
+/**
+ * PDF Page Parser
+ * Splits pdf-parse output into physical pages with their size, rotation and
+ * whether they carry a text layer, so scanned pages inside an otherwise native
+ * PDF can be routed to OCR on their own.
+ */
+
+import pdfParse from 'pdf-parse';
+
+// Scanned pages often carry a stray text layer (page numbers, stamps, Bates
+// numbers). Pages with fewer visible characters than this are treated as
+// images.
+const MIN_TEXT_LAYER_CHARS = 25;
+
+/**
+ * Whether extracted page text is a real text layer rather than scanner noise
+ */
+export function hasTextLayer(text) {
+  return (text || '').replace(/\s+/g, '').length >= MIN_TEXT_LAYER_CHARS;
+}
+
+/**
+ * Displayed page size in PDF points from the page's view box, with width and
+ * height swapped for pages rotated a quarter turn
+ */
+export function pageGeometry(view, rotate = 0) {
+  const rotation = ((rotate % 360) + 360) % 360;
+  const [x0, y0, x1, y1] = view;
+  const width = Math.abs(x1 - x0);
+  const height = Math.abs(y1 - y0);
+  return rotation % 180 === 90
+    ? { width: height, height: width, rotation }
+    : { width, height, rotation };
+}
+
+/**
+ * Run pdf-parse and keep each page's text, its span in the combined text,
+ * its geometry and whether it has a text layer.
+ * pdf-parse renders pages in order and prefixes every page with "\n\n".
+ */
+export async function parsePdfPages(buffer) {
+  const pageTexts = [];
+  const geometries = [];
+
+  // pdf.js 1.x can fail to resolve objects ("bad XRef entry") when handed a
+  // Node Buffer, so give it a plain Uint8Array copy
+  const pdfData = await pdfParse(new Uint8Array(buffer), {
+    pagerender: pageData => {
+      geometries[pageData.pageIndex] = pageGeometry(pageData.view, pageData.rotate);
+      return pageData
+        .getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+        .then(textContent => {
+          // Same line-joining as pdf-parse's default renderer
+          let lastY;
+          let text = '';
+          for (const item of textContent.items) {
+            text += (lastY === item.transform[5] || !lastY) ? item.str : `\n${item.str}`;
+            lastY = item.transform[5];
+          }
+          pageTexts[pageData.pageIndex] = text;
+          return text;
+        });
+    }
+  });
+
+  const pages = [];
+  let offset = 0;
+  for (let index = 0; index < pdfData.numrender; index++) {
+    const text = pageTexts[index] || '';
+    offset += 2;
+    pages.push({
+      pageNumber: index + 1,
+      text,
+      start: offset,
+      end: offset + text.length,
+      ...geometries[index],
+      hasTextLayer: hasTextLayer(text)
+    });
+    offset += text.length;
+  }
+
+  return { pdfData, pages };
+}
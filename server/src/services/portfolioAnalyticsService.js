@@ -0,0 +1,458 @@
+/**
+ * Portfolio Analytics Service
+ *
+ * Time-series rollups over the contract portfolio for the dashboard:
+ *
+ *   contractedCapacity - MW under contract at the end of each month/quarter,
+ *                        history plus scheduled roll-off
+ *   baseRates          - capacity-weighted average base rate by system type
+ *                        and start year
+ *   escalation         - distribution of average annual escalation
+ *   revenueBacklog     - billings still to come per calendar year, from each
+ *                        contract's escalation schedule (financialModelService)
+ *   expiringCapacity   - MW whose term ends in each upcoming quarter
+ *
+ * Terms come from contractTerm (the contract calendar's rule: COD, else the
+ * effective date, to the analyzed expiration, else `term` years). Contract
+ * years are prorated by day across calendar years. Drafts and cancelled
+ * contracts are left out; expired contracts count towards history only.
+ *
+ * A nightly job stores a SystemStats snapshot so totals can be followed over
+ * time without recomputing the past.
+ *
+ * Environment:
+ *   PORTFOLIO_SNAPSHOT_HOUR - hour of day (0-23, server time) for the nightly snapshot (default 1)
+ */
+
+import financialModelService from './financialModelService.js';
+import { contractTerm } from './contractCalendarService.js';
+import { evaluateEscalationSchedule } from '../../../shared/escalationSchedule.js';
+
+export const INTERVALS = ['month', 'quarter'];
+
+const DEFAULT_SNAPSHOT_HOUR = 1;
+const SNAPSHOT_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXCLUDED_STATUSES = ['DRAFT', 'CANCELLED'];
+const ESCALATION_BUCKET = 0.5;
+const MAX_SERIES_POINTS = 240;
+
+export class AnalyticsError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.statusCode = statusCode;
+  }
+}
+
+const round = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const toMw = (kw) => round((kw || 0) / 1000, 3);
+
+const utcDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+const quarterOf = (date) => `${date.getUTCFullYear()}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+
+const periodOf = (date, interval) => interval === 'month'
+  ? date.toISOString().slice(0, 7)
+  : quarterOf(date);
+
+// Last day of the month or quarter containing date
+const periodEnd = (date, interval) => {
+  const months = interval === 'month' ? 1 : 3;
+  const firstMonth = Math.floor(date.getUTCMonth() / months) * months;
+  return new Date(Date.UTC(date.getUTCFullYear(), firstMonth + months, 0));
+};
+
+const dayAfter = (date) => new Date(date.getTime() + DAY_MS);
+
+const parseInteger = (value, name, { min, max, fallback }) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new AnalyticsError(`${name} must be a whole number from ${min} to ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Options from query parameters
+ *
+ * @param {Object} query - { interval, horizonYears, quarters, snapshotDays }
+ */
+export function parseOptions(query = {}) {
+  const interval = query.interval || 'quarter';
+  if (!INTERVALS.includes(interval)) {
+    throw new AnalyticsError(`interval must be one of ${INTERVALS.join(', ')}`);
+  }
+  return {
+    interval,
+    horizonYears: parseInteger(query.horizonYears, 'horizonYears', { min: 0, max: 30, fallback: 5 }),
+    quarters: parseInteger(query.quarters, 'quarters', { min: 1, max: 40, fallback: 12 }),
+    snapshotDays: parseInteger(query.snapshotDays, 'snapshotDays', { min: 1, max: 3650, fallback: 90 })
+  };
+}
+
+// Contract years of a term, each with the dates it covers and its billing
+const contractYears = (contract, start) => {
+  const financial = contract.financial;
+  if (!financial || typeof financial.baseRate !== 'number' || !contract.capacity || !contract.term) {
+    return null;
+  }
+  const model = financialModelService.calculate({
+    capacity: contract.capacity,
+    term: contract.term,
+    baseRate: financial.baseRate,
+    escalation: financial.escalation ?? 0,
+    escalationSchedule: financial.escalationSchedule ?? null
+  });
+  return model.yearlyRates.map(entry => {
+    const from = new Date(Date.UTC(start.getUTCFullYear() + entry.year - 1, start.getUTCMonth(), start.getUTCDate()));
+    const to = new Date(Date.UTC(start.getUTCFullYear() + entry.year, start.getUTCMonth(), start.getUTCDate()));
+    return { from, to, amount: entry.annualPayment };
+  });
+};
+
+// Spread an amount billed evenly over [from, to) across calendar years, counting only days from `since`
+const allocateByYear = (totals, { from, to, amount }, since) => {
+  const days = (to - from) / DAY_MS;
+  let cursor = from < since ? since : from;
+  while (cursor < to) {
+    const yearEnd = new Date(Date.UTC(cursor.getUTCFullYear() + 1, 0, 1));
+    const until = yearEnd < to ? yearEnd : to;
+    const year = cursor.getUTCFullYear();
+    totals.set(year, (totals.get(year) || 0) + amount * ((until - cursor) / DAY_MS) / days);
+    cursor = until;
+  }
+};
+
+/**
+ * Average annual escalation in percent, compounded over the term
+ *
+ * Rate holidays are ignored (the underlying rate keeps escalating), so a
+ * schedule with steps or CPI years still lands in one bucket.
+ */
+export function averageEscalation(contract) {
+  const financial = contract.financial;
+  if (!financial) return null;
+  if (!financial.escalationSchedule || financial.escalationSchedule.type === 'fixed') {
+    const rate = financial.escalationSchedule?.rate ?? financial.escalation;
+    return typeof rate === 'number' ? rate : null;
+  }
+  const years = evaluateEscalationSchedule({
+    baseRate: financial.baseRate || 1,
+    contractTerm: contract.term,
+    schedule: financial.escalationSchedule,
+    annualEscalation: financial.escalation ?? 0
+  });
+  if (years.length < 2 || !years[0].underlyingRate) return 0;
+  const growth = years[years.length - 1].underlyingRate / years[0].underlyingRate;
+  return round((growth ** (1 / (years.length - 1)) - 1) * 100, 3);
+}
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * All portfolio rollups for a set of contracts
+ *
+ * @param {Object[]} contracts - Contracts with `financial` and optional `analyses`
+ * @param {Object} [options] - From parseOptions, plus `asOf` (Date, default now)
+ * @returns {Object} { asOf, summary, contractedCapacity, baseRates, escalation, revenueBacklog, expiringCapacity }
+ */
+export function buildPortfolio(contracts, options = {}) {
+  const { interval = 'quarter', horizonYears = 5, quarters = 12 } = options;
+  const asOf = utcDay(options.asOf || new Date());
+
+  const portfolio = contracts
+    .filter(contract => !EXCLUDED_STATUSES.includes(contract.status))
+    .map(contract => ({ contract, ...contractTerm(contract) }))
+    .filter(entry => entry.start);
+
+  const isActiveOn = (entry, day) => entry.start <= day && (!entry.expiration || day < entry.expiration);
+  const open = portfolio.filter(entry => entry.contract.status !== 'EXPIRED');
+  const activeNow = open.filter(entry => isActiveOn(entry, asOf));
+
+  // Contracted MW at the end of each period, from the first start to the horizon
+  const contractedCapacity = [];
+  if (portfolio.length > 0) {
+    const horizon = new Date(Date.UTC(asOf.getUTCFullYear() + horizonYears, asOf.getUTCMonth(), asOf.getUTCDate()));
+    const earliest = new Date(Math.min(...portfolio.map(entry => entry.start.getTime())));
+    let end = periodEnd(earliest, interval);
+    while (end <= periodEnd(horizon, interval)) {
+      // Expired contracts describe the past only
+      const active = portfolio.filter(entry => isActiveOn(entry, end) &&
+        (end <= asOf || entry.contract.status !== 'EXPIRED'));
+      contractedCapacity.push({
+        period: periodOf(end, interval),
+        date: formatDay(end),
+        mw: toMw(active.reduce((sum, entry) => sum + (entry.contract.capacity || 0), 0)),
+        contracts: active.length,
+        projected: end > asOf
+      });
+      end = periodEnd(dayAfter(end), interval);
+    }
+    contractedCapacity.splice(0, Math.max(0, contractedCapacity.length - MAX_SERIES_POINTS));
+  }
+
+  // Capacity-weighted base rate by system type and start year
+  const rateGroups = new Map();
+  for (const { contract, start } of portfolio) {
+    const baseRate = contract.financial?.baseRate;
+    if (typeof baseRate !== 'number' || !contract.capacity) continue;
+    const key = `${start.getUTCFullYear()}|${contract.systemType}`;
+    const group = rateGroups.get(key) || { year: start.getUTCFullYear(), systemType: contract.systemType, weighted: 0, capacity: 0, contracts: 0 };
+    group.weighted += baseRate * contract.capacity;
+    group.capacity += contract.capacity;
+    group.contracts += 1;
+    rateGroups.set(key, group);
+  }
+  const baseRates = [...rateGroups.values()]
+    .map(group => ({
+      year: group.year,
+      systemType: group.systemType,
+      weightedBaseRate: round(group.weighted / group.capacity, 4),
+      capacityMw: toMw(group.capacity),
+      contracts: group.contracts
+    }))
+    .sort((a, b) => a.year - b.year || a.systemType.localeCompare(b.systemType));
+
+  // Escalation histogram in half-percent buckets
+  const escalations = portfolio
+    .map(({ contract }) => ({ contract, value: averageEscalation(contract) }))
+    .filter(entry => typeof entry.value === 'number');
+  const buckets = new Map();
+  for (const { contract, value } of escalations) {
+    const min = round(Math.floor(value / ESCALATION_BUCKET + 1e-9) * ESCALATION_BUCKET, 1);
+    const bucket = buckets.get(min) || { min, max: round(min + ESCALATION_BUCKET, 1), contracts: 0, capacityMw: 0 };
+    bucket.contracts += 1;
+    bucket.capacityMw = round(bucket.capacityMw + toMw(contract.capacity), 3);
+    buckets.set(min, bucket);
+  }
+  const escalationCapacity = escalations.reduce((sum, { contract }) => sum + (contract.capacity || 0), 0);
+  const escalation = {
+    buckets: [...buckets.values()]
+      .sort((a, b) => a.min - b.min)
+      .map(bucket => ({ label: `${bucket.min.toFixed(1)}-${bucket.max.toFixed(1)}%`, ...bucket })),
+    mean: escalations.length > 0 ? round(escalations.reduce((sum, entry) => sum + entry.value, 0) / escalations.length, 3) : null,
+    median: escalations.length > 0 ? round(median(escalations.map(entry => entry.value)), 3) : null,
+    capacityWeighted: escalationCapacity > 0
+      ? round(escalations.reduce((sum, { contract, value }) => sum + value * (contract.capacity || 0), 0) / escalationCapacity, 3)
+      : null
+  };
+
+  // Billings from today to the end of each open contract
+  const backlogByYear = new Map();
+  let missingFinancials = 0;
+  for (const { contract, start } of open) {
+    const years = contractYears(contract, start);
+    if (!years) {
+      missingFinancials += 1;
+      continue;
+    }
+    years.forEach(year => allocateByYear(backlogByYear, year, asOf));
+  }
+  const backlogYears = [...backlogByYear.entries()]
+    .map(([year, amount]) => ({ year, amount: round(amount) }))
+    .filter(entry => entry.amount > 0)
+    .sort((a, b) => a.year - b.year);
+  const revenueBacklog = {
+    total: round(backlogYears.reduce((sum, entry) => sum + entry.amount, 0)),
+    byYear: backlogYears,
+    missingFinancials
+  };
+
+  // Terms ending in each of the next quarters, starting with the current one
+  const expiringCapacity = [];
+  for (let index = 0; index < quarters; index++) {
+    const first = new Date(Date.UTC(asOf.getUTCFullYear(), Math.floor(asOf.getUTCMonth() / 3) * 3 + index * 3, 1));
+    const last = periodEnd(first, 'quarter');
+    const expiring = open.filter(entry => entry.expiration && entry.expiration >= first && entry.expiration <= last);
+    expiringCapacity.push({
+      quarter: quarterOf(first),
+      mw: toMw(expiring.reduce((sum, entry) => sum + (entry.contract.capacity || 0), 0)),
+      contracts: expiring.map(({ contract, expiration }) => ({
+        id: contract.id,
+        name: contract.name,
+        client: contract.client,
+        expirationDate: formatDay(expiration),
+        capacityMw: toMw(contract.capacity)
+      }))
+    });
+  }
+
+  const activeCapacity = activeNow.reduce((sum, entry) => sum + (entry.contract.capacity || 0), 0);
+  const activeRated = activeNow.filter(entry => typeof entry.contract.financial?.baseRate === 'number' && entry.contract.capacity);
+  const ratedCapacity = activeRated.reduce((sum, entry) => sum + entry.contract.capacity, 0);
+
+  return {
+    asOf: formatDay(asOf),
+    summary: {
+      contracts: portfolio.length,
+      activeContracts: activeNow.length,
+      contractedMw: toMw(activeCapacity),
+      weightedBaseRate: ratedCapacity > 0
+        ? round(activeRated.reduce((sum, entry) => sum + entry.contract.financial.baseRate * entry.contract.capacity, 0) / ratedCapacity, 4)
+        : null,
+      averageEscalation: escalation.capacityWeighted,
+      revenueBacklog: revenueBacklog.total,
+      expiringNext12MonthsMw: toMw(open
+        .filter(entry => entry.expiration && entry.expiration >= asOf &&
+          entry.expiration < new Date(Date.UTC(asOf.getUTCFullYear() + 1, asOf.getUTCMonth(), asOf.getUTCDate())))
+        .reduce((sum, entry) => sum + (entry.contract.capacity || 0), 0))
+    },
+    contractedCapacity,
+    baseRates,
+    escalation,
+    revenueBacklog,
+    expiringCapacity
+  };
+}
+
+const countBy = (contracts, key) => contracts.reduce((counts, contract) => {
+  counts[contract[key]] = (counts[contract[key]] || 0) + 1;
+  return counts;
+}, {});
+
+const snapshotSummary = (snapshot) => ({
+  date: formatDay(snapshot.snapshotDate),
+  totalContracts: snapshot.totalContracts,
+  totalValue: snapshot.totalValue,
+  contractedMw: snapshot.contractedMw,
+  revenueBacklog: snapshot.revenueBacklog,
+  weightedBaseRate: snapshot.weightedBaseRate
+});
+
+class PortfolioAnalyticsService {
+  getSnapshotHour() {
+    const hour = parseInt(process.env.PORTFOLIO_SNAPSHOT_HOUR, 10);
+    return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : DEFAULT_SNAPSHOT_HOUR;
+  }
+
+  async loadContracts(prisma) {
+    return prisma.contract.findMany({
+      include: {
+        financial: true,
+        analyses: {
+          where: { expirationDate: { not: null } },
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+          select: { expirationDate: true }
+        }
+      }
+    });
+  }
+
+  /**
+   * Rollups for GET /api/analytics/portfolio, with recent snapshots
+   *
+   * @param {Object} prisma - Prisma client
+   * @param {Object} query - Query parameters, see parseOptions
+   */
+  async getPortfolio(prisma, query = {}) {
+    const options = parseOptions(query);
+    const contracts = await this.loadContracts(prisma);
+    const since = new Date(Date.now() - options.snapshotDays * DAY_MS);
+    const snapshots = await prisma.systemStats.findMany({
+      where: { snapshotDate: { gte: since } },
+      orderBy: { snapshotDate: 'asc' }
+    });
+
+    return {
+      ...buildPortfolio(contracts, options),
+      snapshots: snapshots.map(snapshotSummary)
+    };
+  }
+
+  /**
+   * Store a SystemStats snapshot of the portfolio as it is now
+   */
+  async takeSnapshot(prisma) {
+    const contracts = await this.loadContracts(prisma);
+    const { summary, escalation, revenueBacklog } = buildPortfolio(contracts);
+    const totalValue = contracts.reduce((sum, contract) => sum + (contract.totalValue || 0), 0);
+
+    // Growth in contract count against the snapshot closest to a month ago
+    const monthAgo = await prisma.systemStats.findFirst({
+      where: { snapshotDate: { lte: new Date(Date.now() - 30 * DAY_MS) } },
+      orderBy: { snapshotDate: 'desc' }
+    });
+    const monthlyGrowth = monthAgo?.totalContracts
+      ? round((contracts.length - monthAgo.totalContracts) / monthAgo.totalContracts * 100)
+      : 0;
+
+    const snapshot = await prisma.systemStats.create({
+      data: {
+        totalContracts: contracts.length,
+        totalValue: round(totalValue),
+        averageContractValue: contracts.length > 0 ? round(totalValue / contracts.length) : 0,
+        monthlyGrowth,
+        // Share of contracts past the draft stage
+        completionRate: contracts.length > 0
+          ? round(contracts.filter(contract => contract.status !== 'DRAFT').length / contracts.length * 100)
+          : 0,
+        contractsByStatus: countBy(contracts, 'status'),
+        contractsByType: countBy(contracts, 'systemType'),
+        contractedMw: summary.contractedMw,
+        revenueBacklog: revenueBacklog.total,
+        weightedBaseRate: summary.weightedBaseRate,
+        averageEscalation: escalation.capacityWeighted,
+        backlogByYear: revenueBacklog.byYear
+      }
+    });
+
+    console.log(`📈 Portfolio snapshot stored: ${summary.contractedMw} MW contracted, $${revenueBacklog.total} backlog`);
+    return snapshot;
+  }
+
+  /**
+   * Take one snapshot a day, at or after the snapshot hour. The check runs
+   * every few minutes against the stored snapshots, so a server that was
+   * down at that hour catches up when it starts.
+   */
+  startSnapshotSchedule(prisma) {
+    this.stopSnapshotSchedule();
+
+    const check = async () => {
+      const now = new Date();
+      if (now.getHours() < this.getSnapshotHour()) return;
+      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+      if (this.lastSnapshotAt >= today) return;
+
+      const existing = await prisma.systemStats.findFirst({
+        where: { snapshotDate: { gte: today } },
+        select: { snapshotDate: true }
+      });
+      this.lastSnapshotAt = existing ? existing.snapshotDate : (await this.takeSnapshot(prisma)).snapshotDate;
+    };
+
+    const run = () => check().catch(error => {
+      console.error('Portfolio snapshot failed:', error.message);
+    });
+
+    run();
+    this.snapshotTimer = setInterval(run, SNAPSHOT_CHECK_INTERVAL_MS);
+    this.snapshotTimer.unref?.();
+    console.log(`📈 Portfolio snapshots scheduled daily at ${this.getSnapshotHour()}:00`);
+  }
+
+  stopSnapshotSchedule() {
+    if (this.snapshotTimer) {
+      clearInterval(this.snapshotTimer);
+      this.snapshotTimer = null;
+    }
+  }
+}
+
+const portfolioAnalyticsService = new PortfolioAnalyticsService();
+
+export default portfolioAnalyticsService;
@@ -0,0 +1,518 @@
+/**
+ * Review Queue Service
+ *
+ * Routes low-confidence extractions to a human reviewer. Each AI analysis is
+ * recorded as a ContractAnalysis with one AnalysisConfidence row per
+ * extracted field; fields below the review threshold, or whose value could
+ * not be located in the source text, are flagged `requiresReview`. Document
+ * classifications below the threshold are flagged `reviewRequired`.
+ *
+ * Re-analyzing a document supersedes the pending items of its earlier
+ * analyses, so the queue only shows each field once.
+ *
+ * Reviewers accept, correct or reject each flagged field. Every decision is
+ * fed back to the learning service: corrections through
+ * learnFromUserCorrection, accept/reject through reinforceRule.
+ *
+ * Methods take the Prisma client per call, matching documentProcessingService.
+ */
+
+import { toDocumentType } from './documentTypeClassifier.js';
+
+const DEFAULT_REVIEW_THRESHOLD = 0.6;
+const HIGH_CONFIDENCE = 0.8;
+const LOW_CONFIDENCE = 0.3;
+const NOT_SPECIFIED = 'NOT SPECIFIED';
+
+// extractedData field -> ConfidenceAspect
+const FIELD_ASPECTS = {
+  buyer: 'PARTIES',
+  seller: 'PARTIES',
+  customerName: 'PARTIES',
+  financialOwner: 'PARTIES',
+  effectiveDate: 'DATES',
+  commercialOperationDate: 'DATES',
+  expirationDate: 'DATES',
+  contractTerm: 'DATES',
+  baseRate: 'FINANCIAL_TERMS',
+  annualEscalation: 'FINANCIAL_TERMS',
+  paymentFrequency: 'FINANCIAL_TERMS',
+  paymentDueDate: 'FINANCIAL_TERMS',
+  microgridAdder: 'FINANCIAL_TERMS',
+  thermalCycleFee: 'FINANCIAL_TERMS',
+  electricalBudget: 'FINANCIAL_TERMS',
+  commissioningAllowance: 'FINANCIAL_TERMS',
+  contractNumber: 'REFERENCE_NUMBERS',
+  purchaseOrderNumber: 'REFERENCE_NUMBERS',
+  efficiencyWarranty: 'CRITICAL_CLAUSES',
+  availabilityGuarantee: 'CRITICAL_CLAUSES',
+  outputWarranty: 'CRITICAL_CLAUSES'
+};
+
+const DECISIONS = {
+  accept: 'ACCEPTED',
+  correct: 'CORRECTED',
+  reject: 'REJECTED'
+};
+
+export class ReviewQueueError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ReviewQueueError';
+    this.statusCode = statusCode;
+  }
+}
+
+class ReviewQueueService {
+  constructor(options = {}) {
+    this.learningService = options.learningService || null;
+    this.reviewThreshold = options.reviewThreshold
+      ?? (parseFloat(process.env.REVIEW_CONFIDENCE_THRESHOLD) || DEFAULT_REVIEW_THRESHOLD);
+  }
+
+  // ==========================================================================
+  // RECORDING
+  // ==========================================================================
+
+  /**
+   * Record an analysis result and flag the fields that need a reviewer
+   *
+   * @param {Object} prisma - Prisma client
+   * @param {Object} analysis - Per-document analysis (as returned by /api/documents/analyze)
+   * @param {Object} options - { contractId }
+   * @returns {Object} { analysisId, documentId (ContractDocument, if any), fieldsRecorded, fieldsFlagged, classificationFlagged }
+   */
+  async recordAnalysis(prisma, analysis, options = {}) {
+    if (!prisma || !analysis || analysis.error) {
+      return null;
+    }
+
+    const contractDocument = analysis.documentId
+      ? await prisma.contractDocument.findUnique({ where: { id: analysis.documentId } })
+      : null;
+    const contract = options.contractId && !options.contractId.startsWith('temp-')
+      ? await prisma.contract.findUnique({ where: { id: options.contractId } })
+      : null;
+
+    const fields = this.scoreFields(analysis);
+
+    const record = await prisma.contractAnalysis.create({
+      data: {
+        documentId: contractDocument?.id || null,
+        contractId: contract?.id || contractDocument?.contractId || null,
+        contractType: analysis.contractType || null,
+        contractTypeConfidence: analysis.structuredExtraction?.confidence ?? null,
+        parties: flattenParties(analysis.parties),
+        referenceNumbers: [],
+        criticalClauses: [],
+        extractedRules: Array.isArray(analysis.extractedRules) ? analysis.extractedRules : [],
+        overallConfidence: analysis.confidence ?? 0,
+        documentQuality: qualityFor(analysis.confidence ?? 0),
+        analysisNotes: `Source: ${analysis.filename || 'unknown file'} (${analysis.documentId || 'no document id'})`,
+        processingTime: analysis.processingTime || null,
+        confidenceTracking: {
+          create: fields.map(field => ({
+            aspectType: field.aspectType,
+            aspectName: field.aspectName,
+            confidence: field.confidence,
+            evidenceCount: field.citation ? 1 : 0,
+            evidenceQuality: qualityFor(field.confidence),
+            evidence: {
+              value: field.value,
+              documentId: analysis.documentId || null,
+              filename: analysis.filename || null,
+              citation: field.citation
+            },
+            reasoning: field.reasons.join('; ') || null,
+            isHighConfidence: field.confidence >= HIGH_CONFIDENCE,
+            isLowConfidence: field.confidence <= LOW_CONFIDENCE,
+            requiresReview: field.requiresReview
+          }))
+        }
+      }
+    });
+
+    if (analysis.documentId) {
+      await this.supersedePending(prisma, analysis.documentId, record.id);
+    }
+
+    const classificationFlagged = contractDocument
+      ? await this.recordClassification(prisma, contractDocument, analysis)
+      : false;
+
+    const fieldsFlagged = fields.filter(field => field.requiresReview).length;
+    if (fieldsFlagged > 0 || classificationFlagged) {
+      console.log(`🧐 Review queue: ${fieldsFlagged} field(s)${classificationFlagged ? ' and the classification' : ''} of ${analysis.filename} flagged for review`);
+    }
+
+    return {
+      analysisId: record.id,
+      documentId: contractDocument?.id || null,
+      fieldsRecorded: fields.length,
+      fieldsFlagged,
+      classificationFlagged
+    };
+  }
+
+  /**
+   * Close the unreviewed items of earlier analyses of a document (ContractDocument
+   * or upload, as recorded in the item's evidence)
+   */
+  async supersedePending(prisma, documentId, analysisId) {
+    const { count } = await prisma.analysisConfidence.updateMany({
+      where: {
+        reviewDecision: 'PENDING',
+        analysisId: { not: analysisId },
+        evidence: { path: ['documentId'], equals: documentId }
+      },
+      data: {
+        reviewDecision: 'SUPERSEDED',
+        reviewComment: `Superseded by analysis ${analysisId}`,
+        reviewedAt: new Date(),
+        requiresReview: false
+      }
+    });
+
+    if (count > 0) {
+      console.log(`🧐 Review queue: superseded ${count} pending item(s) of ${documentId}`);
+    }
+    return count;
+  }
+
+  /**
+   * Confidence and review flag for every populated extracted field
+   */
+  scoreFields(analysis) {
+    const extractedData = analysis.extractedData || {};
+    const fieldConfidence = analysis.structuredExtraction?.fieldConfidence || {};
+
+    return Object.entries(extractedData)
+      .filter(([, value]) => isReviewable(value))
+      .map(([aspectName, value]) => {
+        const confidence = clamp(typeof fieldConfidence[aspectName] === 'number'
+          ? fieldConfidence[aspectName]
+          : (analysis.confidence ?? 0));
+        const citation = analysis.citations?.[aspectName] || null;
+
+        const reasons = [];
+        if (confidence < this.reviewThreshold) {
+          reasons.push(`Confidence ${Math.round(confidence * 100)}% is below the ${Math.round(this.reviewThreshold * 100)}% review threshold`);
+        }
+        if (!citation) {
+          reasons.push('Value could not be located in the source document');
+        }
+
+        return {
+          aspectType: FIELD_ASPECTS[aspectName] || 'SUBJECT_MATTER',
+          aspectName,
+          value,
+          confidence,
+          citation,
+          reasons,
+          requiresReview: reasons.length > 0
+        };
+      });
+  }
+
+  /**
+   * Upsert the DocumentClassification for a ContractDocument, leaving
+   * human-reviewed classifications untouched
+   */
+  async recordClassification(prisma, contractDocument, analysis) {
+    const structured = analysis.structuredExtraction;
+    if (!structured?.documentType) {
+      return false;
+    }
+
+    const existing = await prisma.documentClassification.findUnique({
+      where: { documentId: contractDocument.id }
+    });
+    if (existing?.humanReviewed) {
+      return false;
+    }
+
+    const typeConfidence = clamp(structured.confidence ?? 0);
+    const reviewRequired = typeConfidence < this.reviewThreshold;
+    const data = {
+      suggestedType: toDocumentType(structured.documentType),
+      typeConfidence,
+      alternativeTypes: [],
+      alternativeContracts: [],
+      classificationReason: `Classified as ${structured.documentType} by the extraction spec`,
+      keyIndicators: structured.detectedCues || [],
+      status: reviewRequired ? 'REVIEW_REQUIRED' : 'COMPLETED',
+      reviewRequired
+    };
+
+    await prisma.documentClassification.upsert({
+      where: { documentId: contractDocument.id },
+      create: { documentId: contractDocument.id, ...data },
+      update: data
+    });
+
+    return reviewRequired;
+  }
+
+  // ==========================================================================
+  // QUEUE
+  // ==========================================================================
+
+  /**
+   * Pending field reviews (lowest confidence first) and classifications
+   *
+   * @param {Object} prisma - Prisma client
+   * @param {Object} options - { contractId, limit, offset }
+   */
+  async listPending(prisma, options = {}) {
+    const limit = Math.min(parseInt(options.limit, 10) || 50, 200);
+    const offset = parseInt(options.offset, 10) || 0;
+
+    const fieldWhere = {
+      requiresReview: true,
+      reviewDecision: 'PENDING',
+      ...(options.contractId && { analysis: { contractId: options.contractId } })
+    };
+    const classificationWhere = {
+      reviewRequired: true,
+      humanReviewed: false,
+      ...(options.contractId && { document: { contractId: options.contractId } })
+    };
+
+    const [fields, totalFields, classifications, totalClassifications] = await Promise.all([
+      prisma.analysisConfidence.findMany({
+        where: fieldWhere,
+        include: {
+          analysis: {
+            select: { id: true, contractId: true, documentId: true, contractType: true, overallConfidence: true, createdAt: true }
+          }
+        },
+        orderBy: [{ confidence: 'asc' }, { createdAt: 'asc' }],
+        take: limit,
+        skip: offset
+      }),
+      prisma.analysisConfidence.count({ where: fieldWhere }),
+      prisma.documentClassification.findMany({
+        where: classificationWhere,
+        include: {
+          document: { select: { id: true, title: true, originalName: true, contractId: true, documentType: true } }
+        },
+        orderBy: { typeConfidence: 'asc' },
+        take: limit
+      }),
+      prisma.documentClassification.count({ where: classificationWhere })
+    ]);
+
+    return {
+      fields: fields.map(formatFieldItem),
+      classifications,
+      counts: {
+        fields: totalFields,
+        classifications: totalClassifications
+      },
+      pagination: { limit, offset }
+    };
+  }
+
+  // ==========================================================================
+  // DECISIONS
+  // ==========================================================================
+
+  /**
+   * Accept, correct or reject a flagged field
+   *
+   * @param {Object} prisma - Prisma client
+   * @param {string} id - AnalysisConfidence id
+   * @param {Object} review - { decision: 'accept'|'correct'|'reject', value, comment }
+   * @param {string} reviewer - Reviewer id/email
+   */
+  async reviewField(prisma, id, review, reviewer) {
+    const decision = DECISIONS[review.decision];
+    if (!decision) {
+      throw new ReviewQueueError(`Unknown review decision "${review.decision}"`);
+    }
+    if (decision === 'CORRECTED' && !isReviewable(review.value)) {
+      throw new ReviewQueueError('A corrected value is required');
+    }
+
+    const item = await prisma.analysisConfidence.findUnique({
+      where: { id },
+      include: { analysis: { select: { contractId: true, documentId: true, contractType: true } } }
+    });
+    if (!item) {
+      throw new ReviewQueueError('Review item not found', 404);
+    }
+    if (item.reviewDecision !== 'PENDING') {
+      throw new ReviewQueueError(`Review item was already ${item.reviewDecision.toLowerCase()}`, 409);
+    }
+
+    const extractedValue = item.evidence?.value ?? null;
+    const reviewedValue = decision === 'CORRECTED'
+      ? review.value
+      : decision === 'ACCEPTED' ? extractedValue : null;
+
+    const updated = await prisma.analysisConfidence.update({
+      where: { id },
+      data: {
+        reviewDecision: decision,
+        reviewedValue,
+        reviewComment: review.comment || null,
+        reviewedBy: reviewer || null,
+        reviewedAt: new Date(),
+        requiresReview: false,
+        // A reviewer's answer is as certain as the system gets
+        confidence: decision === 'REJECTED' ? 0 : 1,
+        isHighConfidence: decision !== 'REJECTED',
+        isLowConfidence: decision === 'REJECTED'
+      }
+    });
+
+    const context = {
+      source: 'review_queue',
+      aspectType: item.aspectType,
+      contractId: item.analysis?.contractId || null,
+      contractType: item.analysis?.contractType || null,
+      documentId: item.evidence?.documentId || item.analysis?.documentId || null,
+      reviewer,
+      comment: review.comment || null
+    };
+    await this.learnFromDecision(decision, item.aspectName, extractedValue, reviewedValue, context);
+
+    if (decision !== 'ACCEPTED' && item.evidence?.documentId) {
+      await this.applyToUpload(prisma, item.evidence.documentId, item.aspectName, reviewedValue);
+    }
+
+    return formatFieldItem({ ...updated, analysis: item.analysis });
+  }
+
+  /**
+   * Mark a document classification reviewed, optionally changing its type
+   */
+  async reviewClassification(prisma, id, review, reviewer) {
+    const classification = await prisma.documentClassification.findUnique({ where: { id } });
+    if (!classification) {
+      throw new ReviewQueueError('Classification not found', 404);
+    }
+
+    const documentType = review.documentType || classification.suggestedType;
+    const updated = await prisma.documentClassification.update({
+      where: { id },
+      data: {
+        suggestedType: documentType,
+        typeConfidence: 1,
+        status: 'HUMAN_REVIEWED',
+        reviewRequired: false,
+        humanReviewed: true,
+        humanReviewedAt: new Date(),
+        humanReviewedBy: reviewer || null,
+        reviewComment: review.comment || null
+      }
+    });
+
+    if (documentType !== classification.suggestedType) {
+      await prisma.contractDocument.update({
+        where: { id: classification.documentId },
+        data: { documentType }
+      });
+    }
+
+    await this.learnFromDecision(
+      documentType === classification.suggestedType ? 'ACCEPTED' : 'CORRECTED',
+      'documentType',
+      classification.suggestedType,
+      documentType,
+      { source: 'review_queue', documentId: classification.documentId, reviewer, comment: review.comment || null }
+    );
+
+    return updated;
+  }
+
+  async learnFromDecision(decision, fieldName, extractedValue, reviewedValue, context) {
+    if (!this.learningService) return;
+
+    try {
+      if (decision === 'CORRECTED') {
+        await this.learningService.learnFromUserCorrection(fieldName, extractedValue, reviewedValue, context);
+      } else {
+        await this.learningService.reinforceRule(fieldName, extractedValue, decision === 'ACCEPTED', context);
+      }
+    } catch (error) {
+      // Learning is best-effort; the review itself is already saved
+      console.warn(`⚠️ Could not learn from review of ${fieldName}:`, error.message);
+    }
+  }
+
+  // Keep the stored upload analysis in step with the reviewer's answer
+  async applyToUpload(prisma, uploadId, fieldName, value) {
+    try {
+      const upload = await prisma.uploadedFile.findUnique({ where: { id: uploadId } });
+      const analysis = upload?.extractedData?.analysis;
+      if (!analysis?.extractedData) return;
+
+      await prisma.uploadedFile.update({
+        where: { id: uploadId },
+        data: {
+          extractedData: {
+            ...upload.extractedData,
+            analysis: {
+              ...analysis,
+              extractedData: { ...analysis.extractedData, [fieldName]: value ?? NOT_SPECIFIED }
+            }
+          }
+        }
+      });
+    } catch (error) {
+      console.warn(`⚠️ Could not apply review of ${fieldName} to upload ${uploadId}:`, error.message);
+    }
+  }
+}
+
+function formatFieldItem(item) {
+  return {
+    id: item.id,
+    field: item.aspectName,
+    aspectType: item.aspectType,
+    value: item.evidence?.value ?? null,
+    confidence: item.confidence,
+    reasoning: item.reasoning,
+    citation: item.evidence?.citation || null,
+    documentId: item.evidence?.documentId || item.analysis?.documentId || null,
+    filename: item.evidence?.filename || null,
+    contractId: item.analysis?.contractId || null,
+    contractType: item.analysis?.contractType || null,
+    reviewDecision: item.reviewDecision,
+    reviewedValue: item.reviewedValue ?? null,
+    reviewComment: item.reviewComment ?? null,
+    reviewedBy: item.reviewedBy ?? null,
+    reviewedAt: item.reviewedAt ?? null,
+    createdAt: item.createdAt
+  };
+}
+
+function isReviewable(value) {
+  if (typeof value === 'number') return Number.isFinite(value);
+  if (typeof value !== 'string') return false;
+  const trimmed = value.trim();
+  return trimmed.length > 0 && trimmed.toUpperCase() !== NOT_SPECIFIED;
+}
+
+function flattenParties(parties) {
+  if (Array.isArray(parties)) return parties;
+  if (!parties || typeof parties !== 'object') return [];
+
+  return Object.entries(parties)
+    .filter(([, name]) => typeof name === 'string' && isReviewable(name))
+    .map(([role, name]) => ({ role, name }));
+}
+
+function qualityFor(confidence) {
+  if (confidence >= 0.9) return 'EXCELLENT';
+  if (confidence >= HIGH_CONFIDENCE) return 'GOOD';
+  if (confidence > LOW_CONFIDENCE) return 'FAIR';
+  return 'POOR';
+}
+
+function clamp(value) {
+  return Math.max(0, Math.min(1, Number(value) || 0));
+}
+
+export default ReviewQueueService;
@@ -0,0 +1,285 @@
+/**
+ * Search Index Service
+ *
+ * Postgres full-text search over contract content: the page text of
+ * processed documents and uploads, fields extracted by AI analysis (with
+ * review corrections applied) and the extracted business rules. The
+ * CONTENT_INDEXING job rebuilds a document's rows in search_index_entries and
+ * fills their tsvector (GIN indexed); field and rule names are weighted above
+ * body text.
+ *
+ * Queries use websearch_to_tsquery, so "quoted phrases", OR and -exclusions
+ * work as users expect. Hits are grouped by contract with page numbers and
+ * ts_headline snippets, matches wrapped in <mark></mark>.
+ */
+
+export const HIGHLIGHT_START = '<mark>';
+export const HIGHLIGHT_END = '</mark>';
+
+const MIN_QUERY_LENGTH = 2;
+// Best hits considered before grouping by contract
+const MAX_HITS = 200;
+const MAX_HITS_PER_CONTRACT = 5;
+
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+export class SearchError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SearchError';
+    this.statusCode = statusCode;
+  }
+}
+
+const humanize = (key) => key
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .replace(/[_.]+/g, ' ')
+  .toLowerCase();
+
+/**
+ * Split extracted text into pages using fileService page offsets
+ *
+ * @param {string} text
+ * @param {{ pageNumber: number, start: number, end: number }[]} [pageOffsets]
+ * @returns {{ pageNumber: number|null, text: string }[]}
+ */
+export function splitPages(text, pageOffsets) {
+  if (!text) return [];
+  if (!Array.isArray(pageOffsets) || pageOffsets.length === 0) {
+    return [{ pageNumber: null, text }];
+  }
+  return pageOffsets
+    .map(({ pageNumber, start, end }) => ({ pageNumber, text: text.slice(start, end) }))
+    .filter(page => page.text.trim());
+}
+
+/**
+ * Searchable "label: value" entries for extracted fields, nested objects flattened
+ *
+ * @param {Object} data - e.g. analysis.extractedData
+ * @returns {{ label: string, content: string }[]}
+ */
+export function fieldEntries(data, prefix = '') {
+  if (!data || typeof data !== 'object') return [];
+
+  return Object.entries(data).flatMap(([key, value]) => {
+    const label = prefix ? `${prefix}.${key}` : key;
+    if (value === null || value === undefined || value === '') return [];
+    if (Array.isArray(value)) {
+      const values = value.filter(item => ['string', 'number'].includes(typeof item));
+      return values.length > 0 ? [{ label, content: `${humanize(label)}: ${values.join(', ')}` }] : [];
+    }
+    if (typeof value === 'object') return fieldEntries(value, label);
+    if (typeof value === 'boolean') return [];
+    return [{ label, content: `${humanize(label)}: ${value}` }];
+  });
+}
+
+/**
+ * Searchable entries for extracted business rules
+ */
+export function ruleEntries(rules) {
+  return (rules || [])
+    .filter(rule => rule && (rule.name || rule.description))
+    .map(rule => ({
+      label: rule.name || rule.description,
+      content: [rule.category, rule.name, rule.description].filter(Boolean).join(': ')
+    }));
+}
+
+/**
+ * Extracted field values recorded for review (AnalysisConfidence rows), with
+ * reviewer corrections applied and rejected values left out
+ *
+ * @param {Object[]} items - { aspectName, evidence, reviewDecision, reviewedValue }
+ * @returns {Object} aspectName -> value
+ */
+export function reviewedFields(items) {
+  const fields = {};
+  for (const item of items || []) {
+    if (item.reviewDecision === 'REJECTED') continue;
+    fields[item.aspectName] = item.reviewDecision === 'CORRECTED'
+      ? item.reviewedValue
+      : item.evidence?.value;
+  }
+  return fields;
+}
+
+const textOf = (item) => (typeof item === 'string' ? item : item?.text || item?.description || item?.title || item?.name || '');
+
+class SearchIndexService {
+  /**
+   * Rebuild the index rows of a processed ContractDocument
+   *
+   * @param {Object} prisma - Prisma client
+   * @param {string} documentId
+   * @returns {Promise<Object>} { documentId, entries }
+   */
+  async indexDocument(prisma, documentId) {
+    const document = await prisma.contractDocument.findUnique({
+      where: { id: documentId },
+      include: {
+        pages: { select: { pageNumber: true, extractedText: true }, orderBy: { pageNumber: 'asc' } },
+        analyses: {
+          orderBy: { createdAt: 'desc' },
+          take: 1,
+          include: {
+            confidenceTracking: { select: { aspectName: true, evidence: true, reviewDecision: true, reviewedValue: true } }
+          }
+        }
+      }
+    });
+    if (!document) {
+      throw new Error(`Document ${documentId} not found`);
+    }
+
+    const base = { contractId: document.contractId, documentId, title: document.title };
+    const entries = document.pages
+      .filter(page => page.extractedText?.trim())
+      .map(page => ({ ...base, sourceType: 'DOCUMENT_PAGE', pageNumber: page.pageNumber, content: page.extractedText }));
+
+    const analysis = document.analyses[0];
+    if (analysis) {
+      const fields = fieldEntries({
+        contractType: analysis.contractType,
+        description: analysis.description,
+        paymentTerms: analysis.paymentTerms,
+        keywords: analysis.keywords,
+        parties: (Array.isArray(analysis.parties) ? analysis.parties : []).map(textOf).filter(Boolean)
+      });
+      const clauses = (Array.isArray(analysis.criticalClauses) ? analysis.criticalClauses : [])
+        .map(clause => ({ label: clause?.type || clause?.title || 'critical clause', content: textOf(clause) }))
+        .filter(clause => clause.content);
+      entries.push(
+        ...[...fields, ...clauses, ...fieldEntries(reviewedFields(analysis.confidenceTracking))]
+          .map(field => ({ ...base, sourceType: 'EXTRACTED_FIELD', ...field })),
+        ...ruleEntries(analysis.extractedRules).map(rule => ({ ...base, sourceType: 'RULE', ...rule }))
+      );
+    }
+
+    return this.replaceEntries(prisma, documentId, entries);
+  }
+
+  /**
+   * Rebuild the index rows of an analyzed UploadedFile; uploads not yet
+   * attached to a contract are skipped
+   *
+   * @param {Object} prisma - Prisma client
+   * @param {string} uploadId
+   * @returns {Promise<Object>} { documentId, entries }
+   */
+  async indexUpload(prisma, uploadId) {
+    const upload = await prisma.uploadedFile.findUnique({ where: { id: uploadId } });
+    if (!upload) {
+      throw new Error(`Upload ${uploadId} not found`);
+    }
+    if (!upload.contractId) {
+      return { documentId: uploadId, entries: 0, skipped: 'not attached to a contract' };
+    }
+
+    const base = { contractId: upload.contractId, documentId: uploadId, title: upload.originalName };
+    const { content, analysis } = upload.extractedData || {};
+    const entries = [
+      ...splitPages(content?.text, content?.pageOffsets)
+        .map(page => ({ ...base, sourceType: 'UPLOAD_PAGE', pageNumber: page.pageNumber, content: page.text })),
+      ...fieldEntries(analysis?.extractedData)
+        .map(field => ({ ...base, sourceType: 'EXTRACTED_FIELD', ...field })),
+      ...ruleEntries(analysis?.extractedRules)
+        .map(rule => ({ ...base, sourceType: 'RULE', ...rule }))
+    ];
+
+    return this.replaceEntries(prisma, uploadId, entries);
+  }
+
+  async replaceEntries(prisma, documentId, entries) {
+    await prisma.searchIndexEntry.deleteMany({ where: { documentId } });
+    if (entries.length > 0) {
+      await prisma.searchIndexEntry.createMany({ data: entries });
+      // Prisma cannot write tsvector columns
+      await prisma.$executeRaw`
+        UPDATE search_index_entries
+        SET "searchVector" = setweight(to_tsvector('english', coalesce("label", '')), 'A')
+          || setweight(to_tsvector('english', "content"), 'B')
+        WHERE "documentId" = ${documentId}
+      `;
+    }
+
+    console.log(`🔎 Indexed ${entries.length} search entries for document ${documentId}`);
+    return { documentId, entries: entries.length };
+  }
+
+  /**
+   * Ranked full-text search, grouped by contract
+   *
+   * @param {Object} prisma - Prisma client
+   * @param {string} query - Web-search syntax
+   * @param {Object} [options] - { limit, offset, contractId }
+   * @returns {Promise<Object>} { query, total, results: [{ contract, score, hits }] }
+   */
+  async search(prisma, query, options = {}) {
+    const q = String(query || '').trim();
+    if (q.length < MIN_QUERY_LENGTH) {
+      throw new SearchError(`Search query must be at least ${MIN_QUERY_LENGTH} characters`);
+    }
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 50);
+    const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+    const contractId = options.contractId || null;
+
+    // Rank in the inner query so ts_headline only runs on the kept hits
+    const hits = await prisma.$queryRaw`
+      SELECT hit.*, ts_headline('english', e."content", websearch_to_tsquery('english', ${q}), ${HEADLINE_OPTIONS}) AS snippet,
+        c."name" AS "contractName", c."client", c."site", c."status"
+      FROM (
+        SELECT e."id", e."contractId", e."documentId", e."sourceType", e."title", e."pageNumber", e."label",
+          ts_rank_cd(e."searchVector", websearch_to_tsquery('english', ${q}), 32) AS rank
+        FROM search_index_entries e
+        WHERE e."searchVector" @@ websearch_to_tsquery('english', ${q})
+          AND (${contractId}::text IS NULL OR e."contractId" = ${contractId})
+        ORDER BY rank DESC
+        LIMIT ${MAX_HITS}
+      ) hit
+      JOIN search_index_entries e ON e."id" = hit."id"
+      JOIN contracts c ON c."id" = hit."contractId"
+      ORDER BY hit.rank DESC
+    `;
+
+    const byContract = new Map();
+    for (const hit of hits) {
+      if (!byContract.has(hit.contractId)) {
+        byContract.set(hit.contractId, {
+          contract: { id: hit.contractId, name: hit.contractName, client: hit.client, site: hit.site, status: hit.status },
+          score: 0,
+          hitCount: 0,
+          hits: []
+        });
+      }
+      const result = byContract.get(hit.contractId);
+      result.score = Math.max(result.score, Number(hit.rank));
+      result.hitCount += 1;
+      if (result.hits.length < MAX_HITS_PER_CONTRACT) {
+        result.hits.push({
+          documentId: hit.documentId,
+          sourceType: hit.sourceType,
+          title: hit.title,
+          pageNumber: hit.pageNumber,
+          label: hit.label,
+          snippet: hit.snippet,
+          rank: Number(hit.rank)
+        });
+      }
+    }
+
+    const results = [...byContract.values()];
+    console.log(`🔎 Search "${q}": ${hits.length} hits in ${results.length} contracts`);
+
+    return {
+      query: q,
+      total: results.length,
+      results: results.slice(offset, offset + limit)
+    };
+  }
+}
+
+const searchIndexService = new SearchIndexService();
+
+export default searchIndexService;
@@ -0,0 +1,224 @@
+/**
+ * Site Service
+ *
+ * Project sites covered by a contract. EPC and fleet agreements often list
+ * several sites, each with its own address, utility, capacity, server count,
+ * COD and interconnection voltage. The contract keeps `site`, `capacity` and
+ * the technical server count as rollups of its sites so list views, filters
+ * and portfolio analytics keep working on single-valued fields.
+ */
+
+import { parseCapacityKW, parseNumber } from './contractBlueprintService.js';
+import financialModelService from './financialModelService.js';
+
+export const MAX_SITES_PER_CONTRACT = 500;
+
+// VoltageLevel enum values by nominal volts
+const VOLTAGE_LEVELS = {
+  208: 'V_208',
+  480: 'V_480',
+  4160: 'V_4_16K',
+  13200: 'V_13_2K',
+  34500: 'V_34_5K'
+};
+
+// Rollup labels list this many site names before summarizing the rest
+const LABEL_SITE_NAMES = 3;
+
+export class SiteError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SiteError';
+    this.statusCode = statusCode;
+  }
+}
+
+const text = (value) => {
+  if (value === null || value === undefined) return null;
+  const trimmed = String(value).trim();
+  return trimmed && trimmed.toUpperCase() !== 'NOT SPECIFIED' ? trimmed : null;
+};
+
+/**
+ * VoltageLevel enum value from the enum itself or a label ("480V", "4.16 kV")
+ */
+export function normalizeVoltage(value) {
+  const label = text(value);
+  if (!label) return null;
+  if (Object.values(VOLTAGE_LEVELS).includes(label)) return label;
+
+  const match = label.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(kv|v)\b/i);
+  if (!match) return null;
+  const volts = Math.round(parseFloat(match[1]) * (match[2].toLowerCase() === 'kv' ? 1000 : 1));
+  return VOLTAGE_LEVELS[volts] || null;
+}
+
+const toDate = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Normalize one site from a request body or extracted data. Accepts the
+ * extraction names (siteId, capacityKw, cod) alongside the model's own.
+ */
+export function normalizeSite(raw, index = 0) {
+  if (!raw || typeof raw !== 'object') {
+    throw new SiteError(`Site ${index + 1} must be an object`);
+  }
+
+  const siteCode = text(raw.siteCode ?? raw.siteId);
+  const address = text(raw.address);
+  const name = text(raw.name) || siteCode || address;
+  if (!name) {
+    throw new SiteError(`Site ${index + 1} needs a name, site ID or address`);
+  }
+
+  const capacity = parseCapacityKW(raw.capacity ?? raw.capacityKw ?? null);
+  if (capacity !== null && capacity < 0) {
+    throw new SiteError(`Site "${name}" has a negative capacity`);
+  }
+
+  const servers = parseNumber(raw.servers ?? raw.numberOfServers ?? null);
+  const rawCod = raw.commercialOperationDate ?? raw.cod ?? null;
+  const commercialOperationDate = toDate(rawCod instanceof Date ? rawCod : text(rawCod));
+  if (text(rawCod) && !commercialOperationDate) {
+    throw new SiteError(`Site "${name}" has an invalid commercial operation date`);
+  }
+
+  return {
+    name,
+    siteCode,
+    address,
+    utility: text(raw.utility),
+    capacity,
+    servers: servers === null ? null : Math.round(servers),
+    commercialOperationDate,
+    voltage: normalizeVoltage(raw.voltage),
+    sortOrder: index
+  };
+}
+
+export function normalizeSites(rawSites) {
+  if (rawSites === null || rawSites === undefined) return [];
+  if (!Array.isArray(rawSites)) {
+    throw new SiteError('sites must be an array');
+  }
+  if (rawSites.length > MAX_SITES_PER_CONTRACT) {
+    throw new SiteError(`A contract can have at most ${MAX_SITES_PER_CONTRACT} sites`);
+  }
+  return rawSites.map(normalizeSite);
+}
+
+/**
+ * Contract-level rollup of its sites. Sums and the earliest COD cover the
+ * sites that state a value; they are null when none do.
+ */
+export function rollupSites(sites = []) {
+  const sum = (key) => {
+    const values = sites.map(site => site[key]).filter(value => typeof value === 'number');
+    return values.length > 0 ? values.reduce((total, value) => total + value, 0) : null;
+  };
+
+  const dates = sites.map(site => toDate(site.commercialOperationDate)).filter(Boolean);
+  const names = sites.map(site => site.name);
+  const label = names.length <= LABEL_SITE_NAMES
+    ? names.join(', ')
+    : `${names.slice(0, LABEL_SITE_NAMES - 1).join(', ')} and ${names.length - LABEL_SITE_NAMES + 1} more`;
+
+  return {
+    siteCount: sites.length,
+    site: label || null,
+    capacity: sum('capacity'),
+    servers: sum('servers'),
+    commercialOperationDate: dates.length > 0
+      ? new Date(Math.min(...dates.map(date => date.getTime())))
+      : null
+  };
+}
+
+/**
+ * Contract fields to overwrite from a rollup: the site label and capacity
+ * always follow the sites, COD only fills a contract that has none
+ */
+export function contractRollupData(rollup, contract = {}) {
+  if (!rollup || rollup.siteCount === 0) return {};
+
+  const data = { site: rollup.site };
+  if (rollup.capacity !== null) data.capacity = rollup.capacity;
+  if (rollup.commercialOperationDate && !contract.commercialOperationDate) {
+    data.commercialOperationDate = rollup.commercialOperationDate;
+  }
+  return data;
+}
+
+class SiteService {
+  async listSites(prisma, contractId) {
+    return prisma.site.findMany({
+      where: { contractId },
+      orderBy: { sortOrder: 'asc' }
+    });
+  }
+
+  /**
+   * Replace a contract's sites and refresh the contract rollups. A capacity
+   * change also recomputes the stored total value and year-one rate; an empty
+   * list clears the rollups of a contract that had sites.
+   */
+  async replaceSites(prisma, contractId, rawSites) {
+    const sites = normalizeSites(rawSites);
+
+    const contract = await prisma.contract.findUnique({
+      where: { id: contractId },
+      select: {
+        id: true,
+        commercialOperationDate: true,
+        capacity: true,
+        term: true,
+        financial: true,
+        _count: { select: { sites: true } }
+      }
+    });
+    if (!contract) {
+      throw new SiteError('Contract not found', 404);
+    }
+
+    const rollup = rollupSites(sites);
+    const operations = [
+      prisma.site.deleteMany({ where: { contractId } }),
+      prisma.site.createMany({ data: sites.map(site => ({ ...site, contractId })) })
+    ];
+
+    // Removing the last site leaves nothing to roll up, so the label, capacity
+    // and totals of the removed sites are cleared rather than kept
+    const contractData = sites.length === 0 && contract._count?.sites > 0
+      ? { site: '', capacity: 0, totalValue: null, yearlyRate: null }
+      : contractRollupData(rollup, contract);
+    if (contractData.capacity !== undefined && contractData.capacity !== contract.capacity) {
+      const totals = financialModelService.contractTotals({ ...contract, capacity: contractData.capacity }, contract.financial);
+      Object.assign(contractData, totals);
+    }
+    if (Object.keys(contractData).length > 0) {
+      operations.push(prisma.contract.update({ where: { id: contractId }, data: contractData }));
+    }
+    if (rollup.servers !== null) {
+      operations.push(prisma.technicalParams.updateMany({
+        where: { contractId },
+        data: { servers: rollup.servers }
+      }));
+    }
+
+    await prisma.$transaction(operations);
+    console.log(`📍 Saved ${sites.length} site(s) for contract ${contractId}`);
+
+    return {
+      sites: await this.listSites(prisma, contractId),
+      rollup
+    };
+  }
+}
+
+const siteService = new SiteService();
+
+export default siteService;
@@ -69,7 +69,7 @@ class StructuredExtractionService {
    *
    * @param {string} text - Document text content
    * @param {string} filename - Document filename
-   * @param {Object} options - { genericResults, aiProvider }
+   * @param {Object} options - { genericResults, aiProvider, tables }
    * @returns {Object} Enhanced extraction results
    */
   async extract(text, filename, options = {}) {
@@ -105,6 +105,20 @@ class StructuredExtractionService {
         console.log(`📊 Extracted ${Object.keys(candidates).length} field candidates`);
       }
 
+      // Step 3b: Parse exhibit tables (rate schedules, site lists, guarantees)
+      // for fields that declare table_cues
+      let tables = [];
+      if (fieldSpec && fieldSpec.fieldDefinitions) {
+        const tableCues = [...new Set(
+          Object.values(fieldSpec.fieldDefinitions).flatMap(fieldDef => fieldDef.table_cues || [])
+        )];
+        tables = this.patternMatcher.extractTableData(text, tableCues, { tables: options.tables });
+
+        if (tables.length > 0) {
+          console.log(`📋 Parsed ${tables.length} exhibit table(s): ${tables.map(table => table.kind).join(', ')}`);
+        }
+      }
+
       // Step 4: Build enhanced extraction results
       const enhancedResults = {
         ...options.genericResults,
@@ -115,7 +129,8 @@ class StructuredExtractionService {
           detectedCues: classification.detectedCues,
           alternativeTypes: classification.alternativeTypes,
           candidateFields: Object.keys(candidates),
-          extractedCandidates: candidates
+          extractedCandidates: candidates,
+          extractedTables: tables
         }
       };
 
@@ -209,15 +224,13 @@ class StructuredExtractionService {
     const errors = [];
 
     try {
-      // Check mandatory fields
-      const mandatoryFields = validationRules.gates?.mandatory_fields || {};
+      // Check mandatory fields for this document type
+      const mandatoryFields = validationRules.gates?.mandatory_fields?.[docType] || [];
 
-      Object.entries(mandatoryFields).forEach(([section, fields]) => {
-        fields.forEach(field => {
-          if (!results.extractedData || !results.extractedData[field]) {
-            warnings.push(`Missing mandatory field: ${field} in ${section}`);
-          }
-        });
+      mandatoryFields.forEach(field => {
+        if (!results.extractedData || !results.extractedData[field]) {
+          warnings.push(`Missing mandatory field: ${field} for ${docType}`);
+        }
       });
 
       // Check unit consistency
@@ -233,6 +246,26 @@ class StructuredExtractionService {
               warnings.push(`Field ${field} should include unit: ${unit}`);
             }
           });
+
+          if (requirements.must_match && !new RegExp(requirements.must_match, 'i').test(valueStr.trim())) {
+            warnings.push(`Field ${field} has unexpected format: ${valueStr}`);
+          }
+        }
+      });
+
+      // Check numeric ranges
+      const ranges = validationRules.gates?.ranges || {};
+
+      Object.entries(ranges).forEach(([field, range]) => {
+        const fieldValue = results.extractedData?.[field];
+        const numeric = typeof fieldValue === 'number'
+          ? fieldValue
+          : parseFloat(String(fieldValue ?? '').replace(/[^0-9.\-]/g, ''));
+
+        if (fieldValue && !Number.isNaN(numeric)) {
+          if ((range.min !== undefined && numeric < range.min) || (range.max !== undefined && numeric > range.max)) {
+            warnings.push(`Field ${field} value ${numeric} outside expected range ${range.min ?? '-∞'}–${range.max ?? '∞'}`);
+          }
         }
       });
 
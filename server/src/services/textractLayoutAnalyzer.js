@@ -0,0 +1,448 @@
+/**
+ * Textract Layout Analyzer
+ * Rebuilds tables and form key-value pairs from OCR word geometry and emits
+ * them as AWS Textract TABLE/CELL and KEY_VALUE_SET blocks, so local OCR
+ * results can be consumed the same way as AWS AnalyzeDocument output.
+ *
+ * All geometry is in Textract's normalized page coordinates (0-1).
+ */
+
+// A horizontal gap wider than this many word heights separates two cells
+const COLUMN_GAP_FACTOR = 1.5;
+// Rows further apart than this many row heights end a table
+const MAX_ROW_GAP_FACTOR = 3;
+// Keys are short labels ("Effective Date:", "Base Rate:")
+const MAX_KEY_WORDS = 6;
+
+const box = (block) => block.Geometry.BoundingBox;
+const right = (bbox) => bbox.Left + bbox.Width;
+const bottom = (bbox) => bbox.Top + bbox.Height;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)] || 0;
+};
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * Textract geometry (bounding box and polygon) for a normalized box
+ */
+export function geometry(left, top, width, height) {
+  return {
+    BoundingBox: { Width: width, Height: height, Left: left, Top: top },
+    Polygon: [
+      { X: left, Y: top },
+      { X: left + width, Y: top },
+      { X: left + width, Y: top + height },
+      { X: left, Y: top + height }
+    ]
+  };
+}
+
+const unionGeometry = (blocks) => {
+  const left = Math.min(...blocks.map(block => box(block).Left));
+  const top = Math.min(...blocks.map(block => box(block).Top));
+  const width = Math.max(...blocks.map(block => right(box(block)))) - left;
+  const height = Math.max(...blocks.map(block => bottom(box(block)))) - top;
+  return geometry(left, top, width, height);
+};
+
+const childIds = (block, type = 'CHILD') => (block.Relationships || [])
+  .filter(relationship => relationship.Type === type)
+  .flatMap(relationship => relationship.Ids);
+
+const textOf = (words) => words.map(word => word.Text).join(' ');
+
+// Index of the word that ends a key label ("Term:"), if the words start with one
+const keyEnd = (words) => words
+  .slice(0, MAX_KEY_WORDS)
+  .findIndex((word, index) => /:$/.test(word.Text) && /[a-z]/i.test(textOf(words.slice(0, index + 1))));
+
+const isNumeric = (text) => /\d/.test(text) && !/[a-z]{3,}/i.test(text.replace(/\b(kwh|kw|mw|mwh|usd|yr|year|years)\b/gi, ''));
+
+/**
+ * Group OCR lines that share a baseline band into rows, top to bottom.
+ * Tesseract may return one LINE per table row or one per cell, so rows
+ * are rebuilt from vertical overlap rather than trusted from LINE blocks.
+ */
+export function groupRows(lineBlocks, wordBlocks) {
+  const wordsById = new Map(wordBlocks.map(word => [word.Id, word]));
+  const lines = lineBlocks
+    .map(line => ({ line, words: childIds(line).map(id => wordsById.get(id)).filter(Boolean) }))
+    .filter(entry => entry.words.length > 0)
+    .sort((a, b) => box(a.line).Top - box(b.line).Top);
+
+  const rows = [];
+  for (const { line, words } of lines) {
+    const bbox = box(line);
+    const row = rows.find(candidate => {
+      const overlap = Math.min(candidate.bottom, bottom(bbox)) - Math.max(candidate.top, bbox.Top);
+      return overlap >= 0.5 * Math.min(candidate.bottom - candidate.top, bbox.Height);
+    });
+    if (row) {
+      row.words.push(...words);
+      row.top = Math.min(row.top, bbox.Top);
+      row.bottom = Math.max(row.bottom, bottom(bbox));
+    } else {
+      rows.push({ top: bbox.Top, bottom: bottom(bbox), words: [...words] });
+    }
+  }
+
+  for (const row of rows) {
+    row.words.sort((a, b) => box(a).Left - box(b).Left);
+    row.segments = splitSegments(row.words);
+  }
+  return rows.sort((a, b) => a.top - b.top);
+}
+
+/**
+ * Split a row's words into cell segments at wide horizontal gaps
+ */
+export function splitSegments(words) {
+  const gap = COLUMN_GAP_FACTOR * median(words.map(word => box(word).Height));
+  const segments = [];
+  let current = null;
+  for (const word of words) {
+    const bbox = box(word);
+    if (current && bbox.Left - current.right <= gap) {
+      current.words.push(word);
+      current.right = Math.max(current.right, right(bbox));
+    } else {
+      current = { left: bbox.Left, right: right(bbox), words: [word] };
+      segments.push(current);
+    }
+  }
+  return segments;
+}
+
+// Column bands from the rows with the most cells; header rows with spanning
+// labels would otherwise merge neighbouring columns
+const columnBands = (rows) => {
+  const widest = Math.max(...rows.map(row => row.segments.length));
+  const intervals = rows
+    .filter(row => row.segments.length === widest)
+    .flatMap(row => row.segments.map(segment => ({ left: segment.left, right: segment.right })))
+    .sort((a, b) => a.left - b.left);
+
+  const bands = [];
+  for (const interval of intervals) {
+    const last = bands[bands.length - 1];
+    if (last && interval.left <= last.right) {
+      last.right = Math.max(last.right, interval.right);
+    } else {
+      bands.push({ ...interval });
+    }
+  }
+  return bands;
+};
+
+// Columns a segment covers; segments in a gap go to the nearest column
+const coveredColumns = (segment, bands) => {
+  const covered = bands
+    .map((band, index) => ({ index, overlap: Math.min(band.right, segment.right) - Math.max(band.left, segment.left) }))
+    .filter(entry => entry.overlap > 0)
+    .map(entry => entry.index);
+  if (covered.length > 0) return covered;
+
+  const center = (segment.left + segment.right) / 2;
+  const distances = bands.map(band => Math.abs((band.left + band.right) / 2 - center));
+  return [distances.indexOf(Math.min(...distances))];
+};
+
+// Multi-cell rows, except "Label:    value" form lines
+const isTableRow = (row) => row.segments.length >= 2 && keyEnd(row.segments[0].words) < 0;
+
+/**
+ * Runs of at least two consecutive table rows
+ */
+export function findTableRegions(rows) {
+  const regions = [];
+  let current = [];
+  const close = () => {
+    if (current.length >= 2) regions.push(current);
+    current = [];
+  };
+
+  for (const row of rows) {
+    const previous = current[current.length - 1];
+    const rowHeight = row.bottom - row.top;
+    if (!isTableRow(row) || (previous && row.top - previous.bottom > MAX_ROW_GAP_FACTOR * rowHeight)) {
+      close();
+    }
+    if (isTableRow(row)) {
+      current.push(row);
+    }
+  }
+  close();
+
+  return regions.filter(region => columnBands(region).length >= 2);
+}
+
+/**
+ * TABLE and CELL blocks for table-like regions of the page
+ *
+ * @param {Array} rows - Rows from groupRows
+ * @param {Function} nextId - Returns a new block Id for a prefix
+ * @returns {{ blocks: Array, tableWordIds: Set<string> }}
+ */
+export function buildTableBlocks(rows, nextId) {
+  const blocks = [];
+  const tableWordIds = new Set();
+
+  for (const region of findTableRegions(rows)) {
+    const bands = columnBands(region);
+    const tableId = nextId('table');
+    const cells = [];
+
+    const grid = region.map(row => {
+      const columns = bands.map(() => ({ words: [], span: 1, covered: false }));
+      for (const segment of row.segments) {
+        const [first, ...rest] = coveredColumns(segment, bands);
+        // Fold into the cell that already spans this column
+        let owner = first;
+        while (owner > 0 && columns[owner].covered) owner--;
+        columns[owner].words.push(...segment.words);
+        for (const index of rest) {
+          columns[owner].words.push(...columns[index].words);
+          columns[index].words = [];
+          columns[index].covered = true;
+        }
+        columns[owner].span = Math.max(columns[owner].span, (rest.length > 0 ? rest[rest.length - 1] : first) - owner + 1);
+      }
+      return columns;
+    });
+
+    // A header row has labels only, above rows that carry figures
+    const headerRow = grid[0].every(column => !isNumeric(textOf(column.words)))
+      && grid.slice(1).some(columns => columns.some(column => isNumeric(textOf(column.words))));
+
+    const tableWords = region.flatMap(row => row.words);
+    const tableConfidence = mean(tableWords.map(word => word.Confidence || 0));
+
+    grid.forEach((columns, rowIndex) => {
+      const row = region[rowIndex];
+      columns.forEach((column, columnIndex) => {
+        if (column.covered) return;
+        const band = bands[columnIndex];
+        const lastBand = bands[Math.min(columnIndex + column.span, bands.length) - 1];
+        column.words.forEach(word => tableWordIds.add(word.Id));
+
+        cells.push({
+          BlockType: 'CELL',
+          Id: nextId('cell'),
+          Confidence: column.words.length > 0 ? mean(column.words.map(word => word.Confidence || 0)) : tableConfidence,
+          RowIndex: rowIndex + 1,
+          ColumnIndex: columnIndex + 1,
+          RowSpan: 1,
+          ColumnSpan: column.span,
+          Geometry: geometry(band.left, row.top, lastBand.right - band.left, row.bottom - row.top),
+          ...(headerRow && rowIndex === 0 && { EntityTypes: ['COLUMN_HEADER'] }),
+          Relationships: column.words.length > 0 ? [{ Type: 'CHILD', Ids: column.words.map(word => word.Id) }] : []
+        });
+      });
+    });
+
+    blocks.push({
+      BlockType: 'TABLE',
+      Id: tableId,
+      Confidence: tableConfidence,
+      Geometry: unionGeometry(tableWords),
+      Relationships: [{ Type: 'CHILD', Ids: cells.map(cell => cell.Id) }]
+    }, ...cells);
+  }
+
+  return { blocks, tableWordIds };
+}
+
+/**
+ * KEY_VALUE_SET blocks for "Label: value" pairs outside tables. A row can
+ * hold several pairs ("Start Date: 1/1/2025    End Date: 12/31/2044").
+ *
+ * @param {Array} rows - Rows from groupRows
+ * @param {Function} nextId - Returns a new block Id for a prefix
+ * @param {Set<string>} [excludeWordIds] - Words already claimed by tables
+ */
+export function buildKeyValueBlocks(rows, nextId, excludeWordIds = new Set()) {
+  const pairs = [];
+
+  for (const row of rows) {
+    if (row.words.some(word => excludeWordIds.has(word.Id))) continue;
+
+    let current = null;
+    for (const segment of row.segments) {
+      const end = keyEnd(segment.words);
+      if (end >= 0) {
+        current = { keyWords: segment.words.slice(0, end + 1), valueWords: segment.words.slice(end + 1) };
+        pairs.push(current);
+      } else if (current) {
+        current.valueWords.push(...segment.words);
+      }
+    }
+  }
+
+  return pairs
+    .filter(pair => pair.valueWords.length > 0)
+    .flatMap(({ keyWords, valueWords }) => {
+      const keyId = nextId('key');
+      const valueId = nextId('value');
+      return [
+        {
+          BlockType: 'KEY_VALUE_SET',
+          Id: keyId,
+          EntityTypes: ['KEY'],
+          Confidence: mean(keyWords.map(word => word.Confidence || 0)),
+          Geometry: unionGeometry(keyWords),
+          Relationships: [
+            { Type: 'VALUE', Ids: [valueId] },
+            { Type: 'CHILD', Ids: keyWords.map(word => word.Id) }
+          ]
+        },
+        {
+          BlockType: 'KEY_VALUE_SET',
+          Id: valueId,
+          EntityTypes: ['VALUE'],
+          Confidence: mean(valueWords.map(word => word.Confidence || 0)),
+          Geometry: unionGeometry(valueWords),
+          Relationships: [{ Type: 'CHILD', Ids: valueWords.map(word => word.Id) }]
+        }
+      ];
+    });
+}
+
+/**
+ * TABLE/CELL and KEY_VALUE_SET blocks for the requested Textract features
+ *
+ * @param {Array} lineBlocks - LINE blocks with CHILD word relationships
+ * @param {Array} wordBlocks - WORD blocks
+ * @param {Object} options - { tables, forms, nextId }
+ */
+export function analyzeLayout(lineBlocks, wordBlocks, { tables = true, forms = true, nextId }) {
+  const rows = groupRows(lineBlocks, wordBlocks);
+  const tableResult = tables ? buildTableBlocks(rows, nextId) : { blocks: [], tableWordIds: new Set() };
+  const formBlocks = forms ? buildKeyValueBlocks(rows, nextId, tableResult.tableWordIds) : [];
+  return [...tableResult.blocks, ...formBlocks];
+}
+
+// Text of a block's CHILD words (or selection state for checkboxes)
+const blockText = (block, blocksById) => childIds(block)
+  .map(id => blocksById.get(id))
+  .filter(Boolean)
+  .map(child => (child.BlockType === 'SELECTION_ELEMENT' ? child.SelectionStatus : child.Text))
+  .join(' ');
+
+/**
+ * Tables from a Textract response (AWS or local) as text grids
+ */
+export function tablesFromBlocks(blocks) {
+  const blocksById = new Map(blocks.map(block => [block.Id, block]));
+
+  return blocks
+    .filter(block => block.BlockType === 'TABLE')
+    .map(table => {
+      const cells = childIds(table)
+        .map(id => blocksById.get(id))
+        .filter(cell => cell?.BlockType === 'CELL');
+      const rowCount = Math.max(0, ...cells.map(cell => cell.RowIndex + (cell.RowSpan || 1) - 1));
+      const columnCount = Math.max(0, ...cells.map(cell => cell.ColumnIndex + (cell.ColumnSpan || 1) - 1));
+      const rows = Array.from({ length: rowCount }, () => Array(columnCount).fill(''));
+      for (const cell of cells) {
+        rows[cell.RowIndex - 1][cell.ColumnIndex - 1] = blockText(cell, blocksById);
+      }
+
+      const headerRows = [...new Set(cells
+        .filter(cell => cell.EntityTypes?.includes('COLUMN_HEADER'))
+        .map(cell => cell.RowIndex))];
+
+      return {
+        id: table.Id,
+        page: table.Page || 1,
+        confidence: table.Confidence,
+        rowCount,
+        columnCount,
+        headers: headerRows.length > 0 ? rows[headerRows[0] - 1] : null,
+        rows,
+        geometry: table.Geometry?.BoundingBox
+      };
+    });
+}
+
+/**
+ * Form key-value pairs from a Textract response (AWS or local)
+ */
+export function keyValuePairsFromBlocks(blocks) {
+  const blocksById = new Map(blocks.map(block => [block.Id, block]));
+
+  return blocks
+    .filter(block => block.BlockType === 'KEY_VALUE_SET' && block.EntityTypes?.includes('KEY'))
+    .map(keyBlock => {
+      const valueBlock = childIds(keyBlock, 'VALUE').map(id => blocksById.get(id)).find(Boolean);
+      return {
+        key: blockText(keyBlock, blocksById).replace(/\s*:$/, ''),
+        value: valueBlock ? blockText(valueBlock, blocksById) : '',
+        page: keyBlock.Page || 1,
+        confidence: Math.min(keyBlock.Confidence ?? 0, valueBlock?.Confidence ?? 0),
+        keyGeometry: keyBlock.Geometry?.BoundingBox,
+        valueGeometry: valueBlock?.Geometry?.BoundingBox
+      };
+    });
+}
+
+/**
+ * Words and lines (tesseract.js shape, pixel bboxes) from `tesseract ... tsv`
+ * output, so the native binary also yields real word positions
+ */
+export function parseTesseractTsv(tsv) {
+  const lines = new Map();
+
+  for (const row of tsv.split('\n').slice(1)) {
+    const columns = row.split('\t');
+    if (columns.length < 12 || columns[0] !== '5') continue;
+
+    const [, page, block, paragraph, line, , left, top, width, height, confidence, ...text] = columns;
+    const wordText = text.join('\t').trim();
+    if (!wordText) continue;
+
+    const key = `${page}-${block}-${paragraph}-${line}`;
+    if (!lines.has(key)) lines.set(key, []);
+    lines.get(key).push({
+      text: wordText,
+      confidence: Math.max(0, Number(confidence)),
+      bbox: {
+        x0: Number(left),
+        y0: Number(top),
+        x1: Number(left) + Number(width),
+        y1: Number(top) + Number(height)
+      }
+    });
+  }
+
+  return [...lines.values()].map(words => ({
+    text: words.map(word => word.text).join(' '),
+    confidence: mean(words.map(word => word.confidence)),
+    bbox: {
+      x0: Math.min(...words.map(word => word.bbox.x0)),
+      y0: Math.min(...words.map(word => word.bbox.y0)),
+      x1: Math.max(...words.map(word => word.bbox.x1)),
+      y1: Math.max(...words.map(word => word.bbox.y1))
+    },
+    words
+  }));
+}
+
+/**
+ * Lines with their words from tesseract.js `blocks` output (block >
+ * paragraph > line > word). tesseract.js 6 no longer returns flat `lines`.
+ */
+export function linesFromTesseractBlocks(blocks) {
+  return (blocks || [])
+    .flatMap(block => block.paragraphs || [])
+    .flatMap(paragraph => paragraph.lines || [])
+    .map(line => ({
+      text: line.text.trim(),
+      confidence: line.confidence,
+      bbox: line.bbox,
+      words: (line.words || []).map(word => ({ text: word.text, confidence: word.confidence, bbox: word.bbox }))
+    }))
+    .filter(line => line.text);
+}
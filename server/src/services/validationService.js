@@ -1,4 +1,20 @@
 import Joi from 'joi';
+import { validateEscalationSchedule } from '../../../shared/escalationSchedule.js';
+
+// Project site of a multi-site contract (see siteService)
+const siteSchema = Joi.object({
+  id: Joi.string(),
+  name: Joi.string().trim().max(255).allow(null, ''),
+  siteCode: Joi.string().trim().max(100).allow(null, ''),
+  address: Joi.string().trim().max(500).allow(null, ''),
+  utility: Joi.string().trim().max(255).allow(null, ''),
+  capacity: Joi.number().min(0).allow(null)
+    .messages({ 'number.min': 'Site capacity cannot be negative' }),
+  servers: Joi.number().integer().min(0).allow(null),
+  commercialOperationDate: Joi.date().allow(null, ''),
+  voltage: Joi.string().allow(null, '')
+}).or('name', 'siteCode', 'address')
+  .messages({ 'object.missing': 'Each site needs a name, site ID or address' });
 
 class ValidationService {
   constructor() {
@@ -96,6 +112,13 @@ class ValidationService {
               .messages({
                 'number.min': 'Microgrid adder cannot be negative',
                 'number.max': 'Microgrid adder cannot exceed $0.10/kWh'
+              }),
+            escalationSchedule: Joi.object()
+              .unknown(true)
+              .allow(null)
+              .custom((value, helpers) => {
+                const errors = validateEscalationSchedule(value);
+                return errors.length > 0 ? helpers.message(errors.join('; ')) : value;
               })
           }).required(),
 
@@ -147,16 +170,27 @@ class ValidationService {
                 'number.min': 'Output warranty must be at least 80%',
                 'number.max': 'Output warranty cannot exceed 99%'
               })
-          }).required()
+          }).required(),
+
+          sites: Joi.array().items(siteSchema).max(500),
+          // Registry party picked for client; resolved from client.name when absent
+          customerId: Joi.string().trim(),
+          effectiveDate: Joi.date(),
+          commercialOperationDate: Joi.date().allow(null),
+          renewalNoticeDays: Joi.number().integer().min(0).max(730).allow(null)
         }),
 
         update: Joi.object({
           name: Joi.string().trim().min(1).max(255),
+          effectiveDate: Joi.date(),
+          commercialOperationDate: Joi.date().allow(null),
+          renewalNoticeDays: Joi.number().integer().min(0).max(730).allow(null),
           client: Joi.object().unknown(true),
           system: Joi.object().unknown(true),
           financial: Joi.object().unknown(true),
           technical: Joi.object().unknown(true),
           operating: Joi.object().unknown(true),
+          sites: Joi.array().items(siteSchema).max(500),
           status: Joi.string().valid('DRAFT', 'ACTIVE', 'COMPLETED', 'CANCELLED')
         }).min(1)
       },
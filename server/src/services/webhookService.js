@@ -0,0 +1,412 @@
+/**
+ * Webhook Service
+ *
+ * Outbound webhooks for contract and document lifecycle events, so downstream
+ * systems (billing, ERP) can react without polling. Endpoints subscribe to
+ * event names; every matching event is recorded as a WebhookDelivery and
+ * POSTed as JSON:
+ *
+ *   { id, event, createdAt, data }
+ *
+ * Each request is signed with the endpoint's secret:
+ *
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * Receivers recompute the HMAC over the timestamp and raw body (see
+ * verifySignature) and should reject stale timestamps to prevent replays.
+ *
+ * Non-2xx responses and network errors are retried with exponential backoff
+ * (base delay doubled per attempt) until WEBHOOK_MAX_ATTEMPTS, after which the
+ * delivery is FAILED and can be replayed from the delivery log.
+ *
+ * Events are taken from the notificationService emitter, the same events that
+ * drive in-app notifications.
+ *
+ * Environment:
+ *   WEBHOOK_MAX_ATTEMPTS   - attempts before a delivery fails (default 6)
+ *   WEBHOOK_RETRY_BASE_MS  - delay before the first retry (default 30000)
+ *   WEBHOOK_TIMEOUT_MS     - per-request timeout (default 10000)
+ */
+
+import crypto from 'crypto';
+
+// notificationService event -> public webhook event name
+const EVENT_SOURCES = {
+  'contract:created': 'contract.created',
+  'contract:updated': 'contract.updated',
+  'document:processing:completed': 'document.processing.completed',
+  'document:processing:failed': 'document.processing.failed',
+  'bulk:operation:completed': 'bulk.completed'
+};
+
+export const WEBHOOK_EVENTS = Object.values(EVENT_SOURCES);
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_BASE_MS = 30000;
+const DEFAULT_TIMEOUT_MS = 10000;
+const MAX_STORED_RESPONSE = 2000;
+const DELIVERY_STATUSES = ['PENDING', 'SUCCEEDED', 'FAILED'];
+
+export class WebhookError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'WebhookError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * New endpoint secret
+ */
+export function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Signature header value for a request body
+ *
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ */
+export function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * Check a signature header against a raw body, as a receiver would
+ *
+ * @param {string} secret
+ * @param {string} header - X-Webhook-Signature value
+ * @param {string} body - Raw JSON body
+ * @param {number} [toleranceSeconds] - Maximum age of the timestamp
+ */
+export function verifySignature(secret, header, body, toleranceSeconds = 300) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!timestamp || !parts.v1) return false;
+  if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body).split('v1=')[1], 'hex');
+  const actual = Buffer.from(parts.v1, 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Endpoint as returned by the API: the secret is only shown on create/rotate
+ */
+export function toPublicEndpoint(endpoint, { includeSecret = false } = {}) {
+  const { secret, ...rest } = endpoint;
+  return {
+    ...rest,
+    ...(includeSecret ? { secret } : { secretPreview: `${secret.slice(0, 10)}...` })
+  };
+}
+
+export class WebhookService {
+  constructor(options = {}) {
+    this.fetch = options.fetch || ((...args) => globalThis.fetch(...args));
+    this.prisma = options.prisma || null;
+    this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+    this.retryBaseMs = options.retryBaseMs ?? (parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || DEFAULT_RETRY_BASE_MS);
+    this.timeoutMs = options.timeoutMs || parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+    this.retryTimers = new Map(); // deliveryId -> timeout
+  }
+
+  setPrisma(prisma) {
+    this.prisma = prisma;
+  }
+
+  /**
+   * Subscribe to lifecycle events on an emitter (the notificationService)
+   */
+  listen(emitter) {
+    for (const [source, event] of Object.entries(EVENT_SOURCES)) {
+      emitter.on(source, (data) => {
+        this.dispatch(event, data).catch(error => {
+          console.error(`Webhook dispatch for ${event} failed:`, error.message);
+        });
+      });
+    }
+  }
+
+  /**
+   * Record and send an event to every active endpoint subscribed to it
+   *
+   * @returns {Promise<Object[]>} Created deliveries
+   */
+  async dispatch(event, data) {
+    if (!this.prisma) {
+      return [];
+    }
+
+    const endpoints = await this.prisma.webhookEndpoint.findMany({
+      where: {
+        isActive: true,
+        OR: [{ events: { has: event } }, { events: { has: '*' } }]
+      }
+    });
+
+    const deliveries = [];
+    for (const endpoint of endpoints) {
+      const delivery = await this.prisma.webhookDelivery.create({
+        data: {
+          endpointId: endpoint.id,
+          event,
+          payload: data ?? {},
+          status: 'PENDING'
+        }
+      });
+      deliveries.push(delivery);
+      this.attempt(delivery.id).catch(error => {
+        console.error(`Webhook delivery ${delivery.id} failed:`, error.message);
+      });
+    }
+
+    if (deliveries.length > 0) {
+      console.log(`🪝 Dispatched ${event} to ${deliveries.length} webhook endpoint(s)`);
+    }
+    return deliveries;
+  }
+
+  /**
+   * POST one delivery; schedules a retry or marks it FAILED on error
+   *
+   * @returns {Promise<Object>} Updated delivery
+   */
+  async attempt(deliveryId) {
+    this.retryTimers.delete(deliveryId);
+
+    const delivery = await this.prisma.webhookDelivery.findUnique({
+      where: { id: deliveryId },
+      include: { endpoint: true }
+    });
+    if (!delivery || delivery.status !== 'PENDING') {
+      return delivery;
+    }
+
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event,
+      createdAt: new Date(delivery.createdAt).toISOString(),
+      data: delivery.payload
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+    const startedAt = Date.now();
+
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+      const response = await this.fetch(delivery.endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'BloomContracts-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Signature': signPayload(delivery.endpoint.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      responseStatus = response.status;
+      responseBody = (await response.text().catch(() => '')).slice(0, MAX_STORED_RESPONSE);
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const succeeded = !error;
+    const retry = !succeeded && attempts < this.maxAttempts;
+    const nextAttemptAt = retry ? new Date(Date.now() + this.retryDelay(attempts)) : null;
+
+    const updated = await this.prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        status: succeeded ? 'SUCCEEDED' : (retry ? 'PENDING' : 'FAILED'),
+        attempts,
+        lastAttemptAt: new Date(),
+        nextAttemptAt,
+        responseStatus,
+        responseBody,
+        error,
+        durationMs: Date.now() - startedAt
+      }
+    });
+
+    if (retry) {
+      this.scheduleRetry(delivery.id, nextAttemptAt);
+    } else if (!succeeded) {
+      console.warn(`🪝 Webhook delivery ${delivery.id} to ${delivery.endpoint.url} failed after ${attempts} attempts: ${error}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Exponential backoff: base, 2x base, 4x base, ...
+   */
+  retryDelay(attempts) {
+    return this.retryBaseMs * 2 ** (attempts - 1);
+  }
+
+  scheduleRetry(deliveryId, at) {
+    const timer = setTimeout(() => {
+      this.attempt(deliveryId).catch(error => {
+        console.error(`Webhook retry for ${deliveryId} failed:`, error.message);
+      });
+    }, Math.max(0, new Date(at).getTime() - Date.now()));
+    timer.unref?.();
+    this.retryTimers.set(deliveryId, timer);
+  }
+
+  /**
+   * Reschedule retries that were pending when the server stopped
+   */
+  async resumePendingDeliveries() {
+    if (!this.prisma) return 0;
+
+    const pending = await this.prisma.webhookDelivery.findMany({
+      where: { status: 'PENDING' },
+      select: { id: true, nextAttemptAt: true }
+    });
+    for (const delivery of pending) {
+      this.scheduleRetry(delivery.id, delivery.nextAttemptAt || new Date());
+    }
+    return pending.length;
+  }
+
+  /**
+   * Send a failed delivery again as a new delivery with the same payload
+   */
+  async replay(deliveryId) {
+    const original = await this.prisma.webhookDelivery.findUnique({ where: { id: deliveryId } });
+    if (!original) {
+      throw new WebhookError('Webhook delivery not found', 404);
+    }
+    if (original.status !== 'FAILED') {
+      throw new WebhookError(`Only failed deliveries can be replayed (status is ${original.status})`, 409);
+    }
+
+    const delivery = await this.prisma.webhookDelivery.create({
+      data: {
+        endpointId: original.endpointId,
+        event: original.event,
+        payload: original.payload,
+        status: 'PENDING',
+        replayOfId: original.id
+      }
+    });
+    return this.attempt(delivery.id);
+  }
+
+  /**
+   * Validate endpoint fields for create (partial = false) or update
+   */
+  validateEndpoint(input, { partial = false } = {}) {
+    const errors = [];
+
+    if (!partial || input.url !== undefined) {
+      let url = null;
+      try {
+        url = new URL(input.url);
+      } catch {
+        // Reported below
+      }
+      if (!url || !['http:', 'https:'].includes(url.protocol)) {
+        errors.push('url must be an http(s) URL');
+      } else if (url.protocol === 'http:' && process.env.NODE_ENV === 'production') {
+        errors.push('url must use https in production');
+      }
+    }
+
+    if (!partial || input.events !== undefined) {
+      if (!Array.isArray(input.events) || input.events.length === 0) {
+        errors.push('events must be a non-empty array');
+      } else {
+        const unknown = input.events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+          errors.push(`Unknown events: ${unknown.join(', ')}. Valid events: ${WEBHOOK_EVENTS.join(', ')} or *`);
+        }
+      }
+    }
+
+    if (input.isActive !== undefined && typeof input.isActive !== 'boolean') {
+      errors.push('isActive must be true or false');
+    }
+
+    if (errors.length > 0) {
+      throw new WebhookError(errors.join('; '));
+    }
+  }
+
+  async createEndpoint({ url, events, description = null, isActive = true }, createdBy = null) {
+    this.validateEndpoint({ url, events, isActive });
+    return this.prisma.webhookEndpoint.create({
+      data: { url, events, description, isActive, secret: generateWebhookSecret(), createdBy }
+    });
+  }
+
+  async updateEndpoint(id, changes) {
+    this.validateEndpoint(changes, { partial: true });
+    await this.getEndpoint(id);
+
+    const { url, events, description, isActive } = changes;
+    return this.prisma.webhookEndpoint.update({
+      where: { id },
+      data: { url, events, description, isActive }
+    });
+  }
+
+  async getEndpoint(id) {
+    const endpoint = await this.prisma.webhookEndpoint.findUnique({ where: { id } });
+    if (!endpoint) {
+      throw new WebhookError('Webhook endpoint not found', 404);
+    }
+    return endpoint;
+  }
+
+  async rotateSecret(id) {
+    await this.getEndpoint(id);
+    return this.prisma.webhookEndpoint.update({
+      where: { id },
+      data: { secret: generateWebhookSecret() }
+    });
+  }
+
+  async deleteEndpoint(id) {
+    await this.getEndpoint(id);
+    await this.prisma.webhookEndpoint.delete({ where: { id } });
+  }
+
+  /**
+   * Delivery log for an endpoint, newest first
+   */
+  async listDeliveries(endpointId, { status, limit = 50, offset = 0 } = {}) {
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+      throw new WebhookError(`status must be one of ${DELIVERY_STATUSES.join(', ')}`);
+    }
+    await this.getEndpoint(endpointId);
+
+    const take = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 100);
+    const skip = Math.max(parseInt(offset, 10) || 0, 0);
+    const where = { endpointId, ...(status ? { status } : {}) };
+
+    const [deliveries, total] = await Promise.all([
+      this.prisma.webhookDelivery.findMany({ where, orderBy: { createdAt: 'desc' }, skip, take }),
+      this.prisma.webhookDelivery.count({ where })
+    ]);
+
+    return { deliveries, total, limit: take, offset: skip };
+  }
+}
+
+const webhookService = new WebhookService();
+
+export default webhookService;
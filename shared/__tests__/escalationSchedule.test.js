@@ -0,0 +1,90 @@
+/**
+ * Unit Tests for the shared Escalation Schedule model
+ */
+
+import {
+  evaluateEscalationSchedule,
+  validateEscalationSchedule,
+  totalContractValue,
+  describeEscalationSchedule
+} from '../escalationSchedule.js';
+
+const rates = (years) => years.map(entry => Math.round(entry.rate * 10000) / 10000);
+
+describe('evaluateEscalationSchedule', () => {
+  it('should match the legacy fixed compound escalation without a schedule', () => {
+    const years = evaluateEscalationSchedule({ baseRate: 0.1, contractTerm: 3, annualEscalation: 2.5 });
+    expect(rates(years)).toEqual([0.1, 0.1025, 0.1051]);
+    expect(years[1]).toMatchObject({ year: 2, escalation: 2.5, basis: 'fixed', holiday: false });
+    expect(totalContractValue(1000, years)).toBeCloseTo(1000 * (0.1 + 0.1025 + 0.10506) * 12, 0);
+  });
+
+  it('should apply step-ups, tiers, floors, caps and rate holidays', () => {
+    const step = evaluateEscalationSchedule({
+      baseRate: 0.1,
+      contractTerm: 4,
+      schedule: { type: 'step', steps: [{ year: 3, percent: 10 }, { year: 4, rate: 0.2 }] }
+    });
+    expect(rates(step)).toEqual([0.1, 0.1, 0.11, 0.2]);
+
+    // Floors and caps bound compounding escalation only; a step schedule stays flat between steps
+    const flooredStep = evaluateEscalationSchedule({
+      baseRate: 0.1,
+      contractTerm: 3,
+      schedule: { type: 'step', steps: [{ year: 3, percent: 10 }], floor: 2 }
+    });
+    expect(rates(flooredStep)).toEqual([0.1, 0.1, 0.11]);
+
+    const tiered = evaluateEscalationSchedule({
+      baseRate: 0.1,
+      contractTerm: 5,
+      annualEscalation: 1,
+      schedule: {
+        type: 'tiered',
+        tiers: [{ fromYear: 2, toYear: 3, rate: 10 }, { fromYear: 4, toYear: 4, rate: 0 }],
+        floor: 2,
+        holidays: [{ fromYear: 1, toYear: 1 }]
+      }
+    });
+    expect(rates(tiered)).toEqual([0, 0.11, 0.121, 0.1234, 0.1259]);
+    expect(tiered[0]).toMatchObject({ holiday: true, basis: 'holiday', underlyingRate: 0.1 });
+    expect(tiered.map(entry => entry.escalation)).toEqual([0, 10, 10, 2, 2]);
+
+    const capped = evaluateEscalationSchedule({ baseRate: 0.1, contractTerm: 2, schedule: { type: 'fixed', rate: 8, cap: 3 } });
+    expect(rates(capped)).toEqual([0.1, 0.103]);
+  });
+
+  it('should follow the CPI index table and fall back to the assumed rate', () => {
+    const years = evaluateEscalationSchedule({
+      baseRate: 0.1,
+      contractTerm: 4,
+      schedule: {
+        type: 'cpi',
+        cpi: { startYear: 2024, index: [{ year: 2024, value: 300 }, { year: 2025, value: 312 }, { year: 2026, value: 315.12 }], participation: 0.5, spread: 0.5, fallbackRate: 2 },
+        cap: 2.5
+      }
+    });
+
+    expect(years.map(entry => entry.calendarYear)).toEqual([2024, 2025, 2026, 2027]);
+    expect(years.map(entry => Math.round(entry.escalation * 100) / 100)).toEqual([0, 2.5, 1, 2]);
+    expect(years.map(entry => entry.basis)).toEqual(['base', 'cpi', 'cpi', 'cpi-assumed']);
+    expect(describeEscalationSchedule({ type: 'cpi', cpi: { participation: 0.5, spread: 0.5 }, cap: 2.5 }))
+      .toBe('CPI-indexed at 50% + 0.5%, cap 2.5%');
+  });
+});
+
+describe('validateEscalationSchedule', () => {
+  it('should report structural problems', () => {
+    expect(validateEscalationSchedule({ type: 'fixed', rate: 2 })).toEqual([]);
+    expect(validateEscalationSchedule({ type: 'bogus' })).toHaveLength(1);
+    expect(validateEscalationSchedule({ type: 'cpi', cpi: { index: {} } })).toEqual([
+      'CPI escalation requires cpi.startYear',
+      'CPI escalation requires an index table'
+    ]);
+    expect(validateEscalationSchedule({ type: 'step', steps: [{ year: 0 }], floor: 3, cap: 1 })).toEqual([
+      'Step 1: year must be 1 or later',
+      'Step 1: one of rate, percent or amount is required',
+      'Escalation floor cannot exceed the cap'
+    ]);
+  });
+});
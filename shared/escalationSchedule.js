@@ -0,0 +1,253 @@
+/**
+ * Escalation Schedule
+ *
+ * Year-by-year rate model shared by the server and the client. A schedule is
+ * plain JSON (stored on FinancialParams.escalationSchedule) describing how the
+ * base rate moves over the contract term:
+ *
+ *   fixed  - compound annual escalation at `rate` percent
+ *   step   - flat rate that changes only at the listed `steps`
+ *   tiered - annual escalation that varies by contract-year band (`tiers`)
+ *   cpi    - escalation follows a supplied CPI index table (`cpi`)
+ *
+ * Every type also honours `steps` (one-off step-ups) and `holidays` (years
+ * billed at a reduced rate, 0 by default, without interrupting the underlying
+ * escalation path). The compounding types (fixed, tiered, cpi) also honour
+ * `floor`/`cap`, bounds on each year's escalation percentage; a step schedule
+ * does not escalate between its steps, so they do not apply to it.
+ *
+ * No dependencies, so the same file runs in Node and in the Vite bundle.
+ */
+
+export const ESCALATION_TYPES = ['fixed', 'step', 'tiered', 'cpi'];
+
+/**
+ * @typedef {Object} EscalationStep
+ * @property {number} year - Contract year the step takes effect (1-based)
+ * @property {number} [rate] - New absolute rate ($/kWh)
+ * @property {number} [percent] - Or: percentage increase on the prior rate
+ * @property {number} [amount] - Or: amount added to the prior rate
+ */
+
+/**
+ * @typedef {Object} EscalationSchedule
+ * @property {'fixed'|'step'|'tiered'|'cpi'} type
+ * @property {number} [rate] - Annual escalation %; defaults to the contract's annualEscalation
+ * @property {EscalationStep[]} [steps]
+ * @property {{ fromYear: number, toYear?: number, rate: number }[]} [tiers]
+ * @property {{ startYear: number, index: (Object<string, number>|{ year: number, value: number }[]), participation?: number, spread?: number, fallbackRate?: number }} [cpi]
+ * @property {number} [floor] - Minimum escalation % per year
+ * @property {number} [cap] - Maximum escalation % per year
+ * @property {{ fromYear: number, toYear?: number, rate?: number }[]} [holidays]
+ */
+
+/**
+ * @typedef {Object} EscalatedYear
+ * @property {number} year - Contract year (1-based)
+ * @property {number|null} calendarYear - Calendar year, when the start year is known
+ * @property {number} rate - Rate billed in this year
+ * @property {number} underlyingRate - Escalated rate before any holiday
+ * @property {number} escalation - Escalation % applied entering this year
+ * @property {boolean} holiday - Whether a rate holiday applies
+ * @property {string} basis - What drove this year's rate
+ */
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const inBand = (year, band) => year >= band.fromYear && year <= (band.toYear ?? Infinity);
+
+// Types that escalate every year, and so take a floor and cap
+const COMPOUNDING_TYPES = ['fixed', 'tiered', 'cpi'];
+
+// CPI tables arrive either as { 2024: 310.3 } or [{ year: 2024, value: 310.3 }]
+const indexTable = (index) => (Array.isArray(index)
+  ? Object.fromEntries(index.map(entry => [entry.year, entry.value]))
+  : index || {});
+
+/**
+ * Fixed-escalation schedule equivalent to the legacy annualEscalation field
+ */
+export function fixedEscalation(rate) {
+  return { type: 'fixed', rate: rate || 0 };
+}
+
+/**
+ * Structural problems with a schedule, as human-readable messages
+ *
+ * @param {EscalationSchedule} schedule
+ * @returns {string[]} Empty when the schedule is valid
+ */
+export function validateEscalationSchedule(schedule) {
+  const errors = [];
+  if (!schedule || typeof schedule !== 'object') {
+    return ['Escalation schedule must be an object'];
+  }
+  if (!ESCALATION_TYPES.includes(schedule.type)) {
+    errors.push(`Escalation type must be one of: ${ESCALATION_TYPES.join(', ')}`);
+  }
+  if (schedule.rate !== undefined && !isNumber(schedule.rate)) {
+    errors.push('Escalation rate must be a number');
+  }
+  if (schedule.type === 'step' && !(schedule.steps?.length > 0)) {
+    errors.push('Step escalation requires at least one step');
+  }
+  if (schedule.type === 'tiered' && !(schedule.tiers?.length > 0)) {
+    errors.push('Tiered escalation requires at least one tier');
+  }
+  if (schedule.type === 'cpi') {
+    if (!isNumber(schedule.cpi?.startYear)) {
+      errors.push('CPI escalation requires cpi.startYear');
+    }
+    if (Object.keys(indexTable(schedule.cpi?.index)).length === 0) {
+      errors.push('CPI escalation requires an index table');
+    }
+  }
+
+  (schedule.steps || []).forEach((step, i) => {
+    if (!isNumber(step.year) || step.year < 1) {
+      errors.push(`Step ${i + 1}: year must be 1 or later`);
+    }
+    if (![step.rate, step.percent, step.amount].some(isNumber)) {
+      errors.push(`Step ${i + 1}: one of rate, percent or amount is required`);
+    }
+  });
+  (schedule.tiers || []).forEach((tier, i) => {
+    if (!isNumber(tier.fromYear) || !isNumber(tier.rate)) {
+      errors.push(`Tier ${i + 1}: fromYear and rate are required`);
+    }
+  });
+  (schedule.holidays || []).forEach((holiday, i) => {
+    if (!isNumber(holiday.fromYear)) {
+      errors.push(`Holiday ${i + 1}: fromYear is required`);
+    }
+  });
+  if (isNumber(schedule.floor) && isNumber(schedule.cap) && schedule.floor > schedule.cap) {
+    errors.push('Escalation floor cannot exceed the cap');
+  }
+
+  return errors;
+}
+
+/**
+ * Escalation % applied when entering `year` (year >= 2), before floor/cap
+ */
+function escalationForYear(schedule, year, legacyRate) {
+  const fallback = schedule.rate ?? legacyRate;
+
+  switch (schedule.type) {
+    case 'step':
+      return { escalation: 0, basis: 'step' };
+
+    case 'tiered': {
+      const tier = (schedule.tiers || []).find(band => inBand(year, band));
+      return tier ? { escalation: tier.rate, basis: 'tiered' } : { escalation: fallback, basis: 'fixed' };
+    }
+
+    case 'cpi': {
+      const { startYear, participation = 1, spread = 0, fallbackRate } = schedule.cpi || {};
+      const table = indexTable(schedule.cpi?.index);
+      const current = table[startYear + year - 1];
+      const previous = table[startYear + year - 2];
+      if (isNumber(current) && isNumber(previous) && previous > 0) {
+        return { escalation: ((current / previous) - 1) * 100 * participation + spread, basis: 'cpi' };
+      }
+      // Index not published yet: use the assumed rate
+      return { escalation: fallbackRate ?? fallback, basis: 'cpi-assumed' };
+    }
+
+    case 'fixed':
+    default:
+      return { escalation: fallback, basis: 'fixed' };
+  }
+}
+
+const applyStep = (rate, step) => {
+  if (isNumber(step.rate)) return step.rate;
+  if (isNumber(step.percent)) return rate * (1 + step.percent / 100);
+  if (isNumber(step.amount)) return rate + step.amount;
+  return rate;
+};
+
+/**
+ * Evaluate a schedule over the contract term
+ *
+ * @param {Object} params
+ * @param {number} params.baseRate - Year 1 rate ($/kWh)
+ * @param {number} params.contractTerm - Term in years
+ * @param {EscalationSchedule} [params.schedule] - Defaults to fixed `annualEscalation`
+ * @param {number} [params.annualEscalation] - Legacy fixed escalation %
+ * @returns {EscalatedYear[]}
+ */
+export function evaluateEscalationSchedule({ baseRate, contractTerm, schedule, annualEscalation: legacyRate = 0 }) {
+  const effective = schedule && ESCALATION_TYPES.includes(schedule.type)
+    ? schedule
+    : fixedEscalation(legacyRate);
+  const startYear = effective.cpi?.startYear ?? null;
+
+  const years = [];
+  let underlyingRate = baseRate || 0;
+
+  for (let year = 1; year <= (contractTerm || 0); year++) {
+    let escalation = 0;
+    let basis = 'base';
+
+    if (year > 1) {
+      ({ escalation, basis } = escalationForYear(effective, year, legacyRate));
+      if (COMPOUNDING_TYPES.includes(effective.type)) {
+        if (isNumber(effective.floor)) escalation = Math.max(escalation, effective.floor);
+        if (isNumber(effective.cap)) escalation = Math.min(escalation, effective.cap);
+      }
+      underlyingRate *= 1 + escalation / 100;
+    }
+
+    for (const step of (effective.steps || []).filter(entry => entry.year === year)) {
+      underlyingRate = applyStep(underlyingRate, step);
+      basis = 'step';
+    }
+
+    const holiday = (effective.holidays || []).find(band => inBand(year, band));
+
+    years.push({
+      year,
+      calendarYear: startYear !== null ? startYear + year - 1 : null,
+      rate: holiday ? (holiday.rate ?? 0) : underlyingRate,
+      underlyingRate,
+      escalation,
+      holiday: Boolean(holiday),
+      basis: holiday ? 'holiday' : basis
+    });
+  }
+
+  return years;
+}
+
+/**
+ * Total contract value for monthly billing over the evaluated years
+ */
+export function totalContractValue(ratedCapacity, years) {
+  return (ratedCapacity || 0) * years.reduce((sum, entry) => sum + entry.rate, 0) * 12;
+}
+
+/**
+ * One-line description for summaries and exports
+ */
+export function describeEscalationSchedule(schedule, legacyRate = 0) {
+  const effective = schedule && ESCALATION_TYPES.includes(schedule.type) ? schedule : fixedEscalation(legacyRate);
+  const rate = effective.rate ?? legacyRate;
+  const extras = [];
+  if (COMPOUNDING_TYPES.includes(effective.type)) {
+    if (isNumber(effective.floor)) extras.push(`floor ${effective.floor}%`);
+    if (isNumber(effective.cap)) extras.push(`cap ${effective.cap}%`);
+  }
+  if (effective.type !== 'step' && effective.steps?.length) extras.push(`${effective.steps.length} step-up(s)`);
+  if (effective.holidays?.length) extras.push(`${effective.holidays.length} rate holiday(s)`);
+
+  const base = {
+    fixed: `${rate}%/year`,
+    step: `Step schedule (${effective.steps?.length || 0} step(s))`,
+    tiered: `Tiered (${(effective.tiers || []).map(tier => `${tier.rate}%`).join(' / ')})`,
+    cpi: `CPI-indexed${effective.cpi?.participation && effective.cpi.participation !== 1 ? ` at ${effective.cpi.participation * 100}%` : ''}${effective.cpi?.spread ? ` + ${effective.cpi.spread}%` : ''}`
+  }[effective.type];
+
+  return extras.length > 0 ? `${base}, ${extras.join(', ')}` : base;
+}
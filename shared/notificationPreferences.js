@@ -0,0 +1,121 @@
+/**
+ * Notification Preferences
+ *
+ * Per-user subscription rules shared by the server (which decides whether and
+ * how to deliver a notification) and the NotificationCenter (which lets users
+ * edit them and hides muted types). A preference targets a notification type
+ * pattern:
+ *
+ *   rule:learned                 - one exact type
+ *   bulk:*                       - every type under a prefix
+ *   document:processing:*        - prefixes can be nested
+ *   *                            - every type
+ *
+ * The most specific matching pattern wins: an exact type beats any wildcard,
+ * and a longer prefix beats a shorter one. Types with no matching preference
+ * are delivered in-app.
+ *
+ * Every enabled notification lands in the user's inbox; the channel decides
+ * how it is pushed:
+ *
+ *   IN_APP - live over the socket
+ *   EMAIL  - immediate email
+ *   DIGEST - batched into the daily digest email
+ *
+ * No dependencies, so the same file runs in Node and in the Vite bundle.
+ */
+
+export const NOTIFICATION_CHANNELS = ['IN_APP', 'EMAIL', 'DIGEST'];
+
+/**
+ * @typedef {Object} NotificationPreference
+ * @property {string} type - Exact type, `prefix:*` or `*`
+ * @property {boolean} enabled - False mutes the type entirely
+ * @property {'IN_APP'|'EMAIL'|'DIGEST'} channel
+ */
+
+/** @type {NotificationPreference} */
+export const DEFAULT_NOTIFICATION_PREFERENCE = { type: '*', enabled: true, channel: 'IN_APP' };
+
+const TYPE_PATTERN = /^(\*|[a-z]+(:[a-z]+)*(:\*)?)$/;
+
+/**
+ * Whether a preference pattern covers a notification type
+ *
+ * @param {string} pattern
+ * @param {string} type
+ * @returns {boolean}
+ */
+export function matchesNotificationType(pattern, type) {
+  if (pattern === '*') return true;
+  if (pattern.endsWith(':*')) {
+    return type.startsWith(pattern.slice(0, -1));
+  }
+  return pattern === type;
+}
+
+/**
+ * Specificity of a pattern; higher wins
+ */
+const specificity = (pattern) => {
+  if (pattern === '*') return 0;
+  if (pattern.endsWith(':*')) return pattern.length;
+  return Number.MAX_SAFE_INTEGER;
+};
+
+/**
+ * The preference that applies to a notification type
+ *
+ * @param {NotificationPreference[]} preferences
+ * @param {string} type
+ * @returns {NotificationPreference}
+ */
+export function resolveNotificationPreference(preferences, type) {
+  let best = null;
+
+  for (const preference of preferences || []) {
+    if (!matchesNotificationType(preference.type, type)) continue;
+    if (!best || specificity(preference.type) > specificity(best.type)) {
+      best = preference;
+    }
+  }
+
+  return best
+    ? { type: best.type, enabled: best.enabled !== false, channel: best.channel || 'IN_APP' }
+    : DEFAULT_NOTIFICATION_PREFERENCE;
+}
+
+/**
+ * Structural problems with a preference list, as messages
+ *
+ * @param {NotificationPreference[]} preferences
+ * @returns {string[]}
+ */
+export function validateNotificationPreferences(preferences) {
+  if (!Array.isArray(preferences)) {
+    return ['Preferences must be an array'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+
+  preferences.forEach((preference, index) => {
+    const label = `Preference ${index + 1}`;
+    if (!preference || typeof preference.type !== 'string' || !TYPE_PATTERN.test(preference.type)) {
+      errors.push(`${label}: type must be a notification type, a "prefix:*" pattern or "*"`);
+      return;
+    }
+    if (seen.has(preference.type)) {
+      errors.push(`${label}: duplicate preference for ${preference.type}`);
+    }
+    seen.add(preference.type);
+    if (preference.enabled !== undefined && typeof preference.enabled !== 'boolean') {
+      errors.push(`${label}: enabled must be true or false`);
+    }
+    if (preference.channel !== undefined && !NOTIFICATION_CHANNELS.includes(preference.channel)) {
+      errors.push(`${label}: channel must be one of ${NOTIFICATION_CHANNELS.join(', ')}`);
+    }
+  });
+
+  return errors;
+}
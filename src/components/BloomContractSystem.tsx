@@ -8,8 +8,10 @@ import SimpleCostCalculator from './SimpleCostCalculator';
 import Dashboard from './Dashboard';
 import { ContractLibrary } from './library/ContractLibrary';
 import { ContractDetailsView } from './library/ContractDetailsView';
+import { ContractComparison } from './library/ContractComparison';
 import { DocumentView } from './documents/DocumentView';
 import { BusinessRulesDisplay } from './rules/BusinessRulesDisplay';
+import { ReviewQueue } from './review/ReviewQueue';
 import { Contract } from '../types';
 
 /**
@@ -35,6 +37,7 @@ export const BloomContractSystem: React.FC<BloomContractSystemProps> = ({
   // Application state
   const [activeView, setActiveView] = useState('dashboard');
   const [selectedContract, setSelectedContract] = useState<Contract | null>(null);
+  const [compareContractIds, setCompareContractIds] = useState<string[]>([]);
   const [creationMode, setCreationMode] = useState<'documents' | 'manual' | null>(null);
   const [aiExtractionInfo, setAiExtractionInfo] = useState<{
     isAiExtracted: boolean;
@@ -63,12 +66,15 @@ export const BloomContractSystem: React.FC<BloomContractSystemProps> = ({
     aiExtractedData?: Partial<ContractFormData>;
     sourceDocument?: { id: string; name: string; confidence?: number };
     contract?: Contract;
+    contractIds?: string[];
   }) => {
     setActiveView(view);
     
     // If switching to contract details view
     if (view === 'contract-details' && options?.contract) {
       setSelectedContract(options.contract);
+    } else if (view === 'compare' && options?.contractIds) {
+      setCompareContractIds(options.contractIds);
     } else if (view === 'create' && options?.aiExtractedData) {
       // If switching to create view with AI data
       updateFormData(options.aiExtractedData);
@@ -260,9 +266,11 @@ export const BloomContractSystem: React.FC<BloomContractSystemProps> = ({
                   effectiveDate: contract.effectiveDate,
                   solutionType: contract.type,
                   ratedCapacity: contract.capacity,
+                  sites: contract.sites || [],
                   contractTerm: contract.term,
                   baseRate: contract.parameters.financial.baseRate,
                   annualEscalation: contract.parameters.financial.escalation,
+                  escalationSchedule: contract.parameters.financial.escalationSchedule,
                   microgridAdder: contract.parameters.financial.microgridAdder,
                   thermalCycleFee: contract.parameters.financial.thermalCycleFee,
                   electricalBudget: contract.parameters.financial.electricalBudget,
@@ -307,21 +315,10 @@ export const BloomContractSystem: React.FC<BloomContractSystemProps> = ({
 
       case 'compare':
         return fullWidthWrapper(
-          <div className="absolute inset-0 p-6">
-            <div className="w-full space-y-6">
-              <div>
-                <h1 className="text-3xl font-bold text-gray-900">Contract Comparison</h1>
-                <p className="text-gray-600 mt-1">
-                  Side-by-side contract comparison functionality
-                </p>
-              </div>
-              <div className="text-center py-12">
-                <p className="text-gray-600">
-                  Implementation will be added in the next phase.
-                </p>
-              </div>
-            </div>
-          </div>
+          <ContractComparison
+            contractIds={compareContractIds}
+            onNavigate={handleViewChange}
+          />
         );
 
       case 'ai-assistant':
@@ -373,6 +370,13 @@ export const BloomContractSystem: React.FC<BloomContractSystemProps> = ({
           />
         );
 
+      case 'review':
+        return fullWidthWrapper(
+          <div className="absolute inset-0 p-6 overflow-y-auto">
+            <ReviewQueue />
+          </div>
+        );
+
       case 'templates':
         return fullWidthWrapper(
           <div className="absolute inset-0 p-6">
@@ -16,6 +16,7 @@ import {
   Loader2
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { PortfolioAnalytics } from './dashboard/PortfolioAnalytics';
 
 interface DashboardData {
   stats: {
@@ -382,6 +383,9 @@ export const Dashboard: React.FC<DashboardProps> = ({ onNavigate }) => {
           </div>
         )}
 
+        {/* Portfolio rollups need the analytics API, which demo mode does not have */}
+        {!isDemoMode && <PortfolioAnalytics />}
+
         {/* Recent Activity - Simplified */}
         {dashboardData && dashboardData.recentActivity.length > 0 && (
           <div>
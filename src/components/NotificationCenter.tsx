@@ -3,31 +3,42 @@
  * Real-time notification display and management
  */
 
-import React, { useState } from 'react';
-import { Bell, X, Check, AlertCircle, CheckCircle, Info, Wifi, WifiOff } from 'lucide-react';
+import React, { useMemo, useState } from 'react';
+import { Bell, X, Check, AlertCircle, CheckCircle, Info, Wifi, WifiOff, Settings } from 'lucide-react';
 import { Button } from './ui/button';
 import { Badge } from './ui/badge';
 import { Card, CardContent, CardHeader } from './ui/card';
 import { ScrollArea } from './ui/scroll-area';
 import { Popover, PopoverContent, PopoverTrigger } from './ui/popover';
 import { useNotifications, Notification, NOTIFICATION_TYPES } from '../hooks/useNotifications';
+import NotificationPreferences from './NotificationPreferences';
+import { resolveNotificationPreference } from '../../shared/notificationPreferences.js';
 
 const NotificationCenter: React.FC = () => {
   const {
-    notifications,
-    unreadCount,
+    notifications: allNotifications,
     connected,
     connecting,
     error,
     markAsRead,
     clearAll,
-    sendTestNotification
+    sendTestNotification,
+    preferences = [],
+    updatePreferences
   } = useNotifications({
     autoConnect: true,
     maxNotifications: 50
   });
 
   const [isOpen, setIsOpen] = useState(false);
+  const [showPreferences, setShowPreferences] = useState(false);
+
+  // Hide muted types, including any received before the preference changed
+  const notifications = useMemo(
+    () => allNotifications.filter(n => resolveNotificationPreference(preferences, n.type).enabled),
+    [allNotifications, preferences]
+  );
+  const unreadCount = notifications.filter(n => !n.read).length;
 
   const handleMarkAsRead = (notificationIds: string[]) => {
     markAsRead(notificationIds);
@@ -50,6 +61,7 @@ const NotificationCenter: React.FC = () => {
       case NOTIFICATION_TYPES.BULK_OPERATION_COMPLETED:
         return <CheckCircle className="w-4 h-4 text-blue-500" />;
       case NOTIFICATION_TYPES.BULK_OPERATION_FAILED:
+      case NOTIFICATION_TYPES.DOCUMENT_PROCESSING_FAILED:
         return <AlertCircle className="w-4 h-4 text-red-500" />;
       case NOTIFICATION_TYPES.BULK_OPERATION_STARTED:
       case NOTIFICATION_TYPES.BULK_OPERATION_PROGRESS:
@@ -73,6 +85,7 @@ const NotificationCenter: React.FC = () => {
       case NOTIFICATION_TYPES.BULK_OPERATION_COMPLETED:
         return `${baseClasses} border-l-blue-500`;
       case NOTIFICATION_TYPES.BULK_OPERATION_FAILED:
+      case NOTIFICATION_TYPES.DOCUMENT_PROCESSING_FAILED:
         return `${baseClasses} border-l-red-500`;
       default:
         return `${baseClasses} border-l-gray-500`;
@@ -151,6 +164,15 @@ const NotificationCenter: React.FC = () => {
                 {connectionIcon()}
               </div>
               <div className="flex items-center gap-2">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => setShowPreferences(prev => !prev)}
+                  className="text-xs"
+                  aria-label="Notification preferences"
+                >
+                  <Settings className="w-3 h-3" />
+                </Button>
                 {process.env.NODE_ENV === 'development' && (
                   <Button 
                     variant="ghost" 
@@ -194,7 +216,13 @@ const NotificationCenter: React.FC = () => {
           </CardHeader>
           
           <CardContent className="p-0">
-            {notifications.length === 0 ? (
+            {showPreferences ? (
+              <NotificationPreferences
+                preferences={preferences}
+                onSave={updatePreferences}
+                onClose={() => setShowPreferences(false)}
+              />
+            ) : notifications.length === 0 ? (
               <div className="p-4 text-center text-gray-500 text-sm">
                 No notifications yet
               </div>
@@ -0,0 +1,123 @@
+/**
+ * Notification Preferences Component
+ * Per-type mute and delivery channel settings shown inside the NotificationCenter
+ */
+
+import React, { useState } from 'react';
+import { Button } from './ui/button';
+import { Switch } from './ui/switch';
+import { NotificationChannel, NotificationPreference } from '../hooks/useNotifications';
+import { resolveNotificationPreference } from '../../shared/notificationPreferences.js';
+
+interface NotificationPreferencesProps {
+  preferences: NotificationPreference[];
+  onSave: (preferences: NotificationPreference[]) => Promise<void>;
+  onClose: () => void;
+}
+
+// Types users commonly tune; more specific patterns override broader ones
+const PREFERENCE_GROUPS = [
+  { type: 'contract:*', label: 'Contract changes' },
+  { type: 'bulk:*', label: 'Bulk operations' },
+  { type: 'rule:learned', label: 'Learned rules' },
+  { type: 'rule:extracted', label: 'Extracted rules' },
+  { type: 'document:processing:failed', label: 'Failed extractions' },
+  { type: 'document:*', label: 'Document uploads and processing' },
+  { type: 'validation:result', label: 'Validation results' },
+  { type: 'export:ready', label: 'Exports ready' },
+  { type: 'system:alert', label: 'System alerts' },
+  { type: 'user:*', label: 'User presence' }
+];
+
+const CHANNEL_LABELS: Record<NotificationChannel, string> = {
+  IN_APP: 'In-app',
+  EMAIL: 'Email now',
+  DIGEST: 'Daily digest'
+};
+
+const NotificationPreferences: React.FC<NotificationPreferencesProps> = ({
+  preferences,
+  onSave,
+  onClose
+}) => {
+  const [rows, setRows] = useState(() => {
+    const groupTypes = new Set(PREFERENCE_GROUPS.map(group => group.type));
+    const custom = preferences
+      .filter(preference => !groupTypes.has(preference.type))
+      .map(preference => ({ type: preference.type, label: preference.type }));
+
+    return [...PREFERENCE_GROUPS, ...custom].map(group => {
+      const preference = resolveNotificationPreference(preferences, group.type);
+      return { ...group, enabled: preference.enabled, channel: preference.channel as NotificationChannel };
+    });
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const updateRow = (type: string, changes: Partial<NotificationPreference>) => {
+    setRows(prev => prev.map(row => (row.type === type ? { ...row, ...changes } : row)));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      await onSave(rows.map(({ type, enabled, channel }) => ({ type, enabled, channel })));
+      onClose();
+    } catch (saveError) {
+      setError(saveError instanceof Error ? saveError.message : 'Failed to save preferences');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="p-3 space-y-3">
+      <p className="text-xs text-gray-500">
+        Muted types are not delivered at all. Email and digest types still appear in your inbox.
+      </p>
+
+      <div className="space-y-2">
+        {rows.map(row => (
+          <div key={row.type} className="flex items-center justify-between gap-2">
+            <div className="min-w-0">
+              <p className="text-sm text-gray-900">{row.label}</p>
+              <p className="text-xs text-gray-400 font-mono">{row.type}</p>
+            </div>
+            <div className="flex items-center gap-2 flex-shrink-0">
+              <select
+                aria-label={`Delivery for ${row.label}`}
+                className="p-1 text-xs border border-gray-300 rounded-md"
+                value={row.channel}
+                disabled={!row.enabled}
+                onChange={(e) => updateRow(row.type, { channel: e.target.value as NotificationChannel })}
+              >
+                {Object.entries(CHANNEL_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <Switch
+                aria-label={`Receive ${row.label}`}
+                checked={row.enabled}
+                onCheckedChange={(enabled) => updateRow(row.type, { enabled })}
+              />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {error && <p className="text-xs text-red-500">{error}</p>}
+
+      <div className="flex justify-end gap-2">
+        <Button variant="ghost" size="sm" onClick={onClose} className="text-xs">
+          Cancel
+        </Button>
+        <Button size="sm" onClick={handleSave} disabled={saving} className="text-xs">
+          {saving ? 'Saving...' : 'Save'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationPreferences;
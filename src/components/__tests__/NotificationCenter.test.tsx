@@ -21,7 +21,8 @@ jest.mock('lucide-react', () => ({
   CheckCircle: () => <div data-testid="check-circle-icon" />,
   Info: () => <div data-testid="info-icon" />,
   Wifi: () => <div data-testid="wifi-icon" />,
-  WifiOff: () => <div data-testid="wifi-off-icon" />
+  WifiOff: () => <div data-testid="wifi-off-icon" />,
+  Settings: () => <div data-testid="settings-icon" />
 }));
 
 const createMockNotification = (overrides = {}) => ({
@@ -45,7 +46,9 @@ describe('NotificationCenter', () => {
     sendTestNotification: jest.fn(),
     joinRoom: jest.fn(),
     leaveRoom: jest.fn(),
-    subscribe: jest.fn()
+    subscribe: jest.fn(),
+    preferences: [],
+    updatePreferences: jest.fn()
   };
 
   beforeEach(() => {
@@ -7,13 +7,14 @@ import { ContractFormData, ValidationError, TabValidationState } from '../../typ
 import { TAB_CONFIG } from '../../utils/constants';
 import { BasicInfoTab } from './BasicInfoTab';
 import { SystemConfigTab } from './SystemConfigTab';
+import { SitesTab } from './SitesTab';
 import { FinancialTab } from './FinancialTab';
 import { OperatingTab } from './OperatingTab';
 import { TechnicalTab } from './TechnicalTab';
 import { SummaryTab } from './SummaryTab';
 import { AIAssistantTab } from './AIAssistantTab';
 import { BusinessRulesDisplay } from '../rules/BusinessRulesDisplay';
-import { Plus, User, Zap, DollarSign, Settings, Cpu, FileText, CheckCircle, AlertCircle, Brain, Shield, Upload, Edit3 } from 'lucide-react';
+import { Plus, User, Zap, DollarSign, Settings, Cpu, FileText, CheckCircle, AlertCircle, Brain, Shield, Upload, Edit3, MapPin } from 'lucide-react';
 
 interface ContractTabsProps {
   formData: ContractFormData;
@@ -58,6 +59,7 @@ export const ContractTabs: React.FC<ContractTabsProps> = ({
     'ai-assistant': Brain,
     basic: User,
     system: Zap,
+    sites: MapPin,
     financial: DollarSign,
     operating: Settings,
     technical: Cpu,
@@ -270,6 +272,16 @@ export const ContractTabs: React.FC<ContractTabsProps> = ({
               </div>
             </TabsContent>
 
+            <TabsContent value="sites" className="mt-0 p-6">
+              <div className="max-w-4xl mx-auto">
+                <SitesTab 
+                  formData={formData}
+                  validationErrors={validationErrors}
+                  onFieldChange={onFieldChange}
+                />
+              </div>
+            </TabsContent>
+
             <TabsContent value="financial" className="mt-0 p-6">
               <div className="max-w-4xl mx-auto">
                 <FinancialTab 
@@ -0,0 +1,299 @@
+import React from 'react';
+import { Label } from '../ui/label';
+import { Input } from '../ui/input';
+import { Button } from '../ui/button';
+import { Plus, Trash2 } from 'lucide-react';
+import { EscalationSchedule, EscalationType } from '../../types';
+
+interface EscalationScheduleEditorProps {
+  schedule?: EscalationSchedule;
+  contractTerm: number;
+  onChange: (schedule: EscalationSchedule | undefined) => void;
+}
+
+const TYPE_OPTIONS: { value: EscalationType; label: string; description: string }[] = [
+  { value: 'fixed', label: 'Fixed', description: 'Compound annual escalation at the rate above' },
+  { value: 'step', label: 'Step', description: 'Flat rate that changes only in the listed years' },
+  { value: 'tiered', label: 'Tiered', description: 'Escalation that varies by contract-year band' },
+  { value: 'cpi', label: 'CPI-indexed', description: 'Escalation follows a CPI index table' }
+];
+
+const numberOrUndefined = (value: string): number | undefined => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+};
+
+// CPI index table is edited as "2024=310.3" lines
+const formatIndex = (index: NonNullable<EscalationSchedule['cpi']>['index'] | undefined): string => {
+  const entries = Array.isArray(index)
+    ? index.map(entry => [entry.year, entry.value])
+    : Object.entries(index || {});
+  return entries.map(([year, value]) => `${year}=${value}`).join('\n');
+};
+
+const parseIndex = (text: string): Record<string, number> => {
+  const table: Record<string, number> = {};
+  text.split('\n').forEach(line => {
+    const [year, value] = line.split('=').map(part => part.trim());
+    const parsed = parseFloat(value);
+    if (/^\d{4}$/.test(year) && Number.isFinite(parsed)) {
+      table[year] = parsed;
+    }
+  });
+  return table;
+};
+
+export const EscalationScheduleEditor: React.FC<EscalationScheduleEditorProps> = ({
+  schedule,
+  contractTerm,
+  onChange
+}) => {
+  const current: EscalationSchedule = schedule || { type: 'fixed' };
+
+  const update = (changes: Partial<EscalationSchedule>) => {
+    const next = { ...current, ...changes };
+    const isPlainFixed = next.type === 'fixed' && next.rate === undefined &&
+      next.floor === undefined && next.cap === undefined &&
+      !next.steps?.length && !next.holidays?.length;
+    // A plain fixed schedule is just the annual escalation field
+    onChange(isPlainFixed ? undefined : next);
+  };
+
+  const handleTypeChange = (type: EscalationType) => {
+    const defaults: Partial<EscalationSchedule> = { type };
+    if (type === 'step' && !current.steps?.length) {
+      defaults.steps = [{ year: Math.min(6, contractTerm || 6), percent: 10 }];
+    }
+    if (type === 'tiered' && !current.tiers?.length) {
+      defaults.tiers = [{ fromYear: 2, toYear: 5, rate: 2.5 }, { fromYear: 6, rate: 2 }];
+    }
+    if (type === 'cpi' && !current.cpi) {
+      defaults.cpi = { startYear: new Date().getFullYear(), index: {}, participation: 1, spread: 0 };
+    }
+    update(defaults);
+  };
+
+  const steps = current.steps || [];
+  const tiers = current.tiers || [];
+  const holidays = current.holidays || [];
+
+  return (
+    <div className="space-y-4 pt-4 border-t border-gray-200">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <Label htmlFor="escalationType">Escalation Schedule</Label>
+          <select
+            id="escalationType"
+            className="w-full p-2 border border-gray-300 rounded-md"
+            value={current.type}
+            onChange={(e) => handleTypeChange(e.target.value as EscalationType)}
+          >
+            {TYPE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            {TYPE_OPTIONS.find(option => option.value === current.type)?.description}
+          </p>
+        </div>
+
+        {/* A step schedule does not escalate between steps, so it has no floor or cap */}
+        {current.type !== 'step' && (
+          <>
+            <div>
+              <Label htmlFor="escalationFloor">Floor (%/year)</Label>
+              <Input
+                id="escalationFloor"
+                type="number"
+                step="0.1"
+                value={current.floor ?? ''}
+                onChange={(e) => update({ floor: numberOrUndefined(e.target.value) })}
+                placeholder="None"
+              />
+            </div>
+
+            <div>
+              <Label htmlFor="escalationCap">Cap (%/year)</Label>
+              <Input
+                id="escalationCap"
+                type="number"
+                step="0.1"
+                value={current.cap ?? ''}
+                onChange={(e) => update({ cap: numberOrUndefined(e.target.value) })}
+                placeholder="None"
+              />
+            </div>
+          </>
+        )}
+      </div>
+
+      {current.type === 'tiered' && (
+        <div className="space-y-2">
+          <Label>Tiers</Label>
+          {tiers.map((tier, index) => (
+            <div key={index} className="grid grid-cols-4 gap-2 items-center">
+              <Input
+                type="number"
+                value={tier.fromYear}
+                onChange={(e) => update({ tiers: tiers.map((t, i) => i === index ? { ...t, fromYear: parseInt(e.target.value) || 1 } : t) })}
+                placeholder="From year"
+              />
+              <Input
+                type="number"
+                value={tier.toYear ?? ''}
+                onChange={(e) => update({ tiers: tiers.map((t, i) => i === index ? { ...t, toYear: numberOrUndefined(e.target.value) } : t) })}
+                placeholder="To year (end)"
+              />
+              <Input
+                type="number"
+                step="0.1"
+                value={tier.rate}
+                onChange={(e) => update({ tiers: tiers.map((t, i) => i === index ? { ...t, rate: parseFloat(e.target.value) || 0 } : t) })}
+                placeholder="%/year"
+              />
+              <Button variant="outline" size="sm" onClick={() => update({ tiers: tiers.filter((_, i) => i !== index) })}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          ))}
+          <Button variant="outline" size="sm" onClick={() => update({ tiers: [...tiers, { fromYear: (tiers[tiers.length - 1]?.toYear || 1) + 1, rate: 2 }] })}>
+            <Plus className="h-4 w-4 mr-1" /> Add tier
+          </Button>
+        </div>
+      )}
+
+      {current.type === 'cpi' && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <Label htmlFor="cpiStartYear">Start Year</Label>
+              <Input
+                id="cpiStartYear"
+                type="number"
+                value={current.cpi?.startYear ?? ''}
+                onChange={(e) => update({ cpi: { ...current.cpi, startYear: parseInt(e.target.value) || new Date().getFullYear() } })}
+              />
+            </div>
+            <div>
+              <Label htmlFor="cpiParticipation">CPI Share (%)</Label>
+              <Input
+                id="cpiParticipation"
+                type="number"
+                value={Math.round((current.cpi?.participation ?? 1) * 100)}
+                onChange={(e) => update({ cpi: { ...current.cpi, participation: (parseFloat(e.target.value) || 0) / 100 } })}
+              />
+            </div>
+            <div>
+              <Label htmlFor="cpiSpread">Spread (%)</Label>
+              <Input
+                id="cpiSpread"
+                type="number"
+                step="0.1"
+                value={current.cpi?.spread ?? 0}
+                onChange={(e) => update({ cpi: { ...current.cpi, spread: parseFloat(e.target.value) || 0 } })}
+              />
+            </div>
+            <div>
+              <Label htmlFor="cpiFallback">Assumed Rate (%)</Label>
+              <Input
+                id="cpiFallback"
+                type="number"
+                step="0.1"
+                value={current.cpi?.fallbackRate ?? ''}
+                onChange={(e) => update({ cpi: { ...current.cpi, fallbackRate: numberOrUndefined(e.target.value) } })}
+                placeholder="Annual escalation"
+              />
+            </div>
+          </div>
+          <div>
+            <Label htmlFor="cpiIndex">CPI Index Table</Label>
+            <textarea
+              id="cpiIndex"
+              className="w-full p-2 border border-gray-300 rounded-md font-mono text-sm h-32"
+              defaultValue={formatIndex(current.cpi?.index)}
+              onBlur={(e) => update({ cpi: { ...current.cpi, index: parseIndex(e.target.value) } })}
+              placeholder={'2024=310.3\n2025=318.1'}
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              One "year=value" per line. Years without an index use the assumed rate.
+            </p>
+          </div>
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <Label>{current.type === 'step' ? 'Steps' : 'Step-ups'}</Label>
+        {steps.map((step, index) => (
+          <div key={index} className="grid grid-cols-4 gap-2 items-center">
+            <Input
+              type="number"
+              value={step.year}
+              onChange={(e) => update({ steps: steps.map((s, i) => i === index ? { ...s, year: parseInt(e.target.value) || 1 } : s) })}
+              placeholder="Year"
+            />
+            <select
+              className="p-2 border border-gray-300 rounded-md"
+              value={step.rate !== undefined ? 'rate' : step.amount !== undefined ? 'amount' : 'percent'}
+              onChange={(e) => {
+                const value = step.rate ?? step.amount ?? step.percent ?? 0;
+                update({ steps: steps.map((s, i) => i === index ? { year: s.year, [e.target.value]: value } : s) });
+              }}
+            >
+              <option value="percent">Increase %</option>
+              <option value="amount">Increase $</option>
+              <option value="rate">Set rate $</option>
+            </select>
+            <Input
+              type="number"
+              step="0.01"
+              value={step.rate ?? step.amount ?? step.percent ?? 0}
+              onChange={(e) => {
+                const key = step.rate !== undefined ? 'rate' : step.amount !== undefined ? 'amount' : 'percent';
+                update({ steps: steps.map((s, i) => i === index ? { ...s, [key]: parseFloat(e.target.value) || 0 } : s) });
+              }}
+            />
+            <Button variant="outline" size="sm" onClick={() => update({ steps: steps.filter((_, i) => i !== index) })}>
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+        <Button variant="outline" size="sm" onClick={() => update({ steps: [...steps, { year: Math.min((steps[steps.length - 1]?.year || 1) + 5, contractTerm || 20), percent: 5 }] })}>
+          <Plus className="h-4 w-4 mr-1" /> Add step
+        </Button>
+      </div>
+
+      <div className="space-y-2">
+        <Label>Rate Holidays</Label>
+        {holidays.map((holiday, index) => (
+          <div key={index} className="grid grid-cols-4 gap-2 items-center">
+            <Input
+              type="number"
+              value={holiday.fromYear}
+              onChange={(e) => update({ holidays: holidays.map((h, i) => i === index ? { ...h, fromYear: parseInt(e.target.value) || 1 } : h) })}
+              placeholder="From year"
+            />
+            <Input
+              type="number"
+              value={holiday.toYear ?? ''}
+              onChange={(e) => update({ holidays: holidays.map((h, i) => i === index ? { ...h, toYear: numberOrUndefined(e.target.value) } : h) })}
+              placeholder="To year"
+            />
+            <Input
+              type="number"
+              step="0.01"
+              value={holiday.rate ?? 0}
+              onChange={(e) => update({ holidays: holidays.map((h, i) => i === index ? { ...h, rate: parseFloat(e.target.value) || 0 } : h) })}
+              placeholder="Billed rate"
+            />
+            <Button variant="outline" size="sm" onClick={() => update({ holidays: holidays.filter((_, i) => i !== index) })}>
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+        <Button variant="outline" size="sm" onClick={() => update({ holidays: [...holidays, { fromYear: 1, toYear: 1, rate: 0 }] })}>
+          <Plus className="h-4 w-4 mr-1" /> Add holiday
+        </Button>
+      </div>
+    </div>
+  );
+};
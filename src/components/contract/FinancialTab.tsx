@@ -5,8 +5,9 @@ import { Input } from '../ui/input';
 import { Slider } from '../ui/slider';
 import { Badge } from '../ui/badge';
 import { ContractFormData, ValidationError } from '../../types';
-import { calculateYearlyRates, calculateTotalContractValue, formatCurrency, formatCurrencyDetailed } from '../../utils/calculations';
+import { calculateYearlyRates, calculateTotalContractValue, describeEscalation, formatCurrency, formatCurrencyDetailed } from '../../utils/calculations';
 import { FINANCIAL_RULES } from '../../utils/constants';
+import { EscalationScheduleEditor } from './EscalationScheduleEditor';
 
 interface FinancialTabProps {
   formData: ContractFormData;
@@ -24,9 +25,10 @@ export const FinancialTab: React.FC<FinancialTabProps> = ({
     return calculateYearlyRates(
       formData.baseRate,
       formData.annualEscalation,
-      formData.contractTerm
+      formData.contractTerm,
+      formData.escalationSchedule
     );
-  }, [formData.baseRate, formData.annualEscalation, formData.contractTerm]);
+  }, [formData.baseRate, formData.annualEscalation, formData.contractTerm, formData.escalationSchedule]);
 
   const totalContractValue = useMemo(() => {
     return calculateTotalContractValue(formData.ratedCapacity, yearlyRates);
@@ -120,6 +122,15 @@ export const FinancialTab: React.FC<FinancialTabProps> = ({
               <p className="text-sm text-red-500 mt-1">{validationErrors.annualEscalation}</p>
             )}
           </div>
+
+          <EscalationScheduleEditor
+            schedule={formData.escalationSchedule}
+            contractTerm={formData.contractTerm}
+            onChange={(schedule) => onFieldChange('escalationSchedule', schedule)}
+          />
+          {validationErrors.escalationSchedule && (
+            <p className="text-sm text-red-500 mt-1">{validationErrors.escalationSchedule}</p>
+          )}
         </CardContent>
       </Card>
 
@@ -201,7 +212,7 @@ export const FinancialTab: React.FC<FinancialTabProps> = ({
                   {formatCurrency(totalContractValue)}
                 </div>
                 <div className="text-xs text-green-600">
-                  Over {formData.contractTerm} years with {formData.annualEscalation}% escalation
+                  Over {formData.contractTerm} years, {describeEscalation(formData.annualEscalation, formData.escalationSchedule)}
                 </div>
               </div>
             </div>
@@ -214,6 +225,7 @@ export const FinancialTab: React.FC<FinancialTabProps> = ({
                   <div key={rate.year} className="flex justify-between items-center py-1 px-2 rounded bg-gray-50">
                     <span className="text-sm text-gray-600">Year {rate.year}</span>
                     <span className="text-sm font-medium">
+                      {rate.holiday && <Badge variant="secondary" className="mr-2">Holiday</Badge>}
                       ${rate.rate}/kW
                     </span>
                   </div>
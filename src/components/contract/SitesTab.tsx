@@ -0,0 +1,223 @@
+import React from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Label } from '../ui/label';
+import { Input } from '../ui/input';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { MapPin, Plus, Trash2 } from 'lucide-react';
+import { ContractFormData, ContractSite, ValidationError } from '../../types';
+import { VOLTAGE_LEVELS } from '../../utils/constants';
+import { formatCapacity } from '../../utils/calculations';
+
+interface SitesTabProps {
+  formData: ContractFormData;
+  validationErrors: ValidationError;
+  onFieldChange: (field: keyof ContractFormData, value: any) => void;
+}
+
+const numberOrNull = (value: string): number | null => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+// Totals over the sites that state a value, matching the server rollup
+export const rollupSites = (sites: ContractSite[]) => {
+  const sum = (values: Array<number | null | undefined>) => {
+    const known = values.filter((value): value is number => typeof value === 'number');
+    return known.length > 0 ? known.reduce((total, value) => total + value, 0) : null;
+  };
+  const dates = sites
+    .map(site => site.commercialOperationDate)
+    .filter((date): date is string => Boolean(date))
+    .sort();
+
+  return {
+    capacity: sum(sites.map(site => site.capacity)),
+    servers: sum(sites.map(site => site.servers)),
+    commercialOperationDate: dates[0] || null
+  };
+};
+
+export const SitesTab: React.FC<SitesTabProps> = ({
+  formData,
+  onFieldChange
+}) => {
+  const sites = formData.sites || [];
+  const rollup = rollupSites(sites);
+
+  const updateSite = (index: number, changes: Partial<ContractSite>) => {
+    onFieldChange('sites', sites.map((site, i) => i === index ? { ...site, ...changes } : site));
+  };
+
+  const addSite = () => {
+    onFieldChange('sites', [...sites, { name: `Site ${sites.length + 1}` }]);
+  };
+
+  const removeSite = (index: number) => {
+    onFieldChange('sites', sites.filter((_, i) => i !== index));
+  };
+
+  const applyTotals = () => {
+    if (rollup.capacity !== null) onFieldChange('ratedCapacity', rollup.capacity);
+    if (rollup.servers !== null) onFieldChange('numberOfServers', rollup.servers);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Project Sites</h2>
+        <p className="text-gray-600 mt-2">
+          List each site covered by the contract. Contract capacity and server count are the totals across sites.
+        </p>
+      </div>
+
+      {sites.length > 0 && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Site Totals</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              <div>
+                <div className="text-gray-500">Sites</div>
+                <div className="font-medium">{sites.length}</div>
+              </div>
+              <div>
+                <div className="text-gray-500">Total Capacity</div>
+                <div className="font-medium">{rollup.capacity !== null ? formatCapacity(rollup.capacity) : '—'}</div>
+              </div>
+              <div>
+                <div className="text-gray-500">Total Servers</div>
+                <div className="font-medium">{rollup.servers ?? '—'}</div>
+              </div>
+              <div>
+                <div className="text-gray-500">First COD</div>
+                <div className="font-medium">{rollup.commercialOperationDate || '—'}</div>
+              </div>
+            </div>
+            {(rollup.capacity !== null && rollup.capacity !== formData.ratedCapacity) ||
+              (rollup.servers !== null && rollup.servers !== formData.numberOfServers) ? (
+              <div className="mt-4 flex items-center justify-between p-3 bg-yellow-50 border border-yellow-200 rounded-md">
+                <span className="text-sm text-yellow-800">
+                  Contract capacity ({formatCapacity(formData.ratedCapacity || 0)}) or server count ({formData.numberOfServers ?? 0}) differs from the site totals
+                </span>
+                <Button variant="outline" size="sm" onClick={applyTotals}>
+                  Use site totals
+                </Button>
+              </div>
+            ) : null}
+          </CardContent>
+        </Card>
+      )}
+
+      {sites.map((site, index) => (
+        <Card key={site.id || index}>
+          <CardHeader>
+            <div className="flex items-center justify-between">
+              <CardTitle className="flex items-center gap-2">
+                <MapPin className="h-4 w-4 text-gray-500" />
+                {site.name || `Site ${index + 1}`}
+                {site.siteCode && <Badge variant="outline">{site.siteCode}</Badge>}
+              </CardTitle>
+              <Button variant="outline" size="sm" onClick={() => removeSite(index)}>
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          </CardHeader>
+          <CardContent>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <Label htmlFor={`site-${index}-name`}>Site Name</Label>
+                <Input
+                  id={`site-${index}-name`}
+                  value={site.name || ''}
+                  onChange={(e) => updateSite(index, { name: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label htmlFor={`site-${index}-code`}>Site ID</Label>
+                <Input
+                  id={`site-${index}-code`}
+                  value={site.siteCode || ''}
+                  onChange={(e) => updateSite(index, { siteCode: e.target.value || null })}
+                />
+              </div>
+              <div className="md:col-span-2">
+                <Label htmlFor={`site-${index}-address`}>Address</Label>
+                <Input
+                  id={`site-${index}-address`}
+                  value={site.address || ''}
+                  onChange={(e) => updateSite(index, { address: e.target.value || null })}
+                />
+              </div>
+              <div>
+                <Label htmlFor={`site-${index}-utility`}>Utility</Label>
+                <Input
+                  id={`site-${index}-utility`}
+                  value={site.utility || ''}
+                  onChange={(e) => updateSite(index, { utility: e.target.value || null })}
+                />
+              </div>
+              <div>
+                <Label htmlFor={`site-${index}-voltage`}>Voltage</Label>
+                <select
+                  id={`site-${index}-voltage`}
+                  className="w-full p-2 border border-gray-300 rounded-md"
+                  value={site.voltage || ''}
+                  onChange={(e) => updateSite(index, { voltage: e.target.value || null })}
+                >
+                  <option value="">Not specified</option>
+                  {VOLTAGE_LEVELS.map(level => (
+                    <option key={level.value} value={level.value}>{level.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <Label htmlFor={`site-${index}-capacity`}>Capacity (kW)</Label>
+                <Input
+                  id={`site-${index}-capacity`}
+                  type="number"
+                  min="0"
+                  value={site.capacity ?? ''}
+                  onChange={(e) => updateSite(index, { capacity: numberOrNull(e.target.value) })}
+                />
+              </div>
+              <div>
+                <Label htmlFor={`site-${index}-servers`}>Energy Servers</Label>
+                <Input
+                  id={`site-${index}-servers`}
+                  type="number"
+                  min="0"
+                  value={site.servers ?? ''}
+                  onChange={(e) => {
+                    const servers = numberOrNull(e.target.value);
+                    updateSite(index, { servers: servers === null ? null : Math.round(servers) });
+                  }}
+                />
+              </div>
+              <div>
+                <Label htmlFor={`site-${index}-cod`}>Commercial Operation Date</Label>
+                <Input
+                  id={`site-${index}-cod`}
+                  type="date"
+                  value={site.commercialOperationDate?.slice(0, 10) || ''}
+                  onChange={(e) => updateSite(index, { commercialOperationDate: e.target.value || null })}
+                />
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+      ))}
+
+      {sites.length === 0 && (
+        <div className="text-center py-8 text-gray-500 border border-dashed border-gray-300 rounded-lg">
+          No sites listed. Single-site contracts can use the site location on the Basic tab.
+        </div>
+      )}
+
+      <Button variant="outline" onClick={addSite}>
+        <Plus className="h-4 w-4 mr-1" /> Add site
+      </Button>
+    </div>
+  );
+};
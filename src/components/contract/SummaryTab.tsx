@@ -3,7 +3,7 @@ import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
 import { Badge } from '../ui/badge';
 import { Button } from '../ui/button';
 import { ContractFormData } from '../../types';
-import { calculateYearlyRates, calculateTotalContractValue, formatCurrency, formatCapacity } from '../../utils/calculations';
+import { calculateYearlyRates, calculateTotalContractValue, describeEscalation, formatCurrency, formatCapacity } from '../../utils/calculations';
 import { Download, FileText, Send } from 'lucide-react';
 import { PDFService } from '../../services/pdfService';
 
@@ -21,8 +21,8 @@ export const SummaryTab: React.FC<SummaryTabProps> = ({
   const [isExportingPDF, setIsExportingPDF] = useState(false);
 
   const yearlyRates = useMemo(() => {
-    return calculateYearlyRates(formData.baseRate, formData.annualEscalation, formData.contractTerm);
-  }, [formData.baseRate, formData.annualEscalation, formData.contractTerm]);
+    return calculateYearlyRates(formData.baseRate, formData.annualEscalation, formData.contractTerm, formData.escalationSchedule);
+  }, [formData.baseRate, formData.annualEscalation, formData.contractTerm, formData.escalationSchedule]);
 
   const totalValue = useMemo(() => {
     return calculateTotalContractValue(formData.ratedCapacity, yearlyRates);
@@ -75,7 +75,7 @@ export const SummaryTab: React.FC<SummaryTabProps> = ({
           <CardHeader><CardTitle>Financial Summary</CardTitle></CardHeader>
           <CardContent className="space-y-3">
             <div className="flex justify-between"><span className="text-gray-600">Base Rate:</span><span className="font-medium">${formData.baseRate}/kW</span></div>
-            <div className="flex justify-between"><span className="text-gray-600">Escalation:</span><span className="font-medium">{formData.annualEscalation}%/year</span></div>
+            <div className="flex justify-between"><span className="text-gray-600">Escalation:</span><span className="font-medium">{describeEscalation(formData.annualEscalation, formData.escalationSchedule)}</span></div>
             <div className="flex justify-between"><span className="text-gray-600">Total Value:</span><span className="font-medium text-green-600">{formatCurrency(totalValue)}</span></div>
             <div className="flex justify-between"><span className="text-gray-600">Year 1 Rate:</span><span className="font-medium">${yearlyRates[0]?.rate}/kW</span></div>
           </CardContent>
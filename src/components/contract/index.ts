@@ -1,6 +1,8 @@
 export { BasicInfoTab } from './BasicInfoTab';
 export { SystemConfigTab } from './SystemConfigTab';
+export { SitesTab } from './SitesTab';
 export { FinancialTab } from './FinancialTab';
+export { EscalationScheduleEditor } from './EscalationScheduleEditor';
 export { OperatingTab } from './OperatingTab';
 export { TechnicalTab } from './TechnicalTab';
 export { SummaryTab } from './SummaryTab';
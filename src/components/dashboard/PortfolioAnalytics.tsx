@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import {
+  AreaChart,
+  Area,
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { Zap, DollarSign, Percent, CalendarClock, TrendingUp } from 'lucide-react';
+import { PortfolioAnalytics as PortfolioData } from '../../types';
+import { contractService } from '../../services';
+
+const COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899'];
+
+const formatCurrency = (value: number) => {
+  if (value >= 1000000) {
+    return `$${(value / 1000000).toFixed(1)}M`;
+  } else if (value >= 1000) {
+    return `$${(value / 1000).toFixed(1)}K`;
+  }
+  return `$${value.toFixed(0)}`;
+};
+
+const ChartCard: React.FC<{
+  title: string;
+  icon: React.ComponentType<any>;
+  children: React.ReactNode;
+}> = ({ title, icon: Icon, children }) => (
+  <Card>
+    <CardHeader>
+      <CardTitle className="flex items-center space-x-2 text-base">
+        <Icon className="h-5 w-5" />
+        <span>{title}</span>
+      </CardTitle>
+    </CardHeader>
+    <CardContent>
+      <div className="h-64">{children}</div>
+    </CardContent>
+  </Card>
+);
+
+const Metric: React.FC<{ label: string; value: string }> = ({ label, value }) => (
+  <div className="bg-white rounded-xl p-6 border border-gray-100">
+    <span className="text-sm text-gray-500">{label}</span>
+    <div className="text-2xl font-bold text-gray-900 mt-2">{value}</div>
+  </div>
+);
+
+/**
+ * Portfolio rollups from GET /api/analytics/portfolio. Renders nothing when
+ * the analytics API is unavailable (demo mode, signed out or no database).
+ */
+export const PortfolioAnalytics: React.FC = () => {
+  const [data, setData] = useState<PortfolioData | null>(null);
+
+  useEffect(() => {
+    contractService.getPortfolioAnalytics()
+      .then(setData)
+      .catch(error => console.warn('Portfolio analytics unavailable:', error));
+  }, []);
+
+  if (!data || data.summary.contracts === 0) {
+    return null;
+  }
+
+  const { summary } = data;
+
+  // One row per start year with a column per system type
+  const systemTypes = [...new Set(data.baseRates.map(entry => entry.systemType))];
+  const baseRateRows = [...new Set(data.baseRates.map(entry => entry.year))].map(year => ({
+    year,
+    ...Object.fromEntries(data.baseRates
+      .filter(entry => entry.year === year)
+      .map(entry => [entry.systemType, entry.weightedBaseRate]))
+  }));
+
+  return (
+    <div className="mb-16">
+      <h2 className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-6">
+        Portfolio
+      </h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-6">
+        <Metric label="Contracted Capacity" value={`${summary.contractedMw.toFixed(1)} MW`} />
+        <Metric label="Revenue Backlog" value={formatCurrency(summary.revenueBacklog)} />
+        <Metric
+          label="Weighted Base Rate"
+          value={summary.weightedBaseRate !== null ? `$${summary.weightedBaseRate.toFixed(4)}/kWh` : '—'}
+        />
+        <Metric label="Expiring in 12 Months" value={`${summary.expiringNext12MonthsMw.toFixed(1)} MW`} />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <ChartCard title="Contracted MW Over Time" icon={Zap}>
+          <ResponsiveContainer width="100%" height="100%">
+            <AreaChart data={data.contractedCapacity}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis dataKey="period" tick={{ fontSize: 12 }} stroke="#6b7280" />
+              <YAxis tick={{ fontSize: 12 }} stroke="#6b7280" />
+              <Tooltip formatter={(value: number) => [`${value} MW`, 'Contracted']} />
+              <Area type="stepAfter" dataKey="mw" stroke="#10B981" fill="#10B981" fillOpacity={0.4} name="MW" />
+            </AreaChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <ChartCard title="Revenue Backlog by Year" icon={DollarSign}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={data.revenueBacklog.byYear}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis dataKey="year" tick={{ fontSize: 12 }} stroke="#6b7280" />
+              <YAxis tick={{ fontSize: 12 }} stroke="#6b7280" tickFormatter={formatCurrency} />
+              <Tooltip formatter={(value: number) => [formatCurrency(value), 'Backlog']} />
+              <Bar dataKey="amount" fill="#3B82F6" radius={[4, 4, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <ChartCard title="Weighted Base Rate by System Type" icon={TrendingUp}>
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={baseRateRows}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis dataKey="year" tick={{ fontSize: 12 }} stroke="#6b7280" />
+              <YAxis tick={{ fontSize: 12 }} stroke="#6b7280" domain={['auto', 'auto']} />
+              <Tooltip formatter={(value: number) => `$${value.toFixed(4)}/kWh`} />
+              <Legend />
+              {systemTypes.map((systemType, index) => (
+                <Line
+                  key={systemType}
+                  type="monotone"
+                  dataKey={systemType}
+                  name={contractService.getFacetLabel('systemType', systemType)}
+                  stroke={COLORS[index % COLORS.length]}
+                  strokeWidth={2}
+                  dot={{ r: 4 }}
+                  connectNulls
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <ChartCard title="Escalation Distribution" icon={Percent}>
+          <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={data.escalation.buckets}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis dataKey="label" tick={{ fontSize: 12 }} stroke="#6b7280" />
+              <YAxis tick={{ fontSize: 12 }} stroke="#6b7280" allowDecimals={false} />
+              <Tooltip />
+              <Legend />
+              <Bar dataKey="contracts" fill="#F59E0B" name="Contracts" radius={[4, 4, 0, 0]} />
+              <Bar dataKey="capacityMw" fill="#8B5CF6" name="MW" radius={[4, 4, 0, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartCard>
+
+        <div className="lg:col-span-2">
+          <ChartCard title="Expiring Capacity by Quarter" icon={CalendarClock}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={data.expiringCapacity}>
+                <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+                <XAxis dataKey="quarter" tick={{ fontSize: 12 }} stroke="#6b7280" />
+                <YAxis tick={{ fontSize: 12 }} stroke="#6b7280" />
+                <Tooltip formatter={(value: number) => [`${value} MW`, 'Expiring']} />
+                <Bar dataKey="mw" fill="#EF4444" radius={[4, 4, 0, 0]} />
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartCard>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PortfolioAnalytics;
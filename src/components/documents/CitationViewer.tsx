@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FileText, X, Quote } from 'lucide-react';
+import { useAuth } from '../../contexts/AuthContext';
+import { FieldCitationSelection } from '../../types';
+
+interface CitationViewerProps {
+  selection: FieldCitationSelection;
+  onClose: () => void;
+}
+
+interface PageOffset {
+  pageNumber: number;
+  start: number;
+  end: number;
+}
+
+interface SourceText {
+  text: string;
+  highlightStart: number;
+  highlightEnd: number;
+}
+
+// Characters of page text shown either side of the highlight when the page is long
+const CONTEXT_CHARS = 1500;
+
+/**
+ * Shows where an extracted value came from: the cited page of the source
+ * document with the matched text highlighted, falling back to the quoted
+ * snippet when the document text is not available.
+ */
+export const CitationViewer: React.FC<CitationViewerProps> = ({ selection, onClose }) => {
+  const { token } = useAuth();
+  const [source, setSource] = useState<SourceText | null>(null);
+  const [loading, setLoading] = useState(false);
+  const highlightRef = useRef<HTMLElement | null>(null);
+  const { citation } = selection;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSource = async () => {
+      setLoading(true);
+      setSource(null);
+
+      try {
+        const response = await fetch(`/api/uploads/${selection.documentId}/content`, {
+          headers: {
+            ...(token && { Authorization: `Bearer ${token}` })
+          }
+        });
+        if (!response.ok) return;
+
+        const data = await response.json();
+        const content = data.extractedContent || {};
+        const text: string = typeof content === 'string' ? content : content.text || '';
+        if (!text || text.slice(citation.start, citation.end) !== citation.text) return;
+
+        const pageOffsets: PageOffset[] = content.pageOffsets || [];
+        const page = pageOffsets.find(offset => offset.pageNumber === citation.page);
+        const windowStart = Math.max(page ? page.start : 0, citation.start - CONTEXT_CHARS);
+        const windowEnd = Math.min(page ? page.end : text.length, citation.end + CONTEXT_CHARS);
+
+        if (!cancelled) {
+          setSource({
+            text: text.slice(windowStart, windowEnd),
+            highlightStart: citation.start - windowStart,
+            highlightEnd: citation.end - windowStart
+          });
+        }
+      } catch (error) {
+        console.warn('⚠️ [CitationViewer] Could not load source text, showing snippet only:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadSource();
+    return () => {
+      cancelled = true;
+    };
+  }, [selection.documentId, citation.start, citation.end, citation.page, citation.text, token]);
+
+  useEffect(() => {
+    highlightRef.current?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [source, selection]);
+
+  const renderHighlighted = (text: string, start: number, end: number) => (
+    <>
+      {text.slice(0, start)}
+      <mark ref={highlightRef} className="bg-yellow-200 text-gray-900 rounded px-0.5">
+        {text.slice(start, end)}
+      </mark>
+      {text.slice(end)}
+    </>
+  );
+
+  const renderSnippet = () => {
+    const snippet = citation.snippet || citation.text;
+    const matchText = citation.text.replace(/\s+/g, ' ');
+    const index = snippet.toLowerCase().indexOf(matchText.toLowerCase());
+
+    return index >= 0
+      ? renderHighlighted(snippet, index, index + matchText.length)
+      : snippet;
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow border border-gray-200">
+      <div className="px-4 py-3 border-b border-gray-200 flex items-start justify-between">
+        <div>
+          <h3 className="text-sm font-semibold text-gray-900">{selection.label}</h3>
+          <p className="mt-0.5 text-xs text-gray-500 flex items-center">
+            <FileText className="w-3 h-3 mr-1" />
+            {selection.filename || 'Source document'}
+            {citation.page && ` • Page ${citation.page}`}
+            {citation.match === 'normalized' && ' • matched by value'}
+          </p>
+        </div>
+        <button
+          onClick={onClose}
+          className="text-gray-400 hover:text-gray-600"
+          aria-label="Close source view"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="px-4 py-3">
+        <div className="flex items-start text-xs text-gray-700 bg-gray-50 border border-gray-200 rounded p-2">
+          <Quote className="w-3 h-3 mr-2 mt-0.5 flex-shrink-0 text-gray-400" />
+          <span>{renderSnippet()}</span>
+        </div>
+
+        {loading && (
+          <p className="mt-3 text-xs text-gray-500">Loading page text…</p>
+        )}
+
+        {source && (
+          <pre className="mt-3 max-h-96 overflow-y-auto whitespace-pre-wrap font-sans text-xs text-gray-800 leading-relaxed">
+            {renderHighlighted(source.text, source.highlightStart, source.highlightEnd)}
+          </pre>
+        )}
+      </div>
+    </div>
+  );
+};
@@ -2,7 +2,7 @@ import React, { useState, useEffect, useMemo } from 'react';
 import { FileText, Image, Eye, Download, Trash2, RefreshCw, Search, Calendar, AlertCircle, CheckCircle, Clock, Brain, ArrowRight } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import { useProcessing } from '../../contexts/ProcessingContext';
-import { ContractBlueprint, ContractFormData } from '../../types';
+import { ContractBlueprint, ContractFormData, FieldCitation, FieldCitationSelection } from '../../types';
 import MultiDocumentProgress from './MultiDocumentProgress';
 
 interface Document {
@@ -46,6 +46,7 @@ interface DocumentManagerProps {
   compact?: boolean;
   aiProvider?: 'bedrock' | 'anthropic';
   onUploadComplete?: number;  // Counter value to trigger refresh without remounting
+  onFieldSelect?: (selection: FieldCitationSelection) => void;  // Reviewer clicked a cited field
 }
 
 interface DocumentAnalysisSummary {
@@ -126,7 +127,8 @@ export const DocumentManager: React.FC<DocumentManagerProps> = ({
   enableFiltering = true,
   compact = false,
   aiProvider = 'anthropic',
-  onUploadComplete
+  onUploadComplete,
+  onFieldSelect
 }) => {
   const { token, isDemoMode } = useAuth();
   const { startJob } = useProcessing();
@@ -1272,11 +1274,30 @@ export const DocumentManager: React.FC<DocumentManagerProps> = ({
 
                                             // Highlight key financial and technical fields
                                             const isKeyField = ['siteId', 'systemCapacity', 'baseRate', 'annualEscalation', 'contractTerm', 'siteLocation'].includes(key);
+                                            const citation: FieldCitation | undefined = result.citations?.[key];
 
                                             return (
                                               <div key={key} className={isKeyField ? 'font-semibold' : ''}>
                                                 <span className="text-gray-600 text-[9px]">{displayKey}:</span>{' '}
-                                                <span className={`${isKeyField ? 'text-blue-700 font-bold' : 'text-gray-800'} text-[9px]`}>{String(value)}</span>
+                                                {citation && onFieldSelect ? (
+                                                  <button
+                                                    type="button"
+                                                    onClick={() => onFieldSelect({
+                                                      documentId: result.documentId,
+                                                      filename: result.filename,
+                                                      field: key,
+                                                      label: displayKey,
+                                                      citation
+                                                    })}
+                                                    className={`${isKeyField ? 'text-blue-700 font-bold' : 'text-gray-800'} text-[9px] underline decoration-dotted hover:text-blue-900`}
+                                                    title={citation.page ? `Show source (page ${citation.page})` : 'Show source'}
+                                                  >
+                                                    {String(value)}
+                                                    {citation.page && <span className="ml-1 text-gray-400 no-underline">p.{citation.page}</span>}
+                                                  </button>
+                                                ) : (
+                                                  <span className={`${isKeyField ? 'text-blue-700 font-bold' : 'text-gray-800'} text-[9px]`}>{String(value)}</span>
+                                                )}
                                               </div>
                                             );
                                           })}
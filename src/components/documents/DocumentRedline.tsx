@@ -0,0 +1,271 @@
+import React, { useState, useEffect } from 'react';
+import { GitCompare, AlertTriangle, ArrowRight } from 'lucide-react';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { DocumentRedline as Redline, DocumentVersion, RedlineClause, RedlineValueChange } from '../../types';
+import { contractService } from '../../services';
+
+interface DocumentRedlineProps {
+  contractId: string;
+}
+
+const CLAUSE_STYLES: Record<RedlineClause['type'], string> = {
+  inserted: 'border-green-400 bg-green-50',
+  deleted: 'border-red-400 bg-red-50',
+  modified: 'border-yellow-400 bg-white',
+  unchanged: 'border-gray-200 bg-white'
+};
+
+const formatValue = (value: RedlineValueChange['before'], unit?: string) => {
+  if (value === null || (Array.isArray(value) && value.length === 0)) {
+    return '—';
+  }
+  const text = Array.isArray(value) ? value.join(', ') : String(value);
+  if (!unit) return text;
+  return unit === '%' ? `${text}%` : `${text} ${unit}`;
+};
+
+const clauseLabel = (clause: RedlineClause) => {
+  const page = clause.revisedPage ?? clause.basePage;
+  const from = clause.movedFrom;
+  return [
+    clause.number ? `§ ${clause.number}` : null,
+    clause.section,
+    page ? `p. ${page}` : null,
+    from ? `moved from ${[from.number && `§ ${from.number}`, `p. ${from.page}`].filter(Boolean).join(', ')}` : null
+  ]
+    .filter(Boolean)
+    .join(' · ');
+};
+
+const ClauseText: React.FC<{ clause: RedlineClause }> = ({ clause }) => {
+  if (clause.type === 'inserted') {
+    return <ins className="text-green-800 no-underline">{clause.text}</ins>;
+  }
+  if (clause.type === 'deleted') {
+    return <del className="text-red-700">{clause.text}</del>;
+  }
+  if (clause.type === 'unchanged') {
+    return <span className="text-gray-600">{clause.text}</span>;
+  }
+  return (
+    <>
+      {clause.segments?.map((segment, index) => {
+        const text = index > 0 ? ` ${segment.text}` : segment.text;
+        if (segment.type === 'insert') {
+          return <ins key={index} className="bg-green-100 text-green-800 no-underline">{text}</ins>;
+        }
+        if (segment.type === 'delete') {
+          return <del key={index} className="bg-red-100 text-red-700">{text}</del>;
+        }
+        return <span key={index}>{text}</span>;
+      })}
+    </>
+  );
+};
+
+/**
+ * Redline of two processed versions of a contract document from
+ * GET /api/documents/:documentId/diff/:revisedDocumentId
+ */
+export const DocumentRedline: React.FC<DocumentRedlineProps> = ({ contractId }) => {
+  const [versions, setVersions] = useState<DocumentVersion[]>([]);
+  const [baseId, setBaseId] = useState('');
+  const [revisedId, setRevisedId] = useState('');
+  const [showUnchanged, setShowUnchanged] = useState(false);
+  const [redline, setRedline] = useState<Redline | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    contractService.getDocumentVersions(contractId)
+      .then(documents => {
+        setVersions(documents);
+        // Default to the latest revision against the one before it
+        if (documents.length >= 2) {
+          setRevisedId(documents[0].id);
+          setBaseId(documents[1].id);
+        }
+      })
+      .catch(err => setError(err.message));
+  }, [contractId]);
+
+  useEffect(() => {
+    if (!baseId || !revisedId || baseId === revisedId) {
+      setRedline(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    contractService.getDocumentRedline(baseId, revisedId, showUnchanged)
+      .then(result => {
+        if (!cancelled) setRedline(result);
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setRedline(null);
+          setError(err.message);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [baseId, revisedId, showUnchanged]);
+
+  const versionSelect = (label: string, value: string, onChange: (id: string) => void) => (
+    <label className="flex-1">
+      <span className="block text-sm font-medium text-gray-700 mb-1">{label}</span>
+      <select
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+      >
+        <option value="">Select a document</option>
+        {versions.map(version => (
+          <option key={version.id} value={version.id}>
+            {version.title} ({new Date(version.uploadDate).toLocaleDateString()})
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  if (versions.length < 2 && !error) {
+    return (
+      <div className="text-center py-12 text-gray-500">
+        <GitCompare className="w-12 h-12 mx-auto mb-4 text-gray-300" />
+        <p>Upload and process at least two versions of a document to compare them.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardContent className="pt-6">
+          <div className="flex flex-col md:flex-row md:items-end gap-4">
+            {versionSelect('Original', baseId, setBaseId)}
+            <ArrowRight className="hidden md:block w-5 h-5 mb-2 text-gray-400" />
+            {versionSelect('Revised', revisedId, setRevisedId)}
+            <label className="flex items-center space-x-2 text-sm text-gray-700 md:mb-2">
+              <input
+                type="checkbox"
+                checked={showUnchanged}
+                onChange={(event) => setShowUnchanged(event.target.checked)}
+                className="rounded border-gray-300"
+              />
+              <span>Show unchanged</span>
+            </label>
+          </div>
+          {baseId && baseId === revisedId && (
+            <p className="mt-3 text-sm text-gray-500">Choose two different documents to compare.</p>
+          )}
+        </CardContent>
+      </Card>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">{error}</div>
+      )}
+
+      {loading && <div className="text-center py-8 text-sm text-gray-500">Comparing documents...</div>}
+
+      {redline && !loading && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-4">
+            {[
+              { label: 'Modified', value: redline.summary.modified, color: 'text-yellow-600' },
+              { label: 'Inserted', value: redline.summary.inserted, color: 'text-green-600' },
+              { label: 'Deleted', value: redline.summary.deleted, color: 'text-red-600' },
+              { label: 'Moved', value: redline.summary.moved, color: 'text-blue-600' },
+              { label: 'Value Changes', value: redline.summary.valueChanges, color: 'text-orange-600' }
+            ].map(stat => (
+              <div key={stat.label} className="bg-white rounded-lg border border-gray-200 p-4">
+                <div className="text-sm text-gray-500">{stat.label}</div>
+                <div className={`text-2xl font-bold ${stat.color}`}>{stat.value}</div>
+              </div>
+            ))}
+          </div>
+
+          {redline.valueChanges.length > 0 && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="flex items-center space-x-2 text-base">
+                  <AlertTriangle className="h-5 w-5 text-orange-500" />
+                  <span>Changed Terms</span>
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b border-gray-200">
+                      <th className="py-2 font-medium">Term</th>
+                      <th className="py-2 font-medium">Original</th>
+                      <th className="py-2 font-medium">Revised</th>
+                      <th className="py-2 font-medium">Clause</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {redline.valueChanges.map((change, index) => {
+                      const ref = change.revised || change.base;
+                      return (
+                        <tr key={`${change.source}-${change.field}-${index}`} className="border-b border-gray-100">
+                          <td className="py-2 font-medium text-gray-900">{change.label}</td>
+                          <td className="py-2 text-red-700">{formatValue(change.before, change.unit)}</td>
+                          <td className="py-2 text-green-700">{formatValue(change.after, change.unit)}</td>
+                          <td className="py-2 text-gray-500">
+                            {change.source === 'analysis'
+                              ? 'AI analysis'
+                              : [ref?.number && `§ ${ref.number}`, ref && `p. ${ref.page}`].filter(Boolean).join(' · ')}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </CardContent>
+            </Card>
+          )}
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center space-x-2 text-base">
+                <GitCompare className="h-5 w-5" />
+                <span>{redline.base.title} → {redline.revised.title}</span>
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              {redline.clauses.length === 0 ? (
+                <p className="text-sm text-gray-500">No differences found.</p>
+              ) : (
+                <div className="space-y-3">
+                  {redline.clauses.map((clause, index) => (
+                    <div key={index} className={`border-l-4 rounded-r-md px-4 py-3 ${CLAUSE_STYLES[clause.type]}`}>
+                      <div className="flex items-center justify-between mb-1">
+                        <span className="text-xs text-gray-500">{clauseLabel(clause)}</span>
+                        {(clause.type !== 'unchanged' || clause.movedFrom) && (
+                          <span className="text-xs font-medium uppercase text-gray-500">
+                            {clause.type === 'unchanged' ? 'moved' : clause.type}
+                          </span>
+                        )}
+                      </div>
+                      <div className={`text-sm leading-relaxed ${clause.heading ? 'font-semibold' : ''}`}>
+                        <ClauseText clause={clause} />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DocumentRedline;
@@ -1,12 +1,14 @@
 import React, { useState, useEffect } from 'react';
-import { Plus, FileText, Settings, Upload as UploadIcon, FolderPlus } from 'lucide-react';
+import { Plus, FileText, Settings, Upload as UploadIcon, FolderPlus, GitCompare } from 'lucide-react';
 import { DocumentUploader } from './DocumentUploader';
 import { DocumentGroupManager } from './DocumentGroupManager';
 import { DocumentManager } from './DocumentManager';
+import { CitationViewer } from './CitationViewer';
+import { DocumentRedline } from './DocumentRedline';
 import { ErrorBoundary } from '../ErrorBoundary';
 import { aiToContractService } from '../../services/aiToContractService';
 import { BusinessRulesAnalysis } from '../../types';
-import { ContractFormData } from '../../types';
+import { ContractFormData, FieldCitationSelection } from '../../types';
 
 interface DocumentViewProps {
   contractId: string;
@@ -15,7 +17,7 @@ interface DocumentViewProps {
   onCreateFromDocument?: (aiData: Partial<ContractFormData>, sourceDoc: { id: string; name: string; confidence?: number }) => void;
 }
 
-type ViewMode = 'list' | 'upload' | 'groups' | 'settings';
+type ViewMode = 'list' | 'upload' | 'groups' | 'redline' | 'settings';
 
 export const DocumentView: React.FC<DocumentViewProps> = ({
   contractId,
@@ -25,6 +27,8 @@ export const DocumentView: React.FC<DocumentViewProps> = ({
 }) => {
   const [viewMode, setViewMode] = useState<ViewMode>('list');
   const [refreshKey, setRefreshKey] = useState(0);
+  // Extracted field whose source citation is being shown
+  const [selectedCitation, setSelectedCitation] = useState<FieldCitationSelection | null>(null);
 
   const handleUploadComplete = () => {
     // Refresh the document list when upload completes
@@ -225,6 +229,17 @@ export const DocumentView: React.FC<DocumentViewProps> = ({
               <FolderPlus className="w-4 h-4 inline mr-1" />
               Groups
             </button>
+            <button
+              onClick={() => setViewMode('redline')}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                viewMode === 'redline'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              <GitCompare className="w-4 h-4 inline mr-1" />
+              Compare Versions
+            </button>
             <button
               onClick={() => setViewMode('settings')}
               className={`py-2 px-1 border-b-2 font-medium text-sm ${
@@ -309,6 +324,25 @@ export const DocumentView: React.FC<DocumentViewProps> = ({
           </div>
         );
 
+      case 'redline':
+        return (
+          <div className="max-w-5xl mx-auto py-8 px-6">
+            <div className="mb-6">
+              <h2 className="text-lg font-semibold text-gray-900 mb-2">
+                Compare Versions
+              </h2>
+              <p className="text-sm text-gray-600">
+                Redline a revised draft against an earlier version clause by clause.
+                Changes to commercial terms such as escalation, base rate and capacity are flagged separately.
+              </p>
+            </div>
+
+            <ErrorBoundary>
+              <DocumentRedline key={refreshKey} contractId={contractId} />
+            </ErrorBoundary>
+          </div>
+        );
+
       case 'settings':
         return (
           <div className="max-w-4xl mx-auto py-8 px-6">
@@ -414,16 +448,32 @@ export const DocumentView: React.FC<DocumentViewProps> = ({
       default:
         return (
           <div className="py-8 px-6">
-            <ErrorBoundary>
-          <DocumentManager
-            key={refreshKey}
-            contractId={contractId}
-            onCreateFromDocument={onCreateFromDocument}
-            enableSearch={true}
-            enableFiltering={true}
-          />
-        </ErrorBoundary>
-      </div>
+            <div className={selectedCitation ? 'grid grid-cols-1 lg:grid-cols-3 gap-6' : ''}>
+              <div className={selectedCitation ? 'lg:col-span-2' : ''}>
+                <ErrorBoundary>
+                  <DocumentManager
+                    key={refreshKey}
+                    contractId={contractId}
+                    onCreateFromDocument={onCreateFromDocument}
+                    onFieldSelect={setSelectedCitation}
+                    enableSearch={true}
+                    enableFiltering={true}
+                  />
+                </ErrorBoundary>
+              </div>
+
+              {selectedCitation && (
+                <div className="lg:sticky lg:top-4 self-start">
+                  <ErrorBoundary>
+                    <CitationViewer
+                      selection={selectedCitation}
+                      onClose={() => setSelectedCitation(null)}
+                    />
+                  </ErrorBoundary>
+                </div>
+              )}
+            </div>
+          </div>
         );
     }
   };
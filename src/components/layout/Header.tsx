@@ -1,20 +1,155 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Button } from '../ui/button';
 import { Badge } from '../ui/badge';
-import { Bell, Settings, User } from 'lucide-react';
+import { Input } from '../ui/input';
+import { Bell, Settings, User, Search, FileText } from 'lucide-react';
+import { Contract, SearchResponse } from '../../types';
+import { contractService } from '../../services';
 
 interface HeaderProps {
   title?: string;
   subtitle?: string;
+  onOpenContract?: (contract: Contract) => void;
 }
 
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Render a server snippet without innerHTML: only the <mark> markers become elements
+const renderSnippet = (snippet: string) =>
+  snippet.split(/(<mark>.*?<\/mark>)/g).map((part, index) =>
+    part.startsWith('<mark>')
+      ? <mark key={index} className="bg-yellow-200 text-gray-900 rounded-sm">{part.slice(6, -7)}</mark>
+      : <React.Fragment key={index}>{part}</React.Fragment>
+  );
+
+/**
+ * Search box across document text, extracted fields and rules, e.g.
+ * "liquidated damages" availability 95
+ */
+const GlobalSearch: React.FC<{ onOpenContract?: (contract: Contract) => void }> = ({ onOpenContract }) => {
+  const [query, setQuery] = useState('');
+  const [response, setResponse] = useState<SearchResponse | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef<HTMLDivElement>(null);
+
+  useEffect(() => {
+    const trimmed = query.trim();
+    if (trimmed.length < 2) {
+      setResponse(null);
+      setError(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        const result = await contractService.searchContent(trimmed, { limit: 8 });
+        if (!cancelled) {
+          setResponse(result);
+          setError(null);
+        }
+      } catch (searchError) {
+        if (!cancelled) {
+          setError(searchError instanceof Error ? searchError.message : 'Search failed');
+        }
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  // Close the results when clicking elsewhere
+  useEffect(() => {
+    const handleClick = (event: MouseEvent) => {
+      if (containerRef.current && !containerRef.current.contains(event.target as Node)) {
+        setOpen(false);
+      }
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, []);
+
+  const openContract = async (contractId: string) => {
+    const contract = await contractService.getContractById(contractId);
+    if (contract && onOpenContract) {
+      setOpen(false);
+      onOpenContract(contract);
+    }
+  };
+
+  return (
+    <div ref={containerRef} className="relative w-full max-w-xl">
+      <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+      <Input
+        type="search"
+        value={query}
+        onChange={(event) => {
+          setQuery(event.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onKeyDown={(event) => event.key === 'Escape' && setOpen(false)}
+        placeholder='Search contract text, e.g. "liquidated damages" availability'
+        aria-label="Search contracts"
+        className="pl-9"
+      />
+
+      {open && query.trim().length >= 2 && (
+        <div className="absolute z-50 mt-2 w-full max-h-[28rem] overflow-y-auto rounded-md border bg-white shadow-lg">
+          {loading && !response && <p className="p-4 text-sm text-gray-500">Searching...</p>}
+          {error && <p className="p-4 text-sm text-red-600">{error}</p>}
+          {!error && response && response.results.length === 0 && (
+            <p className="p-4 text-sm text-gray-500">No contracts mention "{response.query}"</p>
+          )}
+          {!error && response?.results.map(result => (
+            <button
+              key={result.contract.id}
+              type="button"
+              onClick={() => openContract(result.contract.id)}
+              className="block w-full text-left p-3 border-b last:border-b-0 hover:bg-gray-50"
+            >
+              <div className="flex items-center justify-between gap-2">
+                <span className="text-sm font-semibold text-gray-900">{result.contract.name}</span>
+                <span className="text-xs text-gray-500">
+                  {result.hitCount} {result.hitCount === 1 ? 'match' : 'matches'}
+                </span>
+              </div>
+              <div className="text-xs text-gray-500 mb-1">{result.contract.client} · {result.contract.site}</div>
+              {result.hits.map((hit, index) => (
+                <div key={`${hit.documentId}-${hit.pageNumber}-${index}`} className="mt-1 text-xs text-gray-700">
+                  <span className="inline-flex items-center gap-1 text-gray-500">
+                    <FileText className="h-3 w-3" />
+                    {hit.title}
+                    {hit.pageNumber !== null && `, p. ${hit.pageNumber}`}
+                    {hit.label && ` · ${hit.label}`}
+                  </span>
+                  <p className="line-clamp-2">{renderSnippet(hit.snippet)}</p>
+                </div>
+              ))}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
 export const Header: React.FC<HeaderProps> = ({ 
   title = "Bloom Energy Contract Learning System",
-  subtitle = "AI-Powered Contract Management & Rules Engine"
+  subtitle = "AI-Powered Contract Management & Rules Engine",
+  onOpenContract
 }) => {
   return (
-    <header className="border-b bg-white/95 backdrop-blur supports-[backdrop-filter]:bg-white/60">
-      <div className="flex h-16 items-center justify-between px-6">
+    <header className="relative z-40 border-b bg-white/95 backdrop-blur supports-[backdrop-filter]:bg-white/60">
+      <div className="flex h-16 items-center justify-between gap-6 px-6">
         {/* Logo and Title */}
         <div className="flex items-center space-x-4">
           <div className="flex items-center space-x-2">
@@ -29,6 +164,9 @@ export const Header: React.FC<HeaderProps> = ({
           </div>
         </div>
 
+        {/* Global Search */}
+        <GlobalSearch onOpenContract={onOpenContract} />
+
         {/* Header Actions */}
         <div className="flex items-center space-x-4">
           {/* Notifications */}
@@ -1,10 +1,11 @@
 import React from 'react';
 import { Header } from './Header';
 import { Navigation } from './Navigation';
+import { Contract } from '../../types';
 
 interface MainLayoutProps {
   activeView: string;
-  onViewChange: (view: string) => void;
+  onViewChange: (view: string, options?: { contract?: Contract }) => void;
   children: React.ReactNode;
 }
 
@@ -14,9 +15,12 @@ export const MainLayout: React.FC<MainLayoutProps> = ({
   children
 }) => {
   return (
-    <div className="min-h-screen" style={{ backgroundColor: '#f5f5f5' }}>
-      {/* Main Content Area - Full Height */}
-      <div className="flex h-screen">
+    <div className="h-screen flex flex-col" style={{ backgroundColor: '#f5f5f5' }}>
+      {/* Global search across contract documents */}
+      <Header onOpenContract={(contract) => onViewChange('contract-details', { contract })} />
+
+      {/* Main Content Area - Fills the rest; full-width views are positioned against it */}
+      <div className="relative flex flex-1 min-h-0">
         {/* Sidebar Navigation */}
         <Navigation activeView={activeView} onViewChange={onViewChange} />
         
@@ -56,6 +56,11 @@ export const Navigation: React.FC<NavigationProps> = ({ activeView, onViewChange
       label: 'Document Upload',
       icon: FileText,
     },
+    {
+      id: 'review',
+      label: 'Review Queue',
+      icon: Eye,
+    },
     // {
     //   id: 'templates',
     //   label: 'Templates',
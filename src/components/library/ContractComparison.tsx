@@ -0,0 +1,214 @@
+import React, { useState, useEffect } from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { Switch } from '../ui/switch';
+import { ArrowLeft, AlertTriangle, Scale } from 'lucide-react';
+import { ComparisonField, ComparisonValue, ContractComparison as ContractComparisonResult } from '../../types';
+import { contractService } from '../../services';
+import { formatCurrency, formatCapacity } from '../../utils/calculations';
+
+interface ContractComparisonProps {
+  contractIds: string[];
+  onNavigate: (view: string) => void;
+}
+
+const formatValue = (value: ComparisonValue, unit: string | null): string => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  if (typeof value !== 'number') return value;
+
+  switch (unit) {
+    case '$': return formatCurrency(value);
+    case '$/kWh': return `$${value.toFixed(4)}/kWh`;
+    case '%': return `${value}%`;
+    case 'kW': return formatCapacity(value);
+    case 'years': return `${value} years`;
+    default: return String(value);
+  }
+};
+
+/**
+ * Side-by-side comparison of contracts selected in the library.
+ * Rows that differ are tinted; values far from the other contracts are flagged as outliers.
+ */
+export const ContractComparison: React.FC<ContractComparisonProps> = ({ contractIds, onNavigate }) => {
+  const [comparison, setComparison] = useState<ContractComparisonResult | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [differencesOnly, setDifferencesOnly] = useState(false);
+
+  useEffect(() => {
+    const loadComparison = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setComparison(await contractService.compareContracts(contractIds));
+      } catch (compareError) {
+        setError(compareError instanceof Error ? compareError.message : 'Failed to compare contracts');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (contractIds.length >= 2) {
+      loadComparison();
+    } else {
+      setLoading(false);
+    }
+  }, [contractIds]);
+
+  const header = (
+    <div className="flex items-center gap-4">
+      <Button variant="ghost" onClick={() => onNavigate('library')} className="flex items-center gap-2">
+        <ArrowLeft className="h-4 w-4" />
+        Back to Library
+      </Button>
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Contract Comparison</h1>
+        <p className="text-gray-600 mt-1">
+          Field-by-field differences, lifetime value and extracted rules
+        </p>
+      </div>
+    </div>
+  );
+
+  if (contractIds.length < 2 || loading || error || !comparison) {
+    return (
+      <div className="absolute inset-0 p-6">
+        <div className="w-full space-y-6">
+          {header}
+          <div className="text-center py-12">
+            {loading ? (
+              <>
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-green-600 mx-auto"></div>
+                <p className="text-gray-600 mt-4">Comparing contracts...</p>
+              </>
+            ) : (
+              <p className={error ? 'text-red-600' : 'text-gray-600'}>
+                {error || 'Select 2 to 5 contracts in the library to compare them.'}
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const contractName = (id: string) => comparison.contracts.find(contract => contract.id === id)?.name || id;
+
+  const renderRow = (field: ComparisonField) => (
+    <tr key={field.key} className={field.differs ? 'bg-yellow-50' : ''}>
+      <td className="px-4 py-2 text-sm text-gray-700 whitespace-nowrap">{field.label}</td>
+      {field.values.map((value, index) => {
+        const isOutlier = field.outliers.includes(comparison.contracts[index].id);
+        return (
+          <td
+            key={comparison.contracts[index].id}
+            className={`px-4 py-2 text-sm ${isOutlier ? 'text-red-700 font-semibold bg-red-50' : 'text-gray-900'}`}
+          >
+            <span className="inline-flex items-center gap-1">
+              {formatValue(value, field.unit)}
+              {isOutlier && <AlertTriangle className="h-3 w-3" aria-label="Outlier" />}
+            </span>
+          </td>
+        );
+      })}
+    </tr>
+  );
+
+  return (
+    <div className="absolute inset-0 p-6 overflow-auto">
+      <div className="w-full space-y-6">
+        {header}
+
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center gap-2 text-sm text-gray-600">
+            <Scale className="h-4 w-4" />
+            {comparison.summary.differingFields} differing fields, {comparison.summary.outlierCount} outlier values
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <Switch checked={differencesOnly} onCheckedChange={setDifferencesOnly} aria-label="Show differences only" />
+            Show differences only
+          </label>
+        </div>
+
+        <Card>
+          <CardContent className="p-0 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Field</th>
+                  {comparison.contracts.map(contract => (
+                    <th key={contract.id} className="px-4 py-3 text-left">
+                      <div className="text-sm font-semibold text-gray-900">{contract.name}</div>
+                      <div className="text-xs font-normal text-gray-500">{contract.client} · {contract.site}</div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              {comparison.sections.map(section => {
+                const fields = differencesOnly ? section.fields.filter(field => field.differs) : section.fields;
+                if (fields.length === 0) return null;
+                return (
+                  <tbody key={section.key} className="divide-y divide-gray-100">
+                    <tr className="bg-gray-100">
+                      <td colSpan={comparison.contracts.length + 1} className="px-4 py-2 text-xs font-semibold text-gray-600 uppercase">
+                        {section.label}
+                      </td>
+                    </tr>
+                    {fields.map(renderRow)}
+                  </tbody>
+                );
+              })}
+            </table>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle className="text-lg">Extracted Business Rules</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-2">
+                Shared by all contracts ({comparison.rules.shared.length})
+              </p>
+              <div className="flex flex-wrap gap-1">
+                {comparison.rules.shared.length === 0 && <span className="text-sm text-gray-500">None</span>}
+                {comparison.rules.shared.map(rule => (
+                  <Badge key={`${rule.category}-${rule.name}`} variant="outline" className="text-xs">
+                    {rule.category}: {rule.name}
+                  </Badge>
+                ))}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              {comparison.rules.byContract.map(entry => (
+                <div key={entry.contractId} className="border border-gray-200 rounded-md p-3">
+                  <p className="text-sm font-semibold text-gray-900">{contractName(entry.contractId)}</p>
+                  <p className="text-xs text-gray-500 mb-2">
+                    {entry.total} rules, {entry.distinct.length} not shared by all
+                  </p>
+                  <ul className="space-y-1">
+                    {entry.distinct.map(rule => (
+                      <li key={`${rule.category}-${rule.name}`} className="text-xs text-gray-700">
+                        <span className="font-medium">{rule.category}:</span> {rule.name}
+                        {rule.alsoIn.length === 0 && (
+                          <Badge className="ml-1 bg-blue-100 text-blue-700 border-blue-200 text-[10px]">Only here</Badge>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ContractComparison;
@@ -11,6 +11,7 @@ import { formatCurrency, formatCapacity } from '../../utils/calculations';
 // Read-only versions of tab components
 import { ReadOnlyBasicInfoTab } from './ReadOnlyBasicInfoTab';
 import { ReadOnlySystemConfigTab } from './ReadOnlySystemConfigTab';
+import { ReadOnlySitesTab } from './ReadOnlySitesTab';
 import { ReadOnlyFinancialTab } from './ReadOnlyFinancialTab';
 import { ReadOnlyOperatingTab } from './ReadOnlyOperatingTab';
 import { ReadOnlyTechnicalTab } from './ReadOnlyTechnicalTab';
@@ -38,11 +39,13 @@ export const ContractDetailsView: React.FC<ContractDetailsViewProps> = ({
       effectiveDate: contract.effectiveDate,
       solutionType: contract.type,
       ratedCapacity: contract.capacity,
+      sites: contract.sites || [],
       reliabilityLevel: 99.9, // Default, would need to be stored in contract
       installationType: 'Ground', // Default, would need to be stored
       contractTerm: contract.term,
       baseRate: contract.parameters.financial.baseRate,
       annualEscalation: contract.parameters.financial.escalation,
+      escalationSchedule: contract.parameters.financial.escalationSchedule,
       microgridAdder: contract.parameters.financial.microgridAdder || 0,
       thermalCycleFee: contract.parameters.financial.thermalCycleFee || 0,
       electricalBudget: contract.parameters.financial.electricalBudget || 0,
@@ -78,6 +81,7 @@ export const ContractDetailsView: React.FC<ContractDetailsViewProps> = ({
     const icons = {
       basic: '👤',
       system: '⚡',
+      sites: '📍',
       financial: '💰',
       operating: '⚙️',
       technical: '🔧',
@@ -169,7 +173,7 @@ export const ContractDetailsView: React.FC<ContractDetailsViewProps> = ({
                 <div className="font-medium">{contract.client}</div>
               </div>
               <div>
-                <div className="text-gray-500">Site</div>
+                <div className="text-gray-500">{contract.sites && contract.sites.length > 1 ? `Sites (${contract.sites.length})` : 'Site'}</div>
                 <div className="font-medium">{contract.site}</div>
               </div>
               <div>
@@ -245,6 +249,10 @@ export const ContractDetailsView: React.FC<ContractDetailsViewProps> = ({
                   />
                 </TabsContent>
 
+                <TabsContent value="sites" className="mt-0">
+                  <ReadOnlySitesTab formData={formData} />
+                </TabsContent>
+
                 <TabsContent value="financial" className="mt-0">
                   <ReadOnlyFinancialTab 
                     formData={formData} 
@@ -0,0 +1,165 @@
+import React from 'react';
+import { Card, CardContent } from '../ui/card';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { ContractFacets, ContractFilters, FacetCount } from '../../types';
+import { contractService } from '../../services';
+
+type ListFacet = 'systemType' | 'voltage' | 'components' | 'customer' | 'site' | 'tags';
+type RangeFacet = 'capacity' | 'term' | 'escalation';
+
+interface ContractFilterPanelProps {
+  filters: ContractFilters;
+  facets: ContractFacets | null;
+  onChange: (filters: ContractFilters) => void;
+}
+
+const LIST_FACETS: Array<{ key: ListFacet; label: string }> = [
+  { key: 'systemType', label: 'System Type' },
+  { key: 'voltage', label: 'Voltage' },
+  { key: 'components', label: 'Components (all of)' },
+  { key: 'customer', label: 'Customer' },
+  { key: 'site', label: 'Site' },
+  { key: 'tags', label: 'Tags (all of)' }
+];
+
+const RANGE_FACETS: Array<{ key: RangeFacet; label: string; unit: string; step: string }> = [
+  { key: 'capacity', label: 'Capacity', unit: 'kW', step: '50' },
+  { key: 'term', label: 'Term', unit: 'years', step: '1' },
+  { key: 'escalation', label: 'Escalation', unit: '%', step: '0.1' }
+];
+
+/**
+ * Faceted filters for the contract library. Counts come from the server and
+ * show how many contracts each value would match given the other filters.
+ */
+export const ContractFilterPanel: React.FC<ContractFilterPanelProps> = ({ filters, facets, onChange }) => {
+  const update = (changes: Partial<ContractFilters>) => onChange({ ...filters, ...changes });
+
+  const toggleValue = (key: ListFacet, value: string) => {
+    const selected = filters[key] || [];
+    const next = selected.includes(value)
+      ? selected.filter(item => item !== value)
+      : [...selected, value];
+    update({ [key]: next.length > 0 ? next : undefined });
+  };
+
+  const setNumber = (key: keyof ContractFilters, value: string) =>
+    update({ [key]: value === '' ? undefined : Number(value) });
+
+  // Selected values stay visible even when nothing matches them any more
+  const optionsFor = (key: ListFacet): FacetCount[] => {
+    const counts = facets?.[key] || [];
+    const missing = (filters[key] || [])
+      .filter(value => !counts.some(option => String(option.value) === value))
+      .map(value => ({ value, count: 0 }));
+    return [...counts, ...missing];
+  };
+
+  const rangeFor = (key: RangeFacet) => {
+    if (key !== 'term') return facets?.[key] || { min: null, max: null };
+    const terms = (facets?.term || []).map(option => Number(option.value));
+    return terms.length > 0 ? { min: Math.min(...terms), max: Math.max(...terms) } : { min: null, max: null };
+  };
+
+  return (
+    <Card>
+      <CardContent className="p-4 space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {RANGE_FACETS.map(({ key, label, unit, step }) => {
+            const range = rangeFor(key);
+            const minKey = `${key}Min` as keyof ContractFilters;
+            const maxKey = `${key}Max` as keyof ContractFilters;
+            return (
+              <div key={key}>
+                <p className="text-xs font-semibold text-gray-600 uppercase mb-1">{label} ({unit})</p>
+                <div className="flex items-center gap-2">
+                  <Input
+                    type="number"
+                    step={step}
+                    value={(filters[minKey] as number | undefined) ?? ''}
+                    placeholder={range.min !== null ? `Min ${range.min}` : 'Min'}
+                    onChange={(e) => setNumber(minKey, e.target.value)}
+                    aria-label={`Minimum ${label.toLowerCase()}`}
+                  />
+                  <span className="text-gray-400">–</span>
+                  <Input
+                    type="number"
+                    step={step}
+                    value={(filters[maxKey] as number | undefined) ?? ''}
+                    placeholder={range.max !== null ? `Max ${range.max}` : 'Max'}
+                    onChange={(e) => setNumber(maxKey, e.target.value)}
+                    aria-label={`Maximum ${label.toLowerCase()}`}
+                  />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div>
+          <p className="text-xs font-semibold text-gray-600 uppercase mb-1">Effective Date</p>
+          <div className="flex items-center gap-2 max-w-md">
+            <Input
+              type="date"
+              value={filters.effectiveFrom || ''}
+              min={facets?.effectiveDate.min || undefined}
+              onChange={(e) => update({ effectiveFrom: e.target.value || undefined })}
+              aria-label="Effective from"
+            />
+            <span className="text-gray-400">–</span>
+            <Input
+              type="date"
+              value={filters.effectiveTo || ''}
+              max={facets?.effectiveDate.max || undefined}
+              onChange={(e) => update({ effectiveTo: e.target.value || undefined })}
+              aria-label="Effective to"
+            />
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          {LIST_FACETS.map(({ key, label }) => {
+            const options = optionsFor(key);
+            return (
+              <div key={key}>
+                <p className="text-xs font-semibold text-gray-600 uppercase mb-1">{label}</p>
+                {options.length === 0 ? (
+                  <p className="text-sm text-gray-400">None</p>
+                ) : (
+                  <div className="max-h-40 overflow-y-auto space-y-1 pr-1">
+                    {options.map(option => {
+                      const value = String(option.value);
+                      const checked = (filters[key] || []).includes(value);
+                      return (
+                        <label key={value} className="flex items-center justify-between gap-2 text-sm text-gray-700 cursor-pointer">
+                          <span className="flex items-center gap-2 truncate">
+                            <input type="checkbox" checked={checked} onChange={() => toggleValue(key, value)} />
+                            <span className="truncate">{contractService.getFacetLabel(key, value)}</span>
+                          </span>
+                          <span className="text-xs text-gray-500">{option.count}</span>
+                        </label>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="flex justify-end">
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onChange({ search: filters.search, status: filters.status })}
+          >
+            Clear filters
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ContractFilterPanel;
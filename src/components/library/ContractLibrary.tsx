@@ -1,16 +1,21 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
 import { Button } from '../ui/button';
 import { Input } from '../ui/input';
 import { Badge } from '../ui/badge';
-import { Search, Filter, Download, Eye, Edit, Trash2, Calendar, Building, MapPin, Brain, FileText } from 'lucide-react';
-import { Contract, ContractFormData } from '../../types';
+import { Search, Filter, Download, Eye, Edit, Trash2, Calendar, Building, MapPin, Brain, FileText, Scale, Save, Star } from 'lucide-react';
+import { Contract, ContractFacets, ContractFilters, ContractFormData, SavedContractView } from '../../types';
 import { contractService } from '../../services';
 import { formatCurrency, formatCapacity } from '../../utils/calculations';
 import { PDFService } from '../../services/pdfService';
+import { isFeatureEnabled } from '../../lib/featureFlags';
+import { ContractFilterPanel } from './ContractFilterPanel';
+
+const MAX_COMPARED_CONTRACTS = 5;
+const SEARCH_DEBOUNCE_MS = 300;
 
 interface ContractLibraryProps {
-  onNavigate: (view: string, contract?: Contract) => void;
+  onNavigate: (view: string, options?: { contract?: Contract; contractIds?: string[] }) => void;
   onCreateFromAi?: (aiData: Partial<ContractFormData>, sourceDoc: { id: string; name: string; confidence?: number }) => void;
 }
 
@@ -21,24 +26,135 @@ export const ContractLibrary: React.FC<ContractLibraryProps> = ({ onNavigate, on
   const [filterStatus, setFilterStatus] = useState('all');
   const [filterSource, setFilterSource] = useState('all'); // 'all', 'ai', 'manual'
   const [exportingContractId, setExportingContractId] = useState<string | null>(null);
+  const [compareIds, setCompareIds] = useState<string[]>([]);
+  // Facet filters other than search and status, which have their own inputs
+  const [filters, setFilters] = useState<ContractFilters>({});
+  const [facets, setFacets] = useState<ContractFacets | null>(null);
+  // Contracts before filtering; null while filtering falls back to the client
+  const [available, setAvailable] = useState<number | null>(null);
+  const [showFilters, setShowFilters] = useState(false);
+  const [savedViews, setSavedViews] = useState<SavedContractView[]>([]);
+  const [viewsAvailable, setViewsAvailable] = useState(false);
+  const [viewsLoaded, setViewsLoaded] = useState(false);
+  const [activeViewId, setActiveViewId] = useState('');
+  const latestRequest = useRef(0);
+  const comparisonEnabled = isFeatureEnabled('enableContractComparison');
+
+  const requestFilters: ContractFilters = {
+    ...filters,
+    search: searchTerm.trim() || undefined,
+    status: filterStatus === 'all' ? undefined : [filterStatus.toUpperCase()]
+  };
+  const requestKey = JSON.stringify(requestFilters);
+  const activeView = savedViews.find(view => view.id === activeViewId);
+  const facetFilterCount = Object.values(filters).filter(value => value !== undefined).length;
 
+  // The default view decides the first query, so views load before contracts
   useEffect(() => {
-    loadContracts();
+    const loadSavedViews = async () => {
+      try {
+        const views = await contractService.getSavedViews();
+        setSavedViews(views);
+        setViewsAvailable(true);
+        applyView(views.find(view => view.isDefault));
+      } catch (error) {
+        // Signed out or no database: the library works without saved views
+        setViewsAvailable(false);
+      } finally {
+        setViewsLoaded(true);
+      }
+    };
+    loadSavedViews();
   }, []);
 
+  useEffect(() => {
+    if (!viewsLoaded) return;
+    const timer = setTimeout(loadContracts, searchTerm ? SEARCH_DEBOUNCE_MS : 0);
+    return () => clearTimeout(timer);
+  }, [requestKey, viewsLoaded]);
+
   const loadContracts = async () => {
+    const request = ++latestRequest.current;
     try {
-      setLoading(true);
-      const allContracts = await contractService.getContracts();
-      setContracts(allContracts);
+      try {
+        const result = await contractService.getFilteredContracts(requestFilters);
+        if (request !== latestRequest.current) return;
+        setContracts(result.contracts);
+        setFacets(result.facets);
+        setAvailable(result.available);
+      } catch (error) {
+        console.warn('Server-side filtering unavailable, filtering locally:', error);
+        const allContracts = await contractService.getContracts();
+        if (request !== latestRequest.current) return;
+        setContracts(allContracts);
+        setFacets(null);
+        setAvailable(null);
+      }
     } catch (error) {
       console.error('Failed to load contracts:', error);
     } finally {
-      setLoading(false);
+      if (request === latestRequest.current) setLoading(false);
+    }
+  };
+
+  const applyView = (view?: SavedContractView) => {
+    const { search, status, ...rest } = view?.filters || {};
+    setActiveViewId(view?.id || '');
+    setSearchTerm(search || '');
+    setFilterStatus(status?.[0]?.toLowerCase() || 'all');
+    setFilters(rest);
+  };
+
+  const handleFiltersChange = (next: ContractFilters) => {
+    const { search, status, ...rest } = next;
+    setFilters(rest);
+  };
+
+  const handleSaveView = async () => {
+    const name = window.prompt('Name for this view:');
+    if (!name || !name.trim()) return;
+    try {
+      const view = await contractService.createSavedView({ name, filters: requestFilters });
+      setSavedViews(prev => [...prev, view]);
+      setActiveViewId(view.id);
+    } catch (error) {
+      console.error('Failed to save view:', error);
+      alert(`Failed to save view: ${error instanceof Error ? error.message : 'unknown error'}`);
+    }
+  };
+
+  const handleToggleDefaultView = async () => {
+    if (!activeView) return;
+    try {
+      await contractService.updateSavedView(activeView.id, { isDefault: !activeView.isDefault });
+      // Setting a default clears the previous one, so reload the list
+      setSavedViews(await contractService.getSavedViews());
+    } catch (error) {
+      console.error('Failed to update view:', error);
+      alert('Failed to update view. Please try again.');
     }
   };
 
+  const handleDeleteView = async () => {
+    if (!activeView || !window.confirm(`Delete the saved view "${activeView.name}"?`)) return;
+    try {
+      await contractService.deleteSavedView(activeView.id);
+      setSavedViews(prev => prev.filter(view => view.id !== activeView.id));
+      setActiveViewId('');
+    } catch (error) {
+      console.error('Failed to delete view:', error);
+      alert('Failed to delete view. Please try again.');
+    }
+  };
+
+  // The server has already applied search, status and facets unless we fell back
   const filteredContracts = contracts.filter(contract => {
+    if (available !== null) {
+      return filterSource === 'all' ||
+        (filterSource === 'ai' && contract.aiMetadata?.isAiExtracted) ||
+        (filterSource === 'manual' && !contract.aiMetadata?.isAiExtracted);
+    }
+
     const matchesSearch = searchTerm === '' || 
       contract.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
       contract.client.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -54,6 +170,7 @@ export const ContractLibrary: React.FC<ContractLibraryProps> = ({ onNavigate, on
     
     return matchesSearch && matchesStatus && matchesSource;
   });
+  const totalContracts = available ?? contracts.length;
 
   const handleDeleteContract = async (contractId: string) => {
     if (window.confirm('Are you sure you want to delete this contract?')) {
@@ -79,6 +196,15 @@ export const ContractLibrary: React.FC<ContractLibraryProps> = ({ onNavigate, on
     }
   };
 
+  const toggleCompare = (contractId: string) => {
+    setCompareIds(prev => {
+      if (prev.includes(contractId)) {
+        return prev.filter(id => id !== contractId);
+      }
+      return prev.length < MAX_COMPARED_CONTRACTS ? [...prev, contractId] : prev;
+    });
+  };
+
   const handleViewContractDetails = (contract: Contract) => {
     // Navigate to contract details view with contract wrapped in options object
     onNavigate('contract-details', { contract });
@@ -93,9 +219,11 @@ export const ContractLibrary: React.FC<ContractLibraryProps> = ({ onNavigate, on
       effectiveDate: contract.effectiveDate,
       solutionType: contract.type,
       ratedCapacity: contract.capacity,
+      sites: contract.sites || [],
       contractTerm: contract.term,
       baseRate: contract.parameters.financial.baseRate,
       annualEscalation: contract.parameters.financial.escalation,
+      escalationSchedule: contract.parameters.financial.escalationSchedule,
       microgridAdder: contract.parameters.financial.microgridAdder,
       thermalCycleFee: contract.parameters.financial.thermalCycleFee,
       electricalBudget: contract.parameters.financial.electricalBudget,
@@ -160,9 +288,27 @@ export const ContractLibrary: React.FC<ContractLibraryProps> = ({ onNavigate, on
             <h1 className="text-3xl font-bold text-gray-900">Contract Library</h1>
             <p className="text-gray-600 mt-1">Manage and view all your Bloom Energy contracts</p>
           </div>
-          <Button onClick={() => onNavigate('create')} className="bg-green-600 hover:bg-green-700">
-            Create New Contract
-          </Button>
+          <div className="flex items-center gap-2">
+            {comparisonEnabled && compareIds.length > 0 && (
+              <>
+                <Button variant="ghost" size="sm" onClick={() => setCompareIds([])}>
+                  Clear
+                </Button>
+                <Button
+                  variant="outline"
+                  onClick={() => onNavigate('compare', { contractIds: compareIds })}
+                  disabled={compareIds.length < 2}
+                  title={compareIds.length < 2 ? 'Select at least 2 contracts' : undefined}
+                >
+                  <Scale className="h-4 w-4 mr-2" />
+                  Compare ({compareIds.length})
+                </Button>
+              </>
+            )}
+            <Button onClick={() => onNavigate('create')} className="bg-green-600 hover:bg-green-700">
+              Create New Contract
+            </Button>
+          </div>
         </div>
 
         {/* Search and Filter Controls */}
@@ -200,18 +346,63 @@ export const ContractLibrary: React.FC<ContractLibraryProps> = ({ onNavigate, on
                   <option value="ai">AI Extracted</option>
                   <option value="manual">Manual Entry</option>
                 </select>
-                <Button variant="outline" size="sm">
+                <Button
+                  variant={showFilters ? 'default' : 'outline'}
+                  size="sm"
+                  onClick={() => setShowFilters(!showFilters)}
+                  disabled={!facets}
+                  title={!facets ? 'More filters need the contract server' : undefined}
+                >
                   <Filter className="h-4 w-4 mr-2" />
-                  More Filters
+                  More Filters{facetFilterCount > 0 && ` (${facetFilterCount})`}
                 </Button>
               </div>
             </div>
+
+            {/* Saved Views */}
+            {viewsAvailable && (
+              <div className="flex flex-wrap items-center gap-2 mt-4 pt-4 border-t">
+                <select
+                  value={activeViewId}
+                  onChange={(e) => applyView(savedViews.find(view => view.id === e.target.value))}
+                  className="px-3 py-2 border border-gray-300 rounded-md text-sm"
+                  aria-label="Saved views"
+                >
+                  <option value="">{savedViews.length === 0 ? 'No saved views' : 'Saved views'}</option>
+                  {savedViews.map(view => (
+                    <option key={view.id} value={view.id}>
+                      {view.isDefault ? '★ ' : ''}{view.name}
+                    </option>
+                  ))}
+                </select>
+                <Button variant="outline" size="sm" onClick={handleSaveView}>
+                  <Save className="h-4 w-4 mr-2" />
+                  Save View
+                </Button>
+                {activeView && (
+                  <>
+                    <Button variant="ghost" size="sm" onClick={handleToggleDefaultView}>
+                      <Star className={`h-4 w-4 mr-2 ${activeView.isDefault ? 'fill-yellow-400 text-yellow-500' : ''}`} />
+                      {activeView.isDefault ? 'Default View' : 'Set as Default'}
+                    </Button>
+                    <Button variant="ghost" size="sm" onClick={handleDeleteView} className="text-red-600 hover:text-red-700">
+                      <Trash2 className="h-4 w-4 mr-2" />
+                      Delete View
+                    </Button>
+                  </>
+                )}
+              </div>
+            )}
           </CardContent>
         </Card>
 
+        {showFilters && facets && (
+          <ContractFilterPanel filters={requestFilters} facets={facets} onChange={handleFiltersChange} />
+        )}
+
         {/* Contract Count */}
         <div className="text-sm text-gray-600">
-          Showing {filteredContracts.length} of {contracts.length} contracts
+          Showing {filteredContracts.length} of {totalContracts} contracts
         </div>
 
         {/* Contracts Grid */}
@@ -222,15 +413,15 @@ export const ContractLibrary: React.FC<ContractLibraryProps> = ({ onNavigate, on
                 <Building className="h-16 w-16 mx-auto" />
               </div>
               <h3 className="text-lg font-medium text-gray-900 mb-2">
-                {contracts.length === 0 ? 'No contracts found' : 'No contracts match your search'}
+                {totalContracts === 0 ? 'No contracts found' : 'No contracts match your search'}
               </h3>
               <p className="text-gray-600 mb-4">
-                {contracts.length === 0 
+                {totalContracts === 0 
                   ? 'Get started by creating your first Bloom Energy contract.'
                   : 'Try adjusting your search terms or filters.'
                 }
               </p>
-              {contracts.length === 0 && (
+              {totalContracts === 0 && (
                 <Button onClick={() => onNavigate('create')} className="bg-green-600 hover:bg-green-700">
                   Create Your First Contract
                 </Button>
@@ -254,8 +445,19 @@ export const ContractLibrary: React.FC<ContractLibraryProps> = ({ onNavigate, on
                         </Badge>
                       )}
                     </div>
-                    <div className="text-xs text-gray-500">
+                    <div className="flex items-center gap-2 text-xs text-gray-500">
                       {contract.id}
+                      {comparisonEnabled && (
+                        <label className="flex items-center gap-1 cursor-pointer" title={`Compare up to ${MAX_COMPARED_CONTRACTS} contracts`}>
+                          <input
+                            type="checkbox"
+                            checked={compareIds.includes(contract.id)}
+                            disabled={!compareIds.includes(contract.id) && compareIds.length >= MAX_COMPARED_CONTRACTS}
+                            onChange={() => toggleCompare(contract.id)}
+                          />
+                          Compare
+                        </label>
+                      )}
                     </div>
                   </div>
                   <CardTitle className="text-lg flex items-center gap-2">
@@ -0,0 +1,101 @@
+import React from 'react';
+import { Card, CardHeader, CardTitle, CardContent } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { ContractFormData } from '../../types';
+import { formatCapacity } from '../../utils/calculations';
+import { rollupSites } from '../contract/SitesTab';
+
+interface ReadOnlySitesTabProps {
+  formData: ContractFormData;
+}
+
+export const ReadOnlySitesTab: React.FC<ReadOnlySitesTabProps> = ({
+  formData
+}) => {
+  const sites = formData.sites || [];
+  const rollup = rollupSites(sites);
+
+  return (
+    <div className="space-y-6">
+      <div className="mb-6">
+        <h2 className="text-2xl font-bold text-gray-900">Project Sites</h2>
+        <p className="text-gray-600 mt-2">
+          Sites covered by this contract and their contribution to contract capacity
+        </p>
+      </div>
+
+      {sites.length === 0 ? (
+        <Card>
+          <CardContent className="p-6 text-center text-gray-500">
+            No individual sites recorded. Site: <span className="font-medium text-gray-900">{formData.siteLocation || '—'}</span>
+          </CardContent>
+        </Card>
+      ) : (
+        <>
+          <Card>
+            <CardHeader>
+              <CardTitle>Site Totals</CardTitle>
+            </CardHeader>
+            <CardContent>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                <div>
+                  <div className="text-gray-500">Sites</div>
+                  <div className="font-medium">{sites.length}</div>
+                </div>
+                <div>
+                  <div className="text-gray-500">Total Capacity</div>
+                  <div className="font-medium">{rollup.capacity !== null ? formatCapacity(rollup.capacity) : '—'}</div>
+                </div>
+                <div>
+                  <div className="text-gray-500">Total Servers</div>
+                  <div className="font-medium">{rollup.servers ?? '—'}</div>
+                </div>
+                <div>
+                  <div className="text-gray-500">First COD</div>
+                  <div className="font-medium">{rollup.commercialOperationDate?.slice(0, 10) || '—'}</div>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Sites</CardTitle>
+            </CardHeader>
+            <CardContent className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-2 pr-4 font-medium">Site</th>
+                    <th className="py-2 pr-4 font-medium">Address</th>
+                    <th className="py-2 pr-4 font-medium">Utility</th>
+                    <th className="py-2 pr-4 font-medium text-right">Capacity</th>
+                    <th className="py-2 pr-4 font-medium text-right">Servers</th>
+                    <th className="py-2 pr-4 font-medium">COD</th>
+                    <th className="py-2 font-medium">Voltage</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sites.map((site, index) => (
+                    <tr key={site.id || index} className="border-b last:border-0">
+                      <td className="py-2 pr-4">
+                        <div className="font-medium text-gray-900">{site.name}</div>
+                        {site.siteCode && <Badge variant="outline" className="mt-1">{site.siteCode}</Badge>}
+                      </td>
+                      <td className="py-2 pr-4">{site.address || '—'}</td>
+                      <td className="py-2 pr-4">{site.utility || '—'}</td>
+                      <td className="py-2 pr-4 text-right">{typeof site.capacity === 'number' ? formatCapacity(site.capacity) : '—'}</td>
+                      <td className="py-2 pr-4 text-right">{site.servers ?? '—'}</td>
+                      <td className="py-2 pr-4">{site.commercialOperationDate?.slice(0, 10) || '—'}</td>
+                      <td className="py-2">{site.voltage || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  );
+};
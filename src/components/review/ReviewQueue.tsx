@@ -0,0 +1,368 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CheckCircle, XCircle, Edit3, RefreshCw, AlertCircle, FileText, Inbox } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { useAuth } from '../../contexts/AuthContext';
+import { CitationViewer } from '../documents/CitationViewer';
+import { FieldCitation } from '../../types';
+
+interface ReviewFieldItem {
+  id: string;
+  field: string;
+  aspectType: string;
+  value: string | number | null;
+  confidence: number;
+  reasoning?: string | null;
+  citation: FieldCitation | null;
+  documentId: string | null;
+  filename: string | null;
+  contractId: string | null;
+  contractType: string | null;
+  createdAt: string;
+}
+
+interface ReviewClassificationItem {
+  id: string;
+  documentId: string;
+  suggestedType: string;
+  typeConfidence: number;
+  classificationReason?: string | null;
+  keyIndicators: string[];
+  document?: {
+    id: string;
+    title: string;
+    originalName: string;
+    contractId: string;
+    documentType: string;
+  };
+}
+
+interface ReviewQueueResponse {
+  success: boolean;
+  fields: ReviewFieldItem[];
+  classifications: ReviewClassificationItem[];
+  counts: { fields: number; classifications: number };
+}
+
+interface ReviewQueueProps {
+  contractId?: string;
+}
+
+type FieldDecision = 'accept' | 'correct' | 'reject';
+
+const DOCUMENT_TYPES = ['PRIMARY', 'APPENDIX', 'AMENDMENT', 'EXHIBIT', 'ADDENDUM', 'SIGNATURE', 'COVER_LETTER', 'OTHER'];
+
+const formatFieldName = (field: string) => field
+  .replace(/([A-Z])/g, ' $1')
+  .trim()
+  .replace(/^./, char => char.toUpperCase());
+
+/**
+ * Human review queue for low-confidence extractions: reviewers accept,
+ * correct or reject flagged fields and confirm document classifications.
+ */
+export const ReviewQueue: React.FC<ReviewQueueProps> = ({ contractId }) => {
+  const { token } = useAuth();
+  const [queue, setQueue] = useState<ReviewQueueResponse | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [activeItemId, setActiveItemId] = useState<string | null>(null);
+  const [corrections, setCorrections] = useState<Record<string, string>>({});
+  const [comments, setComments] = useState<Record<string, string>>({});
+  const [classificationTypes, setClassificationTypes] = useState<Record<string, string>>({});
+  const [savingId, setSavingId] = useState<string | null>(null);
+
+  const authHeaders = {
+    'Content-Type': 'application/json',
+    ...(token && { Authorization: `Bearer ${token}` })
+  };
+
+  const loadQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams();
+      if (contractId) params.set('contractId', contractId);
+
+      const response = await fetch(`/api/review/queue?${params.toString()}`, {
+        headers: {
+          ...(token && { Authorization: `Bearer ${token}` })
+        }
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to load review queue');
+      }
+
+      setQueue(data);
+      setActiveItemId(current => current || data.fields[0]?.id || null);
+    } catch (err) {
+      console.error('❌ [ReviewQueue] Failed to load queue:', err);
+      setError(err instanceof Error ? err.message : 'Failed to load review queue');
+    } finally {
+      setLoading(false);
+    }
+  }, [contractId, token]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  const removeField = (id: string) => {
+    setQueue(current => {
+      if (!current) return current;
+      const fields = current.fields.filter(item => item.id !== id);
+      setActiveItemId(active => (active === id ? fields[0]?.id || null : active));
+      return { ...current, fields, counts: { ...current.counts, fields: current.counts.fields - 1 } };
+    });
+  };
+
+  const submitFieldReview = async (item: ReviewFieldItem, decision: FieldDecision) => {
+    const value = corrections[item.id]?.trim();
+    if (decision === 'correct' && !value) {
+      setError(`Enter the correct value for ${formatFieldName(item.field)} before saving`);
+      return;
+    }
+
+    try {
+      setSavingId(item.id);
+      setError(null);
+
+      const response = await fetch(`/api/review/fields/${item.id}`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({
+          decision,
+          ...(decision === 'correct' && { value }),
+          comment: comments[item.id] || undefined
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error?.message || data.error || 'Failed to save review');
+      }
+
+      removeField(item.id);
+    } catch (err) {
+      console.error('❌ [ReviewQueue] Failed to save field review:', err);
+      setError(err instanceof Error ? err.message : 'Failed to save review');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const submitClassificationReview = async (item: ReviewClassificationItem) => {
+    try {
+      setSavingId(item.id);
+      setError(null);
+
+      const response = await fetch(`/api/review/classifications/${item.id}`, {
+        method: 'POST',
+        headers: authHeaders,
+        body: JSON.stringify({
+          documentType: classificationTypes[item.id] || item.suggestedType,
+          comment: comments[item.id] || undefined
+        })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.error?.message || data.error || 'Failed to save classification review');
+      }
+
+      setQueue(current => current && {
+        ...current,
+        classifications: current.classifications.filter(entry => entry.id !== item.id),
+        counts: { ...current.counts, classifications: current.counts.classifications - 1 }
+      });
+    } catch (err) {
+      console.error('❌ [ReviewQueue] Failed to save classification review:', err);
+      setError(err instanceof Error ? err.message : 'Failed to save classification review');
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  const activeItem = queue?.fields.find(item => item.id === activeItemId) || null;
+
+  const renderFieldItem = (item: ReviewFieldItem) => {
+    const isActive = item.id === activeItemId;
+    const isSaving = savingId === item.id;
+
+    return (
+      <div
+        key={item.id}
+        onClick={() => setActiveItemId(item.id)}
+        className={`rounded-lg border p-4 cursor-pointer transition-colors ${
+          isActive ? 'border-blue-400 bg-blue-50' : 'border-gray-200 bg-white hover:border-gray-300'
+        }`}
+      >
+        <div className="flex items-start justify-between">
+          <div>
+            <div className="text-sm font-semibold text-gray-900">{formatFieldName(item.field)}</div>
+            <div className="mt-0.5 text-xs text-gray-500 flex items-center">
+              <FileText className="w-3 h-3 mr-1" />
+              {item.filename || 'Unknown document'}
+              {item.citation?.page && ` • Page ${item.citation.page}`}
+            </div>
+          </div>
+          <Badge variant={item.confidence < 0.3 ? 'destructive' : 'secondary'}>
+            {Math.round(item.confidence * 100)}%
+          </Badge>
+        </div>
+
+        <div className="mt-2 text-sm">
+          <span className="text-gray-500">Extracted:</span>{' '}
+          <span className="font-medium text-gray-900">{String(item.value ?? '—')}</span>
+        </div>
+        {item.reasoning && (
+          <div className="mt-1 text-xs text-amber-700 flex items-start">
+            <AlertCircle className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+            {item.reasoning}
+          </div>
+        )}
+
+        {isActive && (
+          <div className="mt-3 space-y-2" onClick={event => event.stopPropagation()}>
+            <input
+              type="text"
+              value={corrections[item.id] ?? ''}
+              onChange={event => setCorrections(current => ({ ...current, [item.id]: event.target.value }))}
+              placeholder="Correct value (for corrections)"
+              className="w-full rounded-md border border-gray-300 px-3 py-1.5 text-sm"
+            />
+            <textarea
+              value={comments[item.id] ?? ''}
+              onChange={event => setComments(current => ({ ...current, [item.id]: event.target.value }))}
+              placeholder="Comment (optional)"
+              rows={2}
+              className="w-full rounded-md border border-gray-300 px-3 py-1.5 text-sm"
+            />
+            <div className="flex space-x-2">
+              <Button size="sm" disabled={isSaving} onClick={() => submitFieldReview(item, 'accept')}>
+                <CheckCircle className="w-4 h-4 mr-1" />
+                Accept
+              </Button>
+              <Button size="sm" variant="outline" disabled={isSaving} onClick={() => submitFieldReview(item, 'correct')}>
+                <Edit3 className="w-4 h-4 mr-1" />
+                Correct
+              </Button>
+              <Button size="sm" variant="destructive" disabled={isSaving} onClick={() => submitFieldReview(item, 'reject')}>
+                <XCircle className="w-4 h-4 mr-1" />
+                Reject
+              </Button>
+            </div>
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderClassificationItem = (item: ReviewClassificationItem) => (
+    <div key={item.id} className="rounded-lg border border-gray-200 bg-white p-4">
+      <div className="flex items-start justify-between">
+        <div>
+          <div className="text-sm font-semibold text-gray-900">
+            {item.document?.title || item.document?.originalName || item.documentId}
+          </div>
+          {item.classificationReason && (
+            <div className="mt-0.5 text-xs text-gray-500">{item.classificationReason}</div>
+          )}
+        </div>
+        <Badge variant="secondary">{Math.round(item.typeConfidence * 100)}%</Badge>
+      </div>
+
+      <div className="mt-3 flex items-center space-x-2">
+        <select
+          value={classificationTypes[item.id] || item.suggestedType}
+          onChange={event => setClassificationTypes(current => ({ ...current, [item.id]: event.target.value }))}
+          className="rounded-md border border-gray-300 px-2 py-1.5 text-sm"
+        >
+          {DOCUMENT_TYPES.map(type => (
+            <option key={type} value={type}>{type.replace('_', ' ')}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={comments[item.id] ?? ''}
+          onChange={event => setComments(current => ({ ...current, [item.id]: event.target.value }))}
+          placeholder="Comment (optional)"
+          className="flex-1 rounded-md border border-gray-300 px-3 py-1.5 text-sm"
+        />
+        <Button size="sm" disabled={savingId === item.id} onClick={() => submitClassificationReview(item)}>
+          Mark Reviewed
+        </Button>
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Review Queue</h1>
+          <p className="text-gray-600 mt-1">
+            Low-confidence extractions waiting for a reviewer
+            {queue && ` • ${queue.counts.fields} field(s), ${queue.counts.classifications} classification(s)`}
+          </p>
+        </div>
+        <Button variant="outline" onClick={loadQueue} disabled={loading}>
+          <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </Button>
+      </div>
+
+      {error && (
+        <div className="rounded-md bg-red-50 border border-red-200 p-3 text-sm text-red-700 flex items-center">
+          <AlertCircle className="w-4 h-4 mr-2" />
+          {error}
+        </div>
+      )}
+
+      {!loading && queue && queue.fields.length === 0 && queue.classifications.length === 0 && (
+        <div className="text-center py-12 text-gray-500">
+          <Inbox className="w-10 h-10 mx-auto mb-3 text-gray-400" />
+          Nothing to review — every extraction has been checked.
+        </div>
+      )}
+
+      {queue && queue.fields.length > 0 && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <div className="space-y-3">
+            <h2 className="text-lg font-semibold text-gray-900">Flagged Fields</h2>
+            {queue.fields.map(renderFieldItem)}
+          </div>
+
+          <div className="lg:sticky lg:top-4 self-start">
+            {activeItem?.citation && activeItem.documentId ? (
+              <CitationViewer
+                selection={{
+                  documentId: activeItem.documentId,
+                  filename: activeItem.filename || undefined,
+                  field: activeItem.field,
+                  label: formatFieldName(activeItem.field),
+                  citation: activeItem.citation
+                }}
+                onClose={() => setActiveItemId(null)}
+              />
+            ) : activeItem ? (
+              <div className="rounded-lg border border-dashed border-gray-300 p-6 text-sm text-gray-500">
+                No source citation was found for this value — check the original document.
+              </div>
+            ) : null}
+          </div>
+        </div>
+      )}
+
+      {queue && queue.classifications.length > 0 && (
+        <div className="space-y-3">
+          <h2 className="text-lg font-semibold text-gray-900">Document Classifications</h2>
+          {queue.classifications.map(renderClassificationItem)}
+        </div>
+      )}
+    </div>
+  );
+};
@@ -130,10 +130,12 @@ export const useContract = (initialData?: Partial<ContractFormData>) => {
       effectiveDate: contract.effectiveDate,
       solutionType: contract.type,
       ratedCapacity: contract.capacity,
+      sites: contract.sites || [],
       reliabilityLevel: 99.9, // Default, would need to be stored in contract
       installationType: 'Ground', // Default, would need to be stored
       baseRate: contract.parameters.financial.baseRate,
       annualEscalation: contract.parameters.financial.escalation,
+      escalationSchedule: contract.parameters.financial.escalationSchedule,
       contractTerm: contract.term,
       microgridAdder: contract.parameters.financial.microgridAdder || 0,
       thermalCycleFee: contract.parameters.financial.thermalCycleFee || 0,
@@ -15,6 +15,15 @@ export interface Notification {
   userId?: string;
 }
 
+export type NotificationChannel = 'IN_APP' | 'EMAIL' | 'DIGEST';
+
+// Subscription rule for an exact type, a "prefix:*" pattern or "*"
+export interface NotificationPreference {
+  type: string;
+  enabled: boolean;
+  channel: NotificationChannel;
+}
+
 export interface NotificationHookOptions {
   autoConnect?: boolean;
   subscribeToTypes?: string[];
@@ -35,6 +44,8 @@ export interface UseNotificationsReturn {
   joinRoom: (roomId: string) => void;
   leaveRoom: (roomId: string) => void;
   subscribe: (notificationTypes: string[]) => void;
+  preferences: NotificationPreference[];
+  updatePreferences: (preferences: NotificationPreference[]) => Promise<void>;
 }
 
 const NOTIFICATION_TYPES = {
@@ -52,7 +63,10 @@ const NOTIFICATION_TYPES = {
   SYSTEM_ALERT: 'system:alert',
   VALIDATION_RESULT: 'validation:result',
   UPLOAD_COMPLETED: 'upload:completed',
-  EXPORT_READY: 'export:ready'
+  EXPORT_READY: 'export:ready',
+  DOCUMENT_UPLOAD_FAILED: 'document:upload:failed',
+  DOCUMENT_PROCESSING_COMPLETED: 'document:processing:completed',
+  DOCUMENT_PROCESSING_FAILED: 'document:processing:failed'
 };
 
 export const useNotifications = (
@@ -68,6 +82,7 @@ export const useNotifications = (
   const [connected, setConnected] = useState(false);
   const [connecting, setConnecting] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [preferences, setPreferences] = useState<NotificationPreference[]>([]);
   
   const socketRef = useRef<Socket | null>(null);
   const mountedRef = useRef(true);
@@ -283,6 +298,44 @@ export const useNotifications = (
     }
   }, []);
 
+  // Load the user's notification preferences
+  const loadPreferences = useCallback(async () => {
+    const token = getAuthToken();
+    if (!token) return;
+
+    try {
+      const response = await fetch('/api/notifications/preferences', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!response.ok) return;
+
+      const result = await response.json();
+      if (mountedRef.current) {
+        setPreferences(result.preferences || []);
+      }
+    } catch (error) {
+      console.warn('Failed to load notification preferences:', error);
+    }
+  }, [getAuthToken]);
+
+  // Replace the user's notification preferences
+  const updatePreferences = useCallback(async (nextPreferences: NotificationPreference[]) => {
+    const response = await fetch('/api/notifications/preferences', {
+      method: 'PUT',
+      headers: {
+        'Authorization': `Bearer ${getAuthToken()}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ preferences: nextPreferences })
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+      throw new Error(result.message || 'Failed to save notification preferences');
+    }
+    setPreferences(result.preferences);
+  }, [getAuthToken]);
+
   // Auto-connect on mount
   useEffect(() => {
     if (autoConnect) {
@@ -311,6 +364,13 @@ export const useNotifications = (
     }
   }, [connected, notifications.length, requestHistory]);
 
+  // Load preferences once connected
+  useEffect(() => {
+    if (connected) {
+      loadPreferences();
+    }
+  }, [connected, loadPreferences]);
+
   // Calculate unread count
   const unreadCount = notifications.filter(n => !n.read).length;
 
@@ -327,7 +387,9 @@ export const useNotifications = (
     sendTestNotification,
     joinRoom,
     leaveRoom,
-    subscribe
+    subscribe,
+    preferences,
+    updatePreferences
   };
 };
 
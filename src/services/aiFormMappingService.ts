@@ -7,7 +7,7 @@
  * the 7-tab contract creation form.
  */
 
-import { ContractFormData, SystemType, VoltageLevel, ComponentType, InstallationType, ReliabilityLevel } from '../types/contract.types';
+import { ContractFormData, ContractSite, EscalationSchedule, SystemType, VoltageLevel, ComponentType, InstallationType, ReliabilityLevel } from '../types/contract.types';
 
 // Business Rule interface (from AI extraction)
 export interface BusinessRule {
@@ -52,6 +52,24 @@ export interface BusinessRulesAnalysis {
     outputWarranty?: number | string;
     voltage?: string | number;
     solutionType?: string;
+    // Parsed from the contract's exhibit tables on the server
+    escalationSchedule?: EscalationSchedule;
+    sites?: {
+      name?: string;
+      siteId?: string;
+      address?: string;
+      utility?: string;
+      capacityKw?: number | string;
+      servers?: number | string;
+      commercialOperationDate?: string;
+      voltage?: string;
+    }[];
+    performanceGuarantees?: {
+      metric: 'output' | 'efficiency' | 'availability';
+      fromYear: number;
+      toYear: number | null;
+      percent: number;
+    }[];
   };
   riskFactors: string[];
   anomalies: string[];
@@ -437,12 +455,65 @@ export class AIFormMappingService {
       }
     });
 
+    // Year-by-year pricing read from the rate schedule exhibit
+    if (extractedData.escalationSchedule) {
+      formData.escalationSchedule = extractedData.escalationSchedule;
+    }
+
+    // Project sites from the site list exhibit or the model's site list
+    if (extractedData.sites?.length) {
+      formData.sites = this.mapExtractedSites(extractedData.sites);
+    }
+
+    // Year-one values of the guarantee schedule exhibit fill warranties the rules left unset
+    const yearOneGuarantee = (metric: 'output' | 'efficiency') => extractedData.performanceGuarantees
+      ?.find(guarantee => guarantee.metric === metric && guarantee.fromYear === 1)?.percent;
+    if (!formData.outputWarrantyPercent && yearOneGuarantee('output') !== undefined) {
+      formData.outputWarrantyPercent = yearOneGuarantee('output');
+    }
+    if (!formData.efficiencyWarrantyPercent && yearOneGuarantee('efficiency') !== undefined) {
+      formData.efficiencyWarrantyPercent = yearOneGuarantee('efficiency');
+    }
+
     // Apply business logic and validation
     const finalFormData = this.applyBusinessLogic(formData, analysis);
 
     return finalFormData;
   }
 
+  /**
+   * Map extracted sites onto ContractSite entries, dropping "NOT SPECIFIED" values
+   */
+  private static mapExtractedSites(sites: NonNullable<BusinessRulesAnalysis['extractedData']['sites']>): ContractSite[] {
+    const specified = (value: unknown): string | null => {
+      const text = value === undefined || value === null ? '' : String(value).trim();
+      return text && text.toUpperCase() !== 'NOT SPECIFIED' ? text : null;
+    };
+    const number = (value: unknown): number | null => {
+      const text = specified(value);
+      const parsed = text ? parseFloat(text.replace(/,/g, '')) : NaN;
+      return Number.isFinite(parsed) ? parsed : null;
+    };
+
+    return sites
+      .map(site => {
+        const capacity = number(site.capacityKw);
+        const servers = number(site.servers);
+        const date = specified(site.commercialOperationDate);
+        return {
+          name: specified(site.name) || specified(site.siteId) || specified(site.address) || '',
+          siteCode: specified(site.siteId),
+          address: specified(site.address),
+          utility: specified(site.utility),
+          capacity: capacity !== null && /\bmw\b/i.test(String(site.capacityKw)) ? capacity * 1000 : capacity,
+          servers: servers === null ? null : Math.round(servers),
+          commercialOperationDate: date && /^\d{4}-\d{2}-\d{2}/.test(date) ? date.slice(0, 10) : null,
+          voltage: specified(site.voltage)
+        };
+      })
+      .filter(site => site.name);
+  }
+
   /**
    * Applies business logic and validation to the mapped form data
    */
@@ -1,4 +1,7 @@
-import { Contract, ContractFormData, ContractStats, LearnedRules } from '../types';
+import {
+  Contract, ContractComparison, ContractFilters, ContractFormData, ContractStats, DocumentRedline,
+  DocumentVersion, FilteredContracts, LearnedRules, PortfolioAnalytics, SavedContractView, SearchResponse
+} from '../types';
 import { loadFromLocalStorage, saveToLocalStorage, STORAGE_KEYS } from '../utils/storage';
 import { calculateYearlyRates, calculateTotalContractValue } from '../utils/calculations';
 
@@ -176,6 +179,151 @@ class ContractService {
     );
   }
 
+  // Server-side faceted filtering; throws so callers can fall back to client-side filtering
+  async getFilteredContracts(filters: ContractFilters): Promise<FilteredContracts> {
+    const params = new URLSearchParams({ facets: 'true' });
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+      if (Array.isArray(value)) {
+        if (value.length > 0) params.set(key, value.join(','));
+      } else {
+        params.set(key, String(value));
+      }
+    });
+
+    const response = await fetch(`${API_BASE_URL}/contracts?${params}`, {
+      headers: this.getAuthHeaders()
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return {
+      contracts: data.contracts.map((contract: any) => this.transformContractFromAPI(contract)),
+      total: data.total,
+      available: data.available,
+      facets: data.facets
+    };
+  }
+
+  // Display label for a facet value (API enums to the names used in forms)
+  getFacetLabel(facet: string, value: string | number): string {
+    const text = String(value);
+    switch (facet) {
+      case 'systemType': return this.mapSystemTypeFromAPI(text);
+      case 'voltage': return text.startsWith('V_') ? this.mapVoltageFromAPI(text) : text;
+      case 'components': return this.mapComponentsFromAPI([text])[0];
+      case 'status': return text.charAt(0) + text.slice(1).toLowerCase();
+      default: return text;
+    }
+  }
+
+  // Saved library views of the signed-in user
+  async getSavedViews(): Promise<SavedContractView[]> {
+    const data = await this.requestSavedViews('');
+    return data.views;
+  }
+
+  async createSavedView(view: { name: string; filters: ContractFilters; isDefault?: boolean }): Promise<SavedContractView> {
+    const data = await this.requestSavedViews('', { method: 'POST', body: JSON.stringify(view) });
+    return data.view;
+  }
+
+  async updateSavedView(
+    id: string,
+    changes: Partial<Pick<SavedContractView, 'name' | 'filters' | 'isDefault'>>
+  ): Promise<SavedContractView> {
+    const data = await this.requestSavedViews(`/${id}`, { method: 'PUT', body: JSON.stringify(changes) });
+    return data.view;
+  }
+
+  async deleteSavedView(id: string): Promise<void> {
+    await this.requestSavedViews(`/${id}`, { method: 'DELETE' });
+  }
+
+  private async requestSavedViews(path: string, init: RequestInit = {}): Promise<any> {
+    const response = await fetch(`${API_BASE_URL}/contract-views${path}`, {
+      ...init,
+      headers: this.getAuthHeaders()
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  }
+
+  // Full-text search across document pages, extracted fields and rules
+  async searchContent(query: string, options: { limit?: number; offset?: number } = {}): Promise<SearchResponse> {
+    const params = new URLSearchParams({ q: query });
+    if (options.limit) params.set('limit', String(options.limit));
+    if (options.offset) params.set('offset', String(options.offset));
+
+    const response = await fetch(`${API_BASE_URL}/search?${params}`, {
+      headers: this.getAuthHeaders()
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data as SearchResponse;
+  }
+
+  // Dashboard rollups: contracted MW over time, base rates, escalation, backlog and expirations
+  async getPortfolioAnalytics(options: { interval?: 'month' | 'quarter'; horizonYears?: number } = {}): Promise<PortfolioAnalytics> {
+    const params = new URLSearchParams();
+    if (options.interval) params.set('interval', options.interval);
+    if (options.horizonYears !== undefined) params.set('horizonYears', String(options.horizonYears));
+
+    const response = await fetch(`${API_BASE_URL}/analytics/portfolio?${params}`, {
+      headers: this.getAuthHeaders()
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || `HTTP error! status: ${response.status}`);
+    }
+    return data as PortfolioAnalytics;
+  }
+
+  // Processed documents of a contract that can be redlined, newest first
+  async getDocumentVersions(contractId: string): Promise<DocumentVersion[]> {
+    const response = await fetch(`${API_BASE_URL}/documents/contracts/${contractId}/versions`, {
+      headers: this.getAuthHeaders()
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data.documents;
+  }
+
+  // Clause-level redline of a revised document against an earlier version
+  async getDocumentRedline(baseId: string, revisedId: string, includeUnchanged = false): Promise<DocumentRedline> {
+    const params = includeUnchanged ? '?unchanged=true' : '';
+    const response = await fetch(`${API_BASE_URL}/documents/${baseId}/diff/${revisedId}${params}`, {
+      headers: this.getAuthHeaders()
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data as DocumentRedline;
+  }
+
+  // Compare 2-5 contracts side by side (server-side diff, lifetime value and rules)
+  async compareContracts(contractIds: string[]): Promise<ContractComparison> {
+    const response = await fetch(`${API_BASE_URL}/contracts/compare`, {
+      method: 'POST',
+      headers: this.getAuthHeaders(),
+      body: JSON.stringify({ contractIds })
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data as ContractComparison;
+  }
+
   // Get contract statistics
   async getContractStats(): Promise<ContractStats> {
     try {
@@ -331,6 +479,7 @@ class ContractService {
           baseRate: financial.baseRate || 0,
           microgridAdder: financial.microgridAdder || 0,
           escalation: financial.escalation || 0,
+          escalationSchedule: financial.escalationSchedule || undefined,
           thermalCycleFee: financial.thermalCycleFee || 0,
           electricalBudget: financial.electricalBudget || 0,
           commissioningAllowance: financial.commissioningAllowance || 0
@@ -352,6 +501,17 @@ class ContractService {
           criticalOutput: operating.criticalOutput || 0
         }
       },
+      sites: (apiContract.sites || []).map((site: any) => ({
+        id: site.id,
+        name: site.name,
+        siteCode: site.siteCode ?? null,
+        address: site.address ?? null,
+        utility: site.utility ?? null,
+        capacity: site.capacity ?? null,
+        servers: site.servers ?? null,
+        commercialOperationDate: site.commercialOperationDate?.split('T')[0] || null,
+        voltage: site.voltage ? this.mapVoltageFromAPI(site.voltage) : null
+      })),
       notes: apiContract.notes || '',
       tags: apiContract.tags || []
     };
@@ -363,7 +523,8 @@ class ContractService {
     const yearlyRates = calculateYearlyRates(
       formData.baseRate,
       formData.annualEscalation,
-      formData.contractTerm
+      formData.contractTerm,
+      formData.escalationSchedule
     );
     
     const totalValue = calculateTotalContractValue(
@@ -388,6 +549,7 @@ class ContractService {
         baseRate: formData.baseRate,
         microgridAdder: formData.microgridAdder || 0,
         escalation: formData.annualEscalation,
+        escalationSchedule: formData.escalationSchedule || null,
         thermalCycleFee: formData.thermalCycleFee || 0,
         electricalBudget: formData.electricalBudget || 0,
         commissioningAllowance: formData.commissioningAllowance || 0
@@ -405,7 +567,8 @@ class ContractService {
         minDemand: formData.minDemandKW,
         maxDemand: formData.maxDemandKW,
         criticalOutput: formData.guaranteedCriticalOutput
-      }
+      },
+      sites: formData.sites?.length ? formData.sites : undefined
     };
   }
 
@@ -417,7 +580,8 @@ class ContractService {
     const yearlyRates = calculateYearlyRates(
       formData.baseRate,
       formData.annualEscalation,
-      formData.contractTerm
+      formData.contractTerm,
+      formData.escalationSchedule
     );
     
     const totalValue = calculateTotalContractValue(
@@ -443,6 +607,7 @@ class ContractService {
           baseRate: formData.baseRate,
           microgridAdder: formData.microgridAdder,
           escalation: formData.annualEscalation,
+          escalationSchedule: formData.escalationSchedule,
           thermalCycleFee: formData.thermalCycleFee,
           electricalBudget: formData.electricalBudget,
           commissioningAllowance: formData.commissioningAllowance
@@ -464,6 +629,7 @@ class ContractService {
           criticalOutput: formData.guaranteedCriticalOutput
         }
       },
+      sites: formData.sites || [],
       notes: formData.specialRequirements,
       tags: this.generateTags(formData)
     };
@@ -581,6 +747,7 @@ class ContractService {
     if (formData.baseRate !== undefined) financialUpdates.baseRate = formData.baseRate;
     if (formData.microgridAdder !== undefined) financialUpdates.microgridAdder = formData.microgridAdder;
     if (formData.annualEscalation !== undefined) financialUpdates.escalation = formData.annualEscalation;
+    if ('escalationSchedule' in formData) financialUpdates.escalationSchedule = formData.escalationSchedule || null;
     if (formData.thermalCycleFee !== undefined) financialUpdates.thermalCycleFee = formData.thermalCycleFee;
     if (formData.electricalBudget !== undefined) financialUpdates.electricalBudget = formData.electricalBudget;
     if (formData.commissioningAllowance !== undefined) financialUpdates.commissioningAllowance = formData.commissioningAllowance;
@@ -617,14 +784,18 @@ class ContractService {
       updateData.operating = operatingUpdates;
     }
 
+    // Sites are replaced as a list; the server recalculates site and capacity rollups
+    if (formData.sites !== undefined) updateData.sites = formData.sites;
+
     // Recalculate values if financial data changed
-    if (formData.baseRate || formData.annualEscalation || formData.contractTerm || formData.ratedCapacity) {
+    if (formData.baseRate || formData.annualEscalation || formData.contractTerm || formData.ratedCapacity || 'escalationSchedule' in formData) {
       const baseRate = formData.baseRate ?? existingContract.parameters.financial.baseRate;
       const escalation = formData.annualEscalation ?? existingContract.parameters.financial.escalation;
+      const schedule = 'escalationSchedule' in formData ? formData.escalationSchedule : existingContract.parameters.financial.escalationSchedule;
       const term = formData.contractTerm ?? existingContract.term;
       const capacity = formData.ratedCapacity ?? existingContract.capacity;
       
-      const yearlyRates = calculateYearlyRates(baseRate, escalation, term);
+      const yearlyRates = calculateYearlyRates(baseRate, escalation, term, schedule);
       const totalValue = calculateTotalContractValue(capacity, yearlyRates);
       
       updateData.totalValue = totalValue;
@@ -646,13 +817,14 @@ class ContractService {
     const existingContract = contracts[contractIndex];
     
     // Merge and recalculate if financial data changed
-    if (formData.baseRate || formData.annualEscalation || formData.contractTerm || formData.ratedCapacity) {
+    if (formData.baseRate || formData.annualEscalation || formData.contractTerm || formData.ratedCapacity || 'escalationSchedule' in formData) {
       const baseRate = formData.baseRate ?? existingContract.parameters.financial.baseRate;
       const escalation = formData.annualEscalation ?? existingContract.parameters.financial.escalation;
+      const schedule = 'escalationSchedule' in formData ? formData.escalationSchedule : existingContract.parameters.financial.escalationSchedule;
       const term = formData.contractTerm ?? existingContract.term;
       const capacity = formData.ratedCapacity ?? existingContract.capacity;
       
-      const yearlyRates = calculateYearlyRates(baseRate, escalation, term);
+      const yearlyRates = calculateYearlyRates(baseRate, escalation, term, schedule);
       const totalValue = calculateTotalContractValue(capacity, yearlyRates);
       
       existingContract.totalValue = totalValue;
@@ -674,6 +846,8 @@ class ContractService {
     if (formData.baseRate !== undefined) existingContract.parameters.financial.baseRate = formData.baseRate;
     if (formData.microgridAdder !== undefined) existingContract.parameters.financial.microgridAdder = formData.microgridAdder;
     if (formData.annualEscalation !== undefined) existingContract.parameters.financial.escalation = formData.annualEscalation;
+    if ('escalationSchedule' in formData) existingContract.parameters.financial.escalationSchedule = formData.escalationSchedule;
+    if (formData.sites !== undefined) existingContract.sites = formData.sites;
     
     contracts[contractIndex] = existingContract;
     saveToLocalStorage(STORAGE_KEYS.CONTRACTS, contracts);
@@ -1,5 +1,5 @@
 import { ContractFormData, Contract } from '../types';
-import { calculateYearlyRates, calculateTotalContractValue, formatCurrency, formatCapacity } from '../utils/calculations';
+import { calculateYearlyRates, calculateTotalContractValue, describeEscalation, formatCurrency, formatCapacity } from '../utils/calculations';
 
 /**
  * PDF Export Service for Bloom Energy Contracts
@@ -37,7 +37,8 @@ export class PDFService {
       const yearlyRates = calculateYearlyRates(
         formData.baseRate,
         formData.annualEscalation,
-        formData.contractTerm
+        formData.contractTerm,
+        formData.escalationSchedule
       );
       const totalValue = calculateTotalContractValue(formData.ratedCapacity, yearlyRates);
       const monthlyPaymentYear1 = (formData.ratedCapacity * formData.baseRate) / 12;
@@ -99,6 +100,7 @@ export class PDFService {
       // Financial Parameters
       baseRate: contract.parameters.financial.baseRate,
       annualEscalation: contract.parameters.financial.escalation,
+      escalationSchedule: contract.parameters.financial.escalationSchedule,
       contractTerm: contract.term,
       microgridAdder: contract.parameters.financial.microgridAdder || 0,
       thermalCycleFee: contract.parameters.financial.thermalCycleFee || 0,
@@ -381,8 +383,8 @@ export class PDFService {
                 <div class="info-value">$${formData.baseRate}/kW</div>
             </div>
             <div class="info-item">
-                <div class="info-label">Annual Escalation</div>
-                <div class="info-value">${formData.annualEscalation}%</div>
+                <div class="info-label">Escalation</div>
+                <div class="info-value">${describeEscalation(formData.annualEscalation, formData.escalationSchedule)}</div>
             </div>
             <div class="info-item">
                 <div class="info-label">Contract Term</div>
@@ -429,7 +431,7 @@ export class PDFService {
                 ${yearlyRates.slice(0, 10).map(rate => `
                 <tr>
                     <td>Year ${rate.year}</td>
-                    <td>$${rate.rate}</td>
+                    <td>$${rate.rate}${rate.holiday ? ' (holiday)' : ''}</td>
                     <td>${formatCurrency(formData.ratedCapacity * rate.amount * 12)}</td>
                 </tr>
                 `).join('')}
@@ -71,7 +71,7 @@ export interface TextractResponse {
 
 export interface TextractBlock {
   id: string;
-  type: 'PAGE' | 'LINE' | 'WORD' | 'SELECTION_ELEMENT' | 'KEY_VALUE_SET';
+  type: 'PAGE' | 'LINE' | 'WORD' | 'SELECTION_ELEMENT' | 'KEY_VALUE_SET' | 'TABLE' | 'CELL';
   text?: string;
   confidence?: number;
   geometry?: {
@@ -195,4 +195,125 @@ export interface ExportRulesResponse {
   exportedRules: number;
   failedRules: number;
   errors?: string[];
+}
+
+// Full-text search API types
+export type SearchSourceType = 'DOCUMENT_PAGE' | 'UPLOAD_PAGE' | 'EXTRACTED_FIELD' | 'RULE';
+
+export interface SearchHit {
+  documentId: string;
+  sourceType: SearchSourceType;
+  title: string;
+  pageNumber: number | null;
+  label: string | null;
+  snippet: string; // Matches wrapped in <mark></mark>
+  rank: number;
+}
+
+export interface SearchResult {
+  contract: {
+    id: string;
+    name: string;
+    client: string;
+    site: string;
+    status: string;
+  };
+  score: number;
+  hitCount: number;
+  hits: SearchHit[];
+}
+
+export interface SearchResponse {
+  query: string;
+  total: number;
+  results: SearchResult[];
+}
+
+// Portfolio analytics API types
+export interface DocumentVersion {
+  id: string;
+  contractId: string;
+  title: string;
+  documentType: string;
+  uploadDate: string;
+  pageCount: number | null;
+}
+
+export interface ClauseRef {
+  section: string | null;
+  number: string | null;
+  page: number;
+}
+
+export interface RedlineClause {
+  type: 'inserted' | 'deleted' | 'modified' | 'unchanged';
+  // Where a clause that moved past others was in the original version
+  movedFrom: ClauseRef | null;
+  section: string | null;
+  number: string | null;
+  heading: boolean;
+  basePage: number | null;
+  revisedPage: number | null;
+  similarity: number;
+  text?: string;
+  segments?: Array<{ type: 'equal' | 'insert' | 'delete'; text: string }>;
+}
+
+export interface RedlineValueChange {
+  source: 'text' | 'analysis';
+  field: string;
+  label: string;
+  unit?: string;
+  change: 'added' | 'removed' | 'modified';
+  before: number[] | string | number | null;
+  after: number[] | string | number | null;
+  base?: ClauseRef | null;
+  revised?: ClauseRef | null;
+}
+
+export interface DocumentRedline {
+  base: DocumentVersion;
+  revised: DocumentVersion;
+  summary: { inserted: number; deleted: number; modified: number; unchanged: number; moved: number; valueChanges: number };
+  valueChanges: RedlineValueChange[];
+  clauses: RedlineClause[];
+}
+
+export interface PortfolioAnalytics {
+  asOf: string;
+  summary: {
+    contracts: number;
+    activeContracts: number;
+    contractedMw: number;
+    weightedBaseRate: number | null;
+    averageEscalation: number | null; // Capacity-weighted %
+    revenueBacklog: number;
+    expiringNext12MonthsMw: number;
+  };
+  contractedCapacity: Array<{ period: string; date: string; mw: number; contracts: number; projected: boolean }>;
+  baseRates: Array<{ year: number; systemType: string; weightedBaseRate: number; capacityMw: number; contracts: number }>;
+  escalation: {
+    buckets: Array<{ label: string; min: number; max: number; contracts: number; capacityMw: number }>;
+    mean: number | null;
+    median: number | null;
+    capacityWeighted: number | null;
+  };
+  revenueBacklog: {
+    total: number;
+    byYear: Array<{ year: number; amount: number }>;
+    missingFinancials: number;
+  };
+  expiringCapacity: Array<{
+    quarter: string;
+    mw: number;
+    contracts: Array<{ id: string; name: string; client: string; expirationDate: string; capacityMw: number }>;
+  }>;
+  snapshots: Array<{
+    date: string;
+    totalContracts: number;
+    totalValue: number;
+    contractedMw: number;
+    revenueBacklog: number;
+    weightedBaseRate: number | null;
+  }>;
 }
\ No newline at end of file
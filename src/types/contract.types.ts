@@ -8,15 +8,32 @@ export interface Contract {
   type: SystemType;
   uploadDate: string;
   effectiveDate: string;
+  commercialOperationDate?: string | null;
+  renewalNoticeDays?: number | null;
   status: ContractStatus;
   totalValue: number;
   yearlyRate: number;
   parameters: ContractParameters;
+  sites?: ContractSite[];
   notes?: string;
   tags?: string[];
   aiMetadata?: AIExtractionMetadata;
 }
 
+// Project site of a multi-site contract; the contract's site and capacity
+// are rollups of these
+export interface ContractSite {
+  id?: string;
+  name: string;
+  siteCode?: string | null;
+  address?: string | null;
+  utility?: string | null;
+  capacity?: number | null; // kW
+  servers?: number | null;
+  commercialOperationDate?: string | null;
+  voltage?: VoltageLevel | string | null;
+}
+
 export interface ContractParameters {
   financial: FinancialParameters;
   technical: TechnicalParameters;
@@ -27,6 +44,7 @@ export interface FinancialParameters {
   baseRate: number;
   microgridAdder?: number;
   escalation: number;
+  escalationSchedule?: EscalationSchedule;
   thermalCycleFee?: number;
   electricalBudget?: number;
   commissioningAllowance?: number;
@@ -92,10 +110,14 @@ export interface ContractFormData {
   peakLoad?: number;
   baseLoad?: number;
   loadFactor?: number;
+
+  // Sites
+  sites?: ContractSite[];
   
   // Financial Parameters
   baseRate: number;
   annualEscalation: number;
+  escalationSchedule?: EscalationSchedule;
   contractTerm: number;
   microgridAdder: number;
   thermalCycleFee: number;
@@ -130,6 +152,36 @@ export interface YearlyRate {
   year: number;
   rate: string;
   amount: number;
+  escalation?: number;
+  holiday?: boolean;
+  basis?: string;
+}
+
+// Escalation schedule model, evaluated by shared/escalationSchedule.js
+export type EscalationType = 'fixed' | 'step' | 'tiered' | 'cpi';
+
+export interface EscalationStep {
+  year: number;
+  rate?: number;
+  percent?: number;
+  amount?: number;
+}
+
+export interface EscalationSchedule {
+  type: EscalationType;
+  rate?: number;
+  steps?: EscalationStep[];
+  tiers?: { fromYear: number; toYear?: number; rate: number }[];
+  cpi?: {
+    startYear: number;
+    index: Record<string, number> | { year: number; value: number }[];
+    participation?: number;
+    spread?: number;
+    fallbackRate?: number;
+  };
+  floor?: number;
+  cap?: number;
+  holidays?: { fromYear: number; toYear?: number; rate?: number }[];
 }
 
 export interface ValidationError {
@@ -193,16 +245,101 @@ export interface ContractTemplate {
   usageCount: number;
 }
 
+export type ComparisonValue = string | number | string[] | null;
+
+export interface ComparisonField {
+  key: string;
+  label: string;
+  unit: string | null;
+  values: ComparisonValue[];
+  differs: boolean;
+  outliers: string[];
+}
+
+export interface ComparisonSection {
+  key: 'contract' | 'financial' | 'technical' | 'operating' | 'lifetimeValue';
+  label: string;
+  fields: ComparisonField[];
+}
+
+export interface ComparedRule {
+  id?: string;
+  category: string;
+  name: string;
+  description?: string;
+  confidence?: number;
+  alsoIn: string[];
+}
+
 export interface ContractComparison {
-  contracts: Contract[];
-  differences: {
-    [key: string]: {
-      values: any[];
-      isDifferent: boolean;
-    };
+  contracts: Array<Pick<Contract, 'id' | 'name' | 'client' | 'site' | 'status'> & { systemType: string }>;
+  sections: ComparisonSection[];
+  rules: {
+    shared: Array<{ category: string; name: string }>;
+    byContract: Array<{ contractId: string; total: number; distinct: ComparedRule[] }>;
+  };
+  summary: {
+    differingFields: number;
+    outlierCount: number;
   };
 }
 
+// Contract library filters, as sent to GET /api/contracts and stored in saved views.
+// List values use the API enums (ACTIVE, POWER_PURCHASE_STANDARD, V_480, ...)
+export interface ContractFilters {
+  search?: string;
+  status?: string[];
+  systemType?: string[];
+  voltage?: string[];
+  components?: string[];
+  tags?: string[];
+  customer?: string[];
+  site?: string[];
+  capacityMin?: number;
+  capacityMax?: number;
+  termMin?: number;
+  termMax?: number;
+  escalationMin?: number;
+  escalationMax?: number;
+  effectiveFrom?: string;
+  effectiveTo?: string;
+}
+
+export interface FacetCount {
+  value: string | number;
+  count: number;
+}
+
+export interface ContractFacets {
+  status: FacetCount[];
+  systemType: FacetCount[];
+  voltage: FacetCount[];
+  customer: FacetCount[];
+  site: FacetCount[];
+  components: FacetCount[];
+  tags: FacetCount[];
+  term: FacetCount[];
+  capacity: { min: number | null; max: number | null };
+  escalation: { min: number | null; max: number | null };
+  effectiveDate: { min: string | null; max: string | null };
+}
+
+export interface FilteredContracts {
+  contracts: Contract[];
+  total: number;
+  available: number;
+  facets: ContractFacets;
+}
+
+export interface SavedContractView {
+  id: string;
+  name: string;
+  filters: ContractFilters;
+  isDefault: boolean;
+  createdAt: string;
+  updatedAt: string;
+}
+
 // AI Assistant types
 export interface AIMessage {
   id: string;
@@ -377,6 +514,7 @@ export interface BusinessRulesAnalysis {
     [key: string]: any;
   };
   extractedData?: Record<string, any>;
+  citations?: Record<string, FieldCitation>;
 
   // Enhanced structured data
   paymentRules?: PaymentRule[];
@@ -441,9 +579,50 @@ export interface BlueprintRuleMapping {
   description?: string;
 }
 
+// Where an extracted value was found in its source document
+export interface FieldCitation {
+  value: string | number;
+  text: string;
+  start: number;
+  end: number;
+  page: number | null;
+  pageStart: number | null;
+  pageEnd: number | null;
+  snippet: string;
+  match: 'exact' | 'normalized';
+}
+
+export interface FieldCitationSelection {
+  documentId: string;
+  filename?: string;
+  field: string;
+  label: string;
+  citation: FieldCitation;
+}
+
+export interface BlueprintFieldProvenance {
+  value: any;
+  rawValue: any;
+  sourceField: string;
+  // null for totals rolled up from sites (sourceField 'sites')
+  documentId: string | null;
+  filename: string | null;
+  confidence: number | null;
+  citation?: FieldCitation | null;
+  alternatives: Array<{
+    value: any;
+    rawValue: any;
+    documentId: string;
+    filename: string;
+    confidence: number;
+  }>;
+  conflict: boolean;
+}
+
 export interface ContractBlueprintMetadata {
   parties: string[];
   contractType: string;
+  siteCount?: number;
   documents: Array<{
     documentId: string;
     filename: string;
@@ -456,4 +635,5 @@ export interface ContractBlueprint {
   sections: Record<string, Partial<ContractFormData>>;
   rulesBySection: Record<string, BlueprintRuleMapping[]>;
   metadata: ContractBlueprintMetadata;
+  provenance?: Record<string, BlueprintFieldProvenance>;
 }
@@ -1,29 +1,38 @@
-import { YearlyRate } from '../types';
+import { YearlyRate, EscalationSchedule } from '../types';
+import { evaluateEscalationSchedule, describeEscalationSchedule } from '../../shared/escalationSchedule.js';
 
 /**
  * Financial calculation utilities for Bloom Energy contracts
  * Based on the existing calculation logic from the monolithic component
  */
 
+// Without a schedule this is the legacy fixed compound escalation
 export const calculateYearlyRates = (
   baseRate: number,
   annualEscalation: number,
-  contractTerm: number
+  contractTerm: number,
+  escalationSchedule?: EscalationSchedule
 ): YearlyRate[] => {
-  const rates: YearlyRate[] = [];
-  
-  for (let year = 1; year <= contractTerm; year++) {
-    const escalationMultiplier = Math.pow(1 + annualEscalation / 100, year - 1);
-    const yearlyRate = baseRate * escalationMultiplier;
-    
-    rates.push({
-      year,
-      rate: yearlyRate.toFixed(2),
-      amount: yearlyRate
-    });
-  }
-  
-  return rates;
+  return evaluateEscalationSchedule({
+    baseRate,
+    contractTerm,
+    schedule: escalationSchedule,
+    annualEscalation
+  }).map(entry => ({
+    year: entry.year,
+    rate: entry.rate.toFixed(2),
+    amount: entry.rate,
+    escalation: entry.escalation,
+    holiday: entry.holiday,
+    basis: entry.basis
+  }));
+};
+
+export const describeEscalation = (
+  annualEscalation: number,
+  escalationSchedule?: EscalationSchedule
+): string => {
+  return describeEscalationSchedule(escalationSchedule, annualEscalation);
 };
 
 export const calculateTotalContractValue = (
@@ -192,6 +192,7 @@ export const TAB_CONFIG = [
   { id: 'ai-assistant', label: 'AI Assistant', icon: 'Brain', required: false },
   { id: 'basic', label: 'Basic', icon: 'User', required: true },
   { id: 'system', label: 'System', icon: 'Zap', required: true },
+  { id: 'sites', label: 'Sites', icon: 'MapPin', required: false },
   { id: 'financial', label: 'Financial', icon: 'DollarSign', required: true },
   { id: 'operating', label: 'Operating', icon: 'Settings', required: true },
   { id: 'technical', label: 'Technical', icon: 'Cpu', required: true },
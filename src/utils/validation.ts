@@ -1,4 +1,5 @@
 import { ContractFormData, ValidationError, SystemType, VoltageLevel } from '../types';
+import { validateEscalationSchedule } from '../../shared/escalationSchedule.js';
 
 /**
  * Validation utilities for Bloom Energy contract forms
@@ -159,6 +160,11 @@ export const validateContract = (formData: ContractFormData): ValidationError =>
   const escalationError = validateEscalationRate(formData.annualEscalation);
   if (escalationError) errors.annualEscalation = escalationError;
   
+  if (formData.escalationSchedule) {
+    const scheduleErrors = validateEscalationSchedule(formData.escalationSchedule);
+    if (scheduleErrors.length > 0) errors.escalationSchedule = scheduleErrors.join('; ');
+  }
+  
   // Operating Parameters validation
   const outputWarrantyError = validateWarrantyPercentage(
     formData.outputWarrantyPercent, 
@@ -223,7 +229,8 @@ export const validateFinancialTab = (formData: Partial<ContractFormData>): boole
     formData.baseRate > 0 &&
     formData.annualEscalation !== undefined &&
     formData.annualEscalation >= 2.0 &&
-    formData.annualEscalation <= 5.0
+    formData.annualEscalation <= 5.0 &&
+    (!formData.escalationSchedule || validateEscalationSchedule(formData.escalationSchedule).length === 0)
   );
 };
 